@@ -28,12 +28,16 @@ const config = {
     initialBalance: parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000,
     symbols: (process.env.MARKET_SYMBOLS || 'BTCUSDT,ETHUSDT,SOLUSDT').split(',').map(s => s.trim()),
     baseIntervalMs: parseInt(process.env.AGENT_INTERVAL_MS) || 30000,
+    exchange: process.env.EXCHANGE || null,
+    paperTrading: process.env.PAPER_TRADING === 'true',
 };
 
 console.log('📋 Configuration:');
 console.log(`   Balance:  $${config.initialBalance}`);
 console.log(`   Symbols:  ${config.symbols.join(', ')}`);
 console.log(`   Interval: ${config.baseIntervalMs / 1000}s`);
+console.log(`   Mode:     ${config.paperTrading ? 'PAPER (simulated fills)' : 'LIVE'}`);
+console.log(`   Exchange: ${config.paperTrading ? 'paper' : config.exchange || 'none (log only)'}`);
 console.log(`   LLM:      ${process.env.LLM_PROVIDER || 'ollama'} / ${process.env.OLLAMA_MODEL || process.env.LLM_MODEL || 'llama3.3'}`);
 console.log('');
 
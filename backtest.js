@@ -0,0 +1,52 @@
+import dotenv from 'dotenv';
+import minimist from 'minimist';
+import { BacktestEngine } from './core/backtest/BacktestEngine.js';
+
+dotenv.config();
+
+/**
+ * backtest.js — Replay historical candles through the OpenClaw agent loop.
+ *
+ * Usage:
+ *   node backtest.js --data=./history [--symbols=BTCUSDT,ETHUSDT] [--balance=1000]
+ *                    [--from=2024-01-01] [--to=2024-03-01] [--interval=3600000]
+ *                    [--warmup=50] [--out=./reports/backtest.json]
+ *                    [--cassette=./cassettes/run.json] [--cassette-mode=record|replay]
+ *                    [--paper]
+ *
+ * The data directory holds one file per symbol: BTCUSDT.csv, ETHUSDT.jsonl, ...
+ * The LLM is configured from .env exactly like the live agent. With --cassette, LLM
+ * responses are recorded on the first run and replayed bit-for-bit on later runs.
+ * With --paper, fills go through the PaperExchange simulator (fees, slippage, funding).
+ */
+
+const args = minimist(process.argv.slice(2));
+
+if (!args.data) {
+    console.error('❌ Missing --data=<directory with <SYMBOL>.csv|.jsonl files>');
+    process.exit(1);
+}
+
+const engine = new BacktestEngine({
+    initialBalance: parseFloat(args.balance) || parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000,
+    dataDir: args.data,
+    symbols: args.symbols ? String(args.symbols).split(',').map(s => s.trim()) : undefined,
+    from: args.from,
+    to: args.to,
+    baseIntervalMs: args.interval ? parseInt(args.interval) : undefined,
+    warmupBars: args.warmup !== undefined ? parseInt(args.warmup) : undefined,
+    llmConfig: args.cassette ? { cassette: { path: args.cassette, mode: args['cassette-mode'] } } : undefined,
+    paperTrading: Boolean(args.paper),
+});
+
+try {
+    const report = await engine.run();
+    report.print();
+
+    if (args.out) {
+        report.save(args.out);
+    }
+} catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exit(1);
+}
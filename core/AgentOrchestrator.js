@@ -2,12 +2,34 @@ import fs from 'fs';
 import path from 'path';
 import { eventBus } from './EventBus.js';
 import { LLMClient } from './LLMClient.js';
+import { CassetteMissError } from './LLMCassette.js';
 import { MarketDataFeed } from './MarketDataFeed.js';
 import { PositionManager } from './PositionManager.js';
+import { PositionReconciler } from './PositionReconciler.js';
 import { RiskManager } from './RiskManager.js';
+import { TradeLedger } from './TradeLedger.js';
 import { SurvivalManager } from './survival/SurvivalManager.js';
+import {
+    ExchangeAdapter,
+    InsufficientBalanceError,
+    PaperExchange,
+    ReduceOnlyViolationError,
+    createExchangeAdapter
+} from './exchange/index.js';
 import { SocialSentimentAnalyzer } from '../pipelines/market_intelligence/social_sentiment.js';
 
+// Decision orderType -> PositionManager pending order type
+const ENTRY_ORDER_TYPES = {
+    LIMIT: 'limit',
+    STOP: 'stop_market',
+    STOP_LIMIT: 'stop_limit'
+};
+
+// Venue orders remembered for booking their streamed commissions
+const MAX_FEE_ORDERS = 1000;
+// Commission assets booked at face value as dollars
+const USD_FEE_ASSETS = new Set(['USDT', 'USDC', 'USD']);
+
 /**
  * AgentOrchestrator — The central brain of the autonomous trading agent.
  * 
@@ -15,7 +37,7 @@ import { SocialSentimentAnalyzer } from '../pipelines/market_intelligence/social
  *   1. gatherSignals()  — Collect social alpha, market data, portfolio state
  *   2. think()          — Send context to LLM for structured decision
  *   3. riskFilter()     — Validate decision through RiskManager
- *   4. execute()        — Dispatch trade to the appropriate pipeline
+ *   4. execute()        — Route the trade to the configured ExchangeAdapter (or rest it as a limit / stop entry)
  *   5. monitor()        — Update PnL, feed SurvivalManager, check positions
  * 
  * Adapts loop interval based on survival state:
@@ -33,9 +55,23 @@ export class AgentOrchestrator {
      * @param {string} [config.dataDir] - Data directory for persistence
      * @param {string} [config.alphaDbPath] - Path to alpha_db.json from Social Alpha Miner
      * @param {object} [config.llmConfig] - Override config for LLMClient
+     * @param {object} [config.llm] - Pre-built LLM client (anything exposing decideWithDebate); overrides llmConfig
      * @param {object} [config.riskConfig] - Override config for RiskManager
-     * @param {function} [config.executeTrade] - Custom trade execution function
+     * @param {function} [config.clock] - Time source returning epoch ms (default Date.now; backtests inject a simulated clock)
+     * @param {function} [config.executeTrade] - Custom trade execution function (takes precedence over adapters)
      * @param {function} [config.executeClose] - Custom close execution function
+     * @param {function} [config.fetchPositions] - Async (exchange) → the venue's open positions, for reconciliation
+     *   (default: the registered adapter's getPositions())
+     * @param {string} [config.reconcilePolicy] - On drift between local and venue positions: 'alert' | 'adopt' | 'close'
+     *   (default: RECONCILE_POLICY env, else 'alert')
+     * @param {number} [config.reconcileEveryCycles] - Reconcile every N cycles besides on start; 0 = start only
+     *   (default: RECONCILE_EVERY_CYCLES env, else 10)
+     * @param {Object<string, ExchangeAdapter|object>} [config.exchanges] - Adapters by name, as instances or adapter configs
+     * @param {string} [config.exchange] - Default adapter name for new trades (e.g. 'binance')
+     * @param {Object<string, string>} [config.routes] - Per-symbol adapter names, e.g. { SOLUSDT: 'solana_jupiter' }
+     * @param {boolean|object} [config.paperTrading] - Route execution to a local PaperExchange (true, or its config)
+     * @param {boolean} [config.nativeBrackets] - Also rest reduce-only TP/SL orders on the venue for each position
+     *   (default: NATIVE_BRACKETS env), so stops hold while the agent is offline
      */
     constructor(config) {
         this.config = config;
@@ -47,24 +83,100 @@ export class AgentOrchestrator {
         this._running = false;
         this._loopTimer = null;
         this._cycleCount = 0;
+        this._now = config.clock || Date.now;
 
         // Custom execution handlers (set by agent.js or pipeline integrations)
         this._executeTrade = config.executeTrade || null;
         this._executeClose = config.executeClose || null;
 
+        // Exchange-side TP/SL. Client-side stops keep running alongside them.
+        this.nativeBrackets = config.nativeBrackets ?? process.env.NATIVE_BRACKETS === 'true';
+        this._protectionSyncs = new Map();    // positionId -> in-flight protective order update
+        this._unsubscribers = [];             // detach() undoes these event subscriptions
+
+        // Commissions reported on fill streams (adapters with feesOnFills), booked on the agent's positions
+        this._feeOrders = new Map();          // 'exchange:orderId' -> positionId the order's fills are charged to
+        this._unbookedFees = new Map();       // 'exchange:orderId' -> { exchange, symbol, fee, at } not yet linked to a position
+        this._entryOrders = new Map();        // pending entry order id -> { exchange, orderId } of its venue order
+
         // Initialize sub-modules
-        this.llm = new LLMClient(config.llmConfig || {});
+        this.llm = config.llm || new LLMClient(config.llmConfig || {});
 
         this.marketData = new MarketDataFeed({
             symbols: config.symbols || (process.env.MARKET_SYMBOLS || 'BTCUSDT,ETHUSDT,SOLUSDT').split(',')
         });
 
+        // Exchange adapters, routed by name
+        this.exchanges = new Map();
+        this.routes = config.routes || {};
+        this.defaultExchange = config.exchange || null;
+
+        for (const [name, adapter] of Object.entries(config.exchanges || {})) {
+            this.registerExchange(adapter instanceof ExchangeAdapter ? adapter : createExchangeAdapter(name, adapter));
+        }
+
+        // Paper trading: simulated venue with fills, fees, slippage, funding and liquidations.
+        // Created before PositionManager so it sees each price tick before stops are evaluated.
+        this.paperExchange = this.exchanges.get('paper') || null;
+        if (config.paperTrading && !this._executeTrade && !this.paperExchange) {
+            this.paperExchange = new PaperExchange({
+                initialBalance: config.initialBalance || parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000,
+                dataDir: this.dataDir,
+                clock: this._now,
+                ...(typeof config.paperTrading === 'object' ? config.paperTrading : {})
+            });
+            this.registerExchange(this.paperExchange);
+        }
+        if (config.paperTrading && this.paperExchange) {
+            this.defaultExchange = 'paper';
+        }
+
+        if (this.defaultExchange && !this.exchanges.has(this.defaultExchange)) {
+            this.registerExchange(createExchangeAdapter(this.defaultExchange));
+        }
+
+        // Before PositionManager, which monitors liquidation prices with its margin model
+        this.riskManager = new RiskManager({
+            dataDir: this.dataDir,
+            clock: this._now,
+            ...config.riskConfig,
+            maintenanceMarginTiers: {
+                ...(this.paperExchange ? { paper: { default: [{ maxNotional: Infinity, rate: this.paperExchange.maintenanceMarginRate }] } } : {}),
+                ...config.riskConfig?.maintenanceMarginTiers
+            }
+        });
+
         this.positionManager = new PositionManager({
             dataDir: this.dataDir,
-            onClosePosition: (position) => this._handleCloseOnExchange(position)
+            clock: this._now,
+            marginModel: this.riskManager.marginModel,
+            onClosePosition: (position) => this._handleCloseOnExchange(position),
+            onExecuteOrder: (order, price) => this._handleOrderOnExchange(order, price),
+            onLevelsChanged: (position) => this._syncProtection(position)
+                .catch(err => console.error(`❌ Failed to update protective orders for ${position.symbol} on ${position.exchange}: ${err.message}`))
+        });
+        for (const adapter of this.exchanges.values()) {
+            this._attachPositionManager(adapter);
+        }
+
+        this._fetchPositions = config.fetchPositions || null;
+        // An explicit 0 (start only) is kept; unset, empty or malformed values fall back to 10
+        const envReconcileCycles = parseInt(process.env.RECONCILE_EVERY_CYCLES, 10);
+        this.reconcileEveryCycles = config.reconcileEveryCycles ?? (Number.isFinite(envReconcileCycles) ? envReconcileCycles : 10);
+        this.reconciler = new PositionReconciler({
+            positionManager: this.positionManager,
+            fetchPositions: (exchange) => this._fetchExchangePositions(exchange),
+            closeOnExchange: (position) => this._handleCloseOnExchange(position),
+            getPrice: (symbol) => this.marketData.getPrice(symbol),
+            policy: config.reconcilePolicy
         });
 
-        this.riskManager = new RiskManager(config.riskConfig || {});
+        // Closed-trade history; realized PnL, fees and funding feed the agent's equity
+        this.ledger = new TradeLedger({
+            dataDir: this.dataDir,
+            clock: this._now,
+            initialBalance: config.initialBalance || parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000
+        });
 
         this.survival = new SurvivalManager({
             initialBalance: config.initialBalance || parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000,
@@ -75,11 +187,83 @@ export class AgentOrchestrator {
         this.sentimentAnalyzer = new SocialSentimentAnalyzer();
 
         // Listen for shutdown events
-        eventBus.on('agent:shutdown', (data) => this._gracefulShutdown(data));
+        this._listen('agent:shutdown', (data) => this._gracefulShutdown(data));
+        this._listen('position:opened', (position) => {
+            const entry = position.orderId && this._entryOrders.get(position.orderId);
+            if (entry) {
+                this._entryOrders.delete(position.orderId);
+                this._linkFeeOrder(entry.exchange, entry.orderId, position.id);
+            }
+            if (!position.protection) {
+                this._syncProtection(position)
+                    .catch(err => console.error(`❌ Failed to place protective orders for ${position.symbol} on ${position.exchange}: ${err.message}`));
+            }
+        });
+        this._listen('position:closed', (position) => {
+            // A protective order that closed it may report its fill after the close is booked
+            for (const leg of [position.protection?.stopLoss, position.protection?.takeProfit]) {
+                if (leg?.orderId) this._linkFeeOrder(position.exchange, leg.orderId, position.id);
+            }
+            this._releaseProtection(position)
+                .catch(err => console.error(`❌ Failed to cancel protective orders for ${position.symbol} on ${position.exchange}: ${err.message}`));
+            // Booked by the ledger first (it subscribed earlier), so the trade's net PnL is known
+            this.riskManager.recordTrade(this.ledger.getPositionPnl(position.id));
+        });
 
         console.log('🤖 AgentOrchestrator initialized.');
     }
 
+    /**
+     * Register an exchange adapter under its name. Its fills are re-published as 'exchange:fill';
+     * streamed commissions (feesOnFills) and funding payments are charged to the agent's positions.
+     * @param {ExchangeAdapter} adapter
+     */
+    registerExchange(adapter) {
+        if (this.exchanges.has(adapter.name)) {
+            throw new Error(`Exchange '${adapter.name}' is already registered.`);
+        }
+        this.exchanges.set(adapter.name, adapter);
+        this._unsubscribers.push(adapter.subscribeFills((fill) => {
+            if (adapter.feesOnFills) this._chargeFillFee(adapter, fill);
+            eventBus.emit('exchange:fill', fill);
+        }));
+        this._unsubscribers.push(adapter.subscribeFunding((payment) => this._chargeFunding(adapter, payment)));
+        if (this.positionManager) this._attachPositionManager(adapter);
+        console.log(`🔌 Exchange adapter registered: ${adapter.name}`);
+    }
+
+    /**
+     * Remove the agent's (and its PositionManager's and TradeLedger's) listeners from the shared event bus,
+     * so another agent in the same process (e.g. the next backtest run) doesn't drive this one.
+     */
+    detach() {
+        for (const unsubscribe of this._unsubscribers.splice(0)) unsubscribe();
+        this.positionManager.detach();
+        this.ledger.detach();
+    }
+
+    /**
+     * @private
+     */
+    _listen(event, handler) {
+        eventBus.on(event, handler);
+        this._unsubscribers.push(() => eventBus.off(event, handler));
+    }
+
+    /**
+     * Adapters that sync venue state (liquidations, position updates) take the agent's PositionManager,
+     * and every adapter's positions are booked in its position mode (one-way netting or hedge).
+     * @private
+     */
+    _attachPositionManager(adapter) {
+        if ('positionManager' in adapter && !adapter.positionManager) {
+            adapter.positionManager = this.positionManager;
+        }
+        if (adapter.positionMode) {
+            this.positionManager.setPositionMode(adapter.name, adapter.positionMode);
+        }
+    }
+
     /**
      * Start the autonomous agent loop.
      */
@@ -97,9 +281,24 @@ export class AgentOrchestrator {
         // Start market data feed
         await this.marketData.start();
 
+        // Open exchange streams (user-data, fills)
+        for (const adapter of this.exchanges.values()) {
+            try {
+                await adapter.connect();
+            } catch (err) {
+                console.error(`❌ Failed to connect ${adapter.name}: ${err.message}`);
+            }
+        }
+
         // Load previous state if available
         this._loadState();
 
+        // The book may have drifted from the venues while the agent was down
+        await this._reconcilePositions();
+
+        // Positions carried over from the last run must have their stops on the venue
+        await this._reconcileProtection();
+
         // Run the main loop
         this._runLoop();
     }
@@ -117,6 +316,9 @@ export class AgentOrchestrator {
         }
 
         this.marketData.stop();
+        for (const adapter of this.exchanges.values()) {
+            await adapter.disconnect();
+        }
         this._saveState();
 
         console.log('🛑 Agent stopped. State saved.');
@@ -126,38 +328,9 @@ export class AgentOrchestrator {
 
     async _runLoop() {
         while (this._running) {
-            this._cycleCount++;
             const cycleStart = Date.now();
 
-            try {
-                console.log(`\n⏱️  ═══ Cycle #${this._cycleCount} [${new Date().toISOString()}] ═══`);
-                console.log(`   State: ${this.survival.state} | Balance: $${this.survival.currentBalance} | Positions: ${this.positionManager.getCount()}`);
-
-                // Step 1: Gather signals
-                const signals = await this._gatherSignals();
-
-                // Step 2: Think (LLM decision)
-                const decision = await this._think(signals);
-
-                // Step 3: Risk filter
-                const riskResult = this._riskFilter(decision);
-
-                // Step 4: Execute (if approved)
-                if (riskResult.allowed && decision.action !== 'HOLD') {
-                    await this._execute(decision, riskResult);
-                } else if (decision.action !== 'HOLD') {
-                    console.log(`   ⛔ Trade blocked: ${riskResult.reason}`);
-                } else {
-                    console.log(`   ⏸️  HOLD — No action this cycle.`);
-                }
-
-                // Step 5: Monitor positions & update survival
-                this._monitor();
-
-            } catch (error) {
-                console.error(`   ❌ Cycle error: ${error.message}`);
-                eventBus.emit('agent:error', { cycle: this._cycleCount, error: error.message });
-            }
+            await this._runCycle();
 
             // Adaptive interval based on survival state
             const interval = this._getAdaptiveInterval();
@@ -173,6 +346,50 @@ export class AgentOrchestrator {
         }
     }
 
+    /**
+     * Run a single gather → think → risk → execute → monitor cycle.
+     * Used by the live loop and by the backtest engine on a simulated clock.
+     */
+    async _runCycle() {
+        this._cycleCount++;
+
+        try {
+            console.log(`\n⏱️  ═══ Cycle #${this._cycleCount} [${new Date(this._now()).toISOString()}] ═══`);
+            console.log(`   State: ${this.survival.state} | Balance: $${this.survival.currentBalance} | Positions: ${this.positionManager.getCount()}`);
+
+            if (this.reconcileEveryCycles > 0 && this._cycleCount % this.reconcileEveryCycles === 0) {
+                await this._reconcilePositions();
+            }
+
+            // Step 1: Gather signals
+            const signals = await this._gatherSignals();
+
+            // Step 2: Think (LLM decision)
+            const decision = await this._think(signals);
+
+            // Step 3: Risk filter
+            const riskResult = this._riskFilter(decision);
+
+            // Step 4: Execute (if approved)
+            if (riskResult.allowed && decision.action !== 'HOLD') {
+                await this._execute(decision, riskResult);
+            } else if (decision.action !== 'HOLD') {
+                console.log(`   ⛔ Trade blocked: ${riskResult.reason}`);
+            } else {
+                console.log(`   ⏸️  HOLD — No action this cycle.`);
+            }
+
+            // Step 5: Monitor positions & update survival
+            this._monitor();
+
+        } catch (error) {
+            // A replay miss means the run is no longer reproducible — stop instead of carrying on
+            if (error instanceof CassetteMissError) throw error;
+            console.error(`   ❌ Cycle error: ${error.message}`);
+            eventBus.emit('agent:error', { cycle: this._cycleCount, error: error.message });
+        }
+    }
+
     // --- Step 1: Gather Signals ---
 
     async _gatherSignals() {
@@ -185,7 +402,7 @@ export class AgentOrchestrator {
                 const alphaEntries = JSON.parse(raw);
 
                 // Only consider recent signals (last 30 minutes)
-                const cutoff = Date.now() - (30 * 60 * 1000);
+                const cutoff = this._now() - (30 * 60 * 1000);
                 const recent = alphaEntries.filter(e => {
                     const ts = new Date(e.discovered_at).getTime();
                     return ts > cutoff;
@@ -209,14 +426,17 @@ export class AgentOrchestrator {
     async _think(signals) {
         const marketSnapshot = this.marketData.getSnapshot();
         const openPositions = this.positionManager.getOpen();
+        const orders = this.positionManager.getOrders();
 
         const context = {
             marketData: marketSnapshot,
             signals,
             positions: openPositions,
+            orders,
             survivalState: this.survival.state,
             balance: this.survival.currentBalance,
-            pnl: this.survival.getPnL()
+            pnl: this.survival.getPnL(),
+            risk: this._portfolioRisk([...openPositions, ...orders])
         };
 
         console.log('   🧠 Convening the Council of AI...');
@@ -231,6 +451,20 @@ export class AgentOrchestrator {
         return decision;
     }
 
+    /**
+     * The book's 1-day VaR and expected shortfall for the LLM context, with the RiskManager's limit.
+     * @private
+     */
+    _portfolioRisk(book) {
+        const risk = this.riskManager.getValueAtRisk(book, this.marketData.priceHistory);
+        if (!risk) return null;
+
+        return {
+            ...risk,
+            varLimit: this.riskManager.maxVarPercent > 0 ? this.survival.currentBalance * (this.riskManager.maxVarPercent / 100) : null
+        };
+    }
+
     // --- Step 3: Risk Filter ---
 
     _riskFilter(decision) {
@@ -238,19 +472,42 @@ export class AgentOrchestrator {
             return { allowed: false, reason: 'HOLD decision', adjustedLeverage: 0, adjustedSize: 0 };
         }
 
-        if (decision.action === 'CLOSE') {
+        if (decision.action === 'CLOSE' || decision.action === 'REDUCE') {
             // Closing is always allowed
             return { allowed: true, reason: 'Close approved', adjustedLeverage: 0, adjustedSize: 0 };
         }
 
+        // Pending entries count as if filled, so resting orders can't exceed the limits together
+        const orders = this.positionManager.getOrders();
         const portfolio = {
             balance: this.survival.currentBalance,
-            totalExposure: this.positionManager.getTotalExposure(),
-            positionCount: this.positionManager.getCount(),
-            positions: this.positionManager.getOpen()
+            totalExposure: this.positionManager.getTotalExposure() + orders.reduce((sum, o) => sum + (o.size * o.leverage), 0),
+            positionCount: this.positionManager.getCount() + orders.length,
+            positions: [...this.positionManager.getOpen(), ...orders],
+            priceHistory: this.marketData.priceHistory
         };
 
-        return this.riskManager.canOpenPosition(decision, portfolio, this.survival.state);
+        // The stop comes first: the RiskManager sizes the trade so that being stopped out costs the risk budget
+        const symbol = decision.symbol ? `${decision.symbol}USDT` : null;
+        const side = decision.action === 'BUY' ? 'buy' : 'sell';
+        const entryPrice = this._entryReference(decision, symbol);
+        const stopLoss = entryPrice > 0
+            ? this.riskManager.getStopLoss(entryPrice, side, this.marketData.indicators[symbol]?.atr)
+            : null;
+
+        const exchange = decision.exchange || this.routes[symbol] || this.defaultExchange || 'sidex';
+
+        return this.riskManager.canOpenPosition({ ...decision, symbol, entryPrice, stopLoss, exchange }, portfolio, this.survival.state);
+    }
+
+    /**
+     * Price the trade is expected to enter at: the resting order's level for LIMIT / STOP entries, else the market.
+     * @private
+     */
+    _entryReference(decision, symbol) {
+        const type = ENTRY_ORDER_TYPES[decision.orderType];
+        if (type) return type === 'stop_market' ? decision.triggerPrice : decision.entryPrice;
+        return symbol ? this.marketData.getPrice(symbol) : null;
     }
 
     // --- Step 4: Execute ---
@@ -259,20 +516,41 @@ export class AgentOrchestrator {
         const symbol = decision.symbol ? `${decision.symbol}USDT` : null;
 
         if (decision.action === 'CLOSE') {
+            // Pending entries for the symbol go too
+            const cancelled = this.positionManager.cancelOrders(symbol, 'llm_decision');
+
             // Find positions to close for this symbol
             const toClose = symbol
                 ? this.positionManager.getBySymbol(symbol)
                 : this.positionManager.getOpen();
 
             if (toClose.length === 0) {
-                console.log(`   ⚠️ No positions found to close for ${symbol || 'all'}`);
+                if (cancelled.length === 0) console.log(`   ⚠️ No positions found to close for ${symbol || 'all'}`);
                 return;
             }
 
             for (const position of toClose) {
-                await this._handleCloseOnExchange(position);
+                const fill = await this._handleCloseOnExchange(position);
+                const currentPrice = this.marketData.getPrice(position.symbol);
+                // Book at the venue's fill (slippage included), like entries
+                this.positionManager.close(position.id, 'llm_decision', fill?.avgPrice || currentPrice, fill?.fee);
+            }
+            return;
+        }
+
+        if (decision.action === 'REDUCE') {
+            const toReduce = symbol
+                ? this.positionManager.getBySymbol(symbol)
+                : this.positionManager.getOpen();
+
+            if (toReduce.length === 0) {
+                console.log(`   ⚠️ No positions found to reduce for ${symbol || 'all'}`);
+                return;
+            }
+
+            for (const position of toReduce) {
                 const currentPrice = this.marketData.getPrice(position.symbol);
-                this.positionManager.close(position.id, 'llm_decision', currentPrice);
+                await this.positionManager.reduce(position.id, { fraction: decision.fraction }, 'llm_decision', currentPrice);
             }
             return;
         }
@@ -293,48 +571,132 @@ export class AgentOrchestrator {
             return;
         }
 
-        // Calculate TP/SL
         const marketIndicators = this.marketData.indicators[symbol] || {};
-        const stopLoss = this.riskManager.getStopLoss(currentPrice, side, marketIndicators.atr);
-        const takeProfit = this.riskManager.getTakeProfit(currentPrice, side, stopLoss);
+        const trailingStop = decision.trailingStop ? { ...decision.trailingStop, atr: marketIndicators.atr } : null;
 
-        console.log(`   ⚡ EXECUTING: ${side.toUpperCase()} ${symbol} | Size: $${size.toFixed(2)} | Leverage: ${leverage}x | SL: $${stopLoss.toFixed(2)} | TP: $${takeProfit.toFixed(2)}`);
+        if (ENTRY_ORDER_TYPES[decision.orderType]) {
+            this._placeEntryOrder(decision, { symbol, side, size, leverage, trailingStop, stopLoss: riskResult.stopLoss, liquidationPrice: riskResult.liquidationPrice });
+            return;
+        }
 
-        // Execute on exchange via custom handler
-        if (this._executeTrade) {
-            try {
-                await this._executeTrade({
-                    symbol: symbol.replace('USDT', '/USDT'),
-                    side,
-                    amount: size,
-                    leverage
-                });
-            } catch (err) {
-                console.error(`   ❌ Exchange execution failed: ${err.message}`);
+        // TP from the stop the trade was sized on
+        const stopLoss = riskResult.stopLoss ?? this.riskManager.getStopLoss(currentPrice, side, marketIndicators.atr);
+        const { takeProfit, takeProfits } = this._takeProfitLevels(currentPrice, side, stopLoss);
+
+        const targets = takeProfits.length
+            ? takeProfits.map(t => `$${t.price.toFixed(2)} (${(t.fraction * 100).toFixed(0)}%)`).join(', ')
+            : `$${takeProfit.toFixed(2)}`;
+        console.log(`   ⚡ EXECUTING: ${side.toUpperCase()} ${symbol} | Size: $${size.toFixed(2)} | Leverage: ${leverage}x | SL: $${stopLoss.toFixed(2)} | TP: ${targets}`);
+
+        // Execute via custom handler or the routed adapter (either may report the actual fill)
+        const adapter = this._executeTrade ? null : this._resolveExchange(symbol, decision);
+        const trade = {
+            symbol: symbol.replace('USDT', '/USDT'),
+            side,
+            amount: size,
+            leverage,
+            price: currentPrice,
+            stopLoss,
+            takeProfit,
+            brackets: this._bracketsFor(symbol, adapter)
+        };
+
+        let fill = null;
+        try {
+            fill = await this._submitTrade(trade, adapter);
+        } catch (err) {
+            if (err instanceof InsufficientBalanceError) {
+                console.warn(`   💸 Insufficient balance on ${err.exchange} for $${size.toFixed(2)} at ${leverage}x. Trade skipped.`);
+                eventBus.emit('agent:error', { cycle: this._cycleCount, error: err.message });
                 return;
             }
+            console.error(`   ❌ Exchange execution failed: ${err.message}`);
+            return;
         }
 
         // Register position
-        this.positionManager.open({
+        const position = this.positionManager.open({
             symbol,
             side,
-            entryPrice: currentPrice,
+            entryPrice: fill?.avgPrice || currentPrice,
             size,
             leverage,
-            exchange: 'sidex',
+            quantity: fill?.quantity || null,
+            exchange: adapter?.name || this.defaultExchange || 'sidex',
             stopLoss,
-            takeProfit
+            takeProfit,
+            takeProfits,
+            breakevenAfterFirstTarget: this.riskManager.breakevenAfterFirstTarget,
+            trailingStop,
+            protection: fill?.protection || null,
+            fee: fill?.fee,
+            liquidationPrice: riskResult.liquidationPrice
         });
+        if (adapter) this._linkFeeOrder(adapter.name, fill?.orderId, position?.id);
+    }
+
+    /**
+     * A single take-profit, or the RiskManager's scale-out ladder when one is configured
+     * (the ladder replaces the single target; what it leaves open rides the stop).
+     * @private
+     */
+    _takeProfitLevels(entryPrice, side, stopLoss) {
+        const takeProfits = this.riskManager.getTakeProfitLadder(entryPrice, side, stopLoss);
+        return {
+            takeProfit: takeProfits.length ? null : this.riskManager.getTakeProfit(entryPrice, side, stopLoss),
+            takeProfits
+        };
+    }
+
+    /**
+     * Rest a LIMIT / STOP / STOP_LIMIT entry in the PositionManager. TP/SL are set from the entry level
+     * and the venue is chosen now, so the order executes where it was routed when it triggers.
+     * @private
+     */
+    _placeEntryOrder(decision, { symbol, side, size, leverage, trailingStop, stopLoss, liquidationPrice }) {
+        const type = ENTRY_ORDER_TYPES[decision.orderType];
+        const reference = this._entryReference(decision, symbol);
+
+        if (!(reference > 0) || !stopLoss) {
+            console.log(`   ⚠️ ${decision.orderType} entry for ${symbol} has no price. Skipping.`);
+            return null;
+        }
+
+        const { takeProfit, takeProfits } = this._takeProfitLevels(reference, side, stopLoss);
+        const adapter = this._executeTrade ? null : this._resolveExchange(symbol, decision);
+
+        try {
+            return this.positionManager.placeOrder({
+                symbol,
+                side,
+                type,
+                price: decision.entryPrice,
+                stopPrice: decision.triggerPrice,
+                size,
+                leverage,
+                exchange: adapter?.name || this.defaultExchange || 'sidex',
+                stopLoss,
+                takeProfit,
+                takeProfits,
+                breakevenAfterFirstTarget: this.riskManager.breakevenAfterFirstTarget,
+                trailingStop,
+                liquidationPrice
+            });
+        } catch (err) {
+            console.warn(`   ⚠️ ${err.message} Skipping.`);
+            return null;
+        }
     }
 
     // --- Step 5: Monitor ---
 
     _monitor() {
-        // Update survival manager with current balance + unrealized PnL
-        const unrealizedPnl = this.positionManager.getTotalPnL();
-        const effectiveBalance = this.survival.initialBalance + unrealizedPnl;
-        this.survival.updateVitalSigns(effectiveBalance);
+        // Update survival manager and the risk breakers with the ledger's balance marked with the open positions
+        const equity = this.ledger.getEquity(this.positionManager.getOpen());
+        this.survival.updateVitalSigns(equity);
+        this.riskManager.updateEquity(equity);
+
+        this._chargeUnbookedFees();
 
         // Periodic state save
         if (this._cycleCount % 5 === 0) {
@@ -342,18 +704,339 @@ export class AgentOrchestrator {
         }
     }
 
+    /**
+     * Split a venue funding payment over the agent positions it was charged on, by quantity.
+     * Venues that report funding per symbol (side null) charge both sides.
+     * @private
+     */
+    _chargeFunding(adapter, { symbol, side, payment }) {
+        const positions = this.positionManager.getOpen()
+            .filter(p => p.exchange === adapter.name && adapter.matchesSymbol(p.symbol, symbol) && (!side || p.side === side));
+        this._splitCosts(positions, 'funding', payment);
+    }
+
+    // --- Streamed Commissions ---
+
+    /**
+     * Charge a streamed commission to the position its order belongs to: an entry or close the agent
+     * sent, or a protective leg. Fills that arrive before their order is linked wait in `_unbookedFees`.
+     * @private
+     */
+    _chargeFillFee(adapter, fill) {
+        if (!fill.fee || !fill.orderId) return;
+        const fee = this._feeInUsd(adapter, fill);
+        if (!fee) return;
+        const key = `${adapter.name}:${fill.orderId}`;
+
+        const positionId = this._feeOrders.get(key) ?? this.positionManager.getOpen().find(p =>
+            p.exchange === adapter.name &&
+            [p.protection?.stopLoss, p.protection?.takeProfit].some(leg => leg && String(leg.orderId) === fill.orderId)
+        )?.id;
+        if (positionId) {
+            this.positionManager.addCosts(positionId, { fee });
+            return;
+        }
+
+        const unbooked = this._unbookedFees.get(key);
+        if (unbooked) {
+            unbooked.fee += fee;
+        } else {
+            this._unbookedFees.set(key, { exchange: adapter.name, symbol: fill.symbol, fee, at: this._now() });
+            this._trim(this._unbookedFees);
+        }
+    }
+
+    /**
+     * A streamed commission in dollars. Fees paid in another asset (BNB on Binance) are converted
+     * at the feed's price for it, and skipped when the feed has none.
+     * @private
+     */
+    _feeInUsd(adapter, fill) {
+        const asset = fill.feeAsset?.toUpperCase();
+        if (!asset || USD_FEE_ASSETS.has(asset)) return fill.fee;
+
+        const price = this.marketData.getPrice(`${asset}USDT`);
+        if (price > 0) return fill.fee * price;
+        console.warn(`   ⚠️ ${adapter.name} commission of ${fill.fee} ${asset} on ${fill.symbol} has no ${asset} price. Not booked.`);
+        return 0;
+    }
+
+    /**
+     * Charge an order's commissions to a position: the fees its fills already reported, and the ones still to come.
+     * @private
+     */
+    _linkFeeOrder(exchange, orderId, positionId) {
+        if (!orderId || !positionId) return;
+        const key = `${exchange}:${orderId}`;
+        this._feeOrders.set(key, positionId);
+        this._trim(this._feeOrders);
+
+        const unbooked = this._unbookedFees.get(key);
+        if (unbooked) {
+            this._unbookedFees.delete(key);
+            this.positionManager.addCosts(positionId, { fee: unbooked.fee });
+        }
+    }
+
+    /**
+     * Commissions no order claimed within a loop interval (e.g. an entry netted into an existing
+     * one-way position) are charged by symbol to the open positions on that venue.
+     * @private
+     */
+    _chargeUnbookedFees() {
+        const cutoff = this._now() - this.baseIntervalMs;
+        for (const [key, unbooked] of this._unbookedFees) {
+            if (unbooked.at > cutoff) continue;
+            this._unbookedFees.delete(key);
+
+            const adapter = this.exchanges.get(unbooked.exchange);
+            const positions = this.positionManager.getOpen()
+                .filter(p => p.exchange === unbooked.exchange && adapter.matchesSymbol(p.symbol, unbooked.symbol));
+            if (!positions.length) {
+                console.warn(`   ⚠️ ${unbooked.exchange} commission of $${unbooked.fee.toFixed(4)} on ${unbooked.symbol} matches no agent position. Not booked.`);
+                continue;
+            }
+            this._splitCosts(positions, 'fee', unbooked.fee);
+        }
+    }
+
+    /**
+     * Split a cost ('fee' | 'funding') over positions by quantity.
+     * @private
+     */
+    _splitCosts(positions, kind, amount) {
+        const total = positions.reduce((sum, p) => sum + this._heldQuantity(p), 0);
+        if (!(total > 0)) return;
+
+        for (const position of positions) {
+            this.positionManager.addCosts(position.id, { [kind]: amount * (this._heldQuantity(position) / total) });
+        }
+    }
+
+    /**
+     * Drop the oldest entries of a bookkeeping map beyond MAX_FEE_ORDERS.
+     * @private
+     */
+    _trim(map) {
+        while (map.size > MAX_FEE_ORDERS) map.delete(map.keys().next().value);
+    }
+
+    /**
+     * @private
+     */
+    _heldQuantity(position) {
+        return position.quantity || (position.size * position.leverage) / position.entryPrice;
+    }
+
     // --- Exchange Execution Handlers ---
 
+    /**
+     * Pick the adapter for a trade: decision.exchange, then per-symbol route, then the default.
+     * @returns {ExchangeAdapter|null} null when no adapter is configured (simulation mode)
+     */
+    _resolveExchange(symbol, decision = {}) {
+        const name = decision.exchange || this.routes[symbol] || this.defaultExchange;
+        if (!name) return null;
+
+        const adapter = this.exchanges.get(name);
+        if (!adapter) {
+            throw new Error(`No exchange adapter registered as '${name}'.`);
+        }
+        return adapter;
+    }
+
+    /**
+     * Send an entry to the custom handler or an adapter.
+     * @returns {Promise<object|null>} The venue fill, or null in simulation mode
+     */
+    async _submitTrade(trade, adapter) {
+        if (!this._executeTrade && !adapter) return null;
+
+        if (adapter) console.log(`   🔌 Routing to ${adapter.name}`);
+        return this._executeTrade
+            ? this._executeTrade(trade)
+            : adapter.executeTrade(trade);
+    }
+
+    /**
+     * Execute a triggered pending order on the venue it was placed for.
+     * Rejections propagate so the PositionManager cancels the order instead of opening a position.
+     */
+    async _handleOrderOnExchange(order, price) {
+        const adapter = this._executeTrade ? null : this.exchanges.get(order.exchange);
+        const trade = {
+            symbol: order.symbol.replace('USDT', '/USDT'),
+            side: order.side,
+            amount: order.size,
+            leverage: order.leverage,
+            price,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            brackets: this._bracketsFor(order.symbol, adapter)
+        };
+
+        if (!this._executeTrade && !adapter) {
+            console.log(`   📝 Fill order ${order.id} (no exchange handler configured — simulation mode)`);
+        }
+        const fill = await this._submitTrade(trade, adapter);
+        // Linked to the position once the PositionManager opens it (position:opened)
+        if (adapter && fill?.orderId) {
+            this._entryOrders.set(order.id, { exchange: adapter.name, orderId: fill.orderId });
+            this._trim(this._entryOrders);
+        }
+        return fill;
+    }
+
+    // --- Reconciliation ---
+
+    /**
+     * Compare the book with every venue that can report positions: the registered adapters, and
+     * with a custom `fetchPositions` hook also the exchanges local positions were booked on.
+     * @private
+     */
+    async _reconcilePositions() {
+        const exchanges = new Set(this.exchanges.keys());
+        if (this._fetchPositions) {
+            for (const position of this.positionManager.getOpen()) exchanges.add(position.exchange);
+        }
+        if (exchanges.size === 0) return [];
+
+        return this.reconciler.reconcile([...exchanges]);
+    }
+
+    /**
+     * @private
+     */
+    async _fetchExchangePositions(exchange) {
+        if (this._fetchPositions) return this._fetchPositions(exchange);
+
+        const adapter = this.exchanges.get(exchange);
+        return adapter ? adapter.getPositions() : null;
+    }
+
+    // --- Protective Orders ---
+
+    /**
+     * Whether an entry should bring its own brackets. Fills that net into an existing one-way
+     * position don't: the resulting position's brackets are updated instead (positions opened
+     * without brackets get theirs on 'position:opened').
+     * @private
+     */
+    _bracketsFor(symbol, adapter) {
+        if (!this.nativeBrackets || !adapter) return false;
+        if (this.positionManager.getPositionMode(adapter.name) !== 'one_way') return true;
+        return !this.positionManager.getBySymbol(symbol).some(p => p.exchange === adapter.name);
+    }
+
+    /**
+     * Bring a position's protective orders in line with its current levels and size.
+     * Updates for one position run one at a time; changes that arrive meanwhile (a trailing stop
+     * ratcheting every tick) are folded into a single follow-up.
+     * @private
+     */
+    _syncProtection(position) {
+        const adapter = this.exchanges.get(position.exchange);
+        if (!this.nativeBrackets || this._executeTrade || !adapter) return Promise.resolve(null);
+
+        const running = this._protectionSyncs.get(position.id);
+        if (running) {
+            running.again = true;
+            return running.promise;
+        }
+
+        const sync = { again: true };
+        sync.promise = (async () => {
+            let protection = null;
+            while (sync.again) {
+                sync.again = false;
+                const current = this.positionManager.positions.get(position.id);
+                if (!current) break;
+
+                protection = await adapter.syncProtection(current, current.protection || {});
+                if (this.positionManager.positions.has(position.id)) {
+                    this.positionManager.setProtection(position.id, protection);
+                } else {
+                    // Closed while the orders were being placed
+                    await adapter.cancelProtection(protection, current.symbol);
+                }
+            }
+            return protection;
+        })().finally(() => this._protectionSyncs.delete(position.id));
+
+        this._protectionSyncs.set(position.id, sync);
+        return sync.promise;
+    }
+
+    /**
+     * Cancel what is left of a closed position's protective orders.
+     * @private
+     */
+    async _releaseProtection(position) {
+        const adapter = this.exchanges.get(position.exchange);
+        if (!position.protection || !adapter) return;
+
+        await adapter.cancelProtection(position.protection, position.symbol);
+    }
+
+    /**
+     * Verify that every open position has live protective orders on its venue, re-placing
+     * the ones that filled, expired or were cancelled while the agent was down.
+     * @private
+     */
+    async _reconcileProtection() {
+        if (!this.nativeBrackets || this._executeTrade) return;
+
+        for (const position of this.positionManager.getOpen()) {
+            const adapter = this.exchanges.get(position.exchange);
+            if (!adapter) continue;
+
+            try {
+                const live = position.protection
+                    ? await adapter.liveProtection(position.protection, position.symbol)
+                    : {};
+                const missing = [['stopLoss', 'stop-loss'], ['takeProfit', 'take-profit']]
+                    .filter(([leg]) => position[leg] && !live[leg])
+                    .map(([, name]) => name);
+                if (missing.length > 0) {
+                    console.warn(`🛡️ ${position.symbol} on ${adapter.name} is missing its ${missing.join(' and ')} order. Re-placing.`);
+                }
+                this.positionManager.setProtection(position.id, live);
+                await this._syncProtection(position);
+            } catch (err) {
+                console.error(`❌ Failed to verify protective orders for ${position.symbol} on ${adapter.name}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Close a position (or a slice of it) on its venue.
+     * @returns {Promise<object|null>} The closing fill ({ fee, ... }) when the handler reports one
+     */
     async _handleCloseOnExchange(position) {
-        if (this._executeClose) {
+        // Close on the venue that holds the position
+        const adapter = this._executeClose ? null : this.exchanges.get(position.exchange);
+
+        if (this._executeClose || adapter) {
             try {
-                await this._executeClose(position);
+                const fill = this._executeClose
+                    ? await this._executeClose(position)
+                    : await adapter.executeClose(position);
+                if (adapter) this._linkFeeOrder(adapter.name, fill?.orderId, position.id);
+                return fill || null;
             } catch (err) {
+                if (err instanceof ReduceOnlyViolationError) {
+                    // Nothing left to reduce: the venue already closed it (stop, liquidation, manual)
+                    console.warn(`   ⚠️ ${position.symbol} is already flat on ${err.exchange}.`);
+                    return null;
+                }
+                // A partial close the venue refused must not be booked
+                if (position.partial) throw err;
                 console.error(`   ❌ Failed to close on exchange: ${err.message}`);
             }
         } else {
             console.log(`   📝 Close position ${position.id} (no exchange handler configured — simulation mode)`);
         }
+        return null;
     }
 
     // --- Shutdown ---
@@ -10,9 +10,22 @@ import { EventEmitter } from 'events';
  *   price:update      - Real-time price tick { symbol, price, timestamp }
  *   position:opened   - A position was successfully opened
  *   position:closed   - A position was closed (TP/SL/manual)
+ *   position:reduced  - Part of a position was closed { positionId, size, exitPrice, pnl, reason, remainingSize }
+ *   position:updated  - A position was re-synced with its exchange (entry price / size)
+ *   position:cost     - Fees / funding for a position already booked as closed { positionId, fee, funding }
+ *   position:drift    - Local and venue positions disagree { exchange, symbol, side, kind, localQuantity, remoteQuantity, policy, action }
+ *   position:liquidation_warning - Price came within the warning distance of a position's liquidation price { ...position, price, distancePercent }
+ *   order:placed      - A pending entry order (limit / stop_market / stop_limit) was placed
+ *   order:triggered   - A pending order reached its price and is being executed
+ *   order:cancelled   - A pending order was cancelled { ..., cancelReason }
  *   survival:change   - SurvivalManager state changed { from, to, ratio }
+ *   risk:breaker      - A RiskManager circuit breaker tripped or cleared { breaker, action, reason, trippedAt, until, equity }
  *   agent:shutdown     - Graceful shutdown requested
  *   agent:error        - Non-fatal error for logging
+ *   exchange:fill      - An ExchangeAdapter reported a fill { exchange, orderId, symbol, side, quantity, price, fee }
+ *   paper:fill         - PaperExchange filled an order
+ *   paper:funding      - PaperExchange applied a funding payment (the agent books funding from subscribeFunding())
+ *   paper:liquidation  - PaperExchange liquidated a position
  */
 class AgentEventBus extends EventEmitter {
     constructor() {
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Raised in replay mode when a prompt has no recorded response.
+ * Never swallowed by LLMClient's HOLD fallbacks: a miss means the run is no longer reproducible.
+ */
+export class CassetteMissError extends Error {
+    constructor(key, preview) {
+        super(`LLM cassette miss for prompt ${key.substring(0, 12)}… ("${preview}"). Re-record the cassette with mode 'record'.`);
+        this.name = 'CassetteMissError';
+        this.key = key;
+    }
+}
+
+/**
+ * LLMCassette — Record/replay store for LLM chat responses.
+ *
+ * Each request is keyed by a SHA-256 hash of its messages, temperature and maxTokens.
+ * The provider and model are stored alongside the response for reference, but are not
+ * part of the key, so a cassette recorded locally replays in CI without model config.
+ *
+ * Modes:
+ *   record — Serve recorded prompts from disk, call the model for new ones and store them
+ *   replay — Serve from disk only; throw CassetteMissError on an unknown prompt
+ *   off    — Bypass the cassette entirely
+ *
+ * Delete the cassette file to force a fresh recording.
+ *
+ * @example
+ *   const llm = new LLMClient({ cassette: { path: './cassettes/btc-q1.json', mode: 'replay' } });
+ */
+export class LLMCassette {
+    /**
+     * @param {object} config
+     * @param {string} config.path - Cassette file (JSON)
+     * @param {'record'|'replay'|'off'} [config.mode] - Cassette mode (default 'replay' if the file exists, else 'record')
+     */
+    constructor(config) {
+        if (!config?.path) {
+            throw new Error('LLMCassette requires a path.');
+        }
+
+        this.path = config.path;
+        this.mode = config.mode || (fs.existsSync(this.path) ? 'replay' : 'record');
+
+        if (!['record', 'replay', 'off'].includes(this.mode)) {
+            throw new Error(`Unknown cassette mode: ${this.mode}`);
+        }
+
+        this.entries = {};
+        this.stats = { hits: 0, misses: 0, recorded: 0 };
+
+        this._load();
+
+        console.log(`📼 LLM cassette ${this.mode.toUpperCase()}: ${this.path} (${Object.keys(this.entries).length} recorded prompts)`);
+    }
+
+    /**
+     * Whether requests should go through the cassette at all.
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Compute the cassette key for a request.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} options - { temperature, maxTokens }
+     * @returns {string} Hex SHA-256
+     */
+    keyFor(messages, options = {}) {
+        const canonical = JSON.stringify({
+            messages: messages.map(m => ({ role: m.role, content: m.content })),
+            temperature: options.temperature ?? null,
+            maxTokens: options.maxTokens ?? null
+        });
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    /**
+     * Look up a recorded response.
+     * @param {Array} messages
+     * @param {object} options
+     * @returns {string|null} The recorded response, or null if not recorded (record mode)
+     * @throws {CassetteMissError} In replay mode when the prompt was never recorded
+     */
+    lookup(messages, options = {}) {
+        const key = this.keyFor(messages, options);
+        const entry = this.entries[key];
+
+        if (entry) {
+            this.stats.hits++;
+            return entry.response;
+        }
+
+        this.stats.misses++;
+        if (this.mode === 'replay') {
+            const lastUser = [...messages].reverse().find(m => m.role === 'user');
+            const preview = (lastUser?.content || '').replace(/\s+/g, ' ').substring(0, 60);
+            throw new CassetteMissError(key, preview);
+        }
+        return null;
+    }
+
+    /**
+     * Store a live response (record mode only) and flush to disk.
+     * @param {Array} messages
+     * @param {object} options
+     * @param {string} response
+     * @param {object} [meta] - { provider, model }
+     */
+    record(messages, options, response, meta = {}) {
+        if (this.mode !== 'record') return;
+
+        const key = this.keyFor(messages, options);
+        this.entries[key] = {
+            response,
+            provider: meta.provider || null,
+            model: meta.model || null,
+            recordedAt: new Date().toISOString()
+        };
+        this.stats.recorded++;
+        this._save();
+    }
+
+    // --- Persistence ---
+
+    _load() {
+        try {
+            if (fs.existsSync(this.path)) {
+                const raw = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+                this.entries = raw.entries || {};
+            }
+        } catch (error) {
+            throw new Error(`Could not read LLM cassette ${this.path}: ${error.message}`);
+        }
+    }
+
+    _save() {
+        try {
+            const dir = path.dirname(this.path);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.path, JSON.stringify({ version: 1, entries: this.entries }, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save LLM cassette:', error.message);
+        }
+    }
+}
@@ -1,5 +1,6 @@
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { LLMCassette, CassetteMissError } from './LLMCassette.js';
 
 dotenv.config();
 
@@ -14,6 +15,9 @@ dotenv.config();
  *   OPENAI_API_KEY  - API key for OpenAI
  *   ANTHROPIC_API_KEY - API key for Anthropic
  *   OLLAMA_MODEL    - Override model name for Ollama specifically
+ *   LLM_EMBEDDING_MODEL - Embedding model for embed() (default nomic-embed-text / text-embedding-3-small)
+ *   LLM_CASSETTE_PATH - Record/replay cassette file for reproducible runs
+ *   LLM_CASSETTE_MODE - 'record' | 'replay' | 'off'
  */
 export class LLMClient {
     constructor(config = {}) {
@@ -23,6 +27,14 @@ export class LLMClient {
         this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || process.env.ANTHROPIC_API_KEY || '';
         this.timeout = config.timeout || 60000;
         this.maxRetries = config.maxRetries || 2;
+        this.embeddingModel = config.embeddingModel || process.env.LLM_EMBEDDING_MODEL
+            || (this.provider === 'openai' ? 'text-embedding-3-small' : 'nomic-embed-text');
+
+        // Optional record/replay layer (accepts an LLMCassette or { path, mode })
+        const cassette = config.cassette || (process.env.LLM_CASSETTE_PATH
+            ? { path: process.env.LLM_CASSETTE_PATH, mode: process.env.LLM_CASSETTE_MODE }
+            : null);
+        this.cassette = cassette instanceof LLMCassette ? cassette : (cassette ? new LLMCassette(cassette) : null);
 
         this.TRADING_SYSTEM_PROMPT = `You are an autonomous crypto trading agent. You analyze market data, social signals, and portfolio state to make trading decisions.
 
@@ -30,14 +42,22 @@ RULES:
 - You MUST respond ONLY with valid JSON. No markdown, no explanation, no extra text.
 - Every response must follow this exact schema:
 {
-  "action": "BUY" | "SELL" | "CLOSE" | "HOLD",
+  "action": "BUY" | "SELL" | "CLOSE" | "REDUCE" | "HOLD",
   "symbol": "BTC" | "ETH" | "SOL" | etc,
   "confidence": 0.0 to 1.0,
   "reasoning": "one sentence explanation",
   "leverage": 1 to 20,
-  "urgency": "LOW" | "MEDIUM" | "HIGH"
+  "urgency": "LOW" | "MEDIUM" | "HIGH",
+  "orderType": "MARKET" | "LIMIT" | "STOP" | "STOP_LIMIT",
+  "entryPrice": limit price (LIMIT, STOP_LIMIT),
+  "triggerPrice": stop price (STOP, STOP_LIMIT),
+  "trailingStop": { "percent": number } | { "atrMultiple": number } | null,
+  "fraction": 0.0 to 1.0 (REDUCE only: share of the open position to close)
 }
 - If no clear opportunity exists, use action "HOLD".
+- Use orderType "MARKET" to enter now. Use "LIMIT" to buy a pullback / sell a rally, "STOP" to enter on a breakout, "STOP_LIMIT" for a breakout with a worst price. Omit the price fields for MARKET.
+- CLOSE also cancels pending orders for the symbol.
+- Use "REDUCE" with a "fraction" to take partial profits or cut risk while keeping the rest of the position.
 - Be conservative with leverage. Default to 5x unless strong conviction.
 - Never exceed 20x leverage.
 - Consider the agent's survival state when making decisions.`;
@@ -54,8 +74,8 @@ TASK: Analyze the provided Recent Signals. Gauge market emotion.
 OUTPUT: A concise, bulleted analysis (max 50 words) ending with a clear bias: BULLISH, BEARISH, or NEUTRAL.`,
 
             GUARDIAN: `You are 'The Guardian', a strict risk manager.
-FOCUS: Capital preservation, leverage limits, survival state.
-TASK: Review the Agent State and Positions. Criticize any reckless behavior.
+FOCUS: Capital preservation, leverage limits, survival state, portfolio Value-at-Risk.
+TASK: Review the Agent State, Positions and Portfolio Risk. Criticize any reckless behavior, and warn when VaR is close to its limit.
 OUTPUT: A concise warning or approval (max 50 words). Recommend a maximum safe leverage (e.g., "Max Leverage: 5x").`,
 
             LEADER: `You are the 'Head of Trading'. You have received reports from your staff (Technician, Sentinel, Guardian).
@@ -80,6 +100,24 @@ RULES:
         const temperature = options.temperature ?? 0.3;
         const maxTokens = options.maxTokens || 1024;
 
+        if (!this.cassette?.enabled) {
+            return this._chatLive(messages, temperature, maxTokens);
+        }
+
+        // Throws CassetteMissError in replay mode
+        const recorded = this.cassette.lookup(messages, { temperature, maxTokens });
+        if (recorded !== null) return recorded;
+
+        const response = await this._chatLive(messages, temperature, maxTokens);
+        this.cassette.record(messages, { temperature, maxTokens }, response, { provider: this.provider, model: this.model });
+        return response;
+    }
+
+    /**
+     * Call the configured provider with retries.
+     * @private
+     */
+    async _chatLive(messages, temperature, maxTokens) {
         for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
             try {
                 switch (this.provider) {
@@ -104,15 +142,48 @@ RULES:
         }
     }
 
+    /**
+     * Embed texts with the provider's embedding endpoint (Ollama or OpenAI).
+     * Anthropic has no embeddings API; callers should fall back to a local method.
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} One vector per input text
+     */
+    async embed(texts) {
+        if (texts.length === 0) return [];
+
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            try {
+                switch (this.provider) {
+                    case 'ollama':
+                        return await this._ollamaEmbed(texts);
+                    case 'openai':
+                        return await this._openaiEmbed(texts);
+                    default:
+                        throw new Error(`Embeddings are not supported by LLM provider: ${this.provider}`);
+                }
+            } catch (error) {
+                if (attempt < this.maxRetries && !error.message.startsWith('Embeddings are not supported')) {
+                    const delay = Math.pow(2, attempt) * 1000;
+                    console.warn(`⚠️ Embedding request failed (attempt ${attempt + 1}/${this.maxRetries + 1}): ${error.message}. Retrying in ${delay}ms...`);
+                    await new Promise(r => setTimeout(r, delay));
+                } else {
+                    throw error;
+                }
+            }
+        }
+    }
+
     /**
      * Make a structured trading decision based on context.
      * @param {object} context
      * @param {object} context.marketData - Current prices, indicators
      * @param {Array} context.signals - Recent trading signals from social/alpha
      * @param {Array} context.positions - Currently open positions
+     * @param {Array} [context.orders] - Pending entry orders
      * @param {string} context.survivalState - Current survival mode
      * @param {number} context.balance - Current balance
      * @param {number} context.pnl - Current PnL
+     * @param {object} [context.risk] - Portfolio risk { valueAtRisk, expectedShortfall, confidence, varLimit }
      * @returns {Promise<object>} Parsed decision object
      */
     async decide(context) {
@@ -127,6 +198,7 @@ RULES:
             const response = await this.chat(messages, { temperature: 0.2 });
             return this._parseDecision(response);
         } catch (error) {
+            if (error instanceof CassetteMissError) throw error;
             console.error('❌ LLM decision failed:', error.message);
             return {
                 action: 'HOLD',
@@ -212,6 +284,7 @@ Based on these reports, make the final trade decision.
 
             return decision;
         } catch (error) {
+            if (error instanceof CassetteMissError) throw error;
             console.error('❌ Council debate failed:', error.message);
             return this.decide(context); // Fallback to simple mode
         }
@@ -238,6 +311,19 @@ Based on these reports, make the final trade decision.
             parts.push('\n=== OPEN POSITIONS ===\nNone');
         }
 
+        if (context.risk) {
+            parts.push('\n=== PORTFOLIO RISK ===');
+            parts.push(this._formatRisk(context.risk, context.balance));
+        }
+
+        if (context.orders && context.orders.length > 0) {
+            parts.push('\n=== PENDING ORDERS ===');
+            context.orders.forEach(o => {
+                const levels = [o.stopPrice && `Stop: $${o.stopPrice}`, o.price && `Limit: $${o.price}`].filter(Boolean).join(' | ');
+                parts.push(`- ${o.type.toUpperCase()} ${o.side.toUpperCase()} ${o.symbol} | ${levels} | Size: $${o.size} | Leverage: ${o.leverage}x`);
+            });
+        }
+
         if (context.marketData) {
             parts.push('\n=== MARKET DATA ===');
             for (const [symbol, data] of Object.entries(context.marketData)) {
@@ -285,9 +371,23 @@ Based on these reports, make the final trade decision.
         } else {
             str += 'No open positions.';
         }
+        if (context.orders && context.orders.length > 0) {
+            str += '\nPending Orders:\n' + context.orders.map(o => `- ${o.type} ${o.side} ${o.symbol} (Size: $${o.size} @ ${o.leverage}x)`).join('\n');
+        }
+        if (context.risk) {
+            str += `\nPortfolio Risk: ${this._formatRisk(context.risk, context.balance)}`;
+        }
         return str;
     }
 
+    _formatRisk(risk, balance) {
+        const confidence = ((risk.confidence || 0.99) * 100).toFixed(0);
+        const share = balance > 0 ? ` (${((risk.valueAtRisk / balance) * 100).toFixed(1)}% of balance)` : '';
+        let line = `1-day VaR (${confidence}%): $${risk.valueAtRisk.toFixed(2)}${share} | Expected Shortfall: $${risk.expectedShortfall.toFixed(2)}`;
+        if (risk.varLimit) line += ` | VaR Limit: $${risk.varLimit.toFixed(2)}`;
+        return line;
+    }
+
     /**
      * Parse LLM response into a structured decision.
      * @private
@@ -312,7 +412,7 @@ Based on these reports, make the final trade decision.
             const decision = JSON.parse(jsonStr);
 
             // Validate and normalize
-            const validActions = ['BUY', 'SELL', 'CLOSE', 'HOLD'];
+            const validActions = ['BUY', 'SELL', 'CLOSE', 'REDUCE', 'HOLD'];
             if (!validActions.includes(decision.action)) {
                 decision.action = 'HOLD';
             }
@@ -321,6 +421,29 @@ Based on these reports, make the final trade decision.
             decision.leverage = Math.max(1, Math.min(20, parseInt(decision.leverage) || 5));
             decision.urgency = ['LOW', 'MEDIUM', 'HIGH'].includes(decision.urgency) ? decision.urgency : 'LOW';
 
+            if (decision.action === 'REDUCE') {
+                const fraction = parseFloat(decision.fraction);
+                decision.fraction = fraction > 0 ? Math.min(fraction, 1) : 0.5;
+            }
+
+            // Entry order: anything unrecognized or missing its price enters at market
+            decision.orderType = String(decision.orderType || 'MARKET').toUpperCase();
+            decision.entryPrice = parseFloat(decision.entryPrice) || null;
+            decision.triggerPrice = parseFloat(decision.triggerPrice) || null;
+            const needsLimit = ['LIMIT', 'STOP_LIMIT'].includes(decision.orderType);
+            const needsStop = ['STOP', 'STOP_LIMIT'].includes(decision.orderType);
+            if (!['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'].includes(decision.orderType)
+                || (needsLimit && !decision.entryPrice)
+                || (needsStop && !decision.triggerPrice)) {
+                decision.orderType = 'MARKET';
+            }
+
+            const trail = decision.trailingStop || {};
+            const percent = parseFloat(trail.percent);
+            const atrMultiple = parseFloat(trail.atrMultiple);
+            decision.trailingStop = percent > 0 ? { percent: Math.min(percent, 50) }
+                : atrMultiple > 0 ? { atrMultiple } : null;
+
             return decision;
         } catch (error) {
             console.warn('⚠️ Failed to parse LLM decision, defaulting to HOLD:', error.message);
@@ -368,6 +491,57 @@ Based on these reports, make the final trade decision.
         }
     }
 
+    async _ollamaEmbed(texts) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.apiBase}/api/embed`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: this.embeddingModel, input: texts }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                throw new Error(`Ollama error ${response.status}: ${body.substring(0, 200)}`);
+            }
+
+            const data = await response.json();
+            return data.embeddings || [];
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    async _openaiEmbed(texts) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.apiBase}/embeddings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.apiKey}`
+                },
+                body: JSON.stringify({ model: this.embeddingModel, input: texts }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                throw new Error(`OpenAI error ${response.status}: ${body.substring(0, 200)}`);
+            }
+
+            const data = await response.json();
+            return (data.data || []).sort((a, b) => a.index - b.index).map(d => d.embedding);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
     async _openaiChat(messages, temperature, maxTokens) {
         const url = `${this.apiBase}/chat/completions`;
 
@@ -0,0 +1,161 @@
+/**
+ * Maintenance-margin tiers per exchange: { symbol | 'default': [{ maxNotional, rate }] }, by position notional (USD).
+ * Approximations of each venue's published tiers at the time of writing — venues change them, so
+ * pass `tiers` to MarginModel to override. The deduction of each tier is derived from the ones below it.
+ * Spot venues (Jupiter, Uniswap) trade at 1x and never reach a liquidation price.
+ */
+export const MAINTENANCE_MARGIN_TIERS = {
+    binance: {
+        BTCUSDT: [
+            { maxNotional: 300000, rate: 0.004 },
+            { maxNotional: 800000, rate: 0.005 },
+            { maxNotional: 3000000, rate: 0.0065 },
+            { maxNotional: 12000000, rate: 0.01 },
+            { maxNotional: Infinity, rate: 0.025 }
+        ],
+        ETHUSDT: [
+            { maxNotional: 300000, rate: 0.005 },
+            { maxNotional: 1200000, rate: 0.0065 },
+            { maxNotional: 6000000, rate: 0.01 },
+            { maxNotional: Infinity, rate: 0.025 }
+        ],
+        default: [
+            { maxNotional: 5000, rate: 0.01 },
+            { maxNotional: 25000, rate: 0.025 },
+            { maxNotional: 100000, rate: 0.05 },
+            { maxNotional: Infinity, rate: 0.1 }
+        ]
+    },
+    bybit: {
+        BTCUSDT: [
+            { maxNotional: 2000000, rate: 0.005 },
+            { maxNotional: Infinity, rate: 0.01 }
+        ],
+        ETHUSDT: [
+            { maxNotional: 1000000, rate: 0.005 },
+            { maxNotional: Infinity, rate: 0.01 }
+        ],
+        default: [
+            { maxNotional: 200000, rate: 0.01 },
+            { maxNotional: Infinity, rate: 0.02 }
+        ]
+    },
+    // Half the initial margin at the asset's max leverage (BTC 40x, ETH 25x, SOL 20x, others ~10x)
+    hyperliquid: {
+        BTCUSDT: [{ maxNotional: Infinity, rate: 0.0125 }],
+        ETHUSDT: [{ maxNotional: Infinity, rate: 0.02 }],
+        SOLUSDT: [{ maxNotional: Infinity, rate: 0.025 }],
+        default: [{ maxNotional: Infinity, rate: 0.05 }]
+    },
+    // PaperExchange default maintenanceMarginRate
+    paper: {
+        default: [{ maxNotional: Infinity, rate: 0.005 }]
+    },
+    // Venues without a table
+    default: {
+        default: [{ maxNotional: Infinity, rate: 0.01 }]
+    }
+};
+
+const MARGIN_MODES = ['isolated', 'cross'];
+
+/**
+ * MarginModel — Maintenance margin and liquidation prices for isolated and cross margin.
+ *
+ * A position is liquidated when its collateral plus unrealized PnL falls to the maintenance margin
+ * (notional × rate − deduction of its tier):
+ *   isolated - collateral is the position's own margin (notional / leverage)
+ *   cross    - collateral is the account balance left after the other positions' maintenance margin
+ */
+export class MarginModel {
+    /**
+     * @param {object} [config]
+     * @param {object} [config.tiers] - Per-exchange overrides of MAINTENANCE_MARGIN_TIERS, e.g. { paper: { default: [{ maxNotional: Infinity, rate: 0.01 }] } }
+     * @param {string} [config.marginMode] - Mode for exchanges without their own: 'isolated' | 'cross' (default: MARGIN_MODE env, else 'isolated')
+     * @param {Object<string, string>} [config.marginModes] - Per-exchange modes (default { hyperliquid: 'cross' }, as HyperliquidAdapter sets leverage)
+     */
+    constructor(config = {}) {
+        this.tiers = { ...MAINTENANCE_MARGIN_TIERS };
+        for (const [exchange, table] of Object.entries(config.tiers || {})) {
+            this.tiers[exchange] = { ...this.tiers[exchange], ...table };
+        }
+
+        this.marginMode = config.marginMode || process.env.MARGIN_MODE || 'isolated';
+        this.marginModes = { hyperliquid: 'cross', ...config.marginModes };
+
+        for (const mode of [this.marginMode, ...Object.values(this.marginModes)]) {
+            if (!MARGIN_MODES.includes(mode)) {
+                throw new Error(`Unknown margin mode '${mode}' (expected ${MARGIN_MODES.join(' or ')}).`);
+            }
+        }
+    }
+
+    /**
+     * @param {string} exchange
+     * @returns {string} 'isolated' | 'cross'
+     */
+    getMarginMode(exchange) {
+        return this.marginModes[exchange] || this.marginMode;
+    }
+
+    /**
+     * Maintenance tier for a position size: its rate and the deduction that keeps the margin continuous across tiers.
+     * @param {string} exchange
+     * @param {string} symbol
+     * @param {number} notional - Position notional in USD
+     * @returns {{ rate: number, deduction: number, maxNotional: number }}
+     */
+    getTier(exchange, symbol, notional) {
+        const table = this.tiers[exchange] || this.tiers.default;
+        const tiers = table[symbol] || table.default || this.tiers.default.default;
+
+        let deduction = 0;
+        for (let i = 0; i < tiers.length; i++) {
+            if (i > 0) deduction += tiers[i - 1].maxNotional * (tiers[i].rate - tiers[i - 1].rate);
+            if (notional <= tiers[i].maxNotional) return { ...tiers[i], deduction };
+        }
+        return { ...tiers[tiers.length - 1], deduction };
+    }
+
+    /**
+     * Maintenance margin a position needs.
+     * @param {string} exchange
+     * @param {string} symbol
+     * @param {number} notional
+     * @returns {number} USD
+     */
+    getMaintenanceMargin(exchange, symbol, notional) {
+        const tier = this.getTier(exchange, symbol, notional);
+        return Math.max(0, notional * tier.rate - tier.deduction);
+    }
+
+    /**
+     * Price at which a position is liquidated.
+     * @param {object} params
+     * @param {string} params.exchange
+     * @param {string} params.symbol
+     * @param {string} params.side - 'buy' | 'sell'
+     * @param {number} params.entryPrice
+     * @param {number} params.notional - Position notional in USD (margin × leverage)
+     * @param {number} params.leverage
+     * @param {string} [params.marginMode] - Default: the exchange's mode
+     * @param {number} [params.collateral] - Cross margin: account balance available to the position
+     * @returns {number|null} null when the position cannot be liquidated (e.g. a 1x long)
+     */
+    liquidationPrice({ exchange, symbol, side, entryPrice, notional, leverage, marginMode = null, collateral = null }) {
+        if (!(entryPrice > 0) || !(notional > 0)) return null;
+
+        const mode = marginMode || this.getMarginMode(exchange);
+        const margin = mode === 'cross' && collateral !== null ? collateral : notional / (leverage || 1);
+        const quantity = notional / entryPrice;
+        const { rate, deduction } = this.getTier(exchange, symbol, notional);
+
+        // collateral + unrealized PnL = quantity × price × rate − deduction, solved for price
+        const cushion = (margin + deduction) / quantity;
+        const price = side === 'buy'
+            ? (entryPrice - cushion) / (1 - rate)
+            : (entryPrice + cushion) / (1 + rate);
+
+        return Number.isFinite(price) && price > 0 ? price : null;
+    }
+}
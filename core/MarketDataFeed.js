@@ -220,6 +220,9 @@ export class MarketDataFeed {
         const s = symbol.toUpperCase();
         if (!this.symbols.includes(s)) return;
 
+        // Historical replays pass the candle time; live ticks are stamped on arrival
+        const timestamp = extra.timestamp || Date.now();
+
         this.latestPrices[s] = price;
 
         // Store price with metadata for indicator calculation
@@ -227,7 +230,7 @@ export class MarketDataFeed {
             price,
             high: extra.high || price,
             low: extra.low || price,
-            timestamp: Date.now()
+            timestamp
         });
 
         // Keep last 200 data points max
@@ -244,7 +247,7 @@ export class MarketDataFeed {
             price,
             ...this.indicators[s],
             volume: extra.volume,
-            timestamp: Date.now()
+            timestamp
         });
     }
 
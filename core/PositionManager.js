@@ -2,51 +2,136 @@ import fs from 'fs';
 import path from 'path';
 import { eventBus } from './EventBus.js';
 
+// A slice leaving less than this much margin (USD) closes the whole position
+const DUST_SIZE = 1e-6;
+
+const POSITION_MODES = ['hedge', 'one_way'];
+
 /**
  * PositionManager — Tracks open positions, calculates PnL, and manages TP/SL.
  * 
  * Persists state to data/positions.json for crash recovery.
  * Listens to 'price:update' events to check stop-loss and take-profit levels.
- * Emits 'position:opened' and 'position:closed' events.
+ * Emits 'position:opened' and 'position:closed' events, and 'position:reduced' for each partial close.
+ * Take-profit ladders scale out of a position in slices, optionally moving the stop to breakeven.
+ *
+ * Position mode is set per exchange, matching how the venue books positions:
+ *   - hedge (default): every open() is its own position, longs and shorts coexist
+ *   - one_way: one position per symbol; same-side fills scale in at the volume-weighted
+ *     entry, opposite-side fills reduce, close or flip it
+ *
+ * Pending entry orders (limit, stop-market, stop-limit) wait for their price on the same ticks
+ * and open a position when they trigger. Emits 'order:placed', 'order:triggered', 'order:cancelled'.
+ * Trailing stops ratchet a position's stop-loss behind the best price since entry.
+ *
+ * Positions carry a `liquidationPrice` (from the MarginModel for isolated margin, else as given at open).
+ * A price within `liquidationWarningPercent` of it emits 'position:liquidation_warning' once; without a
+ * stop-loss before it, a price through it books the close with reason 'liquidation' (the venue already closed it).
  */
 export class PositionManager {
     /**
      * @param {object} config
      * @param {string} [config.dataDir] - Directory for persistence (default: data/)
-     * @param {function} [config.onClosePosition] - Callback to execute the actual close order on exchange
+     * @param {function} [config.onClosePosition] - Callback to execute the actual close order on exchange; may resolve to the fill ({ avgPrice, fee })
+     * @param {function} [config.onExecuteOrder] - Async callback (order, price) → fill to execute a triggered entry order on exchange
+     * @param {function} [config.onLevelsChanged] - Async callback (position) when a position's stop-loss, take-profit or size changes,
+     *   to keep protective orders on the exchange in line
+     * @param {string} [config.positionMode] - Mode for exchanges without their own: 'hedge' (default) or 'one_way'
+     * @param {Object<string, string>} [config.positionModes] - Per-exchange modes, e.g. { binance: 'one_way', paper: 'hedge' }
+     * @param {MarginModel} [config.marginModel] - Recomputes isolated-margin liquidation prices when a position changes
+     * @param {number} [config.liquidationWarningPercent] - Distance to liquidation, % of price, that triggers the warning (default 2)
+     * @param {function} [config.clock] - Time source for ids and timestamps, epoch ms (default Date.now; backtests inject a simulated clock)
      */
     constructor(config = {}) {
         this.dataDir = config.dataDir || path.join(process.cwd(), 'data');
         this.positionsFile = path.join(this.dataDir, 'positions.json');
         this.onClosePosition = config.onClosePosition || null;
+        this.onExecuteOrder = config.onExecuteOrder || null;
+        this.onLevelsChanged = config.onLevelsChanged || null;
+        this.marginModel = config.marginModel || null;
+        this.liquidationWarningPercent = config.liquidationWarningPercent ?? 2;
+        this._now = config.clock || Date.now;
+
+        this.positionMode = config.positionMode || 'hedge';
+        this.positionModes = new Map();
+        for (const [exchange, mode] of Object.entries(config.positionModes || {})) {
+            this.setPositionMode(exchange, mode);
+        }
 
         // Map of positionId -> position object
         this.positions = new Map();
+        // Map of orderId -> pending entry order
+        this.orders = new Map();
 
         // Load persisted state
         this._loadState();
 
         // Listen for price updates to check TP/SL
-        eventBus.on('price:update', (data) => this._checkStops(data));
+        this._onPrice = (data) => this._checkStops(data);
+        eventBus.on('price:update', this._onPrice);
+
+        console.log(`📋 PositionManager active. ${this.positions.size} positions, ${this.orders.size} pending orders loaded from state.`);
+    }
 
-        console.log(`📋 PositionManager active. ${this.positions.size} positions loaded from state.`);
+    /**
+     * Stop listening to price updates.
+     */
+    detach() {
+        eventBus.off('price:update', this._onPrice);
+    }
+
+    /**
+     * Set how positions on an exchange are booked.
+     * @param {string} exchange
+     * @param {string} mode - 'one_way' | 'hedge'
+     */
+    setPositionMode(exchange, mode) {
+        if (!POSITION_MODES.includes(mode)) {
+            throw new Error(`Unknown position mode '${mode}' (expected ${POSITION_MODES.join(' or ')}).`);
+        }
+        this.positionModes.set(exchange, mode);
+    }
+
+    /**
+     * @param {string} exchange
+     * @returns {string} 'one_way' | 'hedge'
+     */
+    getPositionMode(exchange) {
+        return this.positionModes.get(exchange) || this.positionMode;
     }
 
     /**
      * Register a new open position.
+     * On a one-way exchange the fill is netted into the symbol's existing position instead.
      * @param {object} params
      * @param {string} params.symbol - e.g. 'BTCUSDT'
      * @param {string} params.side - 'buy' or 'sell'
      * @param {number} params.entryPrice - Entry price
      * @param {number} params.size - Position size in USD
      * @param {number} params.leverage - Leverage used
+     * @param {number} [params.quantity] - Filled quantity in base units, when the venue reports it
      * @param {string} params.exchange - Exchange name (e.g. 'sidex', 'binance', 'hyperliquid')
      * @param {number} [params.stopLoss] - Stop-loss price
      * @param {number} [params.takeProfit] - Take-profit price
-     * @returns {object} The created position
+     * @param {Array<{price: number, fraction: number}>} [params.takeProfits] - Scale-out targets, fractions of the entry size
+     * @param {boolean} [params.breakevenAfterFirstTarget] - Move the stop to entry once the first target fills
+     * @param {object} [params.trailingStop] - { percent } or { atrMultiple, atr }: trail the stop-loss behind the best price
+     * @param {string} [params.orderId] - Pending order that opened this position
+     * @param {object} [params.protection] - Protective orders resting on the exchange: { stopLoss, takeProfit }
+     * @param {number} [params.fee] - Fee paid on the entry fill
+     * @param {number} [params.liquidationPrice] - Liquidation price (recomputed for isolated margin when a MarginModel is set)
+     * @returns {object} The created position; when netting, the position it resulted in (closed if flat)
      */
     open(params) {
-        const id = `${params.exchange}_${params.symbol}_${params.side}_${Date.now()}`;
+        const exchange = params.exchange || 'sidex';
+        if (this.getPositionMode(exchange) === 'one_way') {
+            const existing = this.getBySymbol(params.symbol).find(p => p.exchange === exchange);
+            if (existing) return this._net(existing, params);
+        }
+
+        let id = `${exchange}_${params.symbol}_${params.side}_${this._now()}`;
+        // Fast replays can open twice within one millisecond
+        if (this.positions.has(id)) id += `_${this.positions.size}`;
 
         const position = {
             id,
@@ -55,15 +140,31 @@ export class PositionManager {
             entryPrice: params.entryPrice,
             size: params.size,
             leverage: params.leverage || 1,
-            exchange: params.exchange || 'sidex',
+            quantity: params.quantity || null,
+            exchange,
             stopLoss: params.stopLoss || null,
             takeProfit: params.takeProfit || null,
+            takeProfits: this._normalizeTargets(params.takeProfits, params.side.toLowerCase()),
+            breakevenAfterFirstTarget: !!params.breakevenAfterFirstTarget,
+            trailingStop: this._normalizeTrailing(params.trailingStop),
+            bestPrice: params.entryPrice,
+            orderId: params.orderId || null,
+            protection: params.protection || null,
+            liquidationPrice: params.liquidationPrice || null,
+            // Margin already closed in partial slices, and the PnL booked on them
+            closedSize: 0,
+            realizedPnl: 0,
+            // Trading costs of what is still open (slices take their share): fees paid, funding paid (negative = received)
+            fees: params.fee || 0,
+            funding: 0,
             unrealizedPnl: 0,
-            openedAt: new Date().toISOString(),
+            openedAt: this._timestamp(),
             closedAt: null,
             closeReason: null
         };
 
+        this._updateTrailing(position, position.entryPrice);
+        this._updateLiquidation(position);
         this.positions.set(id, position);
         this._saveState();
 
@@ -75,12 +176,15 @@ export class PositionManager {
 
     /**
      * Close a position by ID.
+     * The closed position carries the PnL of what was still open in `unrealizedPnl`,
+     * and the total including earlier partial closes in `realizedPnl`.
      * @param {string} positionId
      * @param {string} reason - 'manual' | 'stop_loss' | 'take_profit' | 'survival' | 'shutdown'
      * @param {number} [exitPrice] - Exit price (for PnL calculation)
+     * @param {number} [fee] - Fee paid on the closing fill
      * @returns {object|null} The closed position
      */
-    close(positionId, reason = 'manual', exitPrice = null) {
+    close(positionId, reason = 'manual', exitPrice = null, fee = 0) {
         const position = this.positions.get(positionId);
         if (!position) {
             console.warn(`⚠️ Position ${positionId} not found.`);
@@ -92,7 +196,9 @@ export class PositionManager {
             position.unrealizedPnl = this._calcPnL(position, exitPrice);
         }
 
-        position.closedAt = new Date().toISOString();
+        position.realizedPnl = (position.realizedPnl || 0) + position.unrealizedPnl;
+        position.fees = (position.fees || 0) + (fee || 0);
+        position.closedAt = this._timestamp();
         position.closeReason = reason;
         position.exitPrice = exitPrice;
 
@@ -100,12 +206,109 @@ export class PositionManager {
         this.positions.delete(positionId);
         this._saveState();
 
-        console.log(`📉 Position CLOSED [${reason}]: ${position.side.toUpperCase()} ${position.symbol} | PnL: $${position.unrealizedPnl.toFixed(2)}`);
+        const total = position.closedSize ? ` | Total: $${position.realizedPnl.toFixed(2)}` : '';
+        console.log(`📉 Position CLOSED [${reason}]: ${position.side.toUpperCase()} ${position.symbol} | PnL: $${position.unrealizedPnl.toFixed(2)}${total}`);
 
         eventBus.emit('position:closed', position);
         return position;
     }
 
+    /**
+     * Book a partial close: the slice's PnL is realized and the rest stays open.
+     * Closing everything that is left delegates to close().
+     * @param {string} positionId
+     * @param {object} portion - { fraction } of the current size, or { size } in USD margin
+     * @param {string} [reason] - 'manual' | 'take_profit' | 'llm_decision' | ...
+     * @param {number} [exitPrice] - Exit price of the slice (for PnL calculation)
+     * @param {number} [fee] - Fee paid on the closing fill
+     * @returns {object|null} The slice { positionId, size, quantity, exitPrice, pnl, fees, funding, remainingSize, ... },
+     *   or the closed position when nothing is left
+     */
+    closePartial(positionId, portion, reason = 'manual', exitPrice = null, fee = 0) {
+        const position = this.positions.get(positionId);
+        if (!position) {
+            console.warn(`⚠️ Position ${positionId} not found.`);
+            return null;
+        }
+
+        const size = this._sliceSize(position, portion);
+        if (!(size > 0)) return null;
+        if (size >= position.size - DUST_SIZE) {
+            return this.close(positionId, reason, exitPrice, fee);
+        }
+
+        const share = size / position.size;
+        const pnl = exitPrice ? this._calcPnL({ ...position, size }, exitPrice) : position.unrealizedPnl * share;
+        const quantity = position.quantity ? position.quantity * share : null;
+        const fees = (position.fees || 0) * share;
+        const funding = (position.funding || 0) * share;
+
+        position.size -= size;
+        if (quantity) position.quantity -= quantity;
+        position.closedSize = (position.closedSize || 0) + size;
+        position.realizedPnl = (position.realizedPnl || 0) + pnl;
+        position.fees = (position.fees || 0) - fees;
+        position.funding = (position.funding || 0) - funding;
+        position.unrealizedPnl = exitPrice ? this._calcPnL(position, exitPrice) : position.unrealizedPnl - pnl;
+        this._updateLiquidation(position);
+        this._saveState();
+        this._notifyLevels(position);
+
+        const slice = {
+            positionId,
+            symbol: position.symbol,
+            side: position.side,
+            exchange: position.exchange,
+            entryPrice: position.entryPrice,
+            exitPrice,
+            leverage: position.leverage,
+            size,
+            quantity,
+            pnl,
+            fees: fees + (fee || 0),
+            funding,
+            reason,
+            remainingSize: position.size,
+            openedAt: position.openedAt,
+            closedAt: this._timestamp()
+        };
+
+        console.log(`✂️ Position REDUCED [${reason}]: ${position.side.toUpperCase()} ${position.symbol} | Closed: $${size.toFixed(2)} | PnL: $${pnl.toFixed(2)} | Remaining: $${position.size.toFixed(2)}`);
+
+        eventBus.emit('position:reduced', slice);
+        return slice;
+    }
+
+    /**
+     * Partially close a position on its exchange, then book the slice.
+     * The slice is only booked if the exchange handler accepts it.
+     * @param {string} positionId
+     * @param {object} portion - { fraction } of the current size, or { size } in USD margin
+     * @param {string} [reason]
+     * @param {number} [exitPrice]
+     * @returns {Promise<object|null>} See closePartial()
+     */
+    async reduce(positionId, portion, reason = 'manual', exitPrice = null) {
+        const position = this.positions.get(positionId);
+        if (!position) {
+            console.warn(`⚠️ Position ${positionId} not found.`);
+            return null;
+        }
+
+        const size = this._sliceSize(position, portion);
+        let fill = null;
+        if (this.onClosePosition && size > 0) {
+            try {
+                fill = await this.onClosePosition(this._slicePosition(position, size, exitPrice));
+            } catch (err) {
+                console.error(`❌ Failed to reduce position ${positionId} on exchange:`, err.message);
+                return null;
+            }
+        }
+
+        return this.closePartial(positionId, { size }, reason, fill?.avgPrice || exitPrice, fill?.fee);
+    }
+
     /**
      * Close all open positions.
      * @param {string} reason
@@ -118,15 +321,16 @@ export class PositionManager {
             const position = this.positions.get(id);
 
             // Try to execute the close on the exchange
+            let fill = null;
             if (this.onClosePosition) {
                 try {
-                    await this.onClosePosition(position);
+                    fill = await this.onClosePosition(position);
                 } catch (err) {
                     console.error(`❌ Failed to close position ${id} on exchange:`, err.message);
                 }
             }
 
-            results.push(this.close(id, reason));
+            results.push(this.close(id, reason, fill?.avgPrice || null, fill?.fee));
         }
 
         return results;
@@ -176,7 +380,7 @@ export class PositionManager {
     /**
      * Update stop-loss and take-profit for a position.
      * @param {string} positionId
-     * @param {object} levels - { stopLoss, takeProfit }
+     * @param {object} levels - { stopLoss, takeProfit, takeProfits }
      */
     updateLevels(positionId, levels) {
         const position = this.positions.get(positionId);
@@ -184,8 +388,293 @@ export class PositionManager {
 
         if (levels.stopLoss !== undefined) position.stopLoss = levels.stopLoss;
         if (levels.takeProfit !== undefined) position.takeProfit = levels.takeProfit;
+        if (levels.takeProfits !== undefined) position.takeProfits = this._normalizeTargets(levels.takeProfits, position.side);
+
+        this._saveState();
+        this._notifyLevels(position);
+    }
+
+    /**
+     * Record the protective orders now resting on the exchange for a position.
+     * @param {string} positionId
+     * @param {object|null} protection - { stopLoss: { orderId, price, quantity } | null, takeProfit: ... }
+     * @returns {object|null} The updated position
+     */
+    setProtection(positionId, protection) {
+        const position = this.positions.get(positionId);
+        if (!position) return null;
+
+        position.protection = protection;
+        this._saveState();
+        return position;
+    }
+
+    /**
+     * Charge fees or funding to a position. Costs that arrive after the position was booked
+     * as closed (the fill of a triggered close) are published as 'position:cost' for the ledger.
+     * @param {string} positionId
+     * @param {object} costs - { fee, funding } in USD; funding received is negative
+     */
+    addCosts(positionId, { fee = 0, funding = 0 } = {}) {
+        if (!fee && !funding) return;
+
+        const position = this.positions.get(positionId);
+        if (!position) {
+            eventBus.emit('position:cost', { positionId, fee, funding });
+            return;
+        }
+
+        position.fees = (position.fees || 0) + fee;
+        position.funding = (position.funding || 0) + funding;
+        this._saveState();
+    }
+
+    /**
+     * Attach, change or remove (null) a trailing stop on an open position.
+     * The stop-loss only ever tightens: it moves to the trail level when that is closer to the price.
+     * @param {string} positionId
+     * @param {object|null} trailingStop - { percent } or { atrMultiple, atr }
+     * @returns {object|null} The updated position
+     */
+    setTrailingStop(positionId, trailingStop) {
+        const position = this.positions.get(positionId);
+        if (!position) return null;
+
+        position.trailingStop = this._normalizeTrailing(trailingStop);
+        if (!position.trailingStop) position.trailingActive = false;
+        if (this._updateTrailing(position, position.bestPrice ?? position.entryPrice)) this._notifyLevels(position);
+        this._saveState();
+        return position;
+    }
+
+    // --- Pending Orders ---
+
+    /**
+     * Place a pending entry order. It opens a position when its price is reached:
+     *   - limit: buy at or below `price` / sell at or above `price`
+     *   - stop_market: buy once the price rises to `stopPrice` / sell once it falls to it, at market
+     *   - stop_limit: once `stopPrice` is reached, rests as a limit at `price`
+     * @param {object} params
+     * @param {string} params.symbol - e.g. 'BTCUSDT'
+     * @param {string} params.side - 'buy' or 'sell'
+     * @param {string} params.type - 'limit' | 'stop_market' | 'stop_limit'
+     * @param {number} [params.price] - Limit price (limit, stop_limit)
+     * @param {number} [params.stopPrice] - Trigger price (stop_market, stop_limit)
+     * @param {number} params.size - Position size in USD
+     * @param {number} params.leverage - Leverage used
+     * @param {string} params.exchange - Exchange that will execute the entry
+     * @param {number} [params.stopLoss] - Stop-loss for the resulting position
+     * @param {number} [params.takeProfit] - Take-profit for the resulting position
+     * @param {Array<{price: number, fraction: number}>} [params.takeProfits] - Scale-out targets for the resulting position
+     * @param {boolean} [params.breakevenAfterFirstTarget] - Move the stop to entry once the first target fills
+     * @param {object} [params.trailingStop] - Trailing stop for the resulting position
+     * @param {number} [params.liquidationPrice] - Expected liquidation price of the resulting position
+     * @returns {object} The pending order
+     */
+    placeOrder(params) {
+        const type = params.type;
+        if (!['limit', 'stop_market', 'stop_limit'].includes(type)) {
+            throw new Error(`Unsupported order type: ${type}`);
+        }
+        if (type !== 'stop_market' && !(params.price > 0)) {
+            throw new Error(`A ${type} order needs a limit price.`);
+        }
+        if (type !== 'limit' && !(params.stopPrice > 0)) {
+            throw new Error(`A ${type} order needs a stop price.`);
+        }
+
+        const symbol = params.symbol.toUpperCase();
+        const side = params.side.toLowerCase();
+        const exchange = params.exchange || 'sidex';
+
+        let id = `ord_${exchange}_${symbol}_${side}_${this._now()}`;
+        if (this.orders.has(id)) id += `_${this.orders.size}`;
 
+        const order = {
+            id,
+            symbol,
+            side,
+            type,
+            price: type === 'stop_market' ? null : params.price,
+            stopPrice: type === 'limit' ? null : params.stopPrice,
+            size: params.size,
+            leverage: params.leverage || 1,
+            exchange,
+            stopLoss: params.stopLoss || null,
+            takeProfit: params.takeProfit || null,
+            takeProfits: this._normalizeTargets(params.takeProfits, side),
+            breakevenAfterFirstTarget: !!params.breakevenAfterFirstTarget,
+            trailingStop: this._normalizeTrailing(params.trailingStop),
+            liquidationPrice: params.liquidationPrice || null,
+            status: 'pending',
+            stopTriggered: false,
+            createdAt: this._timestamp(),
+            triggeredAt: null,
+            triggerPrice: null,
+            cancelledAt: null,
+            cancelReason: null
+        };
+
+        this.orders.set(id, order);
         this._saveState();
+
+        console.log(`📝 Order PLACED: ${this._describeOrder(order)} | Size: $${order.size} | Leverage: ${order.leverage}x`);
+
+        eventBus.emit('order:placed', order);
+        return order;
+    }
+
+    /**
+     * Cancel a pending order.
+     * @param {string} orderId
+     * @param {string} [reason] - 'manual' | 'llm_decision' | 'execution_failed' | ...
+     * @returns {object|null} The cancelled order
+     */
+    cancelOrder(orderId, reason = 'manual') {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            console.warn(`⚠️ Order ${orderId} not found.`);
+            return null;
+        }
+
+        this.orders.delete(orderId);
+        this._saveState();
+        return this._markCancelled(order, reason);
+    }
+
+    /**
+     * Cancel all pending orders, optionally for one symbol.
+     * @param {string} [symbol]
+     * @param {string} [reason]
+     * @returns {Array} The cancelled orders
+     */
+    cancelOrders(symbol = null, reason = 'manual') {
+        return this.getOrders(symbol).map(order => this.cancelOrder(order.id, reason));
+    }
+
+    /**
+     * Get pending orders, optionally for one symbol.
+     * @param {string} [symbol]
+     * @returns {Array}
+     */
+    getOrders(symbol = null) {
+        const orders = Array.from(this.orders.values());
+        return symbol ? orders.filter(o => o.symbol === symbol.toUpperCase()) : orders;
+    }
+
+    /**
+     * Align a position with what its exchange reports (fills, partial fills, fees folded into entry).
+     * Margin size is re-derived from the exchange quantity at the position's leverage.
+     * @param {string} positionId
+     * @param {object} update - { entryPrice, quantity }
+     * @returns {object|null} The updated position
+     */
+    syncPosition(positionId, update) {
+        const position = this.positions.get(positionId);
+        if (!position) return null;
+
+        const entryPrice = update.entryPrice || position.entryPrice;
+        const quantity = update.quantity || position.quantity;
+        if (entryPrice === position.entryPrice && quantity === position.quantity) return position;
+
+        position.entryPrice = entryPrice;
+        position.quantity = quantity;
+        if (quantity) {
+            position.size = (quantity * entryPrice) / position.leverage;
+        }
+        this._updateLiquidation(position);
+
+        this._saveState();
+        this._notifyLevels(position);
+
+        console.log(`🔄 Position SYNCED: ${position.side.toUpperCase()} ${position.symbol} | Size: $${position.size.toFixed(2)} | Entry: $${position.entryPrice}`);
+
+        eventBus.emit('position:updated', position);
+        return position;
+    }
+
+    /**
+     * Check stop-loss and take-profit levels against a full OHLC candle.
+     * Used by backtests, where a level can be crossed inside a bar that closes back beyond it.
+     * Levels fill at their own price unless the candle opened past them (gap), in which case
+     * they fill at the open. If both levels sit inside one candle, the stop-loss fills first.
+     * @param {object} candle - { symbol, open, high, low, close }
+     * @returns {Array} Positions closed by this candle
+     */
+    checkCandle(candle) {
+        const symbol = candle.symbol.toUpperCase();
+        const closed = [];
+
+        for (const [id, position] of this.positions) {
+            if (position.symbol !== symbol) continue;
+
+            const isLong = position.side === 'buy';
+            const adverse = isLong ? candle.low : candle.high;
+            const favorable = isLong ? candle.high : candle.low;
+
+            // The stop sits before liquidation, so it fills first unless the bar opened past the liquidation price
+            if (this._beyondLiquidation(position, candle.open) || (!this._stopBefore(position) && this._beyondLiquidation(position, adverse))) {
+                closed.push(this._liquidate(id, position));
+                continue;
+            }
+
+            if (position.stopLoss && (isLong ? adverse <= position.stopLoss : adverse >= position.stopLoss)) {
+                const gapped = isLong ? candle.open <= position.stopLoss : candle.open >= position.stopLoss;
+                const fill = gapped ? candle.open : position.stopLoss;
+                const reason = position.trailingActive ? 'trailing_stop' : 'stop_loss';
+                console.log(`🛑 ${reason === 'trailing_stop' ? 'TRAILING STOP' : 'STOP-LOSS'} triggered for ${position.symbol} at $${fill}`);
+                closed.push(this._triggerClose(id, position, reason, fill));
+                continue;
+            }
+
+            const scaledOut = this._takeTargets(id, position, favorable, (target) => {
+                const gapped = isLong ? candle.open >= target.price : candle.open <= target.price;
+                return gapped ? candle.open : target.price;
+            });
+            if (scaledOut) {
+                closed.push(scaledOut);
+                continue;
+            }
+
+            if (position.takeProfit && (isLong ? favorable >= position.takeProfit : favorable <= position.takeProfit)) {
+                const gapped = isLong ? candle.open >= position.takeProfit : candle.open <= position.takeProfit;
+                const fill = gapped ? candle.open : position.takeProfit;
+                console.log(`🎯 TAKE-PROFIT triggered for ${position.symbol} at $${fill}`);
+                closed.push(this._triggerClose(id, position, 'take_profit', fill));
+                continue;
+            }
+
+            // Ratchet after the stop check: the bar's extreme may have come after its low / high
+            if (this._updateTrailing(position, favorable, candle.atr)) {
+                this._saveState();
+                this._notifyLevels(position);
+            }
+        }
+
+        // Pending orders fill at their price, or at the open when the bar gapped through it
+        for (const order of this.getOrders(symbol)) {
+            const isBuy = order.side === 'buy';
+            let reference = candle.open;
+
+            if (order.type !== 'limit' && !order.stopTriggered) {
+                if (!(isBuy ? candle.high >= order.stopPrice : candle.low <= order.stopPrice)) continue;
+
+                const gapped = isBuy ? candle.open >= order.stopPrice : candle.open <= order.stopPrice;
+                reference = gapped ? candle.open : order.stopPrice;
+
+                if (order.type === 'stop_market') {
+                    this._triggerOrder(order, reference);
+                    continue;
+                }
+                this._armStopLimit(order);
+            }
+
+            if (!(isBuy ? candle.low <= order.price : candle.high >= order.price)) continue;
+            const through = isBuy ? reference <= order.price : reference >= order.price;
+            this._triggerOrder(order, through ? reference : order.price);
+        }
+
+        return closed;
     }
 
     // --- Internal Methods ---
@@ -203,6 +692,19 @@ export class PositionManager {
             // Update unrealized PnL
             position.unrealizedPnl = this._calcPnL(position, price);
 
+            // A stop before the liquidation price fires first (ticks are sampled; the venue's stop is not)
+            if (!this._stopBefore(position) && this._beyondLiquidation(position, price)) {
+                this._liquidate(id, position);
+                continue;
+            }
+            this._warnLiquidation(position, price);
+
+            // Ratchet the trailing stop (never beyond the current price)
+            if (this._updateTrailing(position, price, priceData.atr)) {
+                this._saveState();
+                this._notifyLevels(position);
+            }
+
             // Check Stop-Loss
             if (position.stopLoss) {
                 const triggered = position.side === 'buy'
@@ -210,15 +712,16 @@ export class PositionManager {
                     : price >= position.stopLoss;
 
                 if (triggered) {
-                    console.log(`🛑 STOP-LOSS triggered for ${position.symbol} at $${price}`);
-                    if (this.onClosePosition) {
-                        this.onClosePosition(position).catch(e => console.error('Close error:', e.message));
-                    }
-                    this.close(id, 'stop_loss', price);
+                    const reason = position.trailingActive ? 'trailing_stop' : 'stop_loss';
+                    console.log(`🛑 ${reason === 'trailing_stop' ? 'TRAILING STOP' : 'STOP-LOSS'} triggered for ${position.symbol} at $${price}`);
+                    this._triggerClose(id, position, reason, price);
                     continue;
                 }
             }
 
+            // Check the scale-out ladder
+            if (this._takeTargets(id, position, price, () => price)) continue;
+
             // Check Take-Profit
             if (position.takeProfit) {
                 const triggered = position.side === 'buy'
@@ -227,14 +730,440 @@ export class PositionManager {
 
                 if (triggered) {
                     console.log(`🎯 TAKE-PROFIT triggered for ${position.symbol} at $${price}`);
-                    if (this.onClosePosition) {
-                        this.onClosePosition(position).catch(e => console.error('Close error:', e.message));
-                    }
-                    this.close(id, 'take_profit', price);
+                    this._triggerClose(id, position, 'take_profit', price);
                     continue;
                 }
             }
         }
+
+        this._checkOrders(symbol, price);
+    }
+
+    /**
+     * Trigger pending orders on a price tick. Limits fill at their price or better.
+     * @private
+     */
+    _checkOrders(symbol, price) {
+        for (const order of this.getOrders(symbol)) {
+            const isBuy = order.side === 'buy';
+
+            if (order.type !== 'limit' && !order.stopTriggered) {
+                if (!(isBuy ? price >= order.stopPrice : price <= order.stopPrice)) continue;
+
+                if (order.type === 'stop_market') {
+                    this._triggerOrder(order, price);
+                    continue;
+                }
+                this._armStopLimit(order);
+            }
+
+            if (isBuy ? price <= order.price : price >= order.price) {
+                this._triggerOrder(order, isBuy ? Math.min(price, order.price) : Math.max(price, order.price));
+            }
+        }
+    }
+
+    /**
+     * A stop-limit whose stop was reached now rests as a plain limit.
+     * @private
+     */
+    _armStopLimit(order) {
+        order.stopTriggered = true;
+        this._saveState();
+        console.log(`⏳ STOP-LIMIT armed for ${order.symbol}: stop $${order.stopPrice} reached, limit $${order.price} working`);
+    }
+
+    /**
+     * Fire a pending order: execute it on the exchange (if a handler is configured) and open the position.
+     * @private
+     */
+    _triggerOrder(order, price) {
+        this.orders.delete(order.id);
+        order.status = 'triggered';
+        order.triggeredAt = this._timestamp();
+        order.triggerPrice = price;
+        this._saveState();
+
+        console.log(`⚡ Order TRIGGERED: ${this._describeOrder(order)} at $${price}`);
+        eventBus.emit('order:triggered', order);
+
+        if (!this.onExecuteOrder) {
+            return this._openFromOrder(order, price);
+        }
+
+        this.onExecuteOrder(order, price)
+            .then(fill => this._openFromOrder(order, price, fill))
+            .catch(err => {
+                console.error(`❌ Order ${order.id} failed to execute: ${err.message}`);
+                this._markCancelled(order, 'execution_failed');
+            });
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _openFromOrder(order, price, fill = null) {
+        return this.open({
+            symbol: order.symbol,
+            side: order.side,
+            entryPrice: fill?.avgPrice || price,
+            size: order.size,
+            leverage: order.leverage,
+            quantity: fill?.quantity || null,
+            exchange: order.exchange,
+            stopLoss: order.stopLoss,
+            takeProfit: order.takeProfit,
+            takeProfits: order.takeProfits,
+            breakevenAfterFirstTarget: order.breakevenAfterFirstTarget,
+            trailingStop: order.trailingStop,
+            orderId: order.id,
+            protection: fill?.protection || null,
+            fee: fill?.fee,
+            liquidationPrice: order.liquidationPrice
+        });
+    }
+
+    /**
+     * @private
+     */
+    _markCancelled(order, reason) {
+        order.status = 'cancelled';
+        order.cancelledAt = this._timestamp();
+        order.cancelReason = reason;
+
+        console.log(`🚫 Order CANCELLED [${reason}]: ${this._describeOrder(order)}`);
+
+        eventBus.emit('order:cancelled', order);
+        return order;
+    }
+
+    /**
+     * @private
+     */
+    _describeOrder(order) {
+        const levels = [
+            order.stopPrice ? `stop $${order.stopPrice}` : null,
+            order.price ? `limit $${order.price}` : null
+        ].filter(Boolean).join(' / ');
+        return `${order.type.toUpperCase()} ${order.side.toUpperCase()} ${order.symbol} (${levels})`;
+    }
+
+    // --- Trailing Stops ---
+
+    /**
+     * @private
+     */
+    _normalizeTrailing(trailingStop) {
+        if (!trailingStop) return null;
+        if (trailingStop.percent > 0) return { percent: trailingStop.percent };
+        if (trailingStop.atrMultiple > 0) return { atrMultiple: trailingStop.atrMultiple, atr: trailingStop.atr || null };
+        return null;
+    }
+
+    /**
+     * Track the best price since entry and tighten the stop-loss to the trail level.
+     * ATR trails use the latest ATR from the price feed.
+     * @private
+     * @returns {boolean} Whether the stop-loss moved
+     */
+    _updateTrailing(position, price, atr = null) {
+        const trail = position.trailingStop;
+        if (!trail || !(price > 0)) return false;
+
+        const isLong = position.side === 'buy';
+        if (!position.bestPrice || (isLong ? price > position.bestPrice : price < position.bestPrice)) {
+            position.bestPrice = price;
+        }
+        if (trail.atrMultiple && atr > 0) trail.atr = atr;
+
+        const distance = trail.percent
+            ? position.bestPrice * (trail.percent / 100)
+            : trail.atrMultiple * (trail.atr || 0);
+        if (!(distance > 0)) return false;
+
+        const level = isLong ? position.bestPrice - distance : position.bestPrice + distance;
+        const tighter = !position.stopLoss || (isLong ? level > position.stopLoss : level < position.stopLoss);
+        if (!tighter) return false;
+
+        position.stopLoss = level;
+        position.trailingActive = true;
+        return true;
+    }
+
+    /**
+     * Execute a triggered close on the exchange and book it locally.
+     * @private
+     */
+    _triggerClose(id, position, reason, price) {
+        if (this.onClosePosition) {
+            // Pass the trigger price so the exchange handler knows where the stop fired
+            this.onClosePosition({ ...position, exitPrice: price })
+                .then(fill => this.addCosts(id, { fee: fill?.fee }))
+                .catch(e => console.error('Close error:', e.message));
+        }
+        return this.close(id, reason, price);
+    }
+
+    /**
+     * Tell the exchange side that a position's levels or size changed.
+     * @private
+     */
+    _notifyLevels(position) {
+        if (!this.onLevelsChanged) return;
+        Promise.resolve(this.onLevelsChanged(position)).catch(e => console.error('Protective order update error:', e.message));
+    }
+
+    // --- Liquidation ---
+
+    /**
+     * Recompute an isolated-margin liquidation price after the position changed. Cross-margin prices
+     * depend on the whole account, so they keep the value given at open (or the new one passed).
+     * @private
+     */
+    _updateLiquidation(position, given = null) {
+        if (this.marginModel && this.marginModel.getMarginMode(position.exchange) === 'isolated') {
+            position.liquidationPrice = this.marginModel.liquidationPrice({
+                exchange: position.exchange,
+                symbol: position.symbol,
+                side: position.side,
+                entryPrice: position.entryPrice,
+                notional: position.size * position.leverage,
+                leverage: position.leverage,
+                marginMode: 'isolated'
+            });
+        } else if (given) {
+            position.liquidationPrice = given;
+        }
+        position.liquidationWarned = false;
+    }
+
+    /**
+     * @private
+     */
+    _beyondLiquidation(position, price) {
+        if (!position.liquidationPrice) return false;
+        return position.side === 'buy' ? price <= position.liquidationPrice : price >= position.liquidationPrice;
+    }
+
+    /**
+     * Whether the stop-loss triggers before the liquidation price.
+     * @private
+     */
+    _stopBefore(position) {
+        if (!position.stopLoss) return false;
+        if (!position.liquidationPrice) return true;
+        return position.side === 'buy' ? position.stopLoss > position.liquidationPrice : position.stopLoss < position.liquidationPrice;
+    }
+
+    /**
+     * Warn once when the price comes within `liquidationWarningPercent` of liquidation; re-arm at twice that distance.
+     * @private
+     */
+    _warnLiquidation(position, price) {
+        if (!position.liquidationPrice) return;
+
+        const distancePercent = (Math.abs(price - position.liquidationPrice) / price) * 100;
+        if (distancePercent > this.liquidationWarningPercent * 2) {
+            position.liquidationWarned = false;
+            return;
+        }
+        if (position.liquidationWarned || distancePercent > this.liquidationWarningPercent) return;
+
+        position.liquidationWarned = true;
+        console.warn(`⚠️ ${position.side.toUpperCase()} ${position.symbol} is ${distancePercent.toFixed(2)}% from liquidation at $${position.liquidationPrice.toFixed(2)} (price $${price})${this._stopBefore(position) ? '' : ' with no stop-loss before it'}.`);
+        eventBus.emit('position:liquidation_warning', { ...position, price, distancePercent });
+    }
+
+    /**
+     * Book a liquidation at the liquidation price. The venue closed the position, so no close is sent.
+     * @private
+     */
+    _liquidate(id, position) {
+        console.log(`💀 LIQUIDATION price $${position.liquidationPrice.toFixed(2)} reached for ${position.side.toUpperCase()} ${position.symbol}`);
+        return this.close(id, 'liquidation', position.liquidationPrice);
+    }
+
+    // --- Netting (one-way mode) ---
+
+    /**
+     * Apply a fill to the existing position of a one-way exchange, in base units.
+     * @private
+     */
+    _net(position, params) {
+        const side = params.side.toLowerCase();
+        const quantity = params.quantity || (params.size * (params.leverage || 1)) / params.entryPrice;
+
+        if (side === position.side) {
+            return this._scaleIn(position, params, quantity);
+        }
+
+        const held = this._heldQuantity(position);
+        const fee = params.fee || 0;
+        if (quantity < held * (1 - 1e-9)) {
+            this.closePartial(position.id, { size: position.size * (quantity / held) }, 'netted', params.entryPrice, fee);
+            return position;
+        }
+
+        const remainder = quantity - held;
+        const share = remainder > quantity * 1e-9 ? remainder / quantity : 0;
+        const closed = this.close(position.id, 'netted', params.entryPrice, fee * (1 - share));
+        if (!share) return closed;
+
+        // Flip: what the fill had beyond the old position opens the other side
+        return this.open({
+            ...params,
+            size: params.size * share,
+            quantity: params.quantity ? remainder : null,
+            fee: fee * share
+        });
+    }
+
+    /**
+     * Add a same-side fill: volume-weighted entry, margin and leverage combined.
+     * Levels sent with the new fill replace the old ones.
+     * @private
+     */
+    _scaleIn(position, params, quantity) {
+        const held = this._heldQuantity(position);
+        const total = held + quantity;
+        const margin = position.size + params.size;
+
+        position.entryPrice = (held * position.entryPrice + quantity * params.entryPrice) / total;
+        position.leverage = (position.size * position.leverage + params.size * (params.leverage || 1)) / margin;
+        position.size = margin;
+        position.fees = (position.fees || 0) + (params.fee || 0);
+        if (position.quantity || params.quantity) position.quantity = total;
+
+        if (params.stopLoss) {
+            position.stopLoss = params.stopLoss;
+            position.trailingActive = false;
+        }
+        if (params.takeProfit) position.takeProfit = params.takeProfit;
+        if (params.takeProfits?.length) position.takeProfits = this._normalizeTargets(params.takeProfits, position.side);
+        if (params.trailingStop) position.trailingStop = this._normalizeTrailing(params.trailingStop);
+        this._updateTrailing(position, params.entryPrice);
+        this._updateLiquidation(position, params.liquidationPrice);
+
+        this._saveState();
+        this._notifyLevels(position);
+
+        console.log(`➕ Position SCALED IN: ${position.side.toUpperCase()} ${position.symbol} | Size: $${position.size.toFixed(2)} | Avg Entry: $${position.entryPrice.toFixed(2)}`);
+
+        eventBus.emit('position:updated', position);
+        return position;
+    }
+
+    /**
+     * Base-unit quantity behind a position (derived from margin when the venue didn't report it).
+     * @private
+     */
+    _heldQuantity(position) {
+        return position.quantity || (position.size * position.leverage) / position.entryPrice;
+    }
+
+    // --- Partial Closes ---
+
+    /**
+     * Fill every ladder target the price has reached, nearest first.
+     * @private
+     * @param {function} fillPrice - target → fill price
+     * @returns {object|null} The closed position, when the ladder closed all of it
+     */
+    _takeTargets(id, position, reached, fillPrice) {
+        const isLong = position.side === 'buy';
+
+        for (const target of position.takeProfits || []) {
+            if (target.filled) continue;
+            if (!(isLong ? reached >= target.price : reached <= target.price)) break;
+
+            const first = !position.takeProfits.some(t => t.filled);
+            const price = fillPrice(target);
+            target.filled = true;
+
+            console.log(`🎯 TAKE-PROFIT target $${target.price} hit for ${position.symbol} at $${price} (${(target.fraction * 100).toFixed(0)}%)`);
+            const entrySize = position.size + (position.closedSize || 0);
+            const result = this._triggerPartial(id, position, entrySize * target.fraction, 'take_profit', price);
+
+            if (!this.positions.has(id)) return result;
+            if (first && position.breakevenAfterFirstTarget) this._moveToBreakeven(position);
+        }
+
+        return null;
+    }
+
+    /**
+     * Like _triggerClose() for a slice of the position.
+     * @private
+     */
+    _triggerPartial(id, position, size, reason, price) {
+        if (size >= position.size - DUST_SIZE) {
+            return this._triggerClose(id, position, reason, price);
+        }
+        if (this.onClosePosition) {
+            this.onClosePosition(this._slicePosition(position, size, price))
+                .then(fill => this.addCosts(id, { fee: fill?.fee }))
+                .catch(e => console.error('Partial close error:', e.message));
+        }
+        return this.closePartial(id, { size }, reason, price);
+    }
+
+    /**
+     * The stop only ever tightens to the entry price.
+     * @private
+     */
+    _moveToBreakeven(position) {
+        const isLong = position.side === 'buy';
+        if (position.stopLoss && (isLong ? position.stopLoss >= position.entryPrice : position.stopLoss <= position.entryPrice)) return;
+
+        position.stopLoss = position.entryPrice;
+        position.trailingActive = false;
+        this._saveState();
+        this._notifyLevels(position);
+        console.log(`🔒 Stop moved to breakeven for ${position.symbol} at $${position.entryPrice}`);
+    }
+
+    /**
+     * Margin (USD) a portion refers to, capped at the open size.
+     * @private
+     */
+    _sliceSize(position, portion = {}) {
+        const size = portion.size ?? position.size * (portion.fraction ?? 1);
+        return Math.min(Math.max(size, 0), position.size);
+    }
+
+    /**
+     * The part of a position an exchange handler should close: same shape, scaled size and quantity.
+     * @private
+     */
+    _slicePosition(position, size, exitPrice) {
+        const share = size / position.size;
+        return {
+            ...position,
+            size,
+            quantity: position.quantity ? position.quantity * share : null,
+            exitPrice,
+            partial: share < 1
+        };
+    }
+
+    /**
+     * Targets sorted nearest-first for the side, with fractions of the entry size summing to at most 1.
+     * @private
+     */
+    _normalizeTargets(targets, side) {
+        if (!Array.isArray(targets) || targets.length === 0) return [];
+
+        let remaining = 1;
+        return targets
+            .filter(t => t.price > 0 && t.fraction > 0)
+            .sort((a, b) => (side === 'buy' ? a.price - b.price : b.price - a.price))
+            .map(t => {
+                const fraction = Math.min(t.fraction, remaining);
+                remaining -= fraction;
+                return { price: t.price, fraction, filled: !!t.filled };
+            })
+            .filter(t => t.fraction > 0);
     }
 
     /**
@@ -257,7 +1186,10 @@ export class PositionManager {
                 fs.mkdirSync(this.dataDir, { recursive: true });
             }
 
-            const data = Array.from(this.positions.entries());
+            const data = {
+                positions: Array.from(this.positions.entries()),
+                orders: Array.from(this.orders.entries())
+            };
             fs.writeFileSync(this.positionsFile, JSON.stringify(data, null, 2));
         } catch (error) {
             console.error('❌ Failed to save position state:', error.message);
@@ -272,12 +1204,23 @@ export class PositionManager {
         try {
             if (fs.existsSync(this.positionsFile)) {
                 const raw = fs.readFileSync(this.positionsFile, 'utf8');
-                const entries = JSON.parse(raw);
-                this.positions = new Map(entries);
+                const data = JSON.parse(raw);
+
+                // Older files hold just the position entries
+                this.positions = new Map(Array.isArray(data) ? data : data.positions || []);
+                this.orders = new Map(Array.isArray(data) ? [] : data.orders || []);
             }
         } catch (error) {
             console.warn('⚠️ Could not load position state:', error.message);
             this.positions = new Map();
+            this.orders = new Map();
         }
     }
+
+    /**
+     * @private
+     */
+    _timestamp() {
+        return new Date(this._now()).toISOString();
+    }
 }
@@ -0,0 +1,247 @@
+import { eventBus } from './EventBus.js';
+import { UnsupportedOperationError } from './exchange/ExchangeAdapter.js';
+
+const DRIFT_POLICIES = ['alert', 'adopt', 'close'];
+
+/**
+ * PositionReconciler — Compares the PositionManager's book with the positions each venue reports.
+ *
+ * Drift kinds (per exchange, symbol and side):
+ *   orphaned       - Open on the venue, unknown locally (e.g. a close that failed on the exchange)
+ *   missing        - Open locally, flat on the venue (stopped out or liquidated while the agent was down)
+ *   size_mismatch  - Open on both, quantities differ by more than `sizeTolerance`
+ *
+ * Policies:
+ *   alert - Report only (default)
+ *   adopt - Trust the venue: book orphans locally, close missing positions locally, sync sizes to the venue
+ *   close - Trust the agent: flatten orphans on the venue, close missing positions locally,
+ *           trim venue quantity the agent doesn't hold (a venue short of the local size is synced down)
+ *
+ * Every drift is emitted as 'position:drift' { exchange, symbol, side, kind, localQuantity, remoteQuantity, policy, action }.
+ */
+export class PositionReconciler {
+    /**
+     * @param {object} config
+     * @param {PositionManager} config.positionManager - The agent's book
+     * @param {function} config.fetchPositions - Async (exchange) → venue positions [{ symbol, side, quantity, entryPrice, leverage, liquidationPrice }], or null to skip the exchange
+     * @param {function} [config.closeOnExchange] - Async (position) → close `position.quantity` on the venue (policy 'close')
+     * @param {function} [config.getPrice] - (symbol) → latest price, for local closes and spot holdings without an entry price
+     * @param {string} [config.policy] - 'alert' | 'adopt' | 'close' (default: RECONCILE_POLICY env, else 'alert')
+     * @param {number} [config.sizeTolerance] - Relative quantity difference still treated as a match (default 0.01)
+     */
+    constructor(config = {}) {
+        this.positionManager = config.positionManager;
+        this.fetchPositions = config.fetchPositions;
+        this.closeOnExchange = config.closeOnExchange || null;
+        this.getPrice = config.getPrice || (() => null);
+        this.policy = config.policy || process.env.RECONCILE_POLICY || 'alert';
+        this.sizeTolerance = config.sizeTolerance ?? 0.01;
+
+        if (!DRIFT_POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown reconcile policy '${this.policy}' (expected ${DRIFT_POLICIES.join(', ')}).`);
+        }
+
+        // Exchanges that cannot report positions (warned once)
+        this._unsupported = new Set();
+    }
+
+    /**
+     * Compare and resolve every given exchange.
+     * @param {string[]} exchanges - Exchange names to check
+     * @returns {Promise<Array>} The drifts found, with the action taken
+     */
+    async reconcile(exchanges) {
+        const drifts = [];
+
+        for (const exchange of exchanges) {
+            if (this._unsupported.has(exchange)) continue;
+
+            let remote;
+            try {
+                remote = await this.fetchPositions(exchange);
+            } catch (error) {
+                if (error instanceof UnsupportedOperationError) {
+                    this._unsupported.add(exchange);
+                    console.warn(`⚠️ [Reconciler] ${exchange} does not report positions. Skipping reconciliation.`);
+                } else {
+                    console.error(`❌ [Reconciler] Failed to fetch ${exchange} positions:`, error.message);
+                }
+                continue;
+            }
+            if (!Array.isArray(remote)) continue;
+
+            drifts.push(...await this._reconcileExchange(exchange, remote));
+        }
+
+        if (drifts.length === 0) {
+            console.log(`🔍 [Reconciler] ${exchanges.length} exchange(s) in sync.`);
+        }
+        return drifts;
+    }
+
+    // --- Comparison ---
+
+    /**
+     * @private
+     */
+    async _reconcileExchange(exchange, remotePositions) {
+        const groups = new Map();
+        const group = (symbol, side) => {
+            const key = `${symbol}:${side}`;
+            if (!groups.has(key)) groups.set(key, { symbol, side, local: [], remote: null });
+            return groups.get(key);
+        };
+
+        for (const position of this.positionManager.getOpen()) {
+            if (position.exchange === exchange) group(position.symbol, position.side).local.push(position);
+        }
+        for (const position of remotePositions) {
+            if (!(position.quantity > 0)) continue;
+            const entry = group(this._toAgentSymbol(position.symbol), position.side);
+            entry.remote = entry.remote
+                ? { ...entry.remote, quantity: entry.remote.quantity + position.quantity }
+                : { ...position };
+        }
+
+        // Local closes first: on a one-way venue the orphan of a flipped position nets into the book
+        const ordered = [...groups.values()].sort((a, b) => (b.remote ? 0 : 1) - (a.remote ? 0 : 1));
+        const drifts = [];
+
+        for (const { symbol, side, local, remote } of ordered) {
+            const localQuantity = local.reduce((sum, p) => sum + this._quantity(p), 0);
+            const remoteQuantity = remote?.quantity || 0;
+
+            let kind = null;
+            if (!local.length) kind = 'orphaned';
+            else if (!remote) kind = 'missing';
+            else if (Math.abs(remoteQuantity - localQuantity) > this.sizeTolerance * Math.max(remoteQuantity, localQuantity)) kind = 'size_mismatch';
+            if (!kind) continue;
+
+            const drift = { exchange, symbol, side, kind, localQuantity, remoteQuantity, policy: this.policy, action: 'none' };
+            console.warn(`⚠️ [Reconciler] ${kind.toUpperCase()} ${side.toUpperCase()} ${symbol} on ${exchange} | Local: ${localQuantity} | Venue: ${remoteQuantity}`);
+
+            try {
+                drift.action = await this._resolve(drift, local, remote);
+            } catch (error) {
+                drift.action = 'failed';
+                drift.error = error.message;
+                console.error(`❌ [Reconciler] Failed to resolve ${kind} ${symbol} on ${exchange}:`, error.message);
+            }
+
+            eventBus.emit('position:drift', drift);
+            drifts.push(drift);
+        }
+
+        return drifts;
+    }
+
+    // --- Resolution ---
+
+    /**
+     * Apply the policy to one drift.
+     * @private
+     * @returns {Promise<string>} The action taken
+     */
+    async _resolve(drift, local, remote) {
+        if (this.policy === 'alert') return 'alerted';
+
+        const price = this.getPrice(drift.symbol) || null;
+
+        if (drift.kind === 'missing') {
+            for (const position of local) {
+                this.positionManager.close(position.id, 'reconciled', price);
+            }
+            return 'closed_locally';
+        }
+
+        if (drift.kind === 'orphaned') {
+            return this.policy === 'adopt'
+                ? this._adopt(drift, remote, price)
+                : this._closeRemote(drift, drift.remoteQuantity, price);
+        }
+
+        // size_mismatch: the venue holds more than the book and the agent trusts its book
+        if (this.policy === 'close' && drift.remoteQuantity > drift.localQuantity) {
+            return this._closeRemote(drift, drift.remoteQuantity - drift.localQuantity, price, true);
+        }
+
+        const ratio = drift.remoteQuantity / drift.localQuantity;
+        for (const position of local) {
+            this.positionManager.syncPosition(position.id, {
+                entryPrice: local.length === 1 ? remote.entryPrice : null,
+                quantity: this._quantity(position) * ratio
+            });
+        }
+        return 'synced';
+    }
+
+    /**
+     * Book a venue position the agent doesn't know about. It has no stop-loss or take-profit.
+     * @private
+     */
+    _adopt(drift, remote, price) {
+        const entryPrice = remote.entryPrice || price;
+        if (!(entryPrice > 0)) {
+            console.warn(`⚠️ [Reconciler] No price to adopt ${drift.symbol} on ${drift.exchange}.`);
+            return 'none';
+        }
+
+        const leverage = remote.leverage || 1;
+        this.positionManager.open({
+            symbol: drift.symbol,
+            side: drift.side,
+            entryPrice,
+            size: (drift.remoteQuantity * entryPrice) / leverage,
+            leverage,
+            quantity: drift.remoteQuantity,
+            exchange: drift.exchange,
+            liquidationPrice: remote.liquidationPrice || null
+        });
+        console.warn(`⚠️ [Reconciler] Adopted ${drift.side.toUpperCase()} ${drift.symbol} on ${drift.exchange} without stop-loss or take-profit.`);
+        return 'adopted';
+    }
+
+    /**
+     * Close venue quantity the book doesn't hold, as a position shaped for the exchange handler.
+     * @private
+     */
+    async _closeRemote(drift, quantity, price, partial = false) {
+        if (!this.closeOnExchange) {
+            console.warn(`⚠️ [Reconciler] No close handler for ${drift.exchange}. Alert only.`);
+            return 'alerted';
+        }
+
+        const entryPrice = price || 1;
+        await this.closeOnExchange({
+            id: `reconcile_${drift.exchange}_${drift.symbol}_${drift.side}`,
+            symbol: drift.symbol,
+            side: drift.side,
+            exchange: drift.exchange,
+            entryPrice,
+            leverage: 1,
+            size: quantity * entryPrice,
+            quantity,
+            exitPrice: price,
+            partial
+        });
+        return partial ? 'trimmed' : 'closed_remotely';
+    }
+
+    // --- Helpers ---
+
+    /**
+     * @private
+     */
+    _quantity(position) {
+        return position.quantity || (position.size * position.leverage) / position.entryPrice;
+    }
+
+    /**
+     * Venue symbol → the agent's symbol: 'BTC' (Hyperliquid, spot tickers), 'BTC/USDT', 'BTC-USDC' → 'BTCUSDT'.
+     * @private
+     */
+    _toAgentSymbol(symbol) {
+        const compact = String(symbol).replace(/[/\-_]/g, '').toUpperCase();
+        return `${compact.replace(/(USDT|USDC|USD)$/, '')}USDT`;
+    }
+}
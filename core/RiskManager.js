@@ -1,8 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { eventBus } from './EventBus.js';
+import { MarginModel } from './MarginModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fewer aligned returns than this and VaR is not estimated
+const MIN_VAR_RETURNS = 10;
+
 /**
  * RiskManager — Position sizing, exposure limits, and risk gating.
  * 
  * Works alongside SurvivalManager to adapt risk parameters based on agent health.
  * Does NOT depend on SurvivalManager directly — receives state via method params.
+ *
+ * Circuit breakers (fed through updateEquity() and recordTrade()) refuse new trades for a cool-down:
+ *   daily_loss          - Equity (realized + unrealized) down `maxDailyLossPercent` since the UTC day began
+ *   consecutive_losses  - `maxConsecutiveLosses` losing trades in a row
+ *   drawdown            - Equity down `maxDrawdownPercent` from its peak; the peak resets when the cool-down ends
+ * Breaker state persists in data/risk.json and every trip / clear is emitted as 'risk:breaker'.
+ *
+ * Value-at-Risk: 1-day historical VaR and expected shortfall of the book, from the return
+ * scenarios in MarketDataFeed.priceHistory scaled to a day (bootstrapped when history is short).
+ *
+ * Liquidation: the MarginModel prices where a trade would be liquidated on its exchange; the stop-loss
+ * must trigger at least `liquidationBufferPercent` of the entry price before that.
  */
 export class RiskManager {
     /**
@@ -13,6 +35,35 @@ export class RiskManager {
      * @param {number} [config.defaultRiskPercent] - Default risk per trade as % of balance (default 2)
      * @param {number} [config.maxLeverage] - Absolute max leverage allowed (default 20)
      * @param {number} [config.minConfidence] - Minimum LLM confidence to allow a trade (default 0.6)
+     * @param {number} [config.minNotional] - Smallest notional in USD an exposure limit may cap a stop-sized trade to,
+     *   or the VaR limit cut any trade to
+     *   (default env MIN_NOTIONAL_USD, else 5)
+     * @param {number} [config.minRiskFraction] - Smallest share of the risk budget a capped stop-sized trade must still
+     *   risk (default env MIN_RISK_FRACTION, else 0.25); smaller trades are rejected instead of opened as dust
+     * @param {Array<{r: number, fraction: number}>} [config.takeProfitLadder] - Scale-out targets at R multiples, as fractions
+     *   of the entry size, e.g. [{ r: 1, fraction: 0.5 }, { r: 2, fraction: 0.3 }] (default env TAKE_PROFIT_LADDER "1:0.5,2:0.3", else none)
+     * @param {boolean} [config.breakevenAfterFirstTarget] - Move the stop to entry once the first target fills (default env BREAKEVEN_AFTER_FIRST_TP)
+     * @param {number} [config.maxClusterExposurePercent] - Max net directional exposure per correlated cluster as % of balance (default 50)
+     * @param {number} [config.maxPortfolioBeta] - Max net beta-weighted exposure to the benchmark as a multiple of balance (default 0.75)
+     * @param {number} [config.correlationThreshold] - Return correlation at which two assets share a cluster (default 0.7)
+     * @param {number} [config.minCorrelationSamples] - Returns needed before a correlation or beta is trusted (default 20)
+     * @param {string} [config.betaBenchmark] - Symbol betas are measured against (default 'BTCUSDT')
+     * @param {number} [config.maxDailyLossPercent] - Daily loss that trips the breaker, % of the day's starting equity (default 5, 0 disables)
+     * @param {number} [config.maxConsecutiveLosses] - Losing trades in a row that trip the breaker (default 4, 0 disables)
+     * @param {number} [config.maxDrawdownPercent] - Drawdown from peak equity that trips the breaker, % (default 15, 0 disables)
+     * @param {object} [config.breakerCooldownMinutes] - Cool-down per breaker { daily_loss, consecutive_losses, drawdown }
+     *   (default: daily_loss until the next UTC day, consecutive_losses 60, drawdown 240)
+     * @param {number} [config.maxVarPercent] - Max 1-day portfolio VaR as % of balance; larger trades are downsized or blocked (default 5, 0 disables)
+     * @param {number} [config.varConfidence] - VaR / expected shortfall confidence level (default 0.99)
+     * @param {number} [config.minVarSamples] - Return scenarios below which they are bootstrapped (default 100)
+     * @param {number} [config.varBootstrapRuns] - Bootstrap resamples averaged when history is short (default 200)
+     * @param {number} [config.liquidationBufferPercent] - Min distance between stop-loss and liquidation, % of entry (default 1)
+     * @param {MarginModel} [config.marginModel] - Maintenance-margin tables (default: a MarginModel from the options below)
+     * @param {string} [config.marginMode] - 'isolated' | 'cross' for exchanges without their own (default MARGIN_MODE env, else 'isolated')
+     * @param {Object<string, string>} [config.marginModes] - Per-exchange margin modes
+     * @param {object} [config.maintenanceMarginTiers] - Per-exchange overrides of MAINTENANCE_MARGIN_TIERS
+     * @param {string} [config.dataDir] - Directory for breaker state (default: data/)
+     * @param {function} [config.clock] - Time source returning epoch ms (default Date.now)
      */
     constructor(config = {}) {
         this.maxPositions = config.maxPositions ?? (parseInt(process.env.MAX_POSITIONS || '') || 5);
@@ -21,6 +72,61 @@ export class RiskManager {
         this.defaultRiskPercent = config.defaultRiskPercent ?? (parseFloat(process.env.RISK_PER_TRADE || '') || 2);
         this.maxLeverage = config.maxLeverage ?? (parseInt(process.env.MAX_LEVERAGE || '') || 20);
         this.minConfidence = config.minConfidence ?? (parseFloat(process.env.MIN_CONFIDENCE || '') || 0.6);
+        const envMinNotional = parseFloat(process.env.MIN_NOTIONAL_USD);
+        this.minNotional = config.minNotional ?? (Number.isFinite(envMinNotional) ? envMinNotional : 5);
+        const envMinRiskFraction = parseFloat(process.env.MIN_RISK_FRACTION);
+        this.minRiskFraction = config.minRiskFraction ?? (Number.isFinite(envMinRiskFraction) ? envMinRiskFraction : 0.25);
+        this.takeProfitLadder = config.takeProfitLadder ?? this._parseLadder(process.env.TAKE_PROFIT_LADDER);
+        this.breakevenAfterFirstTarget = config.breakevenAfterFirstTarget ?? process.env.BREAKEVEN_AFTER_FIRST_TP === 'true';
+
+        // Correlation limits — only checked when the portfolio carries price history
+        this.maxClusterExposurePercent = config.maxClusterExposurePercent ?? (parseFloat(process.env.MAX_CLUSTER_EXPOSURE_PERCENT || '') || 50);
+        this.maxPortfolioBeta = config.maxPortfolioBeta ?? (parseFloat(process.env.MAX_PORTFOLIO_BETA || '') || 0.75);
+        this.correlationThreshold = config.correlationThreshold ?? (parseFloat(process.env.CORRELATION_THRESHOLD || '') || 0.7);
+        this.minCorrelationSamples = config.minCorrelationSamples ?? 20;
+        this.betaBenchmark = config.betaBenchmark || 'BTCUSDT';
+
+        // Value-at-Risk — only checked when the portfolio carries price history
+        // An explicit 0 disables the limit; unset, empty or malformed values fall back to 5
+        const envMaxVar = parseFloat(process.env.MAX_VAR_PERCENT);
+        this.maxVarPercent = config.maxVarPercent ?? (Number.isFinite(envMaxVar) ? envMaxVar : 5);
+        this.varConfidence = config.varConfidence ?? (parseFloat(process.env.VAR_CONFIDENCE || '') || 0.99);
+        this.minVarSamples = config.minVarSamples ?? 100;
+        this.varBootstrapRuns = config.varBootstrapRuns ?? 200;
+
+        // Liquidation buffer — an explicit 0 only requires the stop not to lie beyond liquidation
+        const envLiquidationBuffer = parseFloat(process.env.LIQUIDATION_BUFFER_PERCENT);
+        this.liquidationBufferPercent = config.liquidationBufferPercent ?? (Number.isFinite(envLiquidationBuffer) ? envLiquidationBuffer : 1);
+        this.marginModel = config.marginModel || new MarginModel({
+            tiers: config.maintenanceMarginTiers,
+            marginMode: config.marginMode,
+            marginModes: config.marginModes
+        });
+
+        // Circuit breakers — an explicit 0 disables one; unset, empty or malformed values fall back to the default
+        const envDailyLoss = parseFloat(process.env.MAX_DAILY_LOSS_PERCENT);
+        const envLossStreak = parseInt(process.env.MAX_CONSECUTIVE_LOSSES, 10);
+        const envDrawdown = parseFloat(process.env.MAX_DRAWDOWN_PERCENT);
+        this.maxDailyLossPercent = config.maxDailyLossPercent ?? (Number.isFinite(envDailyLoss) ? envDailyLoss : 5);
+        this.maxConsecutiveLosses = config.maxConsecutiveLosses ?? (Number.isFinite(envLossStreak) ? envLossStreak : 4);
+        this.maxDrawdownPercent = config.maxDrawdownPercent ?? (Number.isFinite(envDrawdown) ? envDrawdown : 15);
+        this.breakerCooldownMinutes = {
+            daily_loss: null,
+            consecutive_losses: parseFloat(process.env.LOSS_STREAK_COOLDOWN_MINUTES || '') || 60,
+            drawdown: parseFloat(process.env.DRAWDOWN_COOLDOWN_MINUTES || '') || 240,
+            ...config.breakerCooldownMinutes
+        };
+        this._now = config.clock || Date.now;
+        this.dataDir = config.dataDir || path.join(process.cwd(), 'data');
+        this.riskFile = path.join(this.dataDir, 'risk.json');
+
+        // Persisted breaker state
+        this.breakers = {};         // name -> { reason, trippedAt, until }
+        this.day = null;            // UTC day (YYYY-MM-DD) of dayStartEquity
+        this.dayStartEquity = null;
+        this.peakEquity = null;
+        this.lossStreak = 0;
+        this._loadState();
 
         // Survival state multipliers — adjust limits based on agent health
         this.survivalMultipliers = {
@@ -36,14 +142,29 @@ export class RiskManager {
 
     /**
      * Check whether a new position can be opened.
-     * @param {object} signal - The trading decision { action, symbol, confidence, leverage }
+     *
+     * With an entry price and stop-loss on the signal, the size follows from the stop distance:
+     * the notional whose loss at the stop is exactly the risk budget. Exposure limits then cap that
+     * notional (the trade risks less than the budget) and only reject when no room is left.
+     * Without a stop, the risk budget itself is the margin and a trade over a limit is rejected.
+     *
+     * With `portfolio.priceHistory` (MarketDataFeed.priceHistory), the sized trade is then checked against
+     * the net directional exposure of its correlated cluster and the portfolio's beta to the benchmark,
+     * and downsized (or blocked) when it would push the book's 1-day VaR past `maxVarPercent` of balance.
+     *
+     * With a stop, leverage is also lowered until the stop triggers `liquidationBufferPercent` before the
+     * liquidation price (same notional, more margin); the trade is rejected if no leverage gets there.
+     *
+     * @param {object} signal - The trading decision { action, symbol, confidence, leverage, entryPrice?, stopLoss?, exchange? }
      * @param {object} portfolio - Current portfolio state
      * @param {number} portfolio.balance - Current balance
      * @param {number} portfolio.totalExposure - Current total exposure
      * @param {number} portfolio.positionCount - Number of open positions
      * @param {Array}  portfolio.positions - Array of open positions
+     * @param {object} [portfolio.priceHistory] - Symbol → [{ price, timestamp }], enables the correlation checks
      * @param {string} survivalState - Current survival mode ('GROWTH', 'SURVIVAL', 'DEFENSIVE', 'CRITICAL')
-     * @returns {{ allowed: boolean, reason: string, adjustedLeverage: number, adjustedSize: number }}
+     * @returns {{ allowed: boolean, reason: string, adjustedLeverage: number, adjustedSize: number, stopLoss?: number, stopDistancePercent?: number, riskAmount?: number, liquidationPrice?: number|null, valueAtRisk?: number, expectedShortfall?: number }}
+     *   adjustedSize is the margin; with a stop, riskAmount is what the trade loses at it; valueAtRisk / expectedShortfall are the book's with the trade
      */
     canOpenPosition(signal, portfolio, survivalState = 'SURVIVAL') {
         const mult = this.survivalMultipliers[survivalState] || this.survivalMultipliers.SURVIVAL;
@@ -53,6 +174,17 @@ export class RiskManager {
             return { allowed: false, reason: 'Agent in CRITICAL state. No trading allowed.', adjustedLeverage: 0, adjustedSize: 0 };
         }
 
+        // 1b. Circuit breakers — no new trades during a cool-down
+        const breaker = this.getActiveBreaker();
+        if (breaker) {
+            return {
+                allowed: false,
+                reason: `Circuit breaker ${breaker.name} active until ${new Date(breaker.until).toISOString()}: ${breaker.reason}`,
+                adjustedLeverage: 0,
+                adjustedSize: 0
+            };
+        }
+
         // 2. Confidence check
         const requiredConfidence = this.minConfidence * mult.confidence;
         if ((signal.confidence || 0) < requiredConfidence) {
@@ -82,41 +214,22 @@ export class RiskManager {
 
         // 5. Calculate position size
         const riskPercent = this.defaultRiskPercent * mult.risk;
-        const adjustedSize = this.calculatePositionSize(portfolio.balance, riskPercent);
+        const stopDistancePercent = this._stopDistancePercent(signal);
+        const sized = stopDistancePercent
+            ? this._sizeFromStop(signal, portfolio, adjustedLeverage, riskPercent, stopDistancePercent)
+            : this._sizeFromBudget(signal, portfolio, adjustedLeverage, riskPercent);
 
-        // 6. Total exposure check
-        const maxExposure = portfolio.balance * (this.maxExposurePercent / 100);
-        const newExposure = portfolio.totalExposure + (adjustedSize * adjustedLeverage);
-        if (newExposure > maxExposure) {
-            return {
-                allowed: false,
-                reason: `Would exceed max exposure: $${newExposure.toFixed(0)} > $${maxExposure.toFixed(0)}`,
-                adjustedLeverage,
-                adjustedSize: 0
-            };
-        }
+        // 7b. Stop must trigger before liquidation
+        const result = sized.allowed && stopDistancePercent ? this._checkLiquidation(signal, portfolio, sized) : sized;
 
-        // 7. Per-asset exposure check
-        const maxPerAsset = portfolio.balance * (this.maxPerAssetPercent / 100);
-        const currentAssetExposure = (portfolio.positions || [])
-            .filter(p => p.symbol === signal.symbol)
-            .reduce((sum, p) => sum + (p.size * p.leverage), 0);
-
-        if (currentAssetExposure + (adjustedSize * adjustedLeverage) > maxPerAsset) {
-            return {
-                allowed: false,
-                reason: `Would exceed per-asset limit for ${signal.symbol}: $${(currentAssetExposure + adjustedSize * adjustedLeverage).toFixed(0)} > $${maxPerAsset.toFixed(0)}`,
-                adjustedLeverage,
-                adjustedSize: 0
-            };
-        }
+        // 8. Correlated cluster and beta checks
+        if (!result.allowed || !portfolio.priceHistory) return result;
+        const correlated = this._checkCorrelation(signal, portfolio, result);
 
-        return {
-            allowed: true,
-            reason: 'Trade approved',
-            adjustedLeverage,
-            adjustedSize
-        };
+        // 9. Portfolio Value-at-Risk, with the sizing's dust floor
+        if (!correlated.allowed) return correlated;
+        const riskNotional = stopDistancePercent ? this.calculatePositionSize(portfolio.balance, riskPercent, stopDistancePercent) : 0;
+        return this._checkValueAtRisk(signal, portfolio, correlated, this._minNotional(riskNotional));
     }
 
     /**
@@ -172,6 +285,28 @@ export class RiskManager {
         return side === 'buy' ? entryPrice + rewardDistance : entryPrice - rewardDistance;
     }
 
+    /**
+     * Scale-out targets for a position: one getTakeProfit() level per ladder rung.
+     * Whatever the rungs leave open is managed by the stop-loss / trailing stop.
+     * @param {number} entryPrice
+     * @param {string} side - 'buy' or 'sell'
+     * @param {number} stopLoss - Stop-loss price (1R)
+     * @param {Array<{r: number, fraction: number}>} [ladder] - Default: config.takeProfitLadder
+     * @returns {Array<{price: number, fraction: number, r: number}>} Empty when no ladder is configured
+     */
+    getTakeProfitLadder(entryPrice, side, stopLoss, ladder = this.takeProfitLadder) {
+        let remaining = 1;
+        return [...(ladder || [])]
+            .filter(rung => rung.r > 0 && rung.fraction > 0)
+            .sort((a, b) => a.r - b.r)
+            .map(rung => {
+                const fraction = Math.min(rung.fraction, remaining);
+                remaining -= fraction;
+                return { price: this.getTakeProfit(entryPrice, side, stopLoss, rung.r), fraction, r: rung.r };
+            })
+            .filter(rung => rung.fraction > 0);
+    }
+
     /**
      * Get current effective limits based on survival state.
      * @param {string} survivalState
@@ -187,4 +322,672 @@ export class RiskManager {
             survivalState
         };
     }
+
+    // --- Circuit Breakers ---
+
+    /**
+     * Feed the current account equity (balance + unrealized PnL). Checks the daily loss and drawdown breakers.
+     * @param {number} equity
+     */
+    updateEquity(equity) {
+        if (!(equity > 0)) return;
+        this._expireBreakers();
+
+        const now = this._now();
+        const day = new Date(now).toISOString().slice(0, 10);
+        let changed = false;
+
+        if (this.day !== day) {
+            this.day = day;
+            this.dayStartEquity = equity;
+            changed = true;
+        }
+        if (this.peakEquity === null || equity > this.peakEquity) {
+            this.peakEquity = equity;
+            changed = true;
+        }
+
+        const dailyLossPercent = ((this.dayStartEquity - equity) / this.dayStartEquity) * 100;
+        if (this.maxDailyLossPercent > 0 && dailyLossPercent >= this.maxDailyLossPercent) {
+            changed = this._trip('daily_loss', `Down ${dailyLossPercent.toFixed(2)}% today (limit ${this.maxDailyLossPercent}%)`, equity) || changed;
+        }
+
+        const drawdownPercent = ((this.peakEquity - equity) / this.peakEquity) * 100;
+        if (this.maxDrawdownPercent > 0 && drawdownPercent >= this.maxDrawdownPercent) {
+            changed = this._trip('drawdown', `Drawdown ${drawdownPercent.toFixed(2)}% from peak $${this.peakEquity.toFixed(2)} (limit ${this.maxDrawdownPercent}%)`, equity) || changed;
+        }
+
+        if (changed) this._saveState();
+    }
+
+    /**
+     * Feed the net PnL of a closed trade. Checks the consecutive-losses breaker.
+     * @param {number} pnl - Realized PnL net of fees and funding
+     */
+    recordTrade(pnl) {
+        this.lossStreak = pnl < 0 ? this.lossStreak + 1 : 0;
+
+        if (this.maxConsecutiveLosses > 0 && this.lossStreak >= this.maxConsecutiveLosses) {
+            this._trip('consecutive_losses', `${this.lossStreak} losing trades in a row (limit ${this.maxConsecutiveLosses})`);
+            this.lossStreak = 0;
+        }
+        this._saveState();
+    }
+
+    /**
+     * The breaker currently refusing trades, if any (the one that ends last).
+     * @returns {{ name: string, reason: string, trippedAt: number, until: number }|null}
+     */
+    getActiveBreaker() {
+        if (this._expireBreakers()) this._saveState();
+
+        const active = Object.entries(this.breakers).map(([name, breaker]) => ({ name, ...breaker }));
+        return active.sort((a, b) => b.until - a.until)[0] || null;
+    }
+
+    /**
+     * Trip a breaker. A breaker already active keeps its cool-down.
+     * @private
+     * @returns {boolean} Whether it was newly tripped
+     */
+    _trip(name, reason, equity = null) {
+        if (this.breakers[name]) return false;
+
+        const trippedAt = this._now();
+        const until = this._cooldownEnd(name, trippedAt);
+        this.breakers[name] = { reason, trippedAt, until };
+
+        console.warn(`🚨 [RiskManager] Circuit breaker ${name} TRIPPED: ${reason}. No new trades until ${new Date(until).toISOString()}.`);
+        eventBus.emit('risk:breaker', { breaker: name, action: 'tripped', reason, trippedAt, until, equity });
+        return true;
+    }
+
+    /**
+     * Clear breakers whose cool-down is over. The drawdown peak restarts from the last equity.
+     * @private
+     * @returns {boolean} Whether any was cleared
+     */
+    _expireBreakers() {
+        const now = this._now();
+        let cleared = false;
+
+        for (const [name, breaker] of Object.entries(this.breakers)) {
+            if (breaker.until > now) continue;
+
+            delete this.breakers[name];
+            if (name === 'drawdown') this.peakEquity = null;
+            cleared = true;
+
+            console.log(`✅ [RiskManager] Circuit breaker ${name} cleared. Trading resumes.`);
+            eventBus.emit('risk:breaker', { breaker: name, action: 'cleared', reason: breaker.reason, trippedAt: breaker.trippedAt, until: breaker.until });
+        }
+        return cleared;
+    }
+
+    /**
+     * @private
+     */
+    _cooldownEnd(name, trippedAt) {
+        const minutes = this.breakerCooldownMinutes[name];
+        if (minutes > 0) return trippedAt + minutes * 60 * 1000;
+
+        // No cool-down set: until the next UTC day
+        return (Math.floor(trippedAt / DAY_MS) + 1) * DAY_MS;
+    }
+
+    /**
+     * @private
+     */
+    _saveState() {
+        try {
+            if (!fs.existsSync(this.dataDir)) {
+                fs.mkdirSync(this.dataDir, { recursive: true });
+            }
+
+            const data = {
+                breakers: this.breakers,
+                day: this.day,
+                dayStartEquity: this.dayStartEquity,
+                peakEquity: this.peakEquity,
+                lossStreak: this.lossStreak
+            };
+            fs.writeFileSync(this.riskFile, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save risk state:', error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _loadState() {
+        try {
+            if (!fs.existsSync(this.riskFile)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.riskFile, 'utf8'));
+            this.breakers = data.breakers || {};
+            this.day = data.day ?? null;
+            this.dayStartEquity = data.dayStartEquity ?? null;
+            this.peakEquity = data.peakEquity ?? null;
+            this.lossStreak = data.lossStreak || 0;
+        } catch (error) {
+            console.warn('⚠️ Could not load risk state:', error.message);
+        }
+    }
+
+    // --- Correlation ---
+
+    /**
+     * Pearson correlation of two symbols' returns, sampled on a common time grid.
+     * @param {string} symbolA
+     * @param {string} symbolB
+     * @param {object} priceHistory - Symbol → [{ price, timestamp }] (MarketDataFeed.priceHistory)
+     * @returns {number|null} null until both have `minCorrelationSamples` overlapping returns
+     */
+    getCorrelation(symbolA, symbolB, priceHistory) {
+        if (symbolA === symbolB) return 1;
+        const returns = this._alignedReturns(priceHistory[symbolA], priceHistory[symbolB]);
+        if (!returns) return null;
+
+        const [a, b] = returns;
+        const deviation = Math.sqrt(this._covariance(a, a) * this._covariance(b, b));
+        return deviation > 0 ? this._covariance(a, b) / deviation : null;
+    }
+
+    /**
+     * Beta of a symbol's returns to the benchmark (BTC by default).
+     * @param {string} symbol
+     * @param {object} priceHistory
+     * @returns {number|null} null while there is not enough overlapping history
+     */
+    getBeta(symbol, priceHistory) {
+        if (symbol === this.betaBenchmark) return 1;
+        const returns = this._alignedReturns(priceHistory[symbol], priceHistory[this.betaBenchmark]);
+        if (!returns) return null;
+
+        const [asset, benchmark] = returns;
+        const variance = this._covariance(benchmark, benchmark);
+        return variance > 0 ? this._covariance(asset, benchmark) / variance : null;
+    }
+
+    /**
+     * Group symbols whose returns correlate at `correlationThreshold` or more (linked transitively).
+     * Symbols without enough history stand alone.
+     * @param {object} priceHistory
+     * @param {string[]} [symbols] - Default: every symbol in priceHistory
+     * @returns {string[][]} Clusters, each a sorted list of symbols
+     */
+    getClusters(priceHistory, symbols = Object.keys(priceHistory)) {
+        const unique = [...new Set(symbols)];
+        const parent = new Map(unique.map(s => [s, s]));
+        const root = (s) => parent.get(s) === s ? s : root(parent.get(s));
+
+        for (let i = 0; i < unique.length; i++) {
+            for (let j = i + 1; j < unique.length; j++) {
+                const correlation = this.getCorrelation(unique[i], unique[j], priceHistory);
+                if (correlation !== null && correlation >= this.correlationThreshold) {
+                    parent.set(root(unique[i]), root(unique[j]));
+                }
+            }
+        }
+
+        const clusters = new Map();
+        for (const symbol of unique) {
+            const key = root(symbol);
+            if (!clusters.has(key)) clusters.set(key, []);
+            clusters.get(key).push(symbol);
+        }
+        return [...clusters.values()].map(cluster => cluster.sort());
+    }
+
+    /**
+     * Step 8: reject a trade that grows its cluster's net exposure or the portfolio's benchmark beta past the limits.
+     * Trades that shrink either (hedges) pass.
+     * @private
+     */
+    _checkCorrelation(signal, portfolio, result) {
+        const { priceHistory, balance } = portfolio;
+        const positions = portfolio.positions || [];
+        const reject = (reason) => ({ allowed: false, reason, adjustedLeverage: result.adjustedLeverage, adjustedSize: 0 });
+
+        const notional = (signal.action === 'SELL' ? -1 : 1) * result.adjustedSize * result.adjustedLeverage;
+        const directional = (p) => this._directionalNotional(p);
+
+        const clusters = this.getClusters(priceHistory, [...Object.keys(priceHistory), ...positions.map(p => p.symbol), signal.symbol]);
+        const cluster = clusters.find(c => c.includes(signal.symbol));
+        const clusterName = cluster.join('+');
+
+        // Net directional exposure of the cluster
+        const clusterBefore = positions.filter(p => cluster.includes(p.symbol)).reduce((sum, p) => sum + directional(p), 0);
+        const clusterAfter = clusterBefore + notional;
+        const maxCluster = balance * (this.maxClusterExposurePercent / 100);
+        if (Math.abs(clusterAfter) > maxCluster && Math.abs(clusterAfter) > Math.abs(clusterBefore)) {
+            return reject(`Would exceed cluster limit for ${clusterName}: net $${clusterAfter.toFixed(0)} beyond $${maxCluster.toFixed(0)}`);
+        }
+
+        // Net exposure to the benchmark, as a multiple of balance (unknown betas count as 1)
+        const betas = new Map();
+        const beta = (symbol) => {
+            if (!betas.has(symbol)) betas.set(symbol, this.getBeta(symbol, priceHistory) ?? 1);
+            return betas.get(symbol);
+        };
+        const betaBefore = positions.reduce((sum, p) => sum + directional(p) * beta(p.symbol), 0) / balance;
+        const betaAfter = betaBefore + (notional * beta(signal.symbol)) / balance;
+        if (Math.abs(betaAfter) > this.maxPortfolioBeta && Math.abs(betaAfter) > Math.abs(betaBefore)) {
+            return reject(`Would push portfolio beta to ${this.betaBenchmark} to ${betaAfter.toFixed(2)} beyond ${this.maxPortfolioBeta} (cluster ${clusterName}, beta ${beta(signal.symbol).toFixed(2)})`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Log returns of two price series sampled at the same instants.
+     * @private
+     * @returns {[number[], number[]]|null}
+     */
+    _alignedReturns(historyA, historyB) {
+        const aligned = this._alignedPrices([historyA, historyB]);
+        if (!aligned || aligned.timestamps.length - 1 < this.minCorrelationSamples) return null;
+
+        const logReturns = (prices) => prices.slice(1).map((price, n) => Math.log(price / prices[n]));
+        return aligned.prices.map(logReturns);
+    }
+
+    /**
+     * Price series read at the same instants. Live ticks arrive at different times per symbol, so the
+     * sparsest series is the clock and the others are read at their last price at or before each tick.
+     * @private
+     * @returns {{ prices: number[][], timestamps: number[] }|null}
+     */
+    _alignedPrices(histories) {
+        if (!histories.length || histories.some(h => !h?.length)) return null;
+
+        const start = Math.max(...histories.map(h => h[0].timestamp));
+        const clockIndex = histories.reduce((best, h, n) => h.length < histories[best].length ? n : best, 0);
+        const clock = histories[clockIndex].filter(h => h.timestamp >= start);
+
+        const prices = histories.map((history, n) => {
+            if (n === clockIndex) return clock.map(h => h.price);
+
+            const sampled = [];
+            let i = 0;
+            for (const tick of clock) {
+                while (i + 1 < history.length && history[i + 1].timestamp <= tick.timestamp) i++;
+                sampled.push(history[i].price);
+            }
+            return sampled;
+        });
+
+        return { prices, timestamps: clock.map(h => h.timestamp) };
+    }
+
+    /**
+     * @private
+     */
+    _covariance(a, b) {
+        const meanA = a.reduce((sum, x) => sum + x, 0) / a.length;
+        const meanB = b.reduce((sum, x) => sum + x, 0) / b.length;
+        return a.reduce((sum, x, n) => sum + (x - meanA) * (b[n] - meanB), 0) / (a.length - 1);
+    }
+
+    // --- Liquidation ---
+
+    /**
+     * Where a trade would be liquidated on its exchange. Cross margin counts the balance the
+     * portfolio's other positions on that exchange don't hold as maintenance margin.
+     * @param {object} trade - { symbol, side, entryPrice, notional, leverage, exchange }
+     * @param {object} [portfolio] - { balance, positions }, needed for cross margin
+     * @returns {number|null}
+     */
+    getLiquidationPrice(trade, portfolio = null) {
+        const exchange = trade.exchange || 'default';
+        let collateral = null;
+        if (this.marginModel.getMarginMode(exchange) === 'cross' && portfolio) {
+            const reserved = (portfolio.positions || [])
+                .filter(p => (p.exchange || 'default') === exchange)
+                .reduce((sum, p) => sum + this.marginModel.getMaintenanceMargin(exchange, p.symbol, p.size * p.leverage), 0);
+            collateral = Math.max(0, portfolio.balance - reserved);
+        }
+        return this.marginModel.liquidationPrice({ ...trade, exchange, collateral });
+    }
+
+    /**
+     * Step 7b: lower leverage (keeping the notional) until the stop clears liquidation by the buffer,
+     * as long as the balance covers the larger margin.
+     * @private
+     */
+    _checkLiquidation(signal, portfolio, result) {
+        const { entryPrice, stopLoss } = signal;
+        const side = signal.action === 'SELL' ? 'sell' : 'buy';
+        const notional = result.adjustedSize * result.adjustedLeverage;
+        const buffer = entryPrice * (this.liquidationBufferPercent / 100);
+        const clears = (liquidation) => liquidation === null || (side === 'buy' ? stopLoss - liquidation : liquidation - stopLoss) >= buffer;
+        const liquidationAt = (leverage) => this.getLiquidationPrice({ symbol: signal.symbol, side, entryPrice, notional, leverage, exchange: signal.exchange }, portfolio);
+
+        let lowest = result.adjustedLeverage;
+        for (let leverage = result.adjustedLeverage; leverage >= 1; leverage--) {
+            if (leverage < result.adjustedLeverage && notional / leverage > portfolio.balance) break;
+            lowest = leverage;
+
+            const liquidationPrice = liquidationAt(leverage);
+            if (!clears(liquidationPrice)) continue;
+
+            if (leverage === result.adjustedLeverage) return { ...result, liquidationPrice };
+            return {
+                ...result,
+                reason: `${result.reason} (leverage cut to ${leverage}x: stop too close to liquidation)`,
+                adjustedLeverage: leverage,
+                adjustedSize: notional / leverage,
+                liquidationPrice
+            };
+        }
+
+        const liquidationPrice = liquidationAt(lowest);
+        return {
+            allowed: false,
+            reason: `Stop $${stopLoss.toFixed(2)} not ${this.liquidationBufferPercent}% clear of liquidation at $${liquidationPrice.toFixed(2)} at ${lowest}x (${signal.exchange || 'default'}, ${this.marginModel.getMarginMode(signal.exchange || 'default')} margin)`,
+            adjustedLeverage: result.adjustedLeverage,
+            adjustedSize: 0,
+            stopLoss,
+            stopDistancePercent: result.stopDistancePercent,
+            liquidationPrice
+        };
+    }
+
+    // --- Value at Risk ---
+
+    /**
+     * 1-day historical VaR and expected shortfall of a book. Each aligned step of `priceHistory` is one
+     * scenario, applied to the net exposure per symbol and scaled to a day by √(day / step). With fewer than
+     * `minVarSamples` scenarios they are bootstrapped (seeded, so backtests repeat) and the runs averaged.
+     * @param {Array} positions - Positions / orders { symbol, side, size, leverage }
+     * @param {object} priceHistory - Symbol → [{ price, timestamp }] (MarketDataFeed.priceHistory)
+     * @returns {{ valueAtRisk: number, expectedShortfall: number, confidence: number, scenarios: number, bootstrapped: boolean, uncovered: string[] }|null}
+     *   Losses in USD; `uncovered` lists symbols without history (left out). null when the history is too short.
+     */
+    getValueAtRisk(positions, priceHistory) {
+        const exposures = new Map();
+        for (const position of positions) {
+            exposures.set(position.symbol, (exposures.get(position.symbol) || 0) + this._directionalNotional(position));
+        }
+
+        const symbols = [...exposures.keys()].filter(s => exposures.get(s) !== 0);
+        const covered = symbols.filter(s => priceHistory[s]?.length);
+        const uncovered = symbols.filter(s => !priceHistory[s]?.length);
+        const empty = { valueAtRisk: 0, expectedShortfall: 0, confidence: this.varConfidence, scenarios: 0, bootstrapped: false, uncovered };
+        if (!covered.length) return empty;
+
+        const aligned = this._alignedPrices(covered.map(s => priceHistory[s]));
+        const steps = aligned ? aligned.timestamps.length - 1 : 0;
+        if (steps < MIN_VAR_RETURNS) return null;
+
+        // Scale step returns to one day by the median step length
+        const gaps = aligned.timestamps.slice(1).map((t, n) => t - aligned.timestamps[n]).sort((a, b) => a - b);
+        const stepMs = gaps[Math.floor(gaps.length / 2)];
+        const scale = stepMs > 0 ? Math.sqrt(DAY_MS / stepMs) : 1;
+
+        const pnls = [];
+        for (let k = 1; k <= steps; k++) {
+            pnls.push(covered.reduce((sum, symbol, n) => {
+                const prices = aligned.prices[n];
+                return sum + exposures.get(symbol) * (prices[k] / prices[k - 1] - 1);
+            }, 0) * scale);
+        }
+
+        if (pnls.length >= this.minVarSamples) {
+            return { ...this._tailLosses(pnls), confidence: this.varConfidence, scenarios: pnls.length, bootstrapped: false, uncovered };
+        }
+
+        const random = this._seededRandom(pnls.length);
+        let valueAtRisk = 0;
+        let expectedShortfall = 0;
+        for (let run = 0; run < this.varBootstrapRuns; run++) {
+            const sample = Array.from({ length: this.minVarSamples }, () => pnls[Math.floor(random() * pnls.length)]);
+            const tail = this._tailLosses(sample);
+            valueAtRisk += tail.valueAtRisk / this.varBootstrapRuns;
+            expectedShortfall += tail.expectedShortfall / this.varBootstrapRuns;
+        }
+        return { valueAtRisk, expectedShortfall, confidence: this.varConfidence, scenarios: pnls.length, bootstrapped: true, uncovered };
+    }
+
+    /**
+     * Step 9: a trade that raises the book's VaR past the limit is cut to the largest fraction that fits,
+     * or blocked when the book is already at the limit or the cut leaves less than `minNotional`.
+     * Trades that lower VaR (hedges) pass.
+     * @private
+     */
+    _checkValueAtRisk(signal, portfolio, result, minNotional) {
+        if (!(this.maxVarPercent > 0)) return result;
+
+        const positions = portfolio.positions || [];
+        const trade = { symbol: signal.symbol, side: signal.action === 'SELL' ? 'sell' : 'buy', size: result.adjustedSize, leverage: result.adjustedLeverage };
+        const varWith = (fraction) => this.getValueAtRisk([...positions, { ...trade, size: trade.size * fraction }], portfolio.priceHistory);
+
+        const after = varWith(1);
+        if (!after || after.uncovered.includes(signal.symbol)) return result;
+
+        const before = varWith(0);
+        const limit = portfolio.balance * (this.maxVarPercent / 100);
+        const label = `1-day VaR (${(this.varConfidence * 100).toFixed(0)}%)`;
+        const withVar = (r, v) => ({ ...r, valueAtRisk: v.valueAtRisk, expectedShortfall: v.expectedShortfall });
+
+        if (after.valueAtRisk <= limit || after.valueAtRisk <= before.valueAtRisk) return withVar(result, after);
+
+        if (before.valueAtRisk >= limit) {
+            return withVar({
+                allowed: false,
+                reason: `Portfolio ${label} already $${before.valueAtRisk.toFixed(0)} at limit $${limit.toFixed(0)}`,
+                adjustedLeverage: result.adjustedLeverage,
+                adjustedSize: 0
+            }, before);
+        }
+
+        // Largest fraction of the trade that keeps VaR within the limit
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (varWith(mid).valueAtRisk <= limit) low = mid;
+            else high = mid;
+        }
+
+        const notional = result.adjustedSize * low * result.adjustedLeverage;
+        if (notional < minNotional) {
+            return withVar({
+                allowed: false,
+                reason: `Size capped by VaR too small: $${notional.toFixed(2)} notional < $${minNotional.toFixed(2)} minimum`,
+                adjustedLeverage: result.adjustedLeverage,
+                adjustedSize: 0
+            }, before);
+        }
+
+        console.log(`   📉 ${label} $${after.valueAtRisk.toFixed(0)} > $${limit.toFixed(0)}: ${signal.symbol} cut to ${(low * 100).toFixed(0)}% of its size.`);
+        return withVar({
+            ...result,
+            reason: 'Trade approved (size capped by VaR)',
+            adjustedSize: result.adjustedSize * low,
+            ...(result.riskAmount !== undefined && { riskAmount: result.riskAmount * low })
+        }, varWith(low));
+    }
+
+    /**
+     * VaR and expected shortfall of a set of PnL scenarios at `varConfidence`.
+     * @private
+     */
+    _tailLosses(pnls) {
+        const sorted = [...pnls].sort((a, b) => a - b);
+        const tailCount = Math.max(1, Math.ceil((1 - this.varConfidence) * sorted.length));
+        const tail = sorted.slice(0, tailCount);
+
+        return {
+            valueAtRisk: Math.max(0, -tail[tail.length - 1]),
+            expectedShortfall: Math.max(0, -tail.reduce((sum, pnl) => sum + pnl, 0) / tail.length)
+        };
+    }
+
+    /**
+     * Deterministic uniform [0, 1) generator (mulberry32).
+     * @private
+     */
+    _seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // --- Sizing ---
+
+    /**
+     * Steps 5-7 without a stop: the risk budget is the margin, rejected when it breaches a limit.
+     * @private
+     */
+    _sizeFromBudget(signal, portfolio, adjustedLeverage, riskPercent) {
+        const adjustedSize = this.calculatePositionSize(portfolio.balance, riskPercent);
+
+        // 6. Total exposure check
+        const maxExposure = portfolio.balance * (this.maxExposurePercent / 100);
+        const newExposure = portfolio.totalExposure + (adjustedSize * adjustedLeverage);
+        if (newExposure > maxExposure) {
+            return {
+                allowed: false,
+                reason: `Would exceed max exposure: $${newExposure.toFixed(0)} > $${maxExposure.toFixed(0)}`,
+                adjustedLeverage,
+                adjustedSize: 0
+            };
+        }
+
+        // 7. Per-asset exposure check
+        const maxPerAsset = portfolio.balance * (this.maxPerAssetPercent / 100);
+        const currentAssetExposure = this._assetExposure(portfolio, signal.symbol);
+
+        if (currentAssetExposure + (adjustedSize * adjustedLeverage) > maxPerAsset) {
+            return {
+                allowed: false,
+                reason: `Would exceed per-asset limit for ${signal.symbol}: $${(currentAssetExposure + adjustedSize * adjustedLeverage).toFixed(0)} > $${maxPerAsset.toFixed(0)}`,
+                adjustedLeverage,
+                adjustedSize: 0
+            };
+        }
+
+        return {
+            allowed: true,
+            reason: 'Trade approved',
+            adjustedLeverage,
+            adjustedSize
+        };
+    }
+
+    /**
+     * Distance from entry to stop as a % of entry, or null when the signal has no usable stop.
+     * @private
+     */
+    _stopDistancePercent(signal) {
+        const { entryPrice, stopLoss } = signal;
+        if (!(entryPrice > 0) || !(stopLoss > 0) || stopLoss === entryPrice) return null;
+        return (Math.abs(entryPrice - stopLoss) / entryPrice) * 100;
+    }
+
+    /**
+     * Steps 5-7 for a signal with a stop: size from the stop distance, then cap by exposure.
+     * @private
+     */
+    _sizeFromStop(signal, portfolio, adjustedLeverage, riskPercent, stopDistancePercent) {
+        const stop = { stopLoss: signal.stopLoss, stopDistancePercent };
+
+        // 5. Notional that loses exactly the risk budget at the stop
+        const riskNotional = this.calculatePositionSize(portfolio.balance, riskPercent, stopDistancePercent);
+
+        // 6. Total exposure room
+        const maxExposure = portfolio.balance * (this.maxExposurePercent / 100);
+        const exposureRoom = maxExposure - portfolio.totalExposure;
+        if (exposureRoom <= 0) {
+            return {
+                allowed: false,
+                reason: `Would exceed max exposure: $${portfolio.totalExposure.toFixed(0)} >= $${maxExposure.toFixed(0)}`,
+                adjustedLeverage,
+                adjustedSize: 0,
+                ...stop
+            };
+        }
+
+        // 7. Per-asset exposure room
+        const maxPerAsset = portfolio.balance * (this.maxPerAssetPercent / 100);
+        const assetRoom = maxPerAsset - this._assetExposure(portfolio, signal.symbol);
+        if (assetRoom <= 0) {
+            return {
+                allowed: false,
+                reason: `Would exceed per-asset limit for ${signal.symbol}: $${(maxPerAsset - assetRoom).toFixed(0)} >= $${maxPerAsset.toFixed(0)}`,
+                adjustedLeverage,
+                adjustedSize: 0,
+                ...stop
+            };
+        }
+
+        const [capName, notional] = Object.entries({ risk: riskNotional, 'max exposure': exposureRoom, 'per-asset limit': assetRoom })
+            .sort((a, b) => a[1] - b[1])[0];
+
+        // 7b. The room a cap leaves can be crumbs: reject rather than open dust
+        const minNotional = this._minNotional(riskNotional);
+        if (notional < minNotional) {
+            return {
+                allowed: false,
+                reason: `Size ${capName === 'risk' ? 'from the risk budget' : `capped by ${capName}`} too small: $${notional.toFixed(2)} notional < $${minNotional.toFixed(2)} minimum`,
+                adjustedLeverage,
+                adjustedSize: 0,
+                ...stop
+            };
+        }
+
+        return {
+            allowed: true,
+            reason: capName === 'risk' ? 'Trade approved' : `Trade approved (size capped by ${capName})`,
+            adjustedLeverage,
+            adjustedSize: notional / adjustedLeverage,
+            ...stop,
+            riskAmount: notional * (stopDistancePercent / 100)
+        };
+    }
+
+    /**
+     * Smallest notional a limit may cut a trade to: `minNotional`, and for a stop-sized trade
+     * `minRiskFraction` of the notional its full risk budget allows.
+     * @private
+     */
+    _minNotional(riskNotional = 0) {
+        return Math.max(this.minNotional, riskNotional * this.minRiskFraction);
+    }
+
+    /**
+     * Signed notional: positive long, negative short.
+     * @private
+     */
+    _directionalNotional(position) {
+        return (position.side === 'sell' ? -1 : 1) * position.size * position.leverage;
+    }
+
+    /**
+     * @private
+     */
+    _assetExposure(portfolio, symbol) {
+        return (portfolio.positions || [])
+            .filter(p => p.symbol === symbol)
+            .reduce((sum, p) => sum + (p.size * p.leverage), 0);
+    }
+
+    /**
+     * Parse "r:fraction" pairs, e.g. "1:0.5,2:0.3".
+     * @private
+     */
+    _parseLadder(value) {
+        if (!value) return [];
+        return value.split(',')
+            .map(pair => pair.split(':').map(parseFloat))
+            .filter(([r, fraction]) => r > 0 && fraction > 0)
+            .map(([r, fraction]) => ({ r, fraction }));
+    }
 }
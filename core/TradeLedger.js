@@ -0,0 +1,275 @@
+import fs from 'fs';
+import path from 'path';
+import { eventBus } from './EventBus.js';
+
+/**
+ * TradeLedger — Append-only history of closed trades and the account equity derived from it.
+ *
+ * Every `position:closed` and `position:reduced` (partial close) becomes one JSONL line in
+ * data/trades.jsonl with entry/exit, gross PnL, fees, funding and the net realized PnL.
+ * Costs reported after a trade was booked (`position:cost`, e.g. the fill of a triggered stop)
+ * are appended as their own lines and folded into that trade.
+ *
+ *   balance = initialBalance + Σ realized PnL (net of fees and funding)
+ *   equity  = balance + open positions' unrealized PnL − their fees and funding so far
+ *
+ * Polymarket positions publish the same events, so their closes are booked here too.
+ */
+export class TradeLedger {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.dataDir] - Directory for trades.jsonl (default: data/)
+     * @param {number} [config.initialBalance] - Account balance before the first trade (default: SURVIVAL_START_BALANCE env, else 1000)
+     * @param {function} [config.clock] - Time source for booking timestamps, epoch ms (default Date.now)
+     */
+    constructor(config = {}) {
+        this.dataDir = config.dataDir || path.join(process.cwd(), 'data');
+        this.ledgerFile = path.join(this.dataDir, 'trades.jsonl');
+        this.initialBalance = config.initialBalance || parseFloat(process.env.SURVIVAL_START_BALANCE) || 1000;
+        this._now = config.clock || Date.now;
+
+        this.trades = [];
+        this._byPosition = new Map();   // positionId -> trades booked for it (slices, then the close)
+
+        this._load();
+
+        this._onClosed = (position) => this.recordClose(position);
+        this._onReduced = (slice) => this.recordSlice(slice);
+        this._onCost = (cost) => this.recordCost(cost);
+        eventBus.on('position:closed', this._onClosed);
+        eventBus.on('position:reduced', this._onReduced);
+        eventBus.on('position:cost', this._onCost);
+
+        console.log(`📒 TradeLedger active. ${this.trades.length} trades | Realized: $${this.getRealizedPnl().toFixed(2)} | Balance: $${this.getBalance().toFixed(2)}`);
+    }
+
+    /**
+     * Stop listening to position events.
+     */
+    detach() {
+        eventBus.off('position:closed', this._onClosed);
+        eventBus.off('position:reduced', this._onReduced);
+        eventBus.off('position:cost', this._onCost);
+    }
+
+    // --- Booking ---
+
+    /**
+     * Book a closed position: what was still open, with the fees and funding it carried.
+     * @param {object} position - A closed PositionManager (or PolymarketPortfolio) position
+     * @returns {object} The trade
+     */
+    recordClose(position) {
+        return this._book({
+            positionId: position.id,
+            symbol: position.symbol,
+            side: position.side,
+            exchange: position.exchange,
+            entryPrice: position.entryPrice,
+            exitPrice: position.exitPrice ?? null,
+            size: position.size,
+            quantity: position.quantity ?? null,
+            leverage: position.leverage || 1,
+            grossPnl: position.unrealizedPnl || 0,
+            fees: position.fees || 0,
+            funding: position.funding || 0,
+            reason: position.closeReason,
+            partial: false,
+            openedAt: position.openedAt || null,
+            closedAt: position.closedAt || new Date(this._now()).toISOString()
+        });
+    }
+
+    /**
+     * Book a partial close.
+     * @param {object} slice - A 'position:reduced' slice
+     * @returns {object} The trade
+     */
+    recordSlice(slice) {
+        return this._book({
+            positionId: slice.positionId,
+            symbol: slice.symbol,
+            side: slice.side,
+            exchange: slice.exchange,
+            entryPrice: slice.entryPrice,
+            exitPrice: slice.exitPrice ?? null,
+            size: slice.size,
+            quantity: slice.quantity ?? null,
+            leverage: slice.leverage || 1,
+            grossPnl: slice.pnl || 0,
+            fees: slice.fees || 0,
+            funding: slice.funding || 0,
+            reason: slice.reason,
+            partial: true,
+            openedAt: slice.openedAt || null,
+            closedAt: slice.closedAt || new Date(this._now()).toISOString()
+        });
+    }
+
+    /**
+     * Book fees or funding for a trade already in the ledger. They count against its realized PnL.
+     * @param {object} cost - { positionId, fee, funding }
+     */
+    recordCost({ positionId, fee = 0, funding = 0 }) {
+        if (!fee && !funding) return;
+
+        const entry = { type: 'cost', positionId, fee, funding, at: new Date(this._now()).toISOString() };
+        this._append(entry);
+        this._applyCost(entry);
+    }
+
+    // --- Queries ---
+
+    /**
+     * Closed trades, newest last.
+     * @param {object} [filter]
+     * @param {string} [filter.symbol]
+     * @param {string} [filter.exchange]
+     * @param {number} [filter.limit] - Only the most recent N
+     * @returns {Array}
+     */
+    getTrades({ symbol = null, exchange = null, limit = null } = {}) {
+        const trades = this.trades.filter(t => (!symbol || t.symbol === symbol) && (!exchange || t.exchange === exchange));
+        return limit ? trades.slice(-limit) : trades;
+    }
+
+    /**
+     * Net realized PnL of every booked trade.
+     * @returns {number}
+     */
+    getRealizedPnl() {
+        return this.trades.reduce((sum, t) => sum + t.realizedPnl, 0);
+    }
+
+    /**
+     * Net realized PnL of one position: its partial closes, the final close and late costs.
+     * @param {string} positionId
+     * @returns {number}
+     */
+    getPositionPnl(positionId) {
+        return (this._byPosition.get(positionId) || []).reduce((sum, t) => sum + t.realizedPnl, 0);
+    }
+
+    /**
+     * Cash balance: the starting balance plus everything realized.
+     * @returns {number}
+     */
+    getBalance() {
+        return this.initialBalance + this.getRealizedPnl();
+    }
+
+    /**
+     * Account equity: the balance marked with the open positions.
+     * @param {Array} [openPositions] - PositionManager positions (unrealizedPnl, fees, funding)
+     * @returns {number}
+     */
+    getEquity(openPositions = []) {
+        const open = openPositions.reduce((sum, p) => sum + (p.unrealizedPnl || 0) - (p.fees || 0) - (p.funding || 0), 0);
+        return this.getBalance() + open;
+    }
+
+    /**
+     * Totals over the trade history.
+     * @returns {{ trades: number, wins: number, losses: number, grossPnl: number, fees: number, funding: number, realizedPnl: number, balance: number }}
+     */
+    getSummary() {
+        const sum = (key) => this.trades.reduce((total, t) => total + t[key], 0);
+        return {
+            trades: this.trades.length,
+            wins: this.trades.filter(t => t.realizedPnl > 0).length,
+            losses: this.trades.filter(t => t.realizedPnl < 0).length,
+            grossPnl: sum('grossPnl'),
+            fees: sum('fees'),
+            funding: sum('funding'),
+            realizedPnl: this.getRealizedPnl(),
+            balance: this.getBalance()
+        };
+    }
+
+    // --- Internals ---
+
+    /**
+     * @private
+     */
+    _book(fields) {
+        const trade = {
+            type: 'trade',
+            ...fields,
+            realizedPnl: fields.grossPnl - fields.fees - fields.funding
+        };
+
+        this._append(trade);
+        this._index(trade);
+
+        console.log(`📒 Trade booked: ${trade.side?.toUpperCase()} ${trade.symbol}${trade.partial ? ' (partial)' : ''} | Gross: $${trade.grossPnl.toFixed(2)} | Fees: $${trade.fees.toFixed(2)} | Funding: $${trade.funding.toFixed(2)} | Net: $${trade.realizedPnl.toFixed(2)}`);
+        return trade;
+    }
+
+    /**
+     * @private
+     */
+    _index(trade) {
+        this.trades.push(trade);
+        if (!this._byPosition.has(trade.positionId)) this._byPosition.set(trade.positionId, []);
+        this._byPosition.get(trade.positionId).push(trade);
+    }
+
+    /**
+     * Fold a late cost into the latest trade of its position.
+     * @private
+     */
+    _applyCost(cost) {
+        const trades = this._byPosition.get(cost.positionId);
+        const trade = trades?.[trades.length - 1];
+        if (!trade) {
+            console.warn(`⚠️ TradeLedger: cost for unknown position ${cost.positionId} ignored.`);
+            return;
+        }
+
+        trade.fees += cost.fee || 0;
+        trade.funding += cost.funding || 0;
+        trade.realizedPnl -= (cost.fee || 0) + (cost.funding || 0);
+    }
+
+    /**
+     * @private
+     */
+    _append(entry) {
+        try {
+            if (!fs.existsSync(this.dataDir)) {
+                fs.mkdirSync(this.dataDir, { recursive: true });
+            }
+            fs.appendFileSync(this.ledgerFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            console.error('❌ Failed to append to trade ledger:', error.message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _load() {
+        try {
+            if (!fs.existsSync(this.ledgerFile)) return;
+
+            const lines = fs.readFileSync(this.ledgerFile, 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    // A line cut short by a crash mid-write
+                    console.warn('⚠️ TradeLedger: skipping unreadable line.');
+                    continue;
+                }
+
+                if (entry.type === 'cost') this._applyCost(entry);
+                else this._index(entry);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load trade ledger:', error.message);
+            this.trades = [];
+            this._byPosition = new Map();
+        }
+    }
+}
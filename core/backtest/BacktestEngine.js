@@ -0,0 +1,230 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { eventBus } from '../EventBus.js';
+import { AgentOrchestrator } from '../AgentOrchestrator.js';
+import { HistoricalDataLoader } from './HistoricalDataLoader.js';
+import { BacktestReport } from './BacktestReport.js';
+
+/**
+ * BacktestEngine — Replays historical candles through the full agent loop.
+ *
+ * For every bar on the merged timeline:
+ *   1. PositionManager.checkCandle() — fill TP/SL against the bar's high/low
+ *   2. MarketDataFeed._processTick() — push the close (indicators, price:update)
+ *   3. AgentOrchestrator._runCycle() — gather → think → risk → execute → monitor,
+ *      whenever the simulated clock has reached the next (adaptive) cycle time
+ *   4. Sample equity (the agent's ledger balance marked with the open positions, net of fees and funding)
+ *
+ * Nothing touches the wall clock or live market feeds. Persistence goes to a scratch
+ * directory so a backtest never overwrites the live agent's data/.
+ *
+ * @example
+ *   const engine = new BacktestEngine({
+ *       initialBalance: 1000,
+ *       dataDir: './history',          // BTCUSDT.csv, ETHUSDT.jsonl, ...
+ *       llmConfig: { provider: 'ollama' }
+ *   });
+ *   const report = await engine.run();
+ *   report.print();
+ */
+export class BacktestEngine {
+    /**
+     * @param {object} config
+     * @param {number} config.initialBalance - Starting equity
+     * @param {string} [config.dataDir] - Directory with <SYMBOL>.csv / <SYMBOL>.jsonl files
+     * @param {Object<string, string>} [config.files] - Explicit symbol → file map
+     * @param {string[]} [config.symbols] - Restrict to these symbols
+     * @param {number|string} [config.from] - Start of the replay window
+     * @param {number|string} [config.to] - End of the replay window
+     * @param {number} [config.baseIntervalMs] - Simulated decision interval (default: one bar)
+     * @param {number} [config.warmupBars] - Bars replayed before the first decision, for indicators (default 50)
+     * @param {object} [config.llm] - Pre-built LLM client (e.g. a replaying cassette)
+     * @param {object} [config.llmConfig] - LLMClient config when no client is given
+     * @param {object} [config.riskConfig] - RiskManager overrides
+     * @param {boolean|object} [config.paperTrading] - Fill through a PaperExchange (fees, slippage, funding, liquidations)
+     * @param {string} [config.workDir] - Scratch directory for persistence (default: a temp dir, removed after each run)
+     */
+    constructor(config) {
+        this.config = config;
+        this.initialBalance = config.initialBalance || 1000;
+        this.warmupBars = config.warmupBars ?? 50;
+
+        this.loader = new HistoricalDataLoader({
+            dataDir: config.dataDir,
+            files: config.files,
+            symbols: config.symbols,
+            from: config.from,
+            to: config.to
+        });
+
+        this.workDir = config.workDir || null;
+
+        this._clock = 0;
+        this._halted = false;
+        this._haltReason = null;
+    }
+
+    /**
+     * Run the backtest to completion.
+     * @returns {Promise<BacktestReport>}
+     */
+    async run() {
+        const dataset = this.loader.load();
+        const symbols = Object.keys(dataset);
+        const timeline = this.loader.toTimeline(dataset);
+        const barIntervalMs = this.loader.detectInterval(dataset);
+
+        if (timeline.length === 0) {
+            throw new Error('Backtest timeline is empty.');
+        }
+
+        console.log(`\n⏪ ═══ BACKTEST: ${symbols.join(', ')} | ${timeline.length} bars | ${new Date(timeline[0].timestamp).toISOString()} → ${new Date(timeline[timeline.length - 1].timestamp).toISOString()} ═══`);
+
+        this._clock = timeline[0].timestamp;
+
+        // A temp dir of our own per run; a configured one is kept
+        const ownsWorkDir = !this.config.workDir;
+        if (ownsWorkDir) this.workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-backtest-'));
+
+        // Start from a clean book even if the scratch directory is reused
+        for (const file of ['positions.json', 'paper.json', 'state.json', 'trades.jsonl', 'risk.json']) {
+            fs.rmSync(path.join(this.workDir, file), { force: true });
+        }
+
+        const agent = new AgentOrchestrator({
+            initialBalance: this.initialBalance,
+            symbols,
+            baseIntervalMs: this.config.baseIntervalMs || barIntervalMs || 1,
+            dataDir: this.workDir,
+            alphaDbPath: path.join(this.workDir, 'alpha_db.json'),
+            llm: this.config.llm,
+            llmConfig: this.config.llmConfig,
+            riskConfig: this.config.riskConfig,
+            paperTrading: this.config.paperTrading,
+            clock: () => this._clock
+        });
+        const paper = agent.paperExchange;
+
+        const trades = [];
+        const openedAt = new Map();
+        const survivalTransitions = [];
+        const equityCurve = [];
+
+        const onOpened = (position) => {
+            openedAt.set(position.id, this._clock);
+        };
+        const onSurvival = (data) => {
+            survivalTransitions.push({ ...data, timestamp: this._clock });
+        };
+        const onShutdown = (data) => {
+            this._halted = true;
+            this._haltReason = data?.reason || 'shutdown';
+        };
+
+        eventBus.on('position:opened', onOpened);
+        eventBus.on('survival:change', onSurvival);
+        eventBus.on('agent:shutdown', onShutdown);
+
+        try {
+            let nextCycleAt = 0;
+
+            for (let i = 0; i < timeline.length; i++) {
+                if (this._halted) break;
+
+                const step = timeline[i];
+                this._clock = step.timestamp;
+
+                for (const bar of step.bars) {
+                    agent.positionManager.checkCandle(bar);
+                    agent.marketData._processTick(bar.symbol, bar.close, {
+                        high: bar.high,
+                        low: bar.low,
+                        volume: bar.volume,
+                        timestamp: bar.timestamp
+                    });
+                }
+
+                if (i >= this.warmupBars && this._clock >= nextCycleAt) {
+                    await agent._runCycle();
+                    nextCycleAt = this._clock + agent._getAdaptiveInterval();
+                }
+
+                equityCurve.push({
+                    timestamp: this._clock,
+                    equity: this._equity(agent)
+                });
+            }
+
+            // Let any shutdown closes triggered in the last cycle settle
+            await new Promise(resolve => setImmediate(resolve));
+
+            // Mark remaining positions to the last close
+            for (const position of agent.positionManager.getOpen()) {
+                const lastPrice = agent.marketData.getPrice(position.symbol);
+                const fill = paper ? await paper.executeClose(position).catch(() => null) : null;
+                agent.positionManager.close(position.id, 'backtest_end', fill?.avgPrice || lastPrice, fill?.fee);
+            }
+
+            if (equityCurve.length > 0) {
+                equityCurve[equityCurve.length - 1].equity = this._equity(agent);
+            }
+
+            // The ledger's trades (partial closes included), net of fees and funding like the equity
+            for (const trade of agent.ledger.getTrades()) {
+                trades.push({
+                    id: trade.positionId,
+                    symbol: trade.symbol,
+                    side: trade.side,
+                    entryPrice: trade.entryPrice,
+                    exitPrice: trade.exitPrice,
+                    size: trade.size,
+                    leverage: trade.leverage,
+                    pnl: trade.realizedPnl,
+                    fees: trade.fees,
+                    funding: trade.funding,
+                    reason: trade.reason,
+                    openedAt: openedAt.get(trade.positionId) ?? null,
+                    closedAt: Date.parse(trade.closedAt)
+                });
+            }
+        } finally {
+            if (paper) paper.detach();
+            agent.detach();
+            if (ownsWorkDir) fs.rmSync(this.workDir, { recursive: true, force: true });
+            eventBus.off('position:opened', onOpened);
+            eventBus.off('survival:change', onSurvival);
+            eventBus.off('agent:shutdown', onShutdown);
+        }
+
+        return new BacktestReport({
+            initialBalance: this.initialBalance,
+            equityCurve,
+            trades,
+            survivalTransitions,
+            barIntervalMs,
+            meta: {
+                symbols,
+                from: timeline[0].timestamp,
+                to: this._clock,
+                bars: timeline.length,
+                cycles: agent._cycleCount,
+                halted: this._halted,
+                haltReason: this._haltReason,
+                paper: paper ? paper.getBalance() : null
+            }
+        });
+    }
+
+    /**
+     * Current simulated equity. With paper trading the venue's account (fees, slippage,
+     * funding, liquidations included) is authoritative; otherwise the agent's own ledger.
+     * @private
+     */
+    _equity(agent) {
+        if (agent.paperExchange) {
+            return agent.paperExchange.getBalance().equity;
+        }
+        return agent.ledger.getEquity(agent.positionManager.getOpen());
+    }
+}
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * BacktestReport — Performance statistics for a completed backtest run.
+ *
+ * Computed from the simulated equity curve and closed-trade list:
+ *   - Total return, final equity
+ *   - Max drawdown (absolute and % from peak)
+ *   - Sharpe and Sortino ratios (annualized from the bar interval, risk-free rate 0)
+ *   - Win rate, profit factor, average win / loss
+ *   - SurvivalManager state transitions over the run
+ */
+export class BacktestReport {
+    /**
+     * @param {object} params
+     * @param {number} params.initialBalance - Starting equity
+     * @param {Array<{timestamp: number, equity: number}>} params.equityCurve - Equity sampled once per bar
+     * @param {Array} params.trades - Closed trades
+     * @param {Array} params.survivalTransitions - survival:change events stamped with simulated time
+     * @param {number} params.barIntervalMs - Bar spacing used to annualize ratios
+     * @param {object} [params.meta] - Free-form run metadata (symbols, period, halted...)
+     */
+    constructor(params) {
+        this.initialBalance = params.initialBalance;
+        this.equityCurve = params.equityCurve;
+        this.trades = params.trades;
+        this.survivalTransitions = params.survivalTransitions;
+        this.barIntervalMs = params.barIntervalMs;
+        this.meta = params.meta || {};
+
+        this.metrics = this._computeMetrics();
+    }
+
+    /**
+     * Serialize the report (metrics, trades, equity curve, survival transitions).
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            meta: this.meta,
+            metrics: this.metrics,
+            trades: this.trades,
+            survivalTransitions: this.survivalTransitions,
+            equityCurve: this.equityCurve
+        };
+    }
+
+    /**
+     * Write the report as JSON.
+     * @param {string} filePath
+     */
+    save(filePath) {
+        const dir = path.dirname(filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+        console.log(`💾 Backtest report saved to ${filePath}`);
+    }
+
+    /**
+     * Print a human-readable summary to the console.
+     */
+    print() {
+        const m = this.metrics;
+        const fmt = (n, digits = 2) => (n === null || !Number.isFinite(n) ? 'n/a' : n.toFixed(digits));
+
+        console.log('\n📊 ═══ BACKTEST REPORT ═══');
+        if (this.meta.symbols) console.log(`   Symbols:       ${this.meta.symbols.join(', ')}`);
+        if (this.meta.from) console.log(`   Period:        ${new Date(this.meta.from).toISOString()} → ${new Date(this.meta.to).toISOString()}`);
+        console.log(`   Bars:          ${this.equityCurve.length}`);
+        console.log(`   Final equity:  $${fmt(m.finalEquity)} (${fmt(m.totalReturnPercent)}%)`);
+        console.log(`   Max drawdown:  $${fmt(m.maxDrawdown)} (${fmt(m.maxDrawdownPercent)}%)`);
+        console.log(`   Sharpe:        ${fmt(m.sharpe)}`);
+        console.log(`   Sortino:       ${fmt(m.sortino)}`);
+        console.log(`   Trades:        ${m.tradeCount} | Win rate: ${fmt(m.winRate * 100, 1)}% | Profit factor: ${fmt(m.profitFactor)}`);
+        console.log(`   Avg win/loss:  $${fmt(m.averageWin)} / $${fmt(m.averageLoss)}`);
+
+        if (this.meta.paper) {
+            console.log(`   Fees paid:     $${fmt(this.meta.paper.feesPaid)} | Funding paid: $${fmt(this.meta.paper.fundingPaid)}`);
+        }
+
+        if (this.survivalTransitions.length > 0) {
+            console.log('   Survival transitions:');
+            for (const t of this.survivalTransitions) {
+                console.log(`     ${new Date(t.timestamp).toISOString()}  ${t.from} → ${t.to} (equity $${fmt(t.balance)})`);
+            }
+        }
+        if (this.meta.halted) {
+            console.log(`   ⚠️ Run halted early: ${this.meta.haltReason}`);
+        }
+    }
+
+    // --- Internal Methods ---
+
+    _computeMetrics() {
+        const equities = this.equityCurve.map(p => p.equity);
+        const finalEquity = equities.length > 0 ? equities[equities.length - 1] : this.initialBalance;
+
+        // Per-bar returns
+        const returns = [];
+        let previous = this.initialBalance;
+        for (const equity of equities) {
+            if (previous > 0) returns.push(equity / previous - 1);
+            previous = equity;
+        }
+
+        // Drawdown from running peak
+        let peak = this.initialBalance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const equity of equities) {
+            if (equity > peak) peak = equity;
+            const drawdown = peak - equity;
+            if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+            if (peak > 0 && (drawdown / peak) * 100 > maxDrawdownPercent) {
+                maxDrawdownPercent = (drawdown / peak) * 100;
+            }
+        }
+
+        const periodsPerYear = this.barIntervalMs > 0 ? YEAR_MS / this.barIntervalMs : 0;
+        const mean = returns.length > 0 ? returns.reduce((s, r) => s + r, 0) / returns.length : 0;
+
+        let sharpe = null;
+        if (returns.length > 1) {
+            const variance = returns.reduce((s, r) => s + (r - mean) ** 2, 0) / (returns.length - 1);
+            const std = Math.sqrt(variance);
+            sharpe = std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : null;
+        }
+
+        let sortino = null;
+        if (returns.length > 1) {
+            const downside = Math.sqrt(returns.reduce((s, r) => s + Math.min(r, 0) ** 2, 0) / returns.length);
+            sortino = downside > 0 ? (mean / downside) * Math.sqrt(periodsPerYear) : null;
+        }
+
+        // Trade statistics
+        const wins = this.trades.filter(t => t.pnl > 0);
+        const losses = this.trades.filter(t => t.pnl <= 0);
+        const grossProfit = wins.reduce((s, t) => s + t.pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((s, t) => s + t.pnl, 0));
+
+        return {
+            initialBalance: this.initialBalance,
+            finalEquity,
+            totalReturn: finalEquity - this.initialBalance,
+            totalReturnPercent: ((finalEquity / this.initialBalance) - 1) * 100,
+            maxDrawdown,
+            maxDrawdownPercent,
+            sharpe,
+            sortino,
+            tradeCount: this.trades.length,
+            winRate: this.trades.length > 0 ? wins.length / this.trades.length : 0,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+            averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+            averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+            survivalTransitionCount: this.survivalTransitions.length
+        };
+    }
+}
@@ -0,0 +1,274 @@
+import fs from 'fs';
+import path from 'path';
+
+// Accepted column names for each candle field (case-insensitive)
+const COLUMN_ALIASES = {
+    timestamp: ['timestamp', 'time', 'open_time', 'opentime', 'date', 'datetime', 't'],
+    open: ['open', 'o'],
+    high: ['high', 'h'],
+    low: ['low', 'l'],
+    close: ['close', 'c', 'price'],
+    volume: ['volume', 'vol', 'v']
+};
+
+// Column order of Binance kline exports (header-less CSV rows and JSON arrays)
+const KLINE_ORDER = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+
+/**
+ * HistoricalDataLoader — Reads OHLCV candles from CSV or JSONL files on disk.
+ *
+ * Supported formats:
+ *   CSV   — With a header row (timestamp/open/high/low/close/volume, common aliases accepted)
+ *           or header-less rows in Binance kline order.
+ *   JSONL — One candle per line, either an object with the same fields or a Binance kline array.
+ *
+ * Timestamps may be epoch seconds, epoch milliseconds or ISO-8601 strings.
+ *
+ * @example
+ *   const loader = new HistoricalDataLoader({ dataDir: './history', symbols: ['BTCUSDT'] });
+ *   const dataset = loader.load();          // { BTCUSDT: [{ timestamp, open, high, low, close, volume }, ...] }
+ *   const timeline = loader.toTimeline(dataset);
+ */
+export class HistoricalDataLoader {
+    /**
+     * @param {object} config
+     * @param {string} [config.dataDir] - Directory containing <SYMBOL>.csv or <SYMBOL>.jsonl files
+     * @param {Object<string, string>} [config.files] - Explicit symbol → file path map (overrides dataDir lookup)
+     * @param {string[]} [config.symbols] - Symbols to load (default: every file found in dataDir)
+     * @param {number|string} [config.from] - Drop candles before this time
+     * @param {number|string} [config.to] - Drop candles after this time
+     */
+    constructor(config = {}) {
+        this.dataDir = config.dataDir || null;
+        this.files = config.files || {};
+        this.symbols = config.symbols ? config.symbols.map(s => s.toUpperCase()) : null;
+        this.from = config.from !== undefined ? this._parseTimestamp(config.from) : null;
+        this.to = config.to !== undefined ? this._parseTimestamp(config.to) : null;
+    }
+
+    /**
+     * Load all configured symbols.
+     * @returns {Object<string, Array>} Candles keyed by symbol, sorted by timestamp
+     */
+    load() {
+        const sources = this._resolveSources();
+        const dataset = {};
+
+        for (const [symbol, filePath] of Object.entries(sources)) {
+            let candles = this.parseFile(filePath);
+
+            if (this.from !== null) candles = candles.filter(c => c.timestamp >= this.from);
+            if (this.to !== null) candles = candles.filter(c => c.timestamp <= this.to);
+
+            if (candles.length === 0) {
+                console.warn(`⚠️ [Backtest] No candles for ${symbol} in ${filePath} (after date filter).`);
+                continue;
+            }
+
+            dataset[symbol] = candles;
+            console.log(`📼 [Backtest] Loaded ${candles.length} candles for ${symbol} from ${path.basename(filePath)}`);
+        }
+
+        return dataset;
+    }
+
+    /**
+     * Parse a single CSV or JSONL file into candles.
+     * @param {string} filePath
+     * @returns {Array<{timestamp: number, open: number, high: number, low: number, close: number, volume: number}>}
+     */
+    parseFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const lines = raw.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        const ext = path.extname(filePath).toLowerCase();
+
+        const candles = (ext === '.jsonl' || ext === '.ndjson')
+            ? this._parseJsonLines(lines)
+            : this._parseCsv(lines);
+
+        // Sort and drop duplicate timestamps (keep the last occurrence)
+        const byTime = new Map();
+        for (const candle of candles) {
+            byTime.set(candle.timestamp, candle);
+        }
+        return Array.from(byTime.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Merge per-symbol candles into a single chronological timeline.
+     * @param {Object<string, Array>} dataset
+     * @returns {Array<{timestamp: number, bars: Array}>} One step per distinct timestamp
+     */
+    toTimeline(dataset) {
+        const steps = new Map();
+
+        for (const [symbol, candles] of Object.entries(dataset)) {
+            for (const candle of candles) {
+                if (!steps.has(candle.timestamp)) {
+                    steps.set(candle.timestamp, []);
+                }
+                steps.get(candle.timestamp).push({ symbol, ...candle });
+            }
+        }
+
+        return Array.from(steps.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([timestamp, bars]) => ({ timestamp, bars }));
+    }
+
+    /**
+     * Estimate the bar interval (median spacing between candles).
+     * @param {Object<string, Array>} dataset
+     * @returns {number} Interval in ms (0 if undeterminable)
+     */
+    detectInterval(dataset) {
+        const gaps = [];
+        for (const candles of Object.values(dataset)) {
+            for (let i = 1; i < candles.length; i++) {
+                gaps.push(candles[i].timestamp - candles[i - 1].timestamp);
+            }
+        }
+        if (gaps.length === 0) return 0;
+
+        gaps.sort((a, b) => a - b);
+        return gaps[Math.floor(gaps.length / 2)];
+    }
+
+    // --- Internal Methods ---
+
+    _resolveSources() {
+        const sources = {};
+
+        for (const [symbol, filePath] of Object.entries(this.files)) {
+            sources[symbol.toUpperCase()] = filePath;
+        }
+
+        if (this.dataDir) {
+            if (!fs.existsSync(this.dataDir)) {
+                throw new Error(`Backtest data directory not found: ${this.dataDir}`);
+            }
+
+            for (const file of fs.readdirSync(this.dataDir)) {
+                const ext = path.extname(file).toLowerCase();
+                if (!['.csv', '.jsonl', '.ndjson'].includes(ext)) continue;
+
+                const symbol = path.basename(file, path.extname(file)).toUpperCase();
+                if (!sources[symbol]) {
+                    sources[symbol] = path.join(this.dataDir, file);
+                }
+            }
+        }
+
+        if (this.symbols) {
+            for (const symbol of Object.keys(sources)) {
+                if (!this.symbols.includes(symbol)) delete sources[symbol];
+            }
+            for (const symbol of this.symbols) {
+                if (!sources[symbol]) {
+                    console.warn(`⚠️ [Backtest] No data file found for ${symbol}.`);
+                }
+            }
+        }
+
+        if (Object.keys(sources).length === 0) {
+            throw new Error('No historical data files found. Provide dataDir or files.');
+        }
+
+        return sources;
+    }
+
+    _parseCsv(lines) {
+        if (lines.length === 0) return [];
+
+        const firstCells = lines[0].split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+        const hasHeader = firstCells.some(c => isNaN(parseFloat(c)) && isNaN(Date.parse(c)));
+
+        let columns;
+        let rows = lines;
+        if (hasHeader) {
+            columns = this._mapColumns(firstCells.map(c => c.toLowerCase()));
+            rows = lines.slice(1);
+        } else {
+            columns = {};
+            KLINE_ORDER.forEach((field, i) => { columns[field] = i; });
+        }
+
+        const candles = [];
+        for (const row of rows) {
+            const cells = row.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+            const candle = this._toCandle(field => cells[columns[field]]);
+            if (candle) candles.push(candle);
+        }
+        return candles;
+    }
+
+    _parseJsonLines(lines) {
+        const candles = [];
+
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // Skip malformed lines
+            }
+
+            let candle;
+            if (Array.isArray(entry)) {
+                candle = this._toCandle(field => entry[KLINE_ORDER.indexOf(field)]);
+            } else {
+                const keys = Object.keys(entry);
+                const columns = this._mapColumns(keys.map(k => k.toLowerCase()));
+                candle = this._toCandle(field => entry[keys[columns[field]]]);
+            }
+            if (candle) candles.push(candle);
+        }
+        return candles;
+    }
+
+    _mapColumns(names) {
+        const columns = {};
+        for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+            const index = names.findIndex(n => aliases.includes(n));
+            if (index !== -1) columns[field] = index;
+        }
+
+        if (columns.timestamp === undefined || columns.close === undefined) {
+            throw new Error(`Historical data needs at least a timestamp and close column (got: ${names.join(', ')})`);
+        }
+        return columns;
+    }
+
+    _toCandle(get) {
+        const timestamp = this._parseTimestamp(get('timestamp'));
+        const close = parseFloat(get('close'));
+        if (!timestamp || !Number.isFinite(close)) return null;
+
+        const open = parseFloat(get('open'));
+        const high = parseFloat(get('high'));
+        const low = parseFloat(get('low'));
+        const volume = parseFloat(get('volume'));
+
+        return {
+            timestamp,
+            open: Number.isFinite(open) ? open : close,
+            high: Number.isFinite(high) ? high : close,
+            low: Number.isFinite(low) ? low : close,
+            close,
+            volume: Number.isFinite(volume) ? volume : 0
+        };
+    }
+
+    _parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const numeric = typeof value === 'number' ? value : Number(value);
+        if (Number.isFinite(numeric)) {
+            // Epoch seconds vs milliseconds
+            return numeric < 1e12 ? numeric * 1000 : numeric;
+        }
+
+        const parsed = Date.parse(value);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+}
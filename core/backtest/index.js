@@ -0,0 +1,3 @@
+export { HistoricalDataLoader } from './HistoricalDataLoader.js';
+export { BacktestReport } from './BacktestReport.js';
+export { BacktestEngine } from './BacktestEngine.js';
@@ -0,0 +1,527 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import WebSocket from 'ws';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    OrderNotFoundError,
+    RateLimitError,
+    ReduceOnlyViolationError
+} from './ExchangeAdapter.js';
+
+const MAINNET = { baseUrl: 'https://fapi.binance.com', wsUrl: 'wss://fstream.binance.com' };
+const TESTNET = { baseUrl: 'https://testnet.binancefuture.com', wsUrl: 'wss://stream.binancefuture.com' };
+
+// Contract order types → Binance order types
+const ORDER_TYPES = {
+    market: 'MARKET',
+    limit: 'LIMIT',
+    stop_market: 'STOP_MARKET',
+    stop_limit: 'STOP',
+    take_profit_market: 'TAKE_PROFIT_MARKET',
+    take_profit_limit: 'TAKE_PROFIT'
+};
+
+const ORDER_STATUSES = {
+    NEW: 'open',
+    PARTIALLY_FILLED: 'open',
+    FILLED: 'filled',
+    CANCELED: 'cancelled',
+    EXPIRED: 'cancelled',
+    REJECTED: 'rejected'
+};
+
+// Binance error codes handled locally
+const ERR_TIMESTAMP = -1021;
+const ERR_MARGIN_TYPE_UNCHANGED = -4046;
+const ERR_POSITION_MODE_UNCHANGED = -4059;
+
+// Binance error codes → typed errors
+const ERROR_TYPES = {
+    '-1003': RateLimitError,            // Too many requests
+    '-2011': OrderNotFoundError,        // Unknown order sent
+    '-2013': OrderNotFoundError,        // Order does not exist
+    '-2019': InsufficientBalanceError,  // Margin is insufficient
+    '-2022': ReduceOnlyViolationError,  // ReduceOnly Order is rejected
+    '-4118': ReduceOnlyViolationError   // ReduceOnly Order failed (position too small)
+};
+
+/**
+ * BinanceAdapter — Binance USDⓈ-M Futures.
+ *
+ * Signed REST requests (HMAC-SHA256 over the query string, with `recvWindow`) and the
+ * listenKey user-data stream. Fills from ORDER_TRADE_UPDATE are published through
+ * subscribeFills(); ACCOUNT_UPDATE positions are synced into the attached
+ * PositionManager so entry price and size match the exchange. Funding settlements
+ * (ACCOUNT_UPDATE with reason FUNDING_FEE) are looked up in the income history and
+ * published through subscribeFunding().
+ *
+ * Symbols use the Binance format (BTCUSDT); 'BTC/USDT' is accepted. Quantities and
+ * prices are rounded to the symbol's LOT_SIZE / PRICE_FILTER from exchangeInfo.
+ *
+ * One-way mode is the default. With `positionMode: 'hedge'` (the account must be in
+ * hedge mode too, see setPositionMode()) orders carry `positionSide` instead of `reduceOnly`.
+ *
+ * Point `baseUrl` / `wsUrl` at the testnet or a local mock server to run without funds.
+ *
+ * @example
+ *   const binance = new BinanceAdapter({ apiKey, apiSecret, marginType: 'ISOLATED' });
+ *   await binance.setLeverage('BTCUSDT', 10);
+ *   await binance.placeOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.01 });
+ *   await binance.placeOrder({ symbol: 'BTCUSDT', side: 'sell', quantity: 0.01, type: 'stop_market', stopPrice: 60000, reduceOnly: true });
+ *   await binance.connect(); // user-data stream
+ */
+export class BinanceAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.apiKey] - API key (default env BINANCE_API_KEY)
+     * @param {string} [config.apiSecret] - API secret (default env BINANCE_API_SECRET)
+     * @param {boolean} [config.testnet] - Use the futures testnet endpoints
+     * @param {string} [config.baseUrl] - REST base URL (default env BINANCE_BASE_URL or https://fapi.binance.com)
+     * @param {string} [config.wsUrl] - Stream base URL (default env BINANCE_WS_URL or wss://fstream.binance.com)
+     * @param {number} [config.recvWindow] - Signed request validity window in ms (default 5000)
+     * @param {'ISOLATED'|'CROSSED'} [config.marginType] - Margin type applied before leverage is set
+     * @param {number} [config.keepAliveMs] - listenKey keep-alive interval (default 30 min)
+     * @param {number} [config.connectTimeoutMs] - Max wait for the user-data stream to open (default 10000)
+     * @param {'one_way'|'hedge'} [config.positionMode] - Account position mode (default env BINANCE_POSITION_MODE or 'one_way')
+     * @param {PositionManager} [config.positionManager] - Receives position syncs from the user-data stream
+     */
+    constructor(config = {}) {
+        super({ name: 'binance', positionMode: config.positionMode || process.env.BINANCE_POSITION_MODE || 'one_way', feesOnFills: true });
+        const defaults = config.testnet ? TESTNET : MAINNET;
+
+        this.apiKey = config.apiKey || process.env.BINANCE_API_KEY;
+        this.apiSecret = config.apiSecret || process.env.BINANCE_API_SECRET;
+        this.baseUrl = config.baseUrl || process.env.BINANCE_BASE_URL || defaults.baseUrl;
+        this.wsUrl = config.wsUrl || process.env.BINANCE_WS_URL || defaults.wsUrl;
+        this.recvWindow = config.recvWindow || 5000;
+        this.marginType = config.marginType ? config.marginType.toUpperCase() : null;
+        this.keepAliveMs = config.keepAliveMs || 30 * 60 * 1000;
+        this.connectTimeoutMs = config.connectTimeoutMs || 10000;
+        this.positionManager = config.positionManager || null;
+
+        if (!this.apiKey || !this.apiSecret) {
+            throw new Error('BinanceAdapter requires apiKey and apiSecret.');
+        }
+
+        this.listenKey = null;
+        this._symbols = null;        // symbol -> { stepSize, tickSize }
+        this._marginTypes = {};      // symbol -> margin type already applied
+        this._timeOffset = 0;        // server time - local time
+        this._ws = null;
+        this._keepAliveTimer = null;
+        this._reconnectTimer = null;
+        this._reconnectAttempts = 0;
+        this._closing = false;
+        this._fundingSince = null;   // income history already published up to (ms)
+        this._fundingLookup = Promise.resolve();
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * @param {object} params - { symbol, side, quantity, type, price, stopPrice, reduceOnly, positionSide }
+     *   type: 'market' | 'limit' | 'stop_market' | 'stop_limit' | 'take_profit_market' | 'take_profit_limit'
+     *   positionSide (hedge mode): 'LONG' | 'SHORT', derived from side and reduceOnly when omitted
+     */
+    async placeOrder(params) {
+        const symbol = this._normalizeSymbol(params.symbol);
+        const type = ORDER_TYPES[(params.type || 'market').toLowerCase()];
+        if (!type) {
+            throw new Error(`Unsupported Binance order type: ${params.type}`);
+        }
+
+        const query = {
+            symbol,
+            side: params.side.toUpperCase(),
+            type,
+            quantity: await this._formatQuantity(symbol, params.quantity),
+            newOrderRespType: 'RESULT'
+        };
+        if (type === 'LIMIT' || type === 'STOP' || type === 'TAKE_PROFIT') {
+            query.price = await this._formatPrice(symbol, params.price);
+            query.timeInForce = params.timeInForce || 'GTC';
+        }
+        if (type !== 'MARKET' && type !== 'LIMIT') {
+            query.stopPrice = await this._formatPrice(symbol, params.stopPrice);
+            query.workingType = params.workingType || 'MARK_PRICE';
+        }
+        if (this.positionMode === 'hedge') {
+            // Hedge mode rejects reduceOnly: a buy on the SHORT side is what reduces a short
+            const opensLong = (query.side === 'BUY') !== !!params.reduceOnly;
+            query.positionSide = params.positionSide || (opensLong ? 'LONG' : 'SHORT');
+        } else if (params.reduceOnly) {
+            query.reduceOnly = 'true';
+        }
+
+        const res = await this._send('POST', '/fapi/v1/order', query);
+        return this._toOrder(res);
+    }
+
+    async cancelOrder(orderId, symbol) {
+        const res = await this._send('DELETE', '/fapi/v1/order', {
+            symbol: this._normalizeSymbol(symbol),
+            orderId
+        });
+        return res.status === 'CANCELED';
+    }
+
+    async getPositions(symbol) {
+        const rows = await this._send('GET', '/fapi/v2/positionRisk', symbol ? { symbol: this._normalizeSymbol(symbol) } : {});
+        return rows
+            .filter(p => parseFloat(p.positionAmt) !== 0)
+            .map(p => ({
+                symbol: p.symbol,
+                side: parseFloat(p.positionAmt) > 0 ? 'buy' : 'sell',
+                quantity: Math.abs(parseFloat(p.positionAmt)),
+                entryPrice: parseFloat(p.entryPrice),
+                leverage: parseFloat(p.leverage) || 1,
+                unrealizedPnl: parseFloat(p.unRealizedProfit) || 0,
+                liquidationPrice: parseFloat(p.liquidationPrice) || null,
+                marginType: p.marginType
+            }));
+    }
+
+    async getBalance() {
+        const account = await this._send('GET', '/fapi/v2/account', {});
+        return {
+            balance: parseFloat(account.totalWalletBalance),
+            equity: parseFloat(account.totalMarginBalance),
+            available: parseFloat(account.availableBalance),
+            unrealizedPnl: parseFloat(account.totalUnrealizedProfit)
+        };
+    }
+
+    async getOpenOrders(symbol) {
+        const rows = await this._send('GET', '/fapi/v1/openOrders', symbol ? { symbol: this._normalizeSymbol(symbol) } : {});
+        return rows.map(o => this._toOrder(o));
+    }
+
+    /**
+     * Set leverage, applying the configured margin type first (once per symbol).
+     */
+    async setLeverage(symbol, leverage) {
+        const pair = this._normalizeSymbol(symbol);
+        if (this.marginType && this._marginTypes[pair] !== this.marginType) {
+            await this.setMarginType(pair, this.marginType);
+        }
+
+        const res = await this._send('POST', '/fapi/v1/leverage', {
+            symbol: pair,
+            leverage: Math.round(leverage)
+        });
+        return res.leverage;
+    }
+
+    /**
+     * @param {string} symbol
+     * @param {'ISOLATED'|'CROSSED'} marginType
+     */
+    async setMarginType(symbol, marginType) {
+        const pair = this._normalizeSymbol(symbol);
+        try {
+            await this._send('POST', '/fapi/v1/marginType', { symbol: pair, marginType: marginType.toUpperCase() });
+        } catch (error) {
+            // Already set: Binance reports it as an error
+            if (error.code !== ERR_MARGIN_TYPE_UNCHANGED) throw error;
+        }
+        this._marginTypes[pair] = marginType.toUpperCase();
+        return this._marginTypes[pair];
+    }
+
+    /**
+     * Switch the account between one-way and hedge mode (Binance applies it to every symbol,
+     * and refuses while positions or orders are open).
+     * @param {'one_way'|'hedge'} mode
+     */
+    async setPositionMode(mode) {
+        try {
+            await this._send('POST', '/fapi/v1/positionSide/dual', { dualSidePosition: String(mode === 'hedge') });
+        } catch (error) {
+            if (error.code !== ERR_POSITION_MODE_UNCHANGED) throw error;
+        }
+        this.positionMode = mode;
+        return mode;
+    }
+
+    // --- User-Data Stream ---
+
+    async connect() {
+        if (this._ws) return;
+        this._closing = false;
+
+        await this._openUserStream();
+
+        this._keepAliveTimer = setInterval(() => {
+            this._send('PUT', '/fapi/v1/listenKey', {}, { signed: false })
+                .catch(err => console.warn(`⚠️ [Binance] listenKey keep-alive failed: ${err.message}`));
+        }, this.keepAliveMs);
+        this._keepAliveTimer.unref?.();
+    }
+
+    async disconnect() {
+        this._closing = true;
+        clearInterval(this._keepAliveTimer);
+        clearTimeout(this._reconnectTimer);
+        this._keepAliveTimer = null;
+        this._reconnectTimer = null;
+
+        if (this._ws) {
+            this._ws.close();
+            this._ws = null;
+        }
+        if (this.listenKey) {
+            this.listenKey = null;
+            await this._send('DELETE', '/fapi/v1/listenKey', {}, { signed: false }).catch(() => {});
+        }
+    }
+
+    /**
+     * Create a listenKey and open its stream. Resolves once the socket is open; rejects if the
+     * listenKey request fails, the socket errors or closes first, or it doesn't open within `connectTimeoutMs`.
+     * @private
+     */
+    async _openUserStream() {
+        const { listenKey } = await this._send('POST', '/fapi/v1/listenKey', {}, { signed: false });
+        this.listenKey = listenKey;
+
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(`${this.wsUrl}/ws/${listenKey}`);
+            this._ws = ws;
+            let ready = false;
+
+            const fail = (error) => {
+                if (ready) return;
+                clearTimeout(timeout);
+                if (this._ws === ws) this._ws = null;
+                ws.terminate();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new ExchangeApiError(this.name, `User-data stream not open after ${this.connectTimeoutMs}ms`)), this.connectTimeoutMs);
+
+            ws.on('open', () => {
+                ready = true;
+                clearTimeout(timeout);
+                this._reconnectAttempts = 0;
+                console.log('🔶 [Binance] User-data stream connected.');
+                resolve();
+            });
+
+            ws.on('message', (data) => {
+                try {
+                    this._onUserEvent(JSON.parse(data.toString()));
+                } catch (error) {
+                    console.error('❌ [Binance] Bad user-data event:', error.message);
+                }
+            });
+
+            ws.on('error', (err) => {
+                console.error(`❌ [Binance] User-data stream error: ${err.message}`);
+                fail(new ExchangeApiError(this.name, `WebSocket error: ${err.message}`));
+            });
+
+            ws.on('close', () => {
+                if (this._ws === ws) this._ws = null;
+                // Before open the caller (connect or the reconnect loop) handles the rejection
+                if (!ready) fail(new ExchangeApiError(this.name, 'User-data stream closed before it opened'));
+                else if (!this._closing) this._scheduleReconnect();
+            });
+        });
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(30000, 1000 * 2 ** this._reconnectAttempts++);
+        console.warn(`⚠️ [Binance] User-data stream closed. Reconnecting in ${delay / 1000}s...`);
+
+        this._reconnectTimer = setTimeout(() => {
+            this._openUserStream().catch((err) => {
+                console.error(`❌ [Binance] Reconnect failed: ${err.message}`);
+                if (!this._closing) this._scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    _onUserEvent(event) {
+        switch (event.e) {
+            case 'ORDER_TRADE_UPDATE': {
+                const o = event.o;
+                this._emitOrder(this._toOrder({
+                    orderId: o.i,
+                    symbol: o.s,
+                    side: o.S,
+                    type: o.o,
+                    status: o.X,
+                    price: o.p,
+                    stopPrice: o.sp,
+                    origQty: o.q,
+                    executedQty: o.z,
+                    avgPrice: o.ap,
+                    reduceOnly: o.R
+                }));
+                if (o.x !== 'TRADE') return;
+                this._emitFill({
+                    orderId: String(o.i),
+                    symbol: o.s,
+                    side: o.S.toLowerCase(),
+                    quantity: parseFloat(o.l),
+                    price: parseFloat(o.L),
+                    fee: parseFloat(o.n) || 0,
+                    feeAsset: o.N || null,
+                    realizedPnl: parseFloat(o.rp) || 0,
+                    reduceOnly: !!o.R,
+                    timestamp: o.T || event.E
+                });
+                return;
+            }
+            case 'ACCOUNT_UPDATE':
+                // The update only carries the new wallet balance; the per-symbol amounts are in the income history
+                if (event.a?.m === 'FUNDING_FEE') {
+                    this._fundingLookup = this._fundingLookup
+                        .then(() => this._publishFunding(event.E))
+                        .catch(err => console.warn(`⚠️ [Binance] Funding lookup failed: ${err.message}`));
+                }
+                for (const p of event.a?.P || []) {
+                    const amount = parseFloat(p.pa);
+                    // Hedge mode reports each side separately; one-way ('BOTH') by sign
+                    const side = p.ps === 'LONG' ? 'buy' : p.ps === 'SHORT' ? 'sell' : amount > 0 ? 'buy' : 'sell';
+                    this._syncManagedPosition({
+                        symbol: p.s,
+                        side,
+                        quantity: Math.abs(amount),
+                        entryPrice: parseFloat(p.ep)
+                    });
+                }
+                return;
+            case 'listenKeyExpired':
+                // Closing the socket triggers a reconnect with a fresh key
+                this._ws?.close();
+                return;
+        }
+    }
+
+    /**
+     * Publish the funding booked since the last lookup (or a minute before this event).
+     * @private
+     */
+    async _publishFunding(eventTime) {
+        const since = this._fundingSince ?? (eventTime || Date.now()) - 60000;
+        const rows = await this._send('GET', '/fapi/v1/income', { incomeType: 'FUNDING_FEE', startTime: since, limit: 1000 });
+        for (const row of rows) {
+            this._fundingSince = Math.max(this._fundingSince ?? 0, row.time + 1);
+            // income > 0 is received
+            this._emitFunding({ symbol: row.symbol, payment: -parseFloat(row.income), timestamp: row.time });
+        }
+    }
+
+    // --- Symbol Filters ---
+
+    async _symbolFilters(symbol) {
+        if (!this._symbols) {
+            const info = await this._send('GET', '/fapi/v1/exchangeInfo', {}, { signed: false });
+            this._symbols = {};
+            for (const s of info.symbols) {
+                const lot = s.filters.find(f => f.filterType === 'LOT_SIZE') || {};
+                const price = s.filters.find(f => f.filterType === 'PRICE_FILTER') || {};
+                this._symbols[s.symbol] = { stepSize: lot.stepSize || '0.001', tickSize: price.tickSize || '0.01' };
+            }
+        }
+
+        const filters = this._symbols[symbol];
+        if (!filters) {
+            throw new Error(`Unknown Binance symbol: ${symbol}`);
+        }
+        return filters;
+    }
+
+    async _formatQuantity(symbol, quantity) {
+        const { stepSize } = await this._symbolFilters(symbol);
+        const formatted = this._roundToStep(quantity, stepSize, Math.floor);
+        if (!(parseFloat(formatted) > 0)) {
+            throw new Error(`Quantity ${quantity} is below the ${symbol} step size (${stepSize}).`);
+        }
+        return formatted;
+    }
+
+    async _formatPrice(symbol, price) {
+        if (!(price > 0)) {
+            throw new Error(`A price is required for this ${symbol} order.`);
+        }
+        const { tickSize } = await this._symbolFilters(symbol);
+        return this._roundToStep(price, tickSize, Math.round);
+    }
+
+    // --- Transport ---
+
+    _sign(query) {
+        return crypto.createHmac('sha256', this.apiSecret).update(query).digest('hex');
+    }
+
+    /**
+     * Send a REST request. Signed requests carry timestamp, recvWindow and signature.
+     * Retries once after resyncing with server time when the timestamp is rejected.
+     * @private
+     */
+    async _send(method, endpoint, params, options = {}) {
+        const signed = options.signed !== false;
+        let query = new URLSearchParams(params).toString();
+
+        if (signed) {
+            query = new URLSearchParams({
+                ...params,
+                recvWindow: this.recvWindow,
+                timestamp: Date.now() + this._timeOffset
+            }).toString();
+            query += `&signature=${this._sign(query)}`;
+        }
+
+        const url = `${this.baseUrl}${endpoint}${query ? `?${query}` : ''}`;
+        const response = await fetch(url, {
+            method,
+            headers: { 'X-MBX-APIKEY': this.apiKey }
+        });
+
+        const text = await response.text();
+        let body;
+        try {
+            body = text ? JSON.parse(text) : {};
+        } catch {
+            throw new ExchangeApiError(this.name, `Invalid response from ${endpoint}: ${text.slice(0, 200)}`, { status: response.status });
+        }
+
+        if (!response.ok || (typeof body.code === 'number' && body.code < 0)) {
+            if (body.code === ERR_TIMESTAMP && signed && !options.retried) {
+                await this._syncTime();
+                return this._send(method, endpoint, params, { ...options, retried: true });
+            }
+            const ErrorType = ERROR_TYPES[body.code] || (response.status === 429 ? RateLimitError : ExchangeApiError);
+            throw new ErrorType(this.name, body.msg || `HTTP ${response.status}`, { code: body.code, status: response.status });
+        }
+
+        return body;
+    }
+
+    async _syncTime() {
+        const { serverTime } = await this._send('GET', '/fapi/v1/time', {}, { signed: false });
+        this._timeOffset = serverTime - Date.now();
+    }
+
+    _toOrder(o) {
+        const type = Object.keys(ORDER_TYPES).find(k => ORDER_TYPES[k] === o.type) || o.type.toLowerCase();
+        return {
+            id: String(o.orderId),
+            symbol: o.symbol,
+            side: o.side.toLowerCase(),
+            type,
+            price: parseFloat(o.price) || null,
+            stopPrice: parseFloat(o.stopPrice) || null,
+            quantity: parseFloat(o.origQty),
+            filledQuantity: parseFloat(o.executedQty),
+            avgPrice: parseFloat(o.avgPrice) || null,
+            fee: 0, // Commission arrives on the user-data stream
+            reduceOnly: !!o.reduceOnly,
+            status: ORDER_STATUSES[o.status] || 'open',
+            raw: o
+        };
+    }
+}
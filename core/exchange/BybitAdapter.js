@@ -0,0 +1,505 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import WebSocket from 'ws';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    OrderNotFoundError,
+    RateLimitError,
+    ReduceOnlyViolationError
+} from './ExchangeAdapter.js';
+
+const MAINNET = { baseUrl: 'https://api.bybit.com', wsUrl: 'wss://stream.bybit.com/v5/private' };
+const TESTNET = { baseUrl: 'https://api-testnet.bybit.com', wsUrl: 'wss://stream-testnet.bybit.com/v5/private' };
+
+// Contract order types → Bybit orderType, and whether they wait for a trigger
+const ORDER_TYPES = {
+    market: { orderType: 'Market', trigger: null },
+    limit: { orderType: 'Limit', trigger: null },
+    stop_market: { orderType: 'Market', trigger: 'stop' },
+    stop_limit: { orderType: 'Limit', trigger: 'stop' },
+    take_profit_market: { orderType: 'Market', trigger: 'take_profit' },
+    take_profit_limit: { orderType: 'Limit', trigger: 'take_profit' }
+};
+
+const ORDER_STATUSES = {
+    Created: 'open',
+    New: 'open',
+    Untriggered: 'open',
+    Triggered: 'open',
+    PartiallyFilled: 'open',
+    Filled: 'filled',
+    Cancelled: 'cancelled',
+    PartiallyFilledCanceled: 'cancelled',
+    Deactivated: 'cancelled',
+    Rejected: 'rejected'
+};
+
+// Bybit retCodes handled locally
+const RET_LEVERAGE_UNCHANGED = 110043;
+
+// Bybit retCodes → typed errors
+const ERROR_TYPES = {
+    10006: RateLimitError,              // Too many visits
+    110001: OrderNotFoundError,         // Order does not exist
+    110004: InsufficientBalanceError,   // Wallet balance insufficient
+    110007: InsufficientBalanceError,   // Available balance insufficient
+    110012: InsufficientBalanceError,   // Insufficient available balance
+    110017: ReduceOnlyViolationError,   // Reduce-only rule not satisfied
+    110052: InsufficientBalanceError    // Insufficient available balance to add margin
+};
+
+/**
+ * BybitAdapter — Bybit V5 unified API, linear (USDT perpetual) category.
+ *
+ * Requests are signed with HMAC-SHA256 over timestamp + apiKey + recvWindow + payload
+ * (query string for GET, JSON body for POST) and sent with the X-BAPI-* headers.
+ * A non-zero `retCode` throws ExchangeApiError, or a typed subclass for the codes the
+ * agent reacts to (insufficient balance, reduce-only violation, unknown order, rate limit).
+ *
+ * connect() opens the private WebSocket and subscribes to `order`, `execution` and
+ * `position`: executions are published through subscribeFills() (funding settlements
+ * through subscribeFunding()), order changes through subscribeOrders(), and positions
+ * re-sync the attached PositionManager.
+ *
+ * @example
+ *   const bybit = new BybitAdapter({ apiKey, apiSecret });
+ *   await bybit.setLeverage('BTCUSDT', 10);
+ *   const order = await bybit.placeOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.01, type: 'limit', price: 60000 });
+ *   await bybit.amendOrder(order.id, 'BTCUSDT', { price: 60500 });
+ */
+export class BybitAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.apiKey] - API key (default env BYBIT_API_KEY)
+     * @param {string} [config.apiSecret] - API secret (default env BYBIT_API_SECRET)
+     * @param {boolean} [config.testnet] - Use the testnet endpoints
+     * @param {string} [config.baseUrl] - REST base URL (default env BYBIT_BASE_URL or https://api.bybit.com)
+     * @param {string} [config.wsUrl] - Private stream URL (default env BYBIT_WS_URL or wss://stream.bybit.com/v5/private)
+     * @param {number} [config.recvWindow] - Signature validity window in ms (default 5000)
+     * @param {number} [config.pingIntervalMs] - WebSocket heartbeat (default 20000)
+     * @param {number} [config.connectTimeoutMs] - Max wait for the private stream's auth and subscribe acks (default 10000)
+     * @param {PositionManager} [config.positionManager] - Receives position syncs from the private stream
+     */
+    constructor(config = {}) {
+        super({ name: 'bybit', feesOnFills: true });
+        const defaults = config.testnet ? TESTNET : MAINNET;
+
+        this.apiKey = config.apiKey || process.env.BYBIT_API_KEY;
+        this.apiSecret = config.apiSecret || process.env.BYBIT_API_SECRET;
+        this.baseUrl = config.baseUrl || process.env.BYBIT_BASE_URL || defaults.baseUrl;
+        this.wsUrl = config.wsUrl || process.env.BYBIT_WS_URL || defaults.wsUrl;
+        this.recvWindow = config.recvWindow || 5000;
+        this.pingIntervalMs = config.pingIntervalMs || 20000;
+        this.connectTimeoutMs = config.connectTimeoutMs || 10000;
+        this.positionManager = config.positionManager || null;
+
+        if (!this.apiKey || !this.apiSecret) {
+            throw new Error('BybitAdapter requires apiKey and apiSecret.');
+        }
+
+        this._instruments = {};      // symbol -> { qtyStep, tickSize }
+        this._ws = null;
+        this._pingTimer = null;
+        this._reconnectTimer = null;
+        this._reconnectAttempts = 0;
+        this._closing = false;
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * @param {object} params - { symbol, side, quantity, type, price, stopPrice, reduceOnly, timeInForce }
+     *   type: 'market' | 'limit' | 'stop_market' | 'stop_limit' | 'take_profit_market' | 'take_profit_limit'
+     */
+    async placeOrder(params) {
+        const type = (params.type || 'market').toLowerCase();
+        const spec = ORDER_TYPES[type];
+        if (!spec) {
+            throw new Error(`Unsupported Bybit order type: ${params.type}`);
+        }
+
+        const symbol = this._normalizeSymbol(params.symbol);
+        const side = params.side.toLowerCase();
+        const body = {
+            category: 'linear',
+            symbol,
+            side: side === 'buy' ? 'Buy' : 'Sell',
+            orderType: spec.orderType,
+            qty: await this._formatQuantity(symbol, params.quantity)
+        };
+        if (spec.orderType === 'Limit') {
+            body.price = await this._formatPrice(symbol, params.price);
+            body.timeInForce = params.timeInForce || 'GTC';
+        }
+        if (spec.trigger) {
+            body.triggerPrice = await this._formatPrice(symbol, params.stopPrice);
+            body.triggerBy = 'MarkPrice';
+            // 1 = fires when price rises to the trigger, 2 = when it falls to it
+            const rising = spec.trigger === 'stop' ? side === 'buy' : side === 'sell';
+            body.triggerDirection = rising ? 1 : 2;
+        }
+        if (params.reduceOnly) body.reduceOnly = true;
+
+        const { orderId } = await this._send('POST', '/v5/order/create', body);
+
+        // Create only acknowledges; read back the order for fill price and status
+        const [placed] = await this._queryOrders({ symbol, orderId });
+        return placed || {
+            id: orderId,
+            symbol,
+            side,
+            type,
+            price: parseFloat(body.price) || null,
+            stopPrice: parseFloat(body.triggerPrice) || null,
+            quantity: parseFloat(body.qty),
+            filledQuantity: 0,
+            avgPrice: null,
+            fee: 0,
+            reduceOnly: !!params.reduceOnly,
+            status: 'open',
+            raw: { orderId }
+        };
+    }
+
+    /**
+     * @param {object} changes - { quantity, price, stopPrice }
+     */
+    async amendOrder(orderId, symbol, changes) {
+        const pair = this._normalizeSymbol(symbol);
+        const body = { category: 'linear', symbol: pair, orderId };
+        if (changes.quantity !== undefined) body.qty = await this._formatQuantity(pair, changes.quantity);
+        if (changes.price !== undefined) body.price = await this._formatPrice(pair, changes.price);
+        if (changes.stopPrice !== undefined) body.triggerPrice = await this._formatPrice(pair, changes.stopPrice);
+
+        await this._send('POST', '/v5/order/amend', body);
+        const [amended] = await this._queryOrders({ symbol: pair, orderId });
+        return amended || null;
+    }
+
+    async cancelOrder(orderId, symbol) {
+        await this._send('POST', '/v5/order/cancel', {
+            category: 'linear',
+            symbol: this._normalizeSymbol(symbol),
+            orderId
+        });
+        return true;
+    }
+
+    async getPositions(symbol) {
+        const query = { category: 'linear', settleCoin: 'USDT' };
+        if (symbol) query.symbol = this._normalizeSymbol(symbol);
+
+        const result = await this._send('GET', '/v5/position/list', query);
+        return result.list
+            .filter(p => parseFloat(p.size) > 0)
+            .map(p => this._toPosition(p));
+    }
+
+    async getBalance() {
+        const result = await this._send('GET', '/v5/account/wallet-balance', { accountType: 'UNIFIED' });
+        const account = result.list[0] || {};
+        return {
+            balance: parseFloat(account.totalWalletBalance) || 0,
+            equity: parseFloat(account.totalEquity) || 0,
+            available: parseFloat(account.totalAvailableBalance) || 0,
+            unrealizedPnl: parseFloat(account.totalPerpUPL) || 0
+        };
+    }
+
+    async getOpenOrders(symbol) {
+        const query = { settleCoin: 'USDT', openOnly: 0 };
+        if (symbol) query.symbol = this._normalizeSymbol(symbol);
+        return (await this._queryOrders(query)).filter(o => o.status === 'open');
+    }
+
+    async setLeverage(symbol, leverage) {
+        const value = String(Math.round(leverage));
+        try {
+            await this._send('POST', '/v5/position/set-leverage', {
+                category: 'linear',
+                symbol: this._normalizeSymbol(symbol),
+                buyLeverage: value,
+                sellLeverage: value
+            });
+        } catch (error) {
+            // Already at this leverage: Bybit reports it as an error
+            if (error.code !== RET_LEVERAGE_UNCHANGED) throw error;
+        }
+        return Math.round(leverage);
+    }
+
+    // --- Private Stream ---
+
+    async connect() {
+        if (this._ws) return;
+        this._closing = false;
+        await this._openPrivateStream();
+    }
+
+    async disconnect() {
+        this._closing = true;
+        clearInterval(this._pingTimer);
+        clearTimeout(this._reconnectTimer);
+        this._pingTimer = null;
+        this._reconnectTimer = null;
+
+        if (this._ws) {
+            this._ws.close();
+            this._ws = null;
+        }
+    }
+
+    /**
+     * Connect, authenticate and subscribe. Resolves once the subscription is acknowledged; rejects
+     * if auth or subscribe is refused, the socket closes first, or no ack arrives within `connectTimeoutMs`.
+     * @private
+     */
+    _openPrivateStream() {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.wsUrl);
+            this._ws = ws;
+            let ready = false;
+
+            const fail = (error) => {
+                if (ready) return;
+                clearTimeout(timeout);
+                if (this._ws === ws) this._ws = null;
+                ws.terminate();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new ExchangeApiError(this.name, `Private stream not ready after ${this.connectTimeoutMs}ms`)), this.connectTimeoutMs);
+
+            ws.on('open', () => {
+                const expires = Date.now() + 10000;
+                const signature = crypto.createHmac('sha256', this.apiSecret).update(`GET/realtime${expires}`).digest('hex');
+                ws.send(JSON.stringify({ op: 'auth', args: [this.apiKey, expires, signature] }));
+            });
+
+            ws.on('message', (data) => {
+                let msg;
+                try {
+                    msg = JSON.parse(data.toString());
+                } catch {
+                    return;
+                }
+
+                if (msg.op === 'auth') {
+                    if (!msg.success) {
+                        fail(new ExchangeApiError(this.name, `WebSocket auth failed: ${msg.ret_msg}`));
+                        return;
+                    }
+                    ws.send(JSON.stringify({ op: 'subscribe', args: ['order', 'execution', 'position'] }));
+                    return;
+                }
+
+                if (msg.op === 'subscribe') {
+                    if (!msg.success) {
+                        fail(new ExchangeApiError(this.name, `WebSocket subscribe failed: ${msg.ret_msg}`));
+                        return;
+                    }
+                    ready = true;
+                    clearTimeout(timeout);
+                    this._reconnectAttempts = 0;
+                    this._pingTimer = setInterval(() => ws.send(JSON.stringify({ op: 'ping' })), this.pingIntervalMs);
+                    this._pingTimer.unref?.();
+                    console.log('⚫ [Bybit] Private stream connected (order, execution, position).');
+                    resolve();
+                    return;
+                }
+
+                if (msg.topic) this._onPrivateMessage(msg);
+            });
+
+            ws.on('error', (err) => {
+                console.error(`❌ [Bybit] Private stream error: ${err.message}`);
+                fail(new ExchangeApiError(this.name, `WebSocket error: ${err.message}`));
+            });
+
+            ws.on('close', () => {
+                clearInterval(this._pingTimer);
+                this._pingTimer = null;
+                if (this._ws === ws) this._ws = null;
+                // Before the subscribe ack the caller (connect or the reconnect loop) handles the rejection
+                if (!ready) fail(new ExchangeApiError(this.name, 'Private stream closed before it was ready'));
+                else if (!this._closing) this._scheduleReconnect();
+            });
+        });
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(30000, 1000 * 2 ** this._reconnectAttempts++);
+        console.warn(`⚠️ [Bybit] Private stream closed. Reconnecting in ${delay / 1000}s...`);
+
+        this._reconnectTimer = setTimeout(() => {
+            this._openPrivateStream().catch((err) => {
+                console.error(`❌ [Bybit] Reconnect failed: ${err.message}`);
+                if (!this._closing) this._scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    _onPrivateMessage(msg) {
+        switch (msg.topic) {
+            case 'execution':
+                for (const e of msg.data) {
+                    if (e.category !== 'linear') continue;
+                    if (e.execType === 'Funding') {
+                        // Funding settles as an execution on the position's side: execFee > 0 is paid
+                        this._emitFunding({
+                            symbol: e.symbol,
+                            side: e.side.toLowerCase(),
+                            payment: parseFloat(e.execFee) || 0,
+                            rate: parseFloat(e.feeRate) || null,
+                            timestamp: parseInt(e.execTime) || msg.creationTime
+                        });
+                        continue;
+                    }
+                    if (e.execType !== 'Trade') continue;
+                    this._emitFill({
+                        orderId: e.orderId,
+                        symbol: e.symbol,
+                        side: e.side.toLowerCase(),
+                        quantity: parseFloat(e.execQty),
+                        price: parseFloat(e.execPrice),
+                        fee: parseFloat(e.execFee) || 0,
+                        maker: !!e.isMaker,
+                        timestamp: parseInt(e.execTime) || msg.creationTime
+                    });
+                }
+                return;
+            case 'order':
+                for (const o of msg.data) {
+                    if (o.category === 'linear') this._emitOrder(this._toOrder(o));
+                }
+                return;
+            case 'position':
+                for (const p of msg.data) {
+                    if (p.category && p.category !== 'linear') continue;
+                    this._syncManagedPosition(this._toPosition(p));
+                }
+                return;
+        }
+    }
+
+    // --- Instrument Filters ---
+
+    async _instrument(symbol) {
+        if (!this._instruments[symbol]) {
+            const result = await this._send('GET', '/v5/market/instruments-info', { category: 'linear', symbol }, { signed: false });
+            const info = result.list[0];
+            if (!info) {
+                throw new Error(`Unknown Bybit symbol: ${symbol}`);
+            }
+            this._instruments[symbol] = {
+                qtyStep: info.lotSizeFilter.qtyStep,
+                tickSize: info.priceFilter.tickSize
+            };
+        }
+        return this._instruments[symbol];
+    }
+
+    async _formatQuantity(symbol, quantity) {
+        const { qtyStep } = await this._instrument(symbol);
+        const formatted = this._roundToStep(quantity, qtyStep, Math.floor);
+        if (!(parseFloat(formatted) > 0)) {
+            throw new Error(`Quantity ${quantity} is below the ${symbol} step size (${qtyStep}).`);
+        }
+        return formatted;
+    }
+
+    async _formatPrice(symbol, price) {
+        if (!(price > 0)) {
+            throw new Error(`A price is required for this ${symbol} order.`);
+        }
+        const { tickSize } = await this._instrument(symbol);
+        return this._roundToStep(price, tickSize, Math.round);
+    }
+
+    // --- Transport ---
+
+    _sign(timestamp, payload) {
+        return crypto.createHmac('sha256', this.apiSecret)
+            .update(timestamp + this.apiKey + this.recvWindow + payload)
+            .digest('hex');
+    }
+
+    /**
+     * Send a REST request and unwrap `{ retCode, retMsg, result }`.
+     * @private
+     */
+    async _send(method, endpoint, params, options = {}) {
+        const query = method === 'GET' ? new URLSearchParams(params).toString() : '';
+        const payload = method === 'GET' ? query : JSON.stringify(params);
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (options.signed !== false) {
+            const timestamp = Date.now().toString();
+            headers['X-BAPI-API-KEY'] = this.apiKey;
+            headers['X-BAPI-TIMESTAMP'] = timestamp;
+            headers['X-BAPI-SIGN'] = this._sign(timestamp, payload);
+            headers['X-BAPI-RECV-WINDOW'] = String(this.recvWindow);
+        }
+
+        const response = await fetch(`${this.baseUrl}${endpoint}${query ? `?${query}` : ''}`, {
+            method,
+            headers,
+            body: method === 'GET' ? undefined : payload
+        });
+
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch {
+            throw new ExchangeApiError(this.name, `Invalid response from ${endpoint}: ${text.slice(0, 200)}`, { status: response.status });
+        }
+
+        if (body.retCode !== 0) {
+            const ErrorType = ERROR_TYPES[body.retCode] || (response.status === 429 ? RateLimitError : ExchangeApiError);
+            throw new ErrorType(this.name, body.retMsg || `HTTP ${response.status}`, { code: body.retCode, status: response.status });
+        }
+        return body.result;
+    }
+
+    async _queryOrders(query) {
+        const result = await this._send('GET', '/v5/order/realtime', { category: 'linear', ...query });
+        return result.list.map(o => this._toOrder(o));
+    }
+
+    _toOrder(o) {
+        const trigger = parseFloat(o.triggerPrice) || null;
+        const isTakeProfit = o.stopOrderType === 'TakeProfit' || o.stopOrderType === 'PartialTakeProfit';
+        const base = o.orderType === 'Limit' ? 'limit' : 'market';
+        const type = trigger ? `${isTakeProfit ? 'take_profit' : 'stop'}_${base}` : base;
+
+        return {
+            id: o.orderId,
+            symbol: o.symbol,
+            side: o.side.toLowerCase(),
+            type,
+            price: parseFloat(o.price) || null,
+            stopPrice: trigger,
+            quantity: parseFloat(o.qty),
+            filledQuantity: parseFloat(o.cumExecQty) || 0,
+            avgPrice: parseFloat(o.avgPrice) || null,
+            fee: 0, // Commission is charged from the execution stream
+            reduceOnly: !!o.reduceOnly,
+            status: ORDER_STATUSES[o.orderStatus] || 'open',
+            raw: o
+        };
+    }
+
+    _toPosition(p) {
+        return {
+            symbol: p.symbol,
+            side: p.side === 'Buy' ? 'buy' : 'sell',
+            quantity: parseFloat(p.size) || 0,
+            entryPrice: parseFloat(p.avgPrice || p.entryPrice),
+            leverage: parseFloat(p.leverage) || 1,
+            unrealizedPnl: parseFloat(p.unrealisedPnl) || 0,
+            liquidationPrice: parseFloat(p.liqPrice) || null
+        };
+    }
+}
@@ -0,0 +1,571 @@
+/**
+ * Raised when a venue does not support an operation of the adapter contract
+ * (e.g. leverage on a spot AMM, resting orders on a swap aggregator).
+ */
+export class UnsupportedOperationError extends Error {
+    constructor(exchange, operation) {
+        super(`${exchange} does not support ${operation}.`);
+        this.name = 'UnsupportedOperationError';
+        this.exchange = exchange;
+        this.operation = operation;
+    }
+}
+
+/**
+ * Raised when a venue rejects a request. Carries the venue's own error code.
+ */
+export class ExchangeApiError extends Error {
+    /**
+     * @param {string} exchange
+     * @param {string} message - The venue's error message
+     * @param {object} [details]
+     * @param {number|string} [details.code] - Venue error code
+     * @param {number} [details.status] - HTTP status
+     */
+    constructor(exchange, message, details = {}) {
+        super(`${exchange}: ${message}${details.code !== undefined ? ` (code ${details.code})` : ''}`);
+        this.name = 'ExchangeApiError';
+        this.exchange = exchange;
+        this.code = details.code ?? null;
+        this.status = details.status ?? null;
+    }
+}
+
+/**
+ * The account lacks the margin or wallet balance for an order.
+ */
+export class InsufficientBalanceError extends ExchangeApiError {
+    constructor(exchange, message, details) {
+        super(exchange, message, details);
+        this.name = 'InsufficientBalanceError';
+    }
+}
+
+/**
+ * A reduce-only order would open or increase a position (usually: the position is already flat).
+ */
+export class ReduceOnlyViolationError extends ExchangeApiError {
+    constructor(exchange, message, details) {
+        super(exchange, message, details);
+        this.name = 'ReduceOnlyViolationError';
+    }
+}
+
+/**
+ * The order to cancel or amend does not exist (already filled, cancelled or expired).
+ */
+export class OrderNotFoundError extends ExchangeApiError {
+    constructor(exchange, message, details) {
+        super(exchange, message, details);
+        this.name = 'OrderNotFoundError';
+    }
+}
+
+/**
+ * The venue throttled the request.
+ */
+export class RateLimitError extends ExchangeApiError {
+    constructor(exchange, message, details) {
+        super(exchange, message, details);
+        this.name = 'RateLimitError';
+    }
+}
+
+// Protective leg -> reduce-only order type
+const PROTECTIVE_TYPES = {
+    stopLoss: 'stop_market',
+    takeProfit: 'take_profit_market'
+};
+
+const LEG_NAMES = {
+    stopLoss: 'stop-loss',
+    takeProfit: 'take-profit'
+};
+
+/**
+ * ExchangeAdapter — Common contract for every execution venue.
+ *
+ * Each pipeline implements this class so the agent can trade in-process instead of
+ * shelling out to CLI scripts. All methods are async and work in the venue's own
+ * units; the shared shapes are:
+ *
+ *   Order params: { symbol, side: 'buy'|'sell', quantity, type: 'market'|'limit'|..., price?, stopPrice?, reduceOnly?, leverage? }
+ *   Order:        { id, symbol, side, type, quantity, filledQuantity, avgPrice, fee, status, raw? }
+ *   Position:     { symbol, side, quantity, entryPrice, leverage, unrealizedPnl?, liquidationPrice? }
+ *   Balance:      { balance, equity, available, ... }
+ *   Fill:         { orderId, symbol, side, quantity, price, fee, feeAsset?, timestamp }
+ *   Funding:      { symbol, side, payment, rate, timestamp }  (payment > 0 = paid)
+ *   Protection:   { stopLoss: { orderId, price, quantity } | null, takeProfit: ... | null }
+ *
+ * Venue rejections throw ExchangeApiError or one of its typed subclasses
+ * (InsufficientBalanceError, ReduceOnlyViolationError, OrderNotFoundError, RateLimitError).
+ *
+ * `positionMode` says how the venue books positions: 'one_way' nets buys and sells into one
+ * position per symbol, 'hedge' keeps a long and a short apart. The agent's PositionManager
+ * books the adapter's positions the same way.
+ *
+ * Venues whose order results carry no commission (`feesOnFills`) report it on their fill
+ * stream; the agent charges those fees, and the funding published through subscribeFunding(),
+ * to the positions they belong to.
+ *
+ * Subclasses override the venue operations they support; the rest throw
+ * UnsupportedOperationError. executeTrade()/executeClose() translate the agent's
+ * USD-margin trades into venue orders and are what AgentOrchestrator calls.
+ *
+ * Protective orders ("brackets") are reduce-only stop_market / take_profit_market orders that
+ * keep a position's stop-loss and take-profit on the venue, so they hold while the agent is
+ * offline. Venues without trigger orders reject them with UnsupportedOperationError and the
+ * position stays on the PositionManager's client-side stops.
+ *
+ * @example
+ *   class MyVenue extends ExchangeAdapter {
+ *       constructor(config) { super({ name: 'myvenue', ...config }); }
+ *       async placeOrder(params) { ... }
+ *   }
+ */
+export class ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.name] - Adapter name used for routing and position bookkeeping
+     * @param {'one_way'|'hedge'} [config.positionMode] - How the venue books positions (default 'one_way')
+     * @param {boolean} [config.feesOnFills] - Order results carry no commission; it is only reported on
+     *   the fill stream (default false)
+     */
+    constructor(config = {}) {
+        this.name = config.name || 'exchange';
+        this.positionMode = config.positionMode || 'one_way';
+        this.feesOnFills = !!config.feesOnFills;
+        this._fillHandlers = new Set();
+        this._orderHandlers = new Set();
+        this._fundingHandlers = new Set();
+        // Protective order types the venue rejected as unsupported (warned once, then skipped)
+        this._unsupportedProtection = new Set();
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * Place an order.
+     * @param {object} params - { symbol, side, quantity, type, price, stopPrice, reduceOnly, leverage }
+     * @returns {Promise<object>} The venue's order, normalized
+     */
+    async placeOrder(params) {
+        throw new UnsupportedOperationError(this.name, 'placeOrder');
+    }
+
+    /**
+     * Cancel an open order.
+     * @param {string} orderId
+     * @param {string} [symbol] - Required by venues that scope order ids per symbol
+     * @returns {Promise<boolean>}
+     */
+    async cancelOrder(orderId, symbol) {
+        throw new UnsupportedOperationError(this.name, 'cancelOrder');
+    }
+
+    /**
+     * Change a resting order in place.
+     * @param {string} orderId
+     * @param {string} symbol
+     * @param {object} changes - { quantity, price, stopPrice }
+     * @returns {Promise<object>} The amended order
+     */
+    async amendOrder(orderId, symbol, changes) {
+        throw new UnsupportedOperationError(this.name, 'amendOrder');
+    }
+
+    /**
+     * Get open positions (or spot holdings).
+     * @param {string} [symbol]
+     * @returns {Promise<Array>}
+     */
+    async getPositions(symbol) {
+        throw new UnsupportedOperationError(this.name, 'getPositions');
+    }
+
+    /**
+     * Get account balances.
+     * @returns {Promise<object>}
+     */
+    async getBalance() {
+        throw new UnsupportedOperationError(this.name, 'getBalance');
+    }
+
+    /**
+     * Get resting orders.
+     * @param {string} [symbol]
+     * @returns {Promise<Array>}
+     */
+    async getOpenOrders(symbol) {
+        throw new UnsupportedOperationError(this.name, 'getOpenOrders');
+    }
+
+    /**
+     * Set leverage for a symbol.
+     * @param {string} symbol
+     * @param {number} leverage
+     * @returns {Promise<number>} The leverage in effect
+     */
+    async setLeverage(symbol, leverage) {
+        throw new UnsupportedOperationError(this.name, 'setLeverage');
+    }
+
+    /**
+     * Subscribe to fills on this venue.
+     * @param {function} handler - Called with each fill
+     * @returns {function} Unsubscribe
+     */
+    subscribeFills(handler) {
+        this._fillHandlers.add(handler);
+        return () => this._fillHandlers.delete(handler);
+    }
+
+    /**
+     * Subscribe to order status changes pushed by the venue (new, filled, cancelled, rejected).
+     * @param {function} handler - Called with each normalized order
+     * @returns {function} Unsubscribe
+     */
+    subscribeOrders(handler) {
+        this._orderHandlers.add(handler);
+        return () => this._orderHandlers.delete(handler);
+    }
+
+    /**
+     * Subscribe to funding payments on this venue's positions.
+     * @param {function} handler - Called with { exchange, symbol, side, payment, rate, timestamp };
+     *   `payment` is in USD, positive when paid, negative when received. `side` is null when the
+     *   venue reports funding per symbol only
+     * @returns {function} Unsubscribe
+     */
+    subscribeFunding(handler) {
+        this._fundingHandlers.add(handler);
+        return () => this._fundingHandlers.delete(handler);
+    }
+
+    /**
+     * Whether an agent position's symbol ('BTC/USDT', 'BTCUSDT') is the venue's symbol in a fill or funding payment.
+     * @param {string} positionSymbol
+     * @param {string} venueSymbol
+     * @returns {boolean}
+     */
+    matchesSymbol(positionSymbol, venueSymbol) {
+        return this._normalizeSymbol(positionSymbol) === this._normalizeSymbol(venueSymbol);
+    }
+
+    /**
+     * Flatten open positions for a symbol with reduce-only market orders.
+     * @param {string} symbol
+     * @param {string} [side] - Only close this side ('buy' = long, 'sell' = short)
+     * @returns {Promise<Array>} The closing orders (empty when nothing was open)
+     */
+    async closePosition(symbol, side = null) {
+        const positions = (await this.getPositions(symbol)).filter(p => !side || p.side === side);
+        const orders = [];
+
+        for (const position of positions) {
+            orders.push(await this.placeOrder({
+                symbol: position.symbol,
+                side: position.side === 'buy' ? 'sell' : 'buy',
+                quantity: position.quantity,
+                type: 'market',
+                reduceOnly: true
+            }));
+        }
+        return orders;
+    }
+
+    /**
+     * Open long-lived connections (user-data streams). Called by AgentOrchestrator on start.
+     */
+    async connect() {}
+
+    /**
+     * Release connections (websockets, timers). Safe to call more than once.
+     */
+    async disconnect() {}
+
+    // --- AgentOrchestrator Handlers ---
+
+    /**
+     * Open a position worth `amount` USD of margin at `leverage`.
+     * With `brackets`, the filled quantity is protected on the venue by reduce-only orders at
+     * `stopLoss` / `takeProfit`, reported as the fill's `protection`.
+     * @param {{ symbol: string, side: string, amount: number, leverage: number, price: number,
+     *   stopLoss?: number, takeProfit?: number, brackets?: boolean }} trade
+     * @returns {Promise<{ orderId: string, avgPrice: number, quantity: number, fee: number, protection?: object }>}
+     */
+    async executeTrade(trade) {
+        if (!(trade.price > 0)) {
+            throw new Error(`${this.name}: a reference price is required to size ${trade.symbol}`);
+        }
+
+        if (trade.leverage) {
+            await this.setLeverage(trade.symbol, trade.leverage);
+        }
+
+        const order = await this.placeOrder({
+            symbol: trade.symbol,
+            side: trade.side,
+            quantity: (trade.amount * (trade.leverage || 1)) / trade.price,
+            type: 'market',
+            leverage: trade.leverage
+        });
+
+        const fill = this._toFill(order, trade.price);
+        if (trade.brackets && (trade.stopLoss || trade.takeProfit)) {
+            fill.protection = await this.syncProtection({
+                symbol: trade.symbol,
+                side: trade.side,
+                quantity: fill.quantity,
+                stopLoss: trade.stopLoss,
+                takeProfit: trade.takeProfit
+            });
+        }
+        return fill;
+    }
+
+    /**
+     * Close the quantity backing an agent position with a reduce-only market order.
+     * @param {object} position - PositionManager position
+     * @returns {Promise<object|null>}
+     */
+    async executeClose(position) {
+        const order = await this.placeOrder({
+            symbol: position.symbol,
+            side: position.side === 'buy' ? 'sell' : 'buy',
+            quantity: this._positionQuantity(position),
+            type: 'market',
+            reduceOnly: true
+        });
+
+        return this._toFill(order, position.exitPrice);
+    }
+
+    // --- Protective Orders ---
+
+    /**
+     * Bring a position's protective orders in line with its stop-loss, take-profit and size:
+     * missing legs are placed, changed legs amended (cancel and re-place where the venue can't
+     * amend), legs whose level was removed are cancelled. A leg that fails keeps its previous state.
+     * @param {object} position - { symbol, side, quantity | size/leverage/entryPrice, stopLoss, takeProfit }
+     * @param {object} [current] - The position's protection so far
+     * @returns {Promise<object>} The protection now on the venue
+     */
+    async syncProtection(position, current = {}) {
+        const quantity = this._positionQuantity(position);
+        const protection = {};
+
+        for (const [leg, type] of Object.entries(PROTECTIVE_TYPES)) {
+            const existing = current?.[leg] || null;
+            const price = position[leg] || null;
+            if (this._unsupportedProtection.has(type)) {
+                protection[leg] = null;
+                continue;
+            }
+
+            try {
+                if (!price) {
+                    if (existing) await this._cancelProtective(existing, position.symbol);
+                    protection[leg] = null;
+                } else if (!existing) {
+                    protection[leg] = await this._placeProtective(position, type, price, quantity);
+                } else if (this._sameLevel(existing.price, price) && this._sameLevel(existing.quantity, quantity)) {
+                    protection[leg] = existing;
+                } else {
+                    protection[leg] = await this._amendProtective(existing, position, type, price, quantity);
+                }
+            } catch (error) {
+                if (error instanceof UnsupportedOperationError) {
+                    this._unsupportedProtection.add(type);
+                    console.warn(`⚠️ [${this.name}] No native ${LEG_NAMES[leg]} for ${position.symbol}: ${error.message} Client-side stops only.`);
+                } else {
+                    console.error(`❌ [${this.name}] Failed to set ${LEG_NAMES[leg]} for ${position.symbol}:`, error.message);
+                }
+                protection[leg] = existing;
+            }
+        }
+
+        return protection;
+    }
+
+    /**
+     * Cancel a position's protective orders. Orders that already filled or expired are ignored.
+     * @param {object} protection
+     * @param {string} symbol
+     */
+    async cancelProtection(protection, symbol) {
+        for (const leg of Object.keys(PROTECTIVE_TYPES)) {
+            if (!protection?.[leg]) continue;
+            try {
+                await this._cancelProtective(protection[leg], symbol);
+            } catch (error) {
+                console.error(`❌ [${this.name}] Failed to cancel ${LEG_NAMES[leg]} for ${symbol}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * The legs of `protection` that are still resting on the venue.
+     * @param {object} protection
+     * @param {string} symbol
+     * @returns {Promise<object>}
+     */
+    async liveProtection(protection, symbol) {
+        const live = new Set((await this.getOpenOrders(symbol)).map(o => String(o.id)));
+        const result = {};
+        for (const leg of Object.keys(PROTECTIVE_TYPES)) {
+            const order = protection?.[leg];
+            result[leg] = order && live.has(String(order.orderId)) ? order : null;
+        }
+        return result;
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Deliver a fill to subscribers. A failing handler never breaks the stream.
+     * @protected
+     */
+    _emitFill(fill) {
+        for (const handler of this._fillHandlers) {
+            try {
+                handler({ exchange: this.name, ...fill });
+            } catch (error) {
+                console.error(`❌ [${this.name}] Fill handler error:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Deliver a funding payment to subscribers.
+     * @protected
+     */
+    _emitFunding(funding) {
+        for (const handler of this._fundingHandlers) {
+            try {
+                handler({ exchange: this.name, side: null, rate: null, timestamp: Date.now(), ...funding });
+            } catch (error) {
+                console.error(`❌ [${this.name}] Funding handler error:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Deliver an order update to subscribers.
+     * @protected
+     */
+    _emitOrder(order) {
+        for (const handler of this._orderHandlers) {
+            try {
+                handler({ exchange: this.name, ...order });
+            } catch (error) {
+                console.error(`❌ [${this.name}] Order handler error:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Align the matching PositionManager position with the venue's entry price and size.
+     * Requires a `positionManager` on the adapter. Flat positions are left alone: closes
+     * are booked where they are initiated.
+     * @protected
+     */
+    _syncManagedPosition({ symbol, side, quantity, entryPrice }) {
+        if (!this.positionManager || !(quantity > 0)) return;
+
+        const matches = this.positionManager.getBySymbol(symbol)
+            .filter(position => position.exchange === this.name && position.side === side);
+
+        // Several agent positions share one venue position; there is no per-position split
+        if (matches.length !== 1) return;
+
+        this.positionManager.syncPosition(matches[0].id, { entryPrice, quantity });
+    }
+
+    /**
+     * @protected
+     */
+    async _placeProtective(position, type, price, quantity) {
+        const order = await this.placeOrder({
+            symbol: position.symbol,
+            side: position.side === 'buy' ? 'sell' : 'buy',
+            quantity,
+            type,
+            stopPrice: price,
+            reduceOnly: true
+        });
+        return { orderId: order.id, price, quantity };
+    }
+
+    /**
+     * @protected
+     */
+    async _amendProtective(existing, position, type, price, quantity) {
+        try {
+            await this.amendOrder(existing.orderId, position.symbol, { quantity, stopPrice: price });
+            return { orderId: existing.orderId, price, quantity };
+        } catch (error) {
+            if (!(error instanceof UnsupportedOperationError) && !(error instanceof OrderNotFoundError)) throw error;
+        }
+
+        // Cancel-and-replace: a venue without amends, or an order that is already gone
+        await this._cancelProtective(existing, position.symbol);
+        return this._placeProtective(position, type, price, quantity);
+    }
+
+    /**
+     * @protected
+     */
+    async _cancelProtective(order, symbol) {
+        try {
+            await this.cancelOrder(order.orderId, symbol);
+        } catch (error) {
+            if (!(error instanceof OrderNotFoundError)) throw error;
+        }
+    }
+
+    /**
+     * @protected
+     */
+    _sameLevel(a, b) {
+        return Math.abs(a - b) <= Math.abs(b) * 1e-9;
+    }
+
+    /**
+     * Base-unit quantity behind a PositionManager position.
+     * @protected
+     */
+    _positionQuantity(position) {
+        return position.quantity || (position.size * position.leverage) / position.entryPrice;
+    }
+
+    /**
+     * @protected
+     */
+    _toFill(order, fallbackPrice) {
+        return {
+            orderId: order.id,
+            avgPrice: order.avgPrice || fallbackPrice || null,
+            quantity: order.filledQuantity || order.quantity,
+            fee: order.fee || 0
+        };
+    }
+
+    /**
+     * Round to a venue increment ('0.001') and format with its decimals.
+     * @protected
+     */
+    _roundToStep(value, step, round = Math.floor) {
+        const decimals = (String(step).split('.')[1] || '').replace(/0+$/, '').length;
+        const units = round(parseFloat(value) / parseFloat(step) + 1e-9);
+        return (units * parseFloat(step)).toFixed(decimals);
+    }
+
+    /**
+     * 'BTC/USDT' → 'BTCUSDT'
+     * @protected
+     */
+    _normalizeSymbol(symbol) {
+        return symbol.replace('/', '').toUpperCase();
+    }
+}
@@ -0,0 +1,588 @@
+import fetch from 'node-fetch';
+import WebSocket from 'ws';
+import { keccak256, parseSignature } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    OrderNotFoundError,
+    RateLimitError,
+    ReduceOnlyViolationError
+} from './ExchangeAdapter.js';
+
+const MAINNET_API = 'https://api.hyperliquid.xyz';
+const TESTNET_API = 'https://api.hyperliquid-testnet.xyz';
+
+// L1 actions are signed as an EIP-712 "Agent" message over the action hash
+const SIGNING_DOMAIN = {
+    name: 'Exchange',
+    version: '1',
+    chainId: 1337,
+    verifyingContract: '0x0000000000000000000000000000000000000000'
+};
+const AGENT_TYPES = {
+    Agent: [
+        { name: 'source', type: 'string' },
+        { name: 'connectionId', type: 'bytes32' }
+    ]
+};
+
+// Contract trigger order types → Hyperliquid trigger kind
+const TRIGGER_TYPES = {
+    stop_market: { tpsl: 'sl', isMarket: true },
+    stop_limit: { tpsl: 'sl', isMarket: false },
+    take_profit_market: { tpsl: 'tp', isMarket: true },
+    take_profit_limit: { tpsl: 'tp', isMarket: false }
+};
+
+const ORDER_STATUSES = {
+    open: 'open',
+    triggered: 'open',
+    filled: 'filled',
+    canceled: 'cancelled',
+    marginCanceled: 'cancelled',
+    rejected: 'rejected'
+};
+
+/**
+ * HyperliquidAdapter — Hyperliquid perpetual DEX.
+ *
+ * Orders are L1 actions ({ type: 'order' | 'cancel' | 'updateLeverage', ... }) posted to
+ * /exchange. Each action is msgpack-encoded, hashed with its nonce, and signed with the
+ * agent's key as EIP-712 typed data (viem). Asset indices and size decimals come from the
+ * `meta` universe; positions and margin from `clearinghouseState`.
+ *
+ * Market orders are aggressive IOC limits priced `slippage` away from the mid.
+ * Symbols are coins ('BTC'); 'BTC/USDT' and 'BTCUSDT' are accepted.
+ *
+ * connect() subscribes to `userFills`, `orderUpdates` and `userFundings` on the WebSocket;
+ * fills are published through subscribeFills() and re-sync the attached PositionManager,
+ * funding payments through subscribeFunding().
+ *
+ * @example
+ *   const hl = new HyperliquidAdapter({ privateKey });
+ *   await hl.setLeverage('ETH', 5);
+ *   await hl.placeOrder({ symbol: 'ETH', side: 'buy', quantity: 0.5 });
+ */
+export class HyperliquidAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.privateKey] - Signing key: the account's or an approved API wallet's (default env HYPERLIQUID_PRIVATE_KEY)
+     * @param {string} [config.walletAddress] - Account address, when signing with an API wallet (default env HYPERLIQUID_WALLET_ADDRESS or the key's address)
+     * @param {string} [config.vaultAddress] - Trade on behalf of a vault / subaccount
+     * @param {boolean} [config.testnet] - Use the testnet API and signing source
+     * @param {string} [config.apiUrl] - API base URL (default env HYPERLIQUID_API_URL or https://api.hyperliquid.xyz)
+     * @param {string} [config.wsUrl] - WebSocket URL (default derived from apiUrl)
+     * @param {number} [config.slippage] - Max slippage for market orders (default 0.05)
+     * @param {boolean} [config.isCross] - Cross (true) or isolated margin for updateLeverage (default true)
+     * @param {PositionManager} [config.positionManager] - Receives position syncs after fills
+     * @param {number} [config.connectTimeoutMs] - Max wait for the stream to open (default 10000)
+     */
+    constructor(config = {}) {
+        super({ name: 'hyperliquid', feesOnFills: true });
+        this.privateKey = config.privateKey || process.env.HYPERLIQUID_PRIVATE_KEY;
+
+        if (!this.privateKey) {
+            throw new Error('HyperliquidAdapter requires a privateKey.');
+        }
+
+        this.account = privateKeyToAccount(this.privateKey.startsWith('0x') ? this.privateKey : `0x${this.privateKey}`);
+        this.walletAddress = config.walletAddress || process.env.HYPERLIQUID_WALLET_ADDRESS || this.account.address;
+        this.vaultAddress = config.vaultAddress || null;
+        this.testnet = !!config.testnet;
+        this.apiUrl = config.apiUrl || process.env.HYPERLIQUID_API_URL || (this.testnet ? TESTNET_API : MAINNET_API);
+        this.wsUrl = config.wsUrl || `${this.apiUrl.replace(/^http/, 'ws')}/ws`;
+        this.slippage = config.slippage ?? 0.05;
+        this.isCross = config.isCross ?? true;
+        this.connectTimeoutMs = config.connectTimeoutMs || 10000;
+        this.positionManager = config.positionManager || null;
+
+        this._assets = null;         // coin -> { index, szDecimals, maxLeverage }
+        this._lastNonce = 0;
+        this._ws = null;
+        this._pingTimer = null;
+        this._reconnectTimer = null;
+        this._reconnectAttempts = 0;
+        this._closing = false;
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * @param {object} params - { symbol, side, quantity, type, price, stopPrice, reduceOnly }
+     *   type: 'market' | 'limit' | 'stop_market' | 'stop_limit' | 'take_profit_market' | 'take_profit_limit'
+     */
+    async placeOrder(params) {
+        const coin = this._toCoin(params.symbol);
+        const asset = await this._asset(coin);
+        const type = (params.type || 'market').toLowerCase();
+        const side = params.side.toLowerCase();
+        const isBuy = side === 'buy';
+
+        let price;
+        let orderType;
+        if (type === 'market') {
+            price = this._slippagePrice(params.price || await this._mid(coin), isBuy, asset.szDecimals);
+            orderType = { limit: { tif: 'Ioc' } };
+        } else if (type === 'limit') {
+            price = this._formatPrice(params.price, asset.szDecimals);
+            orderType = { limit: { tif: params.timeInForce || 'Gtc' } };
+        } else if (TRIGGER_TYPES[type]) {
+            const { tpsl, isMarket } = TRIGGER_TYPES[type];
+            const triggerPx = this._formatPrice(params.stopPrice, asset.szDecimals);
+            // Triggered market orders still carry a limit price: the slippage bound
+            price = isMarket
+                ? this._slippagePrice(params.stopPrice, isBuy, asset.szDecimals)
+                : this._formatPrice(params.price, asset.szDecimals);
+            orderType = { trigger: { isMarket, triggerPx, tpsl } };
+        } else {
+            throw new Error(`Unsupported Hyperliquid order type: ${params.type}`);
+        }
+
+        const size = this._formatSize(params.quantity, asset.szDecimals);
+        const response = await this._exchange({
+            type: 'order',
+            orders: [{ a: asset.index, b: isBuy, p: price, s: size, r: !!params.reduceOnly, t: orderType }],
+            grouping: 'na'
+        });
+
+        const status = response.data.statuses[0] || {};
+        const filled = status.filled || null;
+
+        return {
+            id: String(filled?.oid ?? status.resting?.oid ?? ''),
+            symbol: coin,
+            side,
+            type,
+            price: type === 'market' ? null : parseFloat(price),
+            stopPrice: params.stopPrice || null,
+            quantity: parseFloat(size),
+            filledQuantity: filled ? parseFloat(filled.totalSz) : 0,
+            avgPrice: filled ? parseFloat(filled.avgPx) || null : null,
+            fee: 0, // Reported per fill on the userFills stream
+            reduceOnly: !!params.reduceOnly,
+            status: filled ? 'filled' : 'open',
+            raw: response
+        };
+    }
+
+    async cancelOrder(orderId, symbol) {
+        const asset = await this._asset(this._toCoin(symbol));
+        await this._exchange({ type: 'cancel', cancels: [{ a: asset.index, o: Number(orderId) }] });
+        return true;
+    }
+
+    async getPositions(symbol) {
+        const state = await this._info({ type: 'clearinghouseState', user: this.walletAddress });
+        const coin = symbol ? this._toCoin(symbol) : null;
+
+        return state.assetPositions
+            .map(ap => ap.position)
+            .filter(p => parseFloat(p.szi) !== 0 && (!coin || p.coin === coin))
+            .map(p => ({
+                symbol: p.coin,
+                side: parseFloat(p.szi) > 0 ? 'buy' : 'sell',
+                quantity: Math.abs(parseFloat(p.szi)),
+                entryPrice: parseFloat(p.entryPx),
+                leverage: p.leverage?.value || 1,
+                unrealizedPnl: parseFloat(p.unrealizedPnl) || 0,
+                liquidationPrice: parseFloat(p.liquidationPx) || null,
+                marginUsed: parseFloat(p.marginUsed) || 0
+            }));
+    }
+
+    async getBalance() {
+        const state = await this._info({ type: 'clearinghouseState', user: this.walletAddress });
+        const summary = state.marginSummary;
+        const unrealizedPnl = state.assetPositions.reduce((sum, ap) => sum + (parseFloat(ap.position.unrealizedPnl) || 0), 0);
+        const equity = parseFloat(summary.accountValue);
+
+        return {
+            balance: equity - unrealizedPnl,
+            equity,
+            available: parseFloat(state.withdrawable),
+            usedMargin: parseFloat(summary.totalMarginUsed),
+            unrealizedPnl
+        };
+    }
+
+    async getOpenOrders(symbol) {
+        const orders = await this._info({ type: 'frontendOpenOrders', user: this.walletAddress });
+        const coin = symbol ? this._toCoin(symbol) : null;
+
+        return orders
+            .filter(o => !coin || o.coin === coin)
+            .map(o => ({
+                id: String(o.oid),
+                symbol: o.coin,
+                side: o.side === 'B' ? 'buy' : 'sell',
+                type: (o.orderType || 'Limit').toLowerCase().replace(/ /g, '_'),
+                price: parseFloat(o.limitPx),
+                stopPrice: o.isTrigger ? parseFloat(o.triggerPx) : null,
+                quantity: parseFloat(o.sz),
+                filledQuantity: (parseFloat(o.origSz) || parseFloat(o.sz)) - parseFloat(o.sz),
+                avgPrice: null,
+                fee: 0,
+                reduceOnly: !!o.reduceOnly,
+                status: 'open',
+                raw: o
+            }));
+    }
+
+    /**
+     * Set leverage (capped at the asset's max) in cross or isolated mode per `isCross`.
+     */
+    async setLeverage(symbol, leverage) {
+        const asset = await this._asset(this._toCoin(symbol));
+        const value = Math.min(Math.round(leverage), asset.maxLeverage || Infinity);
+
+        await this._exchange({ type: 'updateLeverage', asset: asset.index, isCross: this.isCross, leverage: value });
+        return value;
+    }
+
+    // --- Fill Stream ---
+
+    async connect() {
+        if (this._ws) return;
+        this._closing = false;
+        await this._openStream();
+    }
+
+    async disconnect() {
+        this._closing = true;
+        clearInterval(this._pingTimer);
+        clearTimeout(this._reconnectTimer);
+        this._pingTimer = null;
+        this._reconnectTimer = null;
+
+        if (this._ws) {
+            this._ws.close();
+            this._ws = null;
+        }
+    }
+
+    /**
+     * Connect and subscribe. Rejects if the socket errors or closes before it opens, or doesn't open within `connectTimeoutMs`.
+     * @private
+     */
+    _openStream() {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.wsUrl);
+            this._ws = ws;
+            let ready = false;
+
+            const fail = (error) => {
+                if (ready) return;
+                clearTimeout(timeout);
+                if (this._ws === ws) this._ws = null;
+                ws.terminate();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new ExchangeApiError(this.name, `Stream not open after ${this.connectTimeoutMs}ms`)), this.connectTimeoutMs);
+
+            ws.on('open', () => {
+                ready = true;
+                clearTimeout(timeout);
+                this._reconnectAttempts = 0;
+                for (const type of ['userFills', 'orderUpdates', 'userFundings']) {
+                    ws.send(JSON.stringify({ method: 'subscribe', subscription: { type, user: this.walletAddress } }));
+                }
+                this._pingTimer = setInterval(() => ws.send(JSON.stringify({ method: 'ping' })), 50000);
+                this._pingTimer.unref?.();
+                console.log('💧 [Hyperliquid] Stream connected (userFills, orderUpdates, userFundings).');
+                resolve();
+            });
+
+            ws.on('message', (data) => {
+                try {
+                    this._onStreamMessage(JSON.parse(data.toString()));
+                } catch (error) {
+                    console.error('❌ [Hyperliquid] Bad stream message:', error.message);
+                }
+            });
+
+            ws.on('error', (err) => {
+                console.error(`❌ [Hyperliquid] Stream error: ${err.message}`);
+                fail(new ExchangeApiError(this.name, `WebSocket error: ${err.message}`));
+            });
+
+            ws.on('close', () => {
+                clearInterval(this._pingTimer);
+                this._pingTimer = null;
+                if (this._ws === ws) this._ws = null;
+                // Before open the caller (connect or the reconnect loop) handles the rejection
+                if (!ready) fail(new ExchangeApiError(this.name, 'Stream closed before it opened'));
+                else if (!this._closing) this._scheduleReconnect();
+            });
+        });
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(30000, 1000 * 2 ** this._reconnectAttempts++);
+        console.warn(`⚠️ [Hyperliquid] Stream closed. Reconnecting in ${delay / 1000}s...`);
+
+        this._reconnectTimer = setTimeout(() => {
+            this._openStream().catch((err) => {
+                console.error(`❌ [Hyperliquid] Reconnect failed: ${err.message}`);
+                if (!this._closing) this._scheduleReconnect();
+            });
+        }, delay);
+    }
+
+    _onStreamMessage(msg) {
+        switch (msg.channel) {
+            case 'userFills': {
+                // The first message replays recent history
+                if (msg.data.isSnapshot) return;
+                for (const f of msg.data.fills) {
+                    this._emitFill({
+                        orderId: String(f.oid),
+                        symbol: f.coin,
+                        side: f.side === 'B' ? 'buy' : 'sell',
+                        quantity: parseFloat(f.sz),
+                        price: parseFloat(f.px),
+                        fee: parseFloat(f.fee) || 0,
+                        realizedPnl: parseFloat(f.closedPnl) || 0,
+                        timestamp: f.time
+                    });
+                }
+                this._refreshPositions().catch(err => console.warn(`⚠️ [Hyperliquid] Position refresh failed: ${err.message}`));
+                return;
+            }
+            case 'userFundings': {
+                if (msg.data.isSnapshot) return;
+                for (const f of msg.data.fundings) {
+                    // usdc is the account's side of the transfer: negative when the position paid
+                    this._emitFunding({
+                        symbol: f.coin,
+                        side: parseFloat(f.szi) < 0 ? 'sell' : 'buy',
+                        payment: -parseFloat(f.usdc),
+                        rate: parseFloat(f.fundingRate),
+                        timestamp: f.time
+                    });
+                }
+                return;
+            }
+            case 'orderUpdates':
+                for (const update of msg.data) {
+                    const o = update.order;
+                    this._emitOrder({
+                        id: String(o.oid),
+                        symbol: o.coin,
+                        side: o.side === 'B' ? 'buy' : 'sell',
+                        price: parseFloat(o.limitPx),
+                        quantity: parseFloat(o.origSz || o.sz),
+                        filledQuantity: (parseFloat(o.origSz) || parseFloat(o.sz)) - parseFloat(o.sz),
+                        status: ORDER_STATUSES[update.status] || 'open',
+                        raw: update
+                    });
+                }
+                return;
+        }
+    }
+
+    async _refreshPositions() {
+        if (!this.positionManager) return;
+        const managed = this.positionManager.getOpen().filter(p => p.exchange === this.name);
+
+        for (const position of await this.getPositions()) {
+            // Agent positions keep their own spelling of the symbol ('ETH/USDT', 'ETHUSDT')
+            const match = managed.find(p => this.matchesSymbol(p.symbol, position.symbol));
+            if (match) this._syncManagedPosition({ ...position, symbol: match.symbol });
+        }
+    }
+
+    // --- Assets & Formatting ---
+
+    /** Venue symbols are coins ('ETH'); agent positions may spell them 'ETH/USDT' or 'ETHUSDT'. */
+    matchesSymbol(positionSymbol, venueSymbol) {
+        return this._toCoin(positionSymbol) === this._toCoin(venueSymbol);
+    }
+
+    _toCoin(symbol) {
+        return symbol.toUpperCase().replace('/', '').replace(/USDT?$|USDC$/, '');
+    }
+
+    async _asset(coin) {
+        if (!this._assets) {
+            const meta = await this._info({ type: 'meta' });
+            this._assets = {};
+            meta.universe.forEach((u, index) => {
+                this._assets[u.name] = { index, szDecimals: u.szDecimals, maxLeverage: u.maxLeverage };
+            });
+        }
+
+        const asset = this._assets[coin];
+        if (!asset) {
+            throw new Error(`Unknown Hyperliquid asset: ${coin}`);
+        }
+        return asset;
+    }
+
+    async _mid(coin) {
+        const mids = await this._info({ type: 'allMids' });
+        const mid = parseFloat(mids[coin]);
+        if (!(mid > 0)) {
+            throw new Error(`No Hyperliquid mid price for ${coin}`);
+        }
+        return mid;
+    }
+
+    _slippagePrice(reference, isBuy, szDecimals) {
+        return this._formatPrice(reference * (isBuy ? 1 + this.slippage : 1 - this.slippage), szDecimals);
+    }
+
+    /**
+     * Perp prices: at most 5 significant figures and (6 - szDecimals) decimals.
+     */
+    _formatPrice(price, szDecimals) {
+        if (!(price > 0)) {
+            throw new Error('A price is required for this Hyperliquid order.');
+        }
+        const rounded = parseFloat(parseFloat(price).toPrecision(5));
+        return this._toWire(parseFloat(rounded.toFixed(Math.max(0, 6 - szDecimals))));
+    }
+
+    _formatSize(quantity, szDecimals) {
+        const size = this._roundToStep(quantity, (1 / 10 ** szDecimals).toFixed(szDecimals), Math.floor);
+        if (!(parseFloat(size) > 0)) {
+            throw new Error(`Quantity ${quantity} is below the minimum size (${szDecimals} decimals).`);
+        }
+        return this._toWire(parseFloat(size));
+    }
+
+    _toWire(value) {
+        return value.toFixed(8).replace(/\.?0+$/, '');
+    }
+
+    // --- Signing & Transport ---
+
+    /**
+     * Sign and post an L1 action. Throws on a rejected action or a per-order error status.
+     * @private
+     */
+    async _exchange(action) {
+        const nonce = this._lastNonce = Math.max(Date.now(), this._lastNonce + 1);
+        const signature = await this._signAction(action, nonce);
+
+        const res = await this._post('/exchange', { action, nonce, signature, vaultAddress: this.vaultAddress });
+        if (res.status !== 'ok') {
+            throw this._toError(typeof res.response === 'string' ? res.response : JSON.stringify(res.response));
+        }
+
+        const failure = (res.response?.data?.statuses || []).find(s => s && s.error);
+        if (failure) {
+            throw this._toError(failure.error);
+        }
+        return res.response;
+    }
+
+    /**
+     * EIP-712 "Agent" signature over keccak256(msgpack(action) ‖ nonce ‖ vault).
+     * @private
+     */
+    async _signAction(action, nonce) {
+        const nonceBytes = Buffer.alloc(8);
+        nonceBytes.writeBigUInt64BE(BigInt(nonce));
+        const vault = this.vaultAddress
+            ? Buffer.concat([Buffer.from([1]), Buffer.from(this.vaultAddress.slice(2), 'hex')])
+            : Buffer.from([0]);
+
+        const connectionId = keccak256(Buffer.concat([encodeMsgpack(action), nonceBytes, vault]));
+        const signature = await this.account.signTypedData({
+            domain: SIGNING_DOMAIN,
+            types: AGENT_TYPES,
+            primaryType: 'Agent',
+            message: { source: this.testnet ? 'b' : 'a', connectionId }
+        });
+
+        const { r, s, v } = parseSignature(signature);
+        return { r, s, v: Number(v) };
+    }
+
+    async _info(body) {
+        return this._post('/info', body);
+    }
+
+    async _post(endpoint, body) {
+        const response = await fetch(`${this.apiUrl}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            const ErrorType = response.status === 429 ? RateLimitError : ExchangeApiError;
+            throw new ErrorType(this.name, text.slice(0, 200) || `HTTP ${response.status}`, { status: response.status });
+        }
+        return JSON.parse(text);
+    }
+
+    _toError(message) {
+        if (/insufficient margin|insufficient .*balance/i.test(message)) {
+            return new InsufficientBalanceError(this.name, message);
+        }
+        if (/reduce only/i.test(message)) {
+            return new ReduceOnlyViolationError(this.name, message);
+        }
+        if (/never placed|already canceled|already cancelled/i.test(message)) {
+            return new OrderNotFoundError(this.name, message);
+        }
+        return new ExchangeApiError(this.name, message);
+    }
+}
+
+/**
+ * Minimal msgpack encoder for L1 actions (maps, arrays, strings, booleans, null,
+ * non-negative integers), matching the Python SDK's byte layout. Key order is kept.
+ */
+function encodeMsgpack(value) {
+    const bytes = [];
+    const uint = (n, size) => {
+        for (let i = size - 1; i >= 0; i--) bytes.push(Number((BigInt(n) >> BigInt(i * 8)) & 0xffn));
+    };
+    const header = (length, fix, fixMax, codes) => {
+        if (length < fixMax) bytes.push(fix | length);
+        else if (length < 0x10000) { bytes.push(codes[0]); uint(length, 2); }
+        else { bytes.push(codes[1]); uint(length, 4); }
+    };
+
+    const write = (v) => {
+        if (v === null || v === undefined) {
+            bytes.push(0xc0);
+        } else if (typeof v === 'boolean') {
+            bytes.push(v ? 0xc3 : 0xc2);
+        } else if (typeof v === 'number') {
+            if (!Number.isInteger(v) || v < 0) {
+                throw new Error(`Cannot encode ${v}: actions carry prices and sizes as strings`);
+            }
+            if (v < 0x80) bytes.push(v);
+            else if (v < 0x100) { bytes.push(0xcc); uint(v, 1); }
+            else if (v < 0x10000) { bytes.push(0xcd); uint(v, 2); }
+            else if (v < 0x100000000) { bytes.push(0xce); uint(v, 4); }
+            else { bytes.push(0xcf); uint(v, 8); }
+        } else if (typeof v === 'string') {
+            const utf8 = Buffer.from(v, 'utf8');
+            if (utf8.length < 32) bytes.push(0xa0 | utf8.length);
+            else if (utf8.length < 0x100) bytes.push(0xd9, utf8.length);
+            else if (utf8.length < 0x10000) { bytes.push(0xda); uint(utf8.length, 2); }
+            else { bytes.push(0xdb); uint(utf8.length, 4); }
+            bytes.push(...utf8);
+        } else if (Array.isArray(v)) {
+            header(v.length, 0x90, 16, [0xdc, 0xdd]);
+            v.forEach(write);
+        } else {
+            const entries = Object.entries(v).filter(([, x]) => x !== undefined);
+            header(entries.length, 0x80, 16, [0xde, 0xdf]);
+            for (const [key, x] of entries) {
+                write(key);
+                write(x);
+            }
+        }
+    };
+
+    write(value);
+    return Buffer.from(bytes);
+}
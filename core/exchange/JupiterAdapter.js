@@ -0,0 +1,474 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    RateLimitError,
+    UnsupportedOperationError
+} from './ExchangeAdapter.js';
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+const TOKEN_PROGRAMS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'  // Token-2022
+];
+const MINT_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/; // base58 address
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// PKCS#8 DER prefix for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+// Ticker → { mint, decimals } for common tokens; other tickers are looked up on the Jupiter token API
+const TOKENS = {
+    USDC: { mint: USDC_MINT, decimals: 6 },
+    SOL: { mint: SOL_MINT, decimals: 9 },
+    JUP: { mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', decimals: 6 },
+    BONK: { mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', decimals: 5 },
+    WIF: { mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', decimals: 6 }
+};
+
+/**
+ * JupiterAdapter — Spot swaps on Solana through the Jupiter aggregator.
+ *
+ * Buying swaps USDC into the token, selling swaps the token back to USDC. There is
+ * no leverage and no shorting: a SELL decision without holdings is rejected, and
+ * closes sell at most what the wallet holds.
+ *
+ * Each swap: GET /quote (slippageBps) → POST /swap (priority fee, compute limit) →
+ * sign the returned versioned transaction locally with the wallet's Ed25519 key →
+ * sendTransaction over RPC → poll getSignatureStatuses until confirmed or the
+ * blockhash expires. Holdings come from the wallet's SPL token accounts.
+ *
+ * @example
+ *   const jup = new JupiterAdapter({ privateKey, rpcUrl });
+ *   await jup.executeTrade({ symbol: 'JUP', side: 'buy', amount: 25 });  // 25 USDC → JUP
+ *   await jup.closePosition('JUP');                                       // JUP → USDC
+ */
+export class JupiterAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.privateKey] - Base58 (or JSON array) 64-byte wallet secret key (default env SOLANA_PRIVATE_KEY)
+     * @param {string} [config.apiUrl] - Jupiter swap API base (default env JUPITER_API_URL or https://lite-api.jup.ag/swap/v1)
+     * @param {string} [config.tokensApiUrl] - Jupiter token API for ticker lookups (default https://lite-api.jup.ag/tokens/v2)
+     * @param {string} [config.rpcUrl] - Solana RPC (default env SOLANA_RPC_URL or mainnet-beta)
+     * @param {number} [config.slippageBps] - Max slippage in bps (default 50)
+     * @param {number|string} [config.priorityFeeLamports] - Priority fee: lamports or 'auto' (default 'auto')
+     * @param {number} [config.minSolReserve] - SOL kept for fees when selling SOL (default 0.01)
+     * @param {number} [config.confirmTimeoutMs] - Give up waiting for confirmation after (default 60000)
+     * @param {number} [config.pollIntervalMs] - Signature status poll interval (default 2000)
+     * @param {Object<string, {mint: string, decimals: number}>} [config.tokens] - Extra ticker → mint mappings
+     */
+    constructor(config = {}) {
+        super({ name: 'solana_jupiter' });
+        this.privateKey = config.privateKey || process.env.SOLANA_PRIVATE_KEY;
+        this.apiUrl = config.apiUrl || process.env.JUPITER_API_URL || 'https://lite-api.jup.ag/swap/v1';
+        this.tokensApiUrl = config.tokensApiUrl || 'https://lite-api.jup.ag/tokens/v2';
+        this.rpcUrl = config.rpcUrl || process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
+        this.slippageBps = config.slippageBps ?? 50;
+        this.priorityFeeLamports = config.priorityFeeLamports ?? 'auto';
+        this.minSolReserve = config.minSolReserve ?? 0.01;
+        this.confirmTimeoutMs = config.confirmTimeoutMs || 60000;
+        this.pollIntervalMs = config.pollIntervalMs || 2000;
+        this.tokens = { ...TOKENS, ...(config.tokens || {}) };
+
+        if (!this.privateKey) {
+            throw new Error('JupiterAdapter requires a privateKey.');
+        }
+
+        const { signingKey, publicKey } = this._loadKeypair(this.privateKey);
+        this._signingKey = signingKey;
+        this._publicKey = publicKey;
+        this.walletAddress = encodeBase58(publicKey);
+        this._rpcId = 0;
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * Swap a base-unit quantity of the token: buys use ExactOut, sells use ExactIn.
+     */
+    async placeOrder(params) {
+        const type = (params.type || 'market').toLowerCase();
+        if (type !== 'market') {
+            throw new UnsupportedOperationError(this.name, `${type} orders`);
+        }
+
+        const token = await this._resolveToken(params.symbol);
+        const side = params.side.toLowerCase();
+        const amount = Math.floor(parseFloat(params.quantity) * 10 ** token.decimals);
+
+        if (!(amount > 0)) {
+            throw new Error(`Quantity ${params.quantity} is below one unit of ${params.symbol}.`);
+        }
+
+        return this._swap({
+            symbol: params.symbol,
+            side,
+            inputMint: side === 'buy' ? USDC_MINT : token.mint,
+            outputMint: side === 'buy' ? token.mint : USDC_MINT,
+            amount,
+            swapMode: side === 'buy' ? 'ExactOut' : 'ExactIn',
+            token
+        });
+    }
+
+    async getPositions(symbol) {
+        const holdings = await this._holdings();
+        const mint = symbol ? (await this._resolveToken(symbol)).mint : null;
+
+        return Object.entries(holdings)
+            .filter(([m, h]) => m !== USDC_MINT && h.quantity > 0 && (!mint || m === mint))
+            .map(([m, h]) => ({
+                symbol: this._tickerForMint(m),
+                mint: m,
+                side: 'buy',
+                quantity: h.quantity,
+                entryPrice: null,
+                leverage: 1
+            }));
+    }
+
+    async getBalance() {
+        const holdings = await this._holdings();
+        const usdc = holdings[USDC_MINT]?.quantity || 0;
+        return { balance: usdc, equity: usdc, available: usdc, sol: holdings[SOL_MINT]?.quantity || 0 };
+    }
+
+    async getOpenOrders() {
+        return [];
+    }
+
+    async setLeverage(symbol, leverage) {
+        if (leverage > 1) {
+            throw new UnsupportedOperationError(this.name, 'leverage');
+        }
+        return 1;
+    }
+
+    // --- AgentOrchestrator Handlers ---
+
+    /**
+     * Spot buy with `amount` USDC (ExactIn). Leverage is ignored.
+     */
+    async executeTrade(trade) {
+        if (trade.side.toLowerCase() !== 'buy') {
+            throw new UnsupportedOperationError(this.name, 'short selling');
+        }
+
+        const token = await this._resolveToken(trade.symbol);
+        const order = await this._swap({
+            symbol: trade.symbol,
+            side: 'buy',
+            inputMint: USDC_MINT,
+            outputMint: token.mint,
+            amount: Math.floor(trade.amount * 1e6),
+            swapMode: 'ExactIn',
+            token
+        });
+
+        return this._toFill(order, trade.price);
+    }
+
+    /**
+     * Sell the tokens behind a position back to USDC, capped at the wallet's holdings
+     * (fees and slippage leave the wallet with slightly less than was booked).
+     */
+    async executeClose(position) {
+        const [holding] = await this.getPositions(position.symbol);
+        if (!holding) {
+            console.warn(`⚠️ [Jupiter] No ${position.symbol} balance left to sell.`);
+            return null;
+        }
+
+        const order = await this.placeOrder({
+            symbol: position.symbol,
+            side: 'sell',
+            quantity: Math.min(this._positionQuantity(position), holding.quantity),
+            type: 'market'
+        });
+
+        return this._toFill(order, position.exitPrice);
+    }
+
+    // --- Swap ---
+
+    async _swap({ symbol, side, inputMint, outputMint, amount, swapMode, token }) {
+        const query = new URLSearchParams({ inputMint, outputMint, amount: String(amount), swapMode, slippageBps: String(this.slippageBps) });
+        const quote = await this._api('GET', `${this.apiUrl}/quote?${query}`);
+        console.log(`🟣 [Jupiter] Quote ${quote.inAmount} ${this._tickerForMint(inputMint)} → ${quote.outAmount} ${this._tickerForMint(outputMint)} (impact ${quote.priceImpactPct}%)`);
+
+        const swap = await this._api('POST', `${this.apiUrl}/swap`, {
+            quoteResponse: quote,
+            userPublicKey: this.walletAddress,
+            wrapAndUnwrapSol: true,
+            dynamicComputeUnitLimit: true,
+            prioritizationFeeLamports: this.priorityFeeLamports
+        });
+
+        const { transaction, signature } = this._signTransaction(Buffer.from(swap.swapTransaction, 'base64'));
+        await this._rpc('sendTransaction', [transaction.toString('base64'), { encoding: 'base64', maxRetries: 3, preflightCommitment: 'confirmed' }]);
+        console.log(`🟣 [Jupiter] Sent ${signature}`);
+
+        await this._confirm(signature, swap.lastValidBlockHeight);
+
+        const tokenUnits = side === 'buy' ? quote.outAmount : quote.inAmount;
+        const usdcUnits = side === 'buy' ? quote.inAmount : quote.outAmount;
+        const quantity = Number(tokenUnits) / 10 ** token.decimals;
+
+        return {
+            id: signature,
+            symbol: this._toTicker(symbol),
+            side,
+            type: 'market',
+            price: null,
+            quantity,
+            filledQuantity: quantity,
+            avgPrice: quantity > 0 ? (Number(usdcUnits) / 1e6) / quantity || null : null,
+            fee: 0,
+            status: 'filled',
+            raw: { quote, signature, lastValidBlockHeight: swap.lastValidBlockHeight }
+        };
+    }
+
+    /**
+     * Poll until the transaction is confirmed, failed on-chain, or its blockhash expired.
+     * @private
+     */
+    async _confirm(signature, lastValidBlockHeight) {
+        const deadline = Date.now() + this.confirmTimeoutMs;
+
+        while (Date.now() < deadline) {
+            const { value } = await this._rpc('getSignatureStatuses', [[signature]]);
+            const status = value[0];
+
+            if (status?.err) {
+                throw this._toError(`Swap ${signature} failed on-chain: ${JSON.stringify(status.err)}`);
+            }
+            if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+                console.log(`✅ [Jupiter] Confirmed ${signature}`);
+                return status;
+            }
+
+            if (lastValidBlockHeight && (await this._rpc('getBlockHeight', [{ commitment: 'confirmed' }])) > lastValidBlockHeight) {
+                throw new ExchangeApiError(this.name, `Swap ${signature} expired before confirmation (blockhash no longer valid)`);
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+
+        throw new ExchangeApiError(this.name, `Timed out waiting for confirmation of ${signature}`);
+    }
+
+    /**
+     * Sign a serialized (legacy or v0) transaction in the wallet's signer slot.
+     * @private
+     */
+    _signTransaction(raw) {
+        const tx = Buffer.from(raw);
+        const [signatureCount, sigOffset] = decodeShortVec(tx, 0);
+        const messageOffset = sigOffset + signatureCount * 64;
+        const message = tx.subarray(messageOffset);
+
+        // Versioned messages start with 0x80 | version before the header
+        let cursor = message[0] & 0x80 ? 1 : 0;
+        const requiredSignatures = message[cursor];
+        cursor += 3;
+        const [keyCount, keysOffset] = decodeShortVec(message, cursor);
+
+        let signerIndex = -1;
+        for (let i = 0; i < Math.min(keyCount, requiredSignatures); i++) {
+            const key = message.subarray(keysOffset + i * 32, keysOffset + (i + 1) * 32);
+            if (key.equals(this._publicKey)) signerIndex = i;
+        }
+        if (signerIndex === -1 || signerIndex >= signatureCount) {
+            throw new Error(`Swap transaction does not require a signature from ${this.walletAddress}`);
+        }
+
+        const signature = crypto.sign(null, message, this._signingKey);
+        signature.copy(tx, sigOffset + signerIndex * 64);
+
+        // The fee payer's signature is the transaction id
+        return { transaction: tx, signature: encodeBase58(tx.subarray(sigOffset, sigOffset + 64)) };
+    }
+
+    // --- Tokens & Holdings ---
+
+    /**
+     * Wallet balances keyed by mint: SPL token accounts plus native SOL (less the fee reserve).
+     * @private
+     */
+    async _holdings() {
+        const holdings = {};
+
+        for (const programId of TOKEN_PROGRAMS) {
+            const { value } = await this._rpc('getTokenAccountsByOwner', [this.walletAddress, { programId }, { encoding: 'jsonParsed' }]);
+            for (const account of value) {
+                const info = account.account.data.parsed.info;
+                const held = holdings[info.mint] || { quantity: 0, decimals: info.tokenAmount.decimals };
+                held.quantity += parseFloat(info.tokenAmount.uiAmountString ?? info.tokenAmount.uiAmount) || 0;
+                holdings[info.mint] = held;
+            }
+        }
+
+        const { value: lamports } = await this._rpc('getBalance', [this.walletAddress]);
+        const sol = Math.max(0, lamports / 1e9 - this.minSolReserve);
+        holdings[SOL_MINT] = { quantity: (holdings[SOL_MINT]?.quantity || 0) + sol, decimals: 9 };
+
+        return holdings;
+    }
+
+    _toTicker(symbol) {
+        if (MINT_PATTERN.test(symbol)) return symbol;
+        return symbol.toUpperCase().replace('/', '').replace(/USDT?$|USDC$/, '') || symbol;
+    }
+
+    _tickerForMint(mint) {
+        const entry = Object.entries(this.tokens).find(([, t]) => t.mint === mint);
+        return entry ? entry[0] : mint;
+    }
+
+    /**
+     * Ticker or mint → { mint, decimals }. Unknown tickers are looked up on the Jupiter
+     * token API (verified exact-symbol matches only); unknown mints read decimals from RPC.
+     * Results are cached in `tokens`.
+     * @private
+     */
+    async _resolveToken(symbol) {
+        const ticker = this._toTicker(symbol);
+        if (this.tokens[ticker]) return this.tokens[ticker];
+
+        let token;
+        if (MINT_PATTERN.test(symbol)) {
+            const { value } = await this._rpc('getAccountInfo', [symbol, { encoding: 'jsonParsed' }]);
+            const decimals = value?.data?.parsed?.info?.decimals;
+            if (decimals === undefined) {
+                throw new Error(`${symbol} is not an SPL token mint`);
+            }
+            token = { mint: symbol, decimals };
+        } else {
+            const results = await this._api('GET', `${this.tokensApiUrl}/search?query=${encodeURIComponent(ticker)}`);
+            const match = results.find(t => t.symbol?.toUpperCase() === ticker && t.isVerified);
+            if (!match) {
+                throw new Error(`Unknown Solana token: ${symbol}`);
+            }
+            token = { mint: match.id, decimals: match.decimals };
+        }
+
+        this.tokens[ticker] = token;
+        return token;
+    }
+
+    // --- Keys & Transport ---
+
+    _loadKeypair(secret) {
+        const bytes = secret.trim().startsWith('[')
+            ? Buffer.from(JSON.parse(secret))
+            : decodeBase58(secret.trim());
+
+        if (bytes.length !== 64) {
+            throw new Error('Solana private key must be a 64-byte secret key (base58 or JSON array).');
+        }
+
+        const signingKey = crypto.createPrivateKey({
+            key: Buffer.concat([ED25519_PKCS8_PREFIX, bytes.subarray(0, 32)]),
+            format: 'der',
+            type: 'pkcs8'
+        });
+        const publicKey = crypto.createPublicKey(signingKey).export({ format: 'der', type: 'spki' }).subarray(-32);
+
+        if (!publicKey.equals(bytes.subarray(32))) {
+            throw new Error('Solana private key does not match its public key.');
+        }
+        return { signingKey, publicKey };
+    }
+
+    async _api(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            let data = {};
+            try { data = JSON.parse(text); } catch { }
+            const ErrorType = response.status === 429 ? RateLimitError : ExchangeApiError;
+            throw new ErrorType(this.name, data.error || text.slice(0, 200) || `HTTP ${response.status}`, {
+                code: data.errorCode,
+                status: response.status
+            });
+        }
+        return JSON.parse(text);
+    }
+
+    async _rpc(method, params) {
+        const response = await fetch(this.rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: ++this._rpcId, method, params })
+        });
+
+        if (response.status === 429) {
+            throw new RateLimitError(this.name, `RPC ${method} rate limited`, { status: 429 });
+        }
+
+        const data = await response.json();
+        if (data.error) {
+            // Preflight failures carry the program logs
+            const logs = data.error.data?.logs?.join(' ') || '';
+            throw this._toError(`RPC ${method}: ${data.error.message} ${logs}`.trim(), data.error.code);
+        }
+        return data.result;
+    }
+
+    _toError(message, code) {
+        // SPL Token error 0x1 is InsufficientFunds
+        if (/insufficient (funds|lamports)|custom program error: 0x1\b|"Custom":1\b/i.test(message)) {
+            return new InsufficientBalanceError(this.name, message, { code });
+        }
+        return new ExchangeApiError(this.name, message, { code });
+    }
+}
+
+/**
+ * Solana compact-u16 ("shortvec"): returns [value, offset after it].
+ */
+function decodeShortVec(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 3; i++) {
+        const byte = bytes[offset + i];
+        value |= (byte & 0x7f) << (7 * i);
+        if (!(byte & 0x80)) return [value, offset + i + 1];
+    }
+    throw new Error('Invalid compact-u16 in transaction');
+}
+
+function encodeBase58(bytes) {
+    let n = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let out = '';
+    while (n > 0n) {
+        out = BASE58_ALPHABET[Number(n % 58n)] + out;
+        n /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        out = `1${out}`;
+    }
+    return out;
+}
+
+function decodeBase58(text) {
+    let n = 0n;
+    for (const char of text) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) throw new Error(`Invalid base58 character '${char}'`);
+        n = n * 58n + BigInt(digit);
+    }
+    let hex = n === 0n ? '' : n.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+
+    const zeros = text.match(/^1*/)[0].length;
+    return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+}
@@ -0,0 +1,541 @@
+import fs from 'fs';
+import path from 'path';
+import { eventBus } from '../EventBus.js';
+import { ExchangeAdapter, UnsupportedOperationError } from './ExchangeAdapter.js';
+
+/**
+ * PaperExchange — Local perpetual-futures venue simulator for dry runs.
+ *
+ * Fills orders against the prices published on 'price:update' (MarketDataFeed or a backtest replay):
+ *   - Market orders fill immediately at mark ± slippage (fixed bps + linear depth impact), taker fee
+ *   - Limit orders rest in a local order book and fill at their limit price when crossed, maker fee
+ *     (marketable limits fill immediately as taker)
+ *   - Funding is charged every fundingIntervalMs on open positions (longs pay shorts when the rate is positive)
+ *   - Isolated-margin positions are liquidated when equity falls to the maintenance margin
+ *
+ * Positions are kept per symbol and side (hedge mode), matching how PositionManager books them.
+ * Registered as the 'paper' ExchangeAdapter.
+ *
+ * Events emitted:
+ *   paper:fill         — An order (or part of one) was filled
+ *   paper:funding      — A funding payment was applied (also published through subscribeFunding())
+ *   paper:liquidation  — A position was liquidated
+ *
+ * @example
+ *   const paper = new PaperExchange({ initialBalance: 1000, takerFee: 0.0005 });
+ *   const agent = new AgentOrchestrator({
+ *       initialBalance: 1000,
+ *       exchanges: { paper },
+ *       exchange: 'paper'
+ *   });
+ */
+export class PaperExchange extends ExchangeAdapter {
+    /**
+     * @param {object} config
+     * @param {number} [config.initialBalance] - Starting wallet balance in USD (default 1000)
+     * @param {number} [config.makerFee] - Maker fee rate (default 0.0002 = 0.02%)
+     * @param {number} [config.takerFee] - Taker fee rate (default 0.0005 = 0.05%)
+     * @param {number} [config.slippageBps] - Fixed slippage on market orders in bps (default 2)
+     * @param {number} [config.bookDepthUsd] - Notional that moves the price by 1%, for market impact (default 5,000,000)
+     * @param {number} [config.fundingRate] - Default funding rate per interval (default 0.0001 = 0.01%)
+     * @param {Object<string, number>} [config.fundingRates] - Per-symbol funding rate overrides
+     * @param {number} [config.fundingIntervalMs] - Funding interval (default 8h)
+     * @param {number} [config.maintenanceMarginRate] - Maintenance margin as fraction of notional (default 0.005)
+     * @param {number} [config.maxLeverage] - Max leverage accepted by setLeverage/orders (default 100)
+     * @param {object} [config.positionManager] - PositionManager to close when the venue liquidates a position
+     * @param {string} [config.dataDir] - Persist account state to <dataDir>/paper.json
+     * @param {function} [config.clock] - Time source for order timestamps (default Date.now)
+     */
+    constructor(config = {}) {
+        super({ name: 'paper', positionMode: 'hedge' });
+        this.initialBalance = config.initialBalance ?? 1000;
+        this.makerFee = config.makerFee ?? 0.0002;
+        this.takerFee = config.takerFee ?? 0.0005;
+        this.slippageBps = config.slippageBps ?? 2;
+        this.bookDepthUsd = config.bookDepthUsd ?? 5_000_000;
+        this.fundingRate = config.fundingRate ?? 0.0001;
+        this.fundingRates = config.fundingRates || {};
+        this.fundingIntervalMs = config.fundingIntervalMs || 8 * 60 * 60 * 1000;
+        this.maintenanceMarginRate = config.maintenanceMarginRate ?? 0.005;
+        this.maxLeverage = config.maxLeverage || 100;
+        this.positionManager = config.positionManager || null;
+        this.stateFile = config.dataDir ? path.join(config.dataDir, 'paper.json') : null;
+        this._now = config.clock || Date.now;
+
+        // Account
+        this.balance = this.initialBalance;
+        this.feesPaid = 0;
+        this.fundingPaid = 0;
+        this.realizedPnl = 0;
+
+        // symbol:side -> position, orderId -> resting order, symbol -> leverage
+        this.positions = new Map();
+        this.orders = new Map();
+        this.leverage = {};
+
+        this.prices = {};
+        this._nextFundingAt = null;
+        this._orderSeq = 0;
+
+        this._loadState();
+
+        this._onPrice = (data) => this._onPriceUpdate(data);
+        eventBus.on('price:update', this._onPrice);
+
+        console.log(`🧪 PaperExchange active. Balance: $${this.balance.toFixed(2)} | Fees: ${this.makerFee * 100}% maker / ${this.takerFee * 100}% taker | Slippage: ${this.slippageBps}bps`);
+    }
+
+    /**
+     * Stop listening to price updates.
+     */
+    detach() {
+        eventBus.off('price:update', this._onPrice);
+    }
+
+    async disconnect() {
+        this.detach();
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * Place an order.
+     * @param {object} params
+     * @param {string} params.symbol - e.g. 'BTCUSDT' (or 'BTC/USDT')
+     * @param {string} params.side - 'buy' | 'sell'
+     * @param {number} params.quantity - Size in base units
+     * @param {string} [params.type] - 'market' | 'limit' (default 'market')
+     * @param {number} [params.price] - Limit price
+     * @param {number} [params.leverage] - Leverage (default: symbol leverage set via setLeverage, else 1)
+     * @param {boolean} [params.reduceOnly] - Only reduce the opposite-side position
+     * @returns {object} The order (status 'filled' or 'open')
+     */
+    placeOrder(params) {
+        const symbol = this._normalizeSymbol(params.symbol);
+        return this._submit(params, this.prices[symbol]);
+    }
+
+    /**
+     * Cancel a resting order.
+     * @param {string} orderId
+     * @returns {boolean} Whether an order was cancelled
+     */
+    cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) return false;
+
+        order.status = 'cancelled';
+        this.orders.delete(orderId);
+        this._saveState();
+        return true;
+    }
+
+    /**
+     * Get resting orders (optionally for one symbol).
+     * @param {string} [symbol]
+     * @returns {Array}
+     */
+    getOpenOrders(symbol = null) {
+        const s = symbol ? this._normalizeSymbol(symbol) : null;
+        return Array.from(this.orders.values())
+            .filter(o => !s || o.symbol === s)
+            .map(o => ({ ...o }));
+    }
+
+    /**
+     * Get open positions marked to the latest price.
+     * @returns {Array}
+     */
+    getPositions() {
+        return Array.from(this.positions.values()).map(p => ({
+            ...p,
+            markPrice: this.prices[p.symbol] || p.entryPrice,
+            unrealizedPnl: this._unrealized(p, this.prices[p.symbol] || p.entryPrice)
+        }));
+    }
+
+    /**
+     * Get account balances.
+     * @returns {{ balance: number, equity: number, available: number, usedMargin: number, unrealizedPnl: number, realizedPnl: number, feesPaid: number, fundingPaid: number }}
+     */
+    getBalance() {
+        let usedMargin = 0;
+        let unrealizedPnl = 0;
+        for (const p of this.positions.values()) {
+            usedMargin += p.margin;
+            unrealizedPnl += this._unrealized(p, this.prices[p.symbol] || p.entryPrice);
+        }
+        const orderMargin = Array.from(this.orders.values())
+            .filter(o => !o.reduceOnly)
+            .reduce((sum, o) => sum + (o.quantity * o.price) / o.leverage, 0);
+
+        return {
+            balance: this.balance,
+            equity: this.balance + unrealizedPnl,
+            available: this.balance - usedMargin - orderMargin + Math.min(0, unrealizedPnl),
+            usedMargin,
+            unrealizedPnl,
+            realizedPnl: this.realizedPnl,
+            feesPaid: this.feesPaid,
+            fundingPaid: this.fundingPaid
+        };
+    }
+
+    /**
+     * Set default leverage for a symbol.
+     * @param {string} symbol
+     * @param {number} leverage
+     */
+    setLeverage(symbol, leverage) {
+        const s = this._normalizeSymbol(symbol);
+        this.leverage[s] = Math.max(1, Math.min(leverage, this.maxLeverage));
+        this._saveState();
+        return this.leverage[s];
+    }
+
+    // --- AgentOrchestrator Handlers ---
+
+    /**
+     * executeTrade handler: opens a position worth `amount` USD of margin at `leverage`.
+     * @param {{ symbol: string, side: string, amount: number, leverage: number }} trade
+     * @returns {Promise<{ orderId: string, avgPrice: number, quantity: number, fee: number }>}
+     */
+    async executeTrade(trade) {
+        const symbol = this._normalizeSymbol(trade.symbol);
+        const mark = this.prices[symbol];
+        if (!mark) throw new Error(`No market price for ${symbol}`);
+
+        const quantity = (trade.amount * trade.leverage) / mark;
+        const order = this.placeOrder({ symbol, side: trade.side, quantity, leverage: trade.leverage });
+
+        return { orderId: order.id, avgPrice: order.avgPrice, quantity: order.filledQuantity, fee: order.fee };
+    }
+
+    /**
+     * executeClose handler: closes the quantity backing a PositionManager position.
+     * @param {object} position - PositionManager position
+     */
+    async executeClose(position) {
+        const symbol = this._normalizeSymbol(position.symbol);
+        const held = this.positions.get(`${symbol}:${position.side}`);
+        if (!held) {
+            console.warn(`🧪 [Paper] No ${position.side} ${symbol} position to close.`);
+            return null;
+        }
+
+        const quantity = Math.min(held.quantity, this._positionQuantity(position));
+        // A triggered stop/TP fills around its trigger price, not the last mark we saw
+        const order = this._submit({
+            symbol,
+            side: position.side === 'buy' ? 'sell' : 'buy',
+            quantity,
+            reduceOnly: true
+        }, position.exitPrice || this.prices[symbol]);
+
+        return { orderId: order.id, avgPrice: order.avgPrice, quantity: order.filledQuantity, fee: order.fee };
+    }
+
+    // --- Matching ---
+
+    _submit(params, mark) {
+        const symbol = this._normalizeSymbol(params.symbol);
+        const side = params.side.toLowerCase();
+        const type = (params.type || 'market').toLowerCase();
+        const quantity = parseFloat(params.quantity);
+        const leverage = Math.min(params.leverage || this.leverage[symbol] || 1, this.maxLeverage);
+
+        if (!['market', 'limit'].includes(type)) throw new UnsupportedOperationError(this.name, `${type} orders`);
+        if (!['buy', 'sell'].includes(side)) throw new Error(`Invalid side: ${params.side}`);
+        if (!(quantity > 0)) throw new Error(`Invalid quantity: ${params.quantity}`);
+        if (!mark) throw new Error(`No market price for ${symbol}`);
+        if (type === 'limit' && !(params.price > 0)) throw new Error('Limit orders require a price');
+
+        const order = {
+            id: `paper_${++this._orderSeq}`,
+            symbol,
+            side,
+            type,
+            price: type === 'limit' ? params.price : null,
+            quantity,
+            filledQuantity: 0,
+            avgPrice: 0,
+            fee: 0,
+            leverage,
+            reduceOnly: !!params.reduceOnly,
+            status: 'open',
+            createdAt: this._now()
+        };
+
+        if (order.reduceOnly && !this._reducibleQuantity(order)) {
+            throw new Error(`Reduce-only ${side} rejected: no opposite ${symbol} position`);
+        }
+
+        const marketable = type === 'market'
+            || (side === 'buy' ? params.price >= mark : params.price <= mark);
+
+        if (marketable) {
+            const fillPrice = type === 'market'
+                ? this._slippedPrice(side, mark, quantity * mark)
+                : mark;
+            this._fill(order, fillPrice, this.takerFee);
+        } else {
+            if (!order.reduceOnly) this._assertMargin(quantity * order.price / leverage);
+            this.orders.set(order.id, order);
+            console.log(`🧪 [Paper] Resting ${side.toUpperCase()} LIMIT ${quantity} ${symbol} @ $${order.price}`);
+        }
+
+        this._saveState();
+        return { ...order };
+    }
+
+    _onPriceUpdate({ symbol, price, timestamp }) {
+        if (!price || price <= 0) return;
+        this.prices[symbol] = price;
+
+        const now = timestamp || this._now();
+        let changed = false;
+
+        // Resting limit orders
+        for (const order of Array.from(this.orders.values())) {
+            if (order.symbol !== symbol) continue;
+            const crossed = order.side === 'buy' ? price <= order.price : price >= order.price;
+            if (!crossed) continue;
+
+            this.orders.delete(order.id);
+            if (order.reduceOnly && !this._reducibleQuantity(order)) {
+                order.status = 'cancelled';
+            } else {
+                try {
+                    this._fill(order, order.price, this.makerFee);
+                } catch (error) {
+                    order.status = 'rejected';
+                    console.warn(`🧪 [Paper] Limit order ${order.id} rejected on fill: ${error.message}`);
+                }
+            }
+            changed = true;
+        }
+
+        // Funding
+        if (this._nextFundingAt === null) {
+            this._nextFundingAt = Math.ceil(now / this.fundingIntervalMs) * this.fundingIntervalMs;
+        }
+        while (now >= this._nextFundingAt) {
+            this._applyFunding();
+            this._nextFundingAt += this.fundingIntervalMs;
+            changed = true;
+        }
+
+        // Liquidations
+        for (const position of Array.from(this.positions.values())) {
+            if (position.symbol !== symbol) continue;
+            const equity = position.margin + this._unrealized(position, price);
+            if (equity <= position.quantity * price * this.maintenanceMarginRate) {
+                this._liquidate(position, price);
+                changed = true;
+            }
+        }
+
+        if (changed) this._saveState();
+    }
+
+    _fill(order, price, feeRate) {
+        const key = `${order.symbol}:${order.side}`;
+        const oppositeKey = `${order.symbol}:${order.side === 'buy' ? 'sell' : 'buy'}`;
+        let remaining = order.quantity;
+
+        if (order.reduceOnly) {
+            const position = this.positions.get(oppositeKey);
+            remaining = Math.min(remaining, position.quantity);
+            const pnl = this._unrealized({ ...position, quantity: remaining }, price);
+            const releasedMargin = position.margin * (remaining / position.quantity);
+
+            position.quantity -= remaining;
+            position.margin -= releasedMargin;
+            this.balance += pnl;
+            this.realizedPnl += pnl;
+
+            if (position.quantity <= 1e-12) {
+                this.positions.delete(oppositeKey);
+                this._cancelReduceOnly(position);
+            } else {
+                position.liquidationPrice = this._liquidationPrice(position);
+            }
+        } else {
+            const margin = (remaining * price) / order.leverage;
+            this._assertMargin(margin + remaining * price * feeRate);
+
+            const existing = this.positions.get(key);
+            if (existing) {
+                const totalQty = existing.quantity + remaining;
+                existing.entryPrice = (existing.entryPrice * existing.quantity + price * remaining) / totalQty;
+                existing.quantity = totalQty;
+                existing.margin += margin;
+                existing.leverage = (existing.entryPrice * totalQty) / existing.margin;
+                existing.liquidationPrice = this._liquidationPrice(existing);
+            } else {
+                const position = {
+                    symbol: order.symbol,
+                    side: order.side,
+                    quantity: remaining,
+                    entryPrice: price,
+                    leverage: order.leverage,
+                    margin,
+                    openedAt: this._now()
+                };
+                position.liquidationPrice = this._liquidationPrice(position);
+                this.positions.set(key, position);
+            }
+        }
+
+        const fee = remaining * price * feeRate;
+        this.balance -= fee;
+        this.feesPaid += fee;
+
+        order.filledQuantity = remaining;
+        order.avgPrice = price;
+        order.fee = fee;
+        order.status = 'filled';
+        order.filledAt = this._now();
+
+        console.log(`🧪 [Paper] FILLED ${order.side.toUpperCase()} ${remaining.toFixed(6)} ${order.symbol} @ $${price.toFixed(2)} | Fee: $${fee.toFixed(4)}${order.reduceOnly ? ' (reduce-only)' : ''}`);
+        eventBus.emit('paper:fill', { ...order });
+        this._emitFill({
+            orderId: order.id,
+            symbol: order.symbol,
+            side: order.side,
+            quantity: remaining,
+            price,
+            fee,
+            reduceOnly: order.reduceOnly,
+            timestamp: order.filledAt
+        });
+    }
+
+    _applyFunding() {
+        for (const position of this.positions.values()) {
+            const mark = this.prices[position.symbol] || position.entryPrice;
+            const rate = this.fundingRates[position.symbol] ?? this.fundingRate;
+            // Positive rate: longs pay, shorts receive
+            const payment = position.quantity * mark * rate * (position.side === 'buy' ? 1 : -1);
+
+            this.balance -= payment;
+            this.fundingPaid += payment;
+
+            eventBus.emit('paper:funding', { symbol: position.symbol, side: position.side, rate, payment });
+            this._emitFunding({ symbol: position.symbol, side: position.side, payment, rate });
+        }
+    }
+
+    _liquidate(position, price) {
+        const key = `${position.symbol}:${position.side}`;
+        const loss = position.margin;
+
+        this.positions.delete(key);
+        this._cancelReduceOnly(position);
+        this.balance -= loss;
+        this.realizedPnl -= loss;
+
+        console.log(`💀 [Paper] LIQUIDATED ${position.side.toUpperCase()} ${position.symbol} @ $${price} | Margin lost: $${loss.toFixed(2)}`);
+        eventBus.emit('paper:liquidation', { ...position, price, loss });
+
+        // Keep the agent's book in sync with the venue (booked at the bankruptcy-side liquidation price)
+        if (this.positionManager) {
+            for (const p of this.positionManager.getBySymbol(position.symbol)) {
+                if (p.side === position.side) {
+                    this.positionManager.close(p.id, 'liquidation', position.liquidationPrice);
+                }
+            }
+        }
+    }
+
+    /**
+     * Drop resting reduce-only orders that pointed at a position that no longer exists.
+     */
+    _cancelReduceOnly(position) {
+        for (const order of Array.from(this.orders.values())) {
+            if (order.reduceOnly && order.symbol === position.symbol && order.side !== position.side) {
+                order.status = 'cancelled';
+                this.orders.delete(order.id);
+            }
+        }
+    }
+
+    // --- Helpers ---
+
+    _slippedPrice(side, mark, notional) {
+        const impactBps = this.bookDepthUsd > 0 ? (notional / this.bookDepthUsd) * 100 : 0;
+        const bps = this.slippageBps + impactBps;
+        return side === 'buy' ? mark * (1 + bps / 10000) : mark * (1 - bps / 10000);
+    }
+
+    _unrealized(position, price) {
+        const direction = position.side === 'buy' ? 1 : -1;
+        return (price - position.entryPrice) * position.quantity * direction;
+    }
+
+    _liquidationPrice(position) {
+        const marginPerUnit = position.margin / position.quantity;
+        return position.side === 'buy'
+            ? (position.entryPrice - marginPerUnit) / (1 - this.maintenanceMarginRate)
+            : (position.entryPrice + marginPerUnit) / (1 + this.maintenanceMarginRate);
+    }
+
+    _reducibleQuantity(order) {
+        const opposite = this.positions.get(`${order.symbol}:${order.side === 'buy' ? 'sell' : 'buy'}`);
+        return opposite ? opposite.quantity : 0;
+    }
+
+    _assertMargin(required) {
+        const { available } = this.getBalance();
+        if (required > available + 1e-9) {
+            throw new Error(`Insufficient margin: need $${required.toFixed(2)}, available $${available.toFixed(2)}`);
+        }
+    }
+
+    // --- Persistence ---
+
+    _saveState() {
+        if (!this.stateFile) return;
+        try {
+            const dir = path.dirname(this.stateFile);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const state = {
+                balance: this.balance,
+                feesPaid: this.feesPaid,
+                fundingPaid: this.fundingPaid,
+                realizedPnl: this.realizedPnl,
+                leverage: this.leverage,
+                positions: Array.from(this.positions.entries()),
+                orders: Array.from(this.orders.entries()),
+                orderSeq: this._orderSeq,
+                nextFundingAt: this._nextFundingAt
+            };
+            fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save paper exchange state:', error.message);
+        }
+    }
+
+    _loadState() {
+        if (!this.stateFile) return;
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+                this.balance = state.balance ?? this.initialBalance;
+                this.feesPaid = state.feesPaid || 0;
+                this.fundingPaid = state.fundingPaid || 0;
+                this.realizedPnl = state.realizedPnl || 0;
+                this.leverage = state.leverage || {};
+                this.positions = new Map(state.positions || []);
+                this.orders = new Map(state.orders || []);
+                this._orderSeq = state.orderSeq || 0;
+                this._nextFundingAt = state.nextFundingAt ?? null;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load paper exchange state:', error.message);
+        }
+    }
+}
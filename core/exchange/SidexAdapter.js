@@ -0,0 +1,406 @@
+import WebSocket from 'ws';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    UnsupportedOperationError
+} from './ExchangeAdapter.js';
+
+const TERMINAL_STATUSES = ['success', 'error', 'ignored'];
+const ACK_STATUSES = ['ack', 'accepted', 'pending'];
+
+/**
+ * SidexAdapter — Sidex execution gateway (WebSocket).
+ *
+ * One long-lived gateway connection carries every request. Each command gets an `id`
+ * the gateway echoes back, so responses are matched to their request; a request fails
+ * after `timeoutMs` without a terminal response ({ status: 'success' | 'error' | 'ignored' }).
+ * Interim acks ({ id, status: 'ack' }) keep the request pending. The connection is opened
+ * on start (or the first request) and re-opened with exponential backoff when it drops.
+ * Sidex sizes orders in USD margin, not base units.
+ *
+ * Gateway commands:
+ *   { id, action: 'trade', symbol, side, amount, leverage }
+ *   { id, action: 'close', asset, side: 'long' | 'short' }
+ *
+ * Gateway pushes (no id):
+ *   { type: 'fill', orderId, symbol, side, quantity, price, fee, timestamp }
+ *   { type: 'position', symbol, side: 'long' | 'short', quantity, entryPrice, status: 'open' | 'closed', exitPrice?, reason? }
+ *
+ * Fills are published through subscribeFills(). Position pushes re-sync the attached
+ * PositionManager; positions the venue closed on its own (liquidation, venue-side stops)
+ * are closed there too.
+ */
+export class SidexAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.token] - Gateway token (default env SIDEX_TOKEN)
+     * @param {string} [config.gatewayUrl] - Gateway URL (default env SIDEX_GATEWAY or wss://devs.sidex.fun/gateway)
+     * @param {number} [config.timeoutMs] - Response timeout per request (default 10000)
+     * @param {number} [config.heartbeatMs] - Ping interval; a connection that misses a pong is dropped (default 30000)
+     * @param {PositionManager} [config.positionManager] - Receives position pushes from the gateway
+     */
+    constructor(config = {}) {
+        // The gateway keeps a long and a short per asset
+        super({ name: 'sidex', positionMode: 'hedge' });
+        this.token = config.token || process.env.SIDEX_TOKEN;
+        this.gatewayUrl = config.gatewayUrl || process.env.SIDEX_GATEWAY || 'wss://devs.sidex.fun/gateway';
+        this.timeoutMs = config.timeoutMs || 10000;
+        this.heartbeatMs = config.heartbeatMs || 30000;
+        this.positionManager = config.positionManager || null;
+        this.leverage = {};
+
+        if (!this.token && !this.gatewayUrl.includes('token=')) {
+            throw new Error('SidexAdapter requires a gateway token.');
+        }
+
+        this._ws = null;
+        this._connecting = null;
+        this._pending = new Map();      // request id -> { resolve, reject, timer, action }
+        this._closingPositions = new Set();
+        this._requestSeq = 0;
+        this._heartbeatTimer = null;
+        this._reconnectTimer = null;
+        this._reconnectAttempts = 0;
+        this._closing = false;
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * Open a position. Pass `amount` (USD margin), or `quantity` with a reference `price`.
+     */
+    async placeOrder(params) {
+        const type = (params.type || 'market').toLowerCase();
+        if (type !== 'market') {
+            throw new UnsupportedOperationError(this.name, `${type} orders`);
+        }
+
+        const symbol = this._toGatewaySymbol(params.symbol);
+        const side = params.side.toLowerCase();
+
+        if (params.reduceOnly) {
+            return this._close(symbol, side === 'sell' ? 'buy' : 'sell');
+        }
+
+        const leverage = params.leverage || this.leverage[symbol] || 1;
+        const amount = params.amount ?? (params.quantity * params.price) / leverage;
+        if (!(amount > 0)) {
+            throw new Error('Sidex orders need an amount (USD margin) or a quantity with a price.');
+        }
+
+        const res = await this._request({ action: 'trade', symbol, side, amount, leverage });
+        return {
+            id: String(res.orderId || res.id || ''),
+            symbol,
+            side,
+            type,
+            price: null,
+            quantity: parseFloat(res.quantity) || params.quantity || null,
+            filledQuantity: parseFloat(res.quantity) || params.quantity || null,
+            avgPrice: parseFloat(res.price || res.entryPrice) || null,
+            fee: parseFloat(res.fee) || 0,
+            status: 'filled',
+            raw: res
+        };
+    }
+
+    async setLeverage(symbol, leverage) {
+        // Leverage travels with each trade command
+        this.leverage[this._toGatewaySymbol(symbol)] = leverage;
+        return leverage;
+    }
+
+    /**
+     * The gateway closes by asset and direction; it does not report positions.
+     */
+    async closePosition(symbol, side = 'buy') {
+        return [await this._close(this._toGatewaySymbol(symbol), side)];
+    }
+
+    // --- AgentOrchestrator Handlers ---
+
+    async executeTrade(trade) {
+        const order = await this.placeOrder({
+            symbol: trade.symbol,
+            side: trade.side,
+            amount: trade.amount,
+            leverage: trade.leverage
+        });
+        return this._toFill(order, trade.price);
+    }
+
+    async executeClose(position) {
+        // The gateway's close command always closes the whole asset / side
+        if (position.partial) {
+            throw new UnsupportedOperationError(this.name, 'partial closes');
+        }
+
+        // The gateway echoes our own close as a 'closed' push; the agent books that close itself
+        this._closingPositions.add(position.id);
+        try {
+            const order = await this._close(this._toGatewaySymbol(position.symbol), position.side);
+            return this._toFill(order, position.exitPrice);
+        } finally {
+            this._closingPositions.delete(position.id);
+        }
+    }
+
+    // --- Connection ---
+
+    async connect() {
+        this._closing = false;
+        await this._ensureConnected();
+    }
+
+    async disconnect() {
+        this._closing = true;
+        clearInterval(this._heartbeatTimer);
+        clearTimeout(this._reconnectTimer);
+        this._heartbeatTimer = null;
+        this._reconnectTimer = null;
+
+        this._rejectPending(new Error('Sidex gateway connection closed'));
+
+        if (this._ws) {
+            this._ws.close();
+            this._ws = null;
+        }
+    }
+
+    _ensureConnected() {
+        if (this._ws?.readyState === WebSocket.OPEN) return Promise.resolve();
+        if (!this._connecting) {
+            this._connecting = this._open().finally(() => { this._connecting = null; });
+        }
+        return this._connecting;
+    }
+
+    _open() {
+        const url = this.gatewayUrl.includes('token=')
+            ? this.gatewayUrl
+            : `${this.gatewayUrl}?token=${this.token}`;
+
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url);
+            let ready = false;
+
+            ws.on('open', () => {
+                ready = true;
+                this._ws = ws;
+                this._reconnectAttempts = 0;
+                this._startHeartbeat(ws);
+                console.log('🔌 [Sidex] Gateway connected.');
+                resolve();
+            });
+
+            ws.on('message', (data) => {
+                let msg;
+                try {
+                    msg = JSON.parse(data.toString());
+                } catch {
+                    return;
+                }
+                this._onMessage(msg);
+            });
+
+            ws.on('pong', () => { ws.isAlive = true; });
+
+            ws.on('error', (err) => {
+                if (!ready) reject(new Error(`Sidex gateway error: ${err.message}`));
+                else console.error(`❌ [Sidex] Gateway error: ${err.message}`);
+            });
+
+            ws.on('close', () => {
+                if (this._ws !== ws) return;
+                this._ws = null;
+                clearInterval(this._heartbeatTimer);
+                this._heartbeatTimer = null;
+
+                // Whether in-flight commands executed is unknown; callers decide whether to retry
+                this._rejectPending(new Error('Sidex gateway connection lost before a response'));
+                if (!this._closing) this._scheduleReconnect();
+            });
+        });
+    }
+
+    _startHeartbeat(ws) {
+        ws.isAlive = true;
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = setInterval(() => {
+            if (!ws.isAlive) {
+                console.warn('⚠️ [Sidex] Gateway missed a heartbeat.');
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }, this.heartbeatMs);
+        this._heartbeatTimer.unref?.();
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(30000, 1000 * 2 ** this._reconnectAttempts++);
+        console.warn(`⚠️ [Sidex] Gateway disconnected. Reconnecting in ${delay / 1000}s...`);
+
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._ensureConnected().catch((err) => {
+                console.error(`❌ [Sidex] Reconnect failed: ${err.message}`);
+                if (!this._closing) this._scheduleReconnect();
+            });
+        }, delay);
+        this._reconnectTimer.unref?.();
+    }
+
+    _rejectPending(error) {
+        for (const [id, request] of this._pending) {
+            clearTimeout(request.timer);
+            request.reject(error);
+            this._pending.delete(id);
+        }
+    }
+
+    // --- Transport ---
+
+    async _close(asset, positionSide) {
+        const side = positionSide === 'buy' ? 'long' : 'short';
+        const res = await this._request({ action: 'close', asset, side });
+        return {
+            id: String(res.orderId || res.id || ''),
+            symbol: asset,
+            side: positionSide === 'buy' ? 'sell' : 'buy',
+            type: 'market',
+            price: null,
+            quantity: parseFloat(res.quantity) || null,
+            filledQuantity: parseFloat(res.quantity) || null,
+            avgPrice: parseFloat(res.price || res.exitPrice) || null,
+            fee: parseFloat(res.fee) || 0,
+            reduceOnly: true,
+            status: 'filled',
+            raw: res
+        };
+    }
+
+    /**
+     * Send one command over the shared connection and wait for its terminal response.
+     * @private
+     */
+    async _request(payload) {
+        await this._ensureConnected();
+
+        const id = `${Date.now().toString(36)}-${++this._requestSeq}`;
+        const message = { id, ...payload };
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                const acked = request.acked ? ' (acknowledged, no result)' : '';
+                reject(new Error(`Timeout waiting for Sidex gateway response to '${payload.action}' [${id}]${acked}`));
+            }, this.timeoutMs);
+
+            const request = { resolve, reject, timer, action: payload.action, acked: false };
+            this._pending.set(id, request);
+
+            console.log(`🚀 [Sidex] ${payload.action.toUpperCase()} ${JSON.stringify(message)}`);
+            this._ws.send(JSON.stringify(message), (err) => {
+                if (!err) return;
+                clearTimeout(timer);
+                this._pending.delete(id);
+                reject(new Error(`Sidex gateway send failed: ${err.message}`));
+            });
+        });
+    }
+
+    _onMessage(msg) {
+        if (msg.type === 'fill') return this._onFill(msg);
+        if (msg.type === 'position') return this._onPosition(msg);
+
+        const id = msg.id ?? msg.requestId;
+        let request = id !== undefined ? this._pending.get(String(id)) : null;
+
+        // Gateways without correlation ids answer in order; only safe with a single request in flight
+        if (!request && id === undefined && this._pending.size === 1) {
+            [[, request]] = this._pending;
+        }
+        if (!request) return;
+
+        if (ACK_STATUSES.includes(msg.status)) {
+            request.acked = true;
+            return;
+        }
+        if (!TERMINAL_STATUSES.includes(msg.status)) return;
+
+        clearTimeout(request.timer);
+        for (const [key, value] of this._pending) {
+            if (value === request) this._pending.delete(key);
+        }
+
+        if (msg.status === 'success') {
+            request.resolve(msg);
+        } else {
+            request.reject(this._toError(msg));
+        }
+    }
+
+    _toError(msg) {
+        const message = `gateway ${msg.status}: ${msg.message || msg.error || JSON.stringify(msg)}`;
+        if (/insufficient|not enough (balance|margin)/i.test(message)) {
+            return new InsufficientBalanceError(this.name, message, { code: msg.code });
+        }
+        if (/no (open )?position|position not found/i.test(message)) {
+            return new ReduceOnlyViolationError(this.name, message, { code: msg.code });
+        }
+        return new ExchangeApiError(this.name, message, { code: msg.code });
+    }
+
+    // --- Gateway Pushes ---
+
+    _onFill(msg) {
+        this._emitFill({
+            orderId: String(msg.orderId || ''),
+            symbol: this._toGatewaySymbol(msg.symbol),
+            side: msg.side,
+            quantity: parseFloat(msg.quantity) || 0,
+            price: parseFloat(msg.price) || 0,
+            fee: parseFloat(msg.fee) || 0,
+            timestamp: msg.timestamp || Date.now()
+        });
+    }
+
+    _onPosition(msg) {
+        if (!this.positionManager) return;
+
+        const side = msg.side === 'short' || msg.side === 'sell' ? 'sell' : 'buy';
+        const managed = this.positionManager.getOpen().filter(p =>
+            p.exchange === this.name &&
+            p.side === side &&
+            this._normalizeSymbol(p.symbol) === this._normalizeSymbol(msg.symbol)
+        );
+        if (managed.length === 0) return;
+
+        if (msg.status === 'closed') {
+            for (const position of managed) {
+                if (this._closingPositions.has(position.id)) continue;
+                console.warn(`⚠️ [Sidex] Venue closed ${side.toUpperCase()} ${position.symbol} (${msg.reason || 'exchange'}).`);
+                this.positionManager.close(position.id, msg.reason || 'exchange', parseFloat(msg.exitPrice) || null);
+            }
+            return;
+        }
+
+        this._syncManagedPosition({
+            symbol: managed[0].symbol,
+            side,
+            quantity: parseFloat(msg.quantity),
+            entryPrice: parseFloat(msg.entryPrice)
+        });
+    }
+
+    _toGatewaySymbol(symbol) {
+        // Gateway uses 'BTC/USDT'
+        if (symbol.includes('/')) return symbol.toUpperCase();
+        return symbol.toUpperCase().replace(/(USDT|USDC)$/, '/$1');
+    }
+}
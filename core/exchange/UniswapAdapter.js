@@ -0,0 +1,531 @@
+import {
+    createWalletClient,
+    encodeFunctionData,
+    encodePacked,
+    erc20Abi,
+    http,
+    parseEventLogs,
+    parseUnits,
+    publicActions
+} from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { arbitrum, base, mainnet } from 'viem/chains';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    UnsupportedOperationError
+} from './ExchangeAdapter.js';
+
+// Supported chains: SwapRouter02 / QuoterV2 addresses and the quote tokens trades are priced in
+export const CHAINS = {
+    1: {
+        name: 'Mainnet',
+        chain: mainnet,
+        rpc: 'https://rpc.ankr.com/eth',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+        quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+        tokens: {
+            WETH: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 },
+            USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6 }
+        }
+    },
+    42161: {
+        name: 'Arbitrum',
+        chain: arbitrum,
+        rpc: 'https://arb1.arbitrum.io/rpc',
+        router: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+        quoter: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+        tokens: {
+            WETH: { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', decimals: 18 },
+            USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 }
+        }
+    },
+    8453: {
+        name: 'Base',
+        chain: base,
+        rpc: 'https://mainnet.base.org',
+        router: '0x2626664c2603336E57B271c5C0b26F421741e481',
+        quoter: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+        tokens: {
+            WETH: { address: '0x4200000000000000000000000000000000000006', decimals: 18 },
+            USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 }
+        }
+    }
+};
+
+// Pool fee tiers (hundredths of a bip) tried when routing
+const FEE_TIERS = [100, 500, 3000, 10000];
+
+const QUOTER_ABI = [
+    {
+        type: 'function', name: 'quoteExactInput', stateMutability: 'nonpayable',
+        inputs: [{ name: 'path', type: 'bytes' }, { name: 'amountIn', type: 'uint256' }],
+        outputs: [
+            { name: 'amountOut', type: 'uint256' },
+            { name: 'sqrtPriceX96AfterList', type: 'uint160[]' },
+            { name: 'initializedTicksCrossedList', type: 'uint32[]' },
+            { name: 'gasEstimate', type: 'uint256' }
+        ]
+    },
+    {
+        type: 'function', name: 'quoteExactOutput', stateMutability: 'nonpayable',
+        inputs: [{ name: 'path', type: 'bytes' }, { name: 'amountOut', type: 'uint256' }],
+        outputs: [
+            { name: 'amountIn', type: 'uint256' },
+            { name: 'sqrtPriceX96AfterList', type: 'uint160[]' },
+            { name: 'initializedTicksCrossedList', type: 'uint32[]' },
+            { name: 'gasEstimate', type: 'uint256' }
+        ]
+    }
+];
+
+const ROUTER_ABI = [
+    {
+        type: 'function', name: 'exactInputSingle', stateMutability: 'payable',
+        inputs: [{
+            name: 'params', type: 'tuple', components: [
+                { name: 'tokenIn', type: 'address' },
+                { name: 'tokenOut', type: 'address' },
+                { name: 'fee', type: 'uint24' },
+                { name: 'recipient', type: 'address' },
+                { name: 'amountIn', type: 'uint256' },
+                { name: 'amountOutMinimum', type: 'uint256' },
+                { name: 'sqrtPriceLimitX96', type: 'uint160' }
+            ]
+        }],
+        outputs: [{ name: 'amountOut', type: 'uint256' }]
+    },
+    {
+        type: 'function', name: 'exactInput', stateMutability: 'payable',
+        inputs: [{
+            name: 'params', type: 'tuple', components: [
+                { name: 'path', type: 'bytes' },
+                { name: 'recipient', type: 'address' },
+                { name: 'amountIn', type: 'uint256' },
+                { name: 'amountOutMinimum', type: 'uint256' }
+            ]
+        }],
+        outputs: [{ name: 'amountOut', type: 'uint256' }]
+    },
+    {
+        type: 'function', name: 'exactOutputSingle', stateMutability: 'payable',
+        inputs: [{
+            name: 'params', type: 'tuple', components: [
+                { name: 'tokenIn', type: 'address' },
+                { name: 'tokenOut', type: 'address' },
+                { name: 'fee', type: 'uint24' },
+                { name: 'recipient', type: 'address' },
+                { name: 'amountOut', type: 'uint256' },
+                { name: 'amountInMaximum', type: 'uint256' },
+                { name: 'sqrtPriceLimitX96', type: 'uint160' }
+            ]
+        }],
+        outputs: [{ name: 'amountIn', type: 'uint256' }]
+    },
+    {
+        type: 'function', name: 'exactOutput', stateMutability: 'payable',
+        inputs: [{
+            name: 'params', type: 'tuple', components: [
+                { name: 'path', type: 'bytes' },
+                { name: 'recipient', type: 'address' },
+                { name: 'amountOut', type: 'uint256' },
+                { name: 'amountInMaximum', type: 'uint256' }
+            ]
+        }],
+        outputs: [{ name: 'amountIn', type: 'uint256' }]
+    },
+    {
+        type: 'function', name: 'multicall', stateMutability: 'payable',
+        inputs: [{ name: 'deadline', type: 'uint256' }, { name: 'data', type: 'bytes[]' }],
+        outputs: [{ name: 'results', type: 'bytes[]' }]
+    }
+];
+
+/**
+ * UniswapAdapter — Spot swaps on Uniswap V3 (Mainnet, Arbitrum, Base) with viem.
+ *
+ * Buying swaps the quote token (USDC by default) into the target token, selling swaps
+ * it back. Symbols are token tickers known for the chain or raw 0x addresses.
+ * There is no leverage and no shorting.
+ *
+ * Each swap is priced on QuoterV2 across the fee tiers, directly and through WETH,
+ * and the best route is sent to SwapRouter02 as exactInput(Single) / exactOutput(Single)
+ * wrapped in multicall(deadline, ...). amountOutMinimum (or amountInMaximum) is the
+ * quote less `slippageBps`. The router's ERC-20 allowance is checked and approved first.
+ *
+ * @example
+ *   const uni = new UniswapAdapter({ privateKey, chainId: 8453, slippageBps: 30 });
+ *   await uni.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 });  // 100 USDC → WETH
+ *   await uni.closePosition('WETH');                                        // WETH → USDC
+ */
+export class UniswapAdapter extends ExchangeAdapter {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.privateKey] - Wallet key (default env EVM_PRIVATE_KEY)
+     * @param {number} [config.chainId] - 1 | 42161 | 8453 (default env UNISWAP_CHAIN_ID or 1)
+     * @param {string} [config.quoteToken] - Token trades are paid in (default 'USDC')
+     * @param {string} [config.rpcUrl] - RPC override (default env UNISWAP_RPC_URL or the chain's public RPC)
+     * @param {number} [config.slippageBps] - Max slippage against the quote in bps (default 50)
+     * @param {number} [config.deadlineSeconds] - Swap deadline from submission (default 300)
+     * @param {boolean} [config.approveMax] - Approve an unlimited allowance instead of the exact amount (default false)
+     * @param {Object<string, {address: string, decimals: number}>} [config.tokens] - Extra ticker → token mappings
+     */
+    constructor(config = {}) {
+        super({ name: 'uniswap' });
+        this.privateKey = config.privateKey || process.env.EVM_PRIVATE_KEY;
+        this.chainId = Number(config.chainId || process.env.UNISWAP_CHAIN_ID || 1);
+        this.chain = CHAINS[this.chainId];
+
+        if (!this.chain) {
+            throw new Error(`Unsupported Uniswap chain: ${this.chainId}`);
+        }
+        if (!this.privateKey) {
+            throw new Error('UniswapAdapter requires a privateKey.');
+        }
+
+        this.rpcUrl = config.rpcUrl || process.env.UNISWAP_RPC_URL || this.chain.rpc;
+        this.slippageBps = config.slippageBps ?? 50;
+        this.deadlineSeconds = config.deadlineSeconds || 300;
+        this.approveMax = !!config.approveMax;
+        this.tokens = { ...this.chain.tokens, ...(config.tokens || {}) };
+        this.quoteToken = this._resolveToken(config.quoteToken || 'USDC');
+
+        this.account = privateKeyToAccount(this.privateKey.startsWith('0x') ? this.privateKey : `0x${this.privateKey}`);
+        this.client = createWalletClient({
+            account: this.account,
+            chain: this.chain.chain,
+            transport: http(this.rpcUrl)
+        }).extend(publicActions);
+    }
+
+    // --- Venue Operations ---
+
+    /**
+     * Swap a base-unit quantity of the token: buys are exact-output, sells exact-input.
+     */
+    async placeOrder(params) {
+        const type = (params.type || 'market').toLowerCase();
+        if (type !== 'market') {
+            throw new UnsupportedOperationError(this.name, `${type} orders`);
+        }
+
+        const token = await this._token(params.symbol);
+        const quoteToken = await this._token(this.quoteToken.address);
+        const side = params.side.toLowerCase();
+
+        return this._swap({
+            symbol: params.symbol,
+            side,
+            tokenIn: side === 'buy' ? quoteToken : token,
+            tokenOut: side === 'buy' ? token : quoteToken,
+            exactInput: side !== 'buy',
+            amount: this._toUnits(params.quantity, token.decimals)
+        });
+    }
+
+    async getPositions(symbol) {
+        const tokens = symbol ? { [this._toTicker(symbol)]: await this._token(symbol) } : this.tokens;
+        const positions = [];
+        for (const [ticker, token] of Object.entries(tokens)) {
+            if (token.address.toLowerCase() === this.quoteToken.address.toLowerCase()) continue;
+
+            const units = await this._balanceOf(token.address);
+            if (units > 0n) {
+                const { decimals } = await this._token(token.address);
+                positions.push({ symbol: ticker, side: 'buy', quantity: Number(units) / 10 ** decimals, entryPrice: null, leverage: 1 });
+            }
+        }
+        return positions;
+    }
+
+    async getBalance() {
+        const quoteToken = await this._token(this.quoteToken.address);
+        const balance = Number(await this._balanceOf(quoteToken.address)) / 10 ** quoteToken.decimals;
+        const gas = Number(await this.client.getBalance({ address: this.account.address })) / 1e18;
+        return { balance, equity: balance, available: balance, gas };
+    }
+
+    async getOpenOrders() {
+        return [];
+    }
+
+    async setLeverage(symbol, leverage) {
+        if (leverage > 1) {
+            throw new UnsupportedOperationError(this.name, 'leverage');
+        }
+        return 1;
+    }
+
+    // --- AgentOrchestrator Handlers ---
+
+    /**
+     * Spot buy paying `amount` of the quote token (exact input). Leverage is ignored.
+     */
+    async executeTrade(trade) {
+        if (trade.side.toLowerCase() !== 'buy') {
+            throw new UnsupportedOperationError(this.name, 'short selling');
+        }
+
+        const quoteToken = await this._token(this.quoteToken.address);
+        const order = await this._swap({
+            symbol: trade.symbol,
+            side: 'buy',
+            tokenIn: quoteToken,
+            tokenOut: await this._token(trade.symbol),
+            exactInput: true,
+            amount: this._toUnits(trade.amount, quoteToken.decimals)
+        });
+
+        return this._toFill(order, trade.price);
+    }
+
+    /**
+     * Sell the tokens behind a position, capped at the wallet's balance.
+     */
+    async executeClose(position) {
+        const [holding] = await this.getPositions(position.symbol);
+        if (!holding) {
+            console.warn(`⚠️ [Uniswap] No ${position.symbol} balance left to sell.`);
+            return null;
+        }
+
+        const order = await this.placeOrder({
+            symbol: position.symbol,
+            side: 'sell',
+            quantity: Math.min(this._positionQuantity(position), holding.quantity),
+            type: 'market'
+        });
+
+        return this._toFill(order, position.exitPrice);
+    }
+
+    // --- Swap ---
+
+    async _swap({ symbol, side, tokenIn, tokenOut, exactInput, amount }) {
+        const route = await this._bestRoute(tokenIn, tokenOut, amount, exactInput);
+        const slippage = BigInt(this.slippageBps);
+        const limit = exactInput
+            ? (route.quote * (10000n - slippage)) / 10000n   // amountOutMinimum
+            : (route.quote * (10000n + slippage)) / 10000n;  // amountInMaximum
+        const amountIn = exactInput ? amount : limit;
+
+        console.log(`🦄 [Uniswap] Route ${route.label} on ${this.chain.name}: ${exactInput ? 'in' : 'out'} ${amount}, quote ${route.quote}, limit ${limit}`);
+
+        // Fail before spending gas on an approval
+        const held = await this._balanceOf(tokenIn.address);
+        if (exactInput && held < amountIn) {
+            throw new InsufficientBalanceError(this.name, `Balance ${held} of ${tokenIn.address} is below ${amountIn}`);
+        }
+
+        await this._ensureAllowance(tokenIn, amountIn);
+
+        const deadline = BigInt(Math.floor(Date.now() / 1000) + this.deadlineSeconds);
+        const hash = await this._write(() => this.client.writeContract({
+            address: this.chain.router,
+            abi: ROUTER_ABI,
+            functionName: 'multicall',
+            args: [deadline, [this._swapCalldata(route, exactInput, amount, limit)]]
+        }));
+        console.log(`🦄 [Uniswap] Sent ${hash}`);
+
+        const receipt = await this.client.waitForTransactionReceipt({ hash });
+        if (receipt.status !== 'success') {
+            throw new ExchangeApiError(this.name, `Swap ${hash} reverted`);
+        }
+
+        // Settled amounts from the receipt's ERC-20 transfers, not the quote
+        const owner = this.account.address.toLowerCase();
+        const transfers = parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs });
+        const moved = (token, field) => transfers
+            .filter(t => t.address.toLowerCase() === token.address.toLowerCase() && t.args[field].toLowerCase() === owner)
+            .reduce((sum, t) => sum + t.args.value, 0n);
+
+        const settledIn = moved(tokenIn, 'from');
+        const settledOut = moved(tokenOut, 'to');
+
+        const token = side === 'buy' ? tokenOut : tokenIn;
+        const quoteToken = side === 'buy' ? tokenIn : tokenOut;
+        const quantity = Number(side === 'buy' ? settledOut : settledIn) / 10 ** token.decimals;
+        const quoteAmount = Number(side === 'buy' ? settledIn : settledOut) / 10 ** quoteToken.decimals;
+
+        return {
+            id: hash,
+            symbol: this._toTicker(symbol),
+            side,
+            type: 'market',
+            price: null,
+            quantity,
+            filledQuantity: quantity,
+            avgPrice: quantity > 0 && quoteAmount > 0 ? quoteAmount / quantity : null,
+            fee: 0,
+            status: 'filled',
+            raw: { hash, route: route.label, quote: route.quote, limit, gasUsed: receipt.gasUsed, blockNumber: receipt.blockNumber }
+        };
+    }
+
+    /**
+     * Quote every fee tier directly and through WETH; keep the best output (exact in)
+     * or the cheapest input (exact out). Missing pools revert in the quoter and are skipped.
+     * @private
+     */
+    async _bestRoute(tokenIn, tokenOut, amount, exactInput) {
+        const weth = this.tokens.WETH;
+        const candidates = FEE_TIERS.map(fee => ({ tokens: [tokenIn.address, tokenOut.address], fees: [fee] }));
+
+        const viaWeth = ![tokenIn.address, tokenOut.address].some(a => a.toLowerCase() === weth.address.toLowerCase());
+        if (viaWeth) {
+            for (const feeA of FEE_TIERS.slice(1)) {
+                for (const feeB of FEE_TIERS.slice(1)) {
+                    candidates.push({ tokens: [tokenIn.address, weth.address, tokenOut.address], fees: [feeA, feeB] });
+                }
+            }
+        }
+
+        let best = null;
+        for (const route of candidates) {
+            // Exact-output paths are encoded from tokenOut back to tokenIn
+            const path = exactInput ? this._encodePath(route.tokens, route.fees) : this._encodePath([...route.tokens].reverse(), [...route.fees].reverse());
+            try {
+                const { result } = await this.client.simulateContract({
+                    address: this.chain.quoter,
+                    abi: QUOTER_ABI,
+                    functionName: exactInput ? 'quoteExactInput' : 'quoteExactOutput',
+                    args: [path, amount]
+                });
+                const quote = result[0];
+                if (!best || (exactInput ? quote > best.quote : quote < best.quote)) {
+                    best = { ...route, path, quote, label: route.fees.join('→') + (route.tokens.length > 2 ? ' via WETH' : '') };
+                }
+            } catch {
+                // No pool (or no liquidity) for this tier
+            }
+        }
+
+        if (!best || best.quote === 0n) {
+            throw new ExchangeApiError(this.name, `No Uniswap V3 route for ${tokenIn.address} → ${tokenOut.address} on ${this.chain.name}`);
+        }
+        return best;
+    }
+
+    _swapCalldata(route, exactInput, amount, limit) {
+        const recipient = this.account.address;
+
+        if (route.tokens.length === 2) {
+            const [tokenIn, tokenOut] = route.tokens;
+            const params = exactInput
+                ? { tokenIn, tokenOut, fee: route.fees[0], recipient, amountIn: amount, amountOutMinimum: limit, sqrtPriceLimitX96: 0n }
+                : { tokenIn, tokenOut, fee: route.fees[0], recipient, amountOut: amount, amountInMaximum: limit, sqrtPriceLimitX96: 0n };
+            return encodeFunctionData({ abi: ROUTER_ABI, functionName: exactInput ? 'exactInputSingle' : 'exactOutputSingle', args: [params] });
+        }
+
+        const params = exactInput
+            ? { path: route.path, recipient, amountIn: amount, amountOutMinimum: limit }
+            : { path: route.path, recipient, amountOut: amount, amountInMaximum: limit };
+        return encodeFunctionData({ abi: ROUTER_ABI, functionName: exactInput ? 'exactInput' : 'exactOutput', args: [params] });
+    }
+
+    _encodePath(tokens, fees) {
+        const types = [];
+        const values = [];
+        tokens.forEach((token, i) => {
+            types.push('address');
+            values.push(token);
+            if (i < fees.length) {
+                types.push('uint24');
+                values.push(fees[i]);
+            }
+        });
+        return encodePacked(types, values);
+    }
+
+    async _ensureAllowance(token, amount) {
+        const allowance = await this.client.readContract({
+            address: token.address,
+            abi: erc20Abi,
+            functionName: 'allowance',
+            args: [this.account.address, this.chain.router]
+        });
+        if (allowance >= amount) return;
+
+        const value = this.approveMax ? 2n ** 256n - 1n : amount;
+        console.log(`🦄 [Uniswap] Approving router for ${this.approveMax ? 'unlimited' : value} of ${token.address}`);
+
+        const hash = await this._write(() => this.client.writeContract({
+            address: token.address,
+            abi: erc20Abi,
+            functionName: 'approve',
+            args: [this.chain.router, value]
+        }));
+        const receipt = await this.client.waitForTransactionReceipt({ hash });
+        if (receipt.status !== 'success') {
+            throw new ExchangeApiError(this.name, `Approval ${hash} reverted`);
+        }
+    }
+
+    /**
+     * Run a write and map gas-estimation reverts to typed errors.
+     * @private
+     */
+    async _write(send) {
+        try {
+            return await send();
+        } catch (error) {
+            const message = error.shortMessage || error.message;
+            const detail = `${message} ${error.details || ''}`;
+            // STF: the router could not pull tokenIn (balance or allowance)
+            if (/insufficient funds|exceeds balance|\bSTF\b/i.test(detail)) {
+                throw new InsufficientBalanceError(this.name, message);
+            }
+            if (/Too little received|Too much requested/i.test(detail)) {
+                throw new ExchangeApiError(this.name, `Slippage limit of ${this.slippageBps} bps exceeded: ${message}`);
+            }
+            if (/Transaction too old/i.test(detail)) {
+                throw new ExchangeApiError(this.name, `Deadline passed before inclusion: ${message}`);
+            }
+            throw new ExchangeApiError(this.name, message);
+        }
+    }
+
+    // --- Tokens ---
+
+    async _balanceOf(address) {
+        return this.client.readContract({ address, abi: erc20Abi, functionName: 'balanceOf', args: [this.account.address] });
+    }
+
+    _toUnits(value, decimals) {
+        // Float noise shows up past ~15 significant digits (0.1 → 0.100000000000000006)
+        return parseUnits(parseFloat(value).toFixed(Math.min(decimals, 12)), decimals);
+    }
+
+    _toTicker(symbol) {
+        if (symbol.startsWith('0x')) return symbol;
+        return symbol.toUpperCase().replace('/', '').replace(/USDT?$|USDC$/, '') || symbol;
+    }
+
+    _resolveToken(symbol) {
+        if (/^0x[0-9a-fA-F]{40}$/.test(symbol)) {
+            const known = Object.values(this.tokens).find(t => t.address.toLowerCase() === symbol.toLowerCase());
+            return known || { address: symbol, decimals: null };
+        }
+        const ticker = this._toTicker(symbol);
+        const token = this.tokens[ticker] || (ticker === 'ETH' ? this.tokens.WETH : null);
+        if (!token) {
+            throw new Error(`Unknown token on ${this.chain.name}: ${symbol}`);
+        }
+        return token;
+    }
+
+    /**
+     * Resolve a token and read its decimals on-chain when they are not known (raw addresses).
+     * @private
+     */
+    async _token(symbol) {
+        const token = this._resolveToken(symbol);
+        if (token.decimals === null || token.decimals === undefined) {
+            token.decimals = await this.client.readContract({ address: token.address, abi: erc20Abi, functionName: 'decimals' });
+            this.tokens[token.address] = token;
+        }
+        return token;
+    }
+}
@@ -0,0 +1,60 @@
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    OrderNotFoundError,
+    RateLimitError,
+    ReduceOnlyViolationError,
+    UnsupportedOperationError
+} from './ExchangeAdapter.js';
+import { PaperExchange } from './PaperExchange.js';
+import { SidexAdapter } from './SidexAdapter.js';
+import { BinanceAdapter } from './BinanceAdapter.js';
+import { BybitAdapter } from './BybitAdapter.js';
+import { HyperliquidAdapter } from './HyperliquidAdapter.js';
+import { JupiterAdapter } from './JupiterAdapter.js';
+import { UniswapAdapter } from './UniswapAdapter.js';
+
+/**
+ * Adapter classes by routing name (matches the pipeline directory names).
+ */
+export const EXCHANGE_ADAPTERS = {
+    paper: PaperExchange,
+    sidex: SidexAdapter,
+    binance: BinanceAdapter,
+    bybit: BybitAdapter,
+    hyperliquid: HyperliquidAdapter,
+    solana_jupiter: JupiterAdapter,
+    uniswap: UniswapAdapter
+};
+
+/**
+ * Instantiate an adapter by name.
+ * @param {string} name - Key of EXCHANGE_ADAPTERS
+ * @param {object} [config] - Adapter config (credentials fall back to env vars)
+ * @returns {ExchangeAdapter}
+ */
+export function createExchangeAdapter(name, config = {}) {
+    const Adapter = EXCHANGE_ADAPTERS[name];
+    if (!Adapter) {
+        throw new Error(`Unknown exchange '${name}'. Available: ${Object.keys(EXCHANGE_ADAPTERS).join(', ')}`);
+    }
+    return new Adapter(config);
+}
+
+export {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    OrderNotFoundError,
+    RateLimitError,
+    UnsupportedOperationError,
+    PaperExchange,
+    SidexAdapter,
+    BinanceAdapter,
+    BybitAdapter,
+    HyperliquidAdapter,
+    JupiterAdapter,
+    UniswapAdapter
+};
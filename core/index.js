@@ -3,8 +3,30 @@ export * from './x402/WalletManager.js';
 export * from './x402/X402Client.js';
 export { eventBus } from './EventBus.js';
 export { LLMClient } from './LLMClient.js';
+export { LLMCassette, CassetteMissError } from './LLMCassette.js';
 export { MarketDataFeed } from './MarketDataFeed.js';
 export { PositionManager } from './PositionManager.js';
+export { PositionReconciler } from './PositionReconciler.js';
+export { TradeLedger } from './TradeLedger.js';
 export { RiskManager } from './RiskManager.js';
+export { MarginModel, MAINTENANCE_MARGIN_TIERS } from './MarginModel.js';
 export { AgentOrchestrator } from './AgentOrchestrator.js';
 export { LiquidationIntelligence } from './LiquidationIntelligence.js';
+export {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    OrderNotFoundError,
+    RateLimitError,
+    UnsupportedOperationError,
+    PaperExchange,
+    SidexAdapter,
+    BinanceAdapter,
+    BybitAdapter,
+    HyperliquidAdapter,
+    JupiterAdapter,
+    UniswapAdapter,
+    EXCHANGE_ADAPTERS,
+    createExchangeAdapter
+} from './exchange/index.js';
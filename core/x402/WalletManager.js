@@ -61,6 +61,15 @@ export class WalletManager {
         return await this.client.signMessage({ message });
     }
 
+    /**
+     * Signs EIP-712 typed data (orders, API auth)
+     * @param {object} typedData - { domain, types, primaryType, message }
+     */
+    async signTypedData(typedData) {
+        if (!this.client) throw new Error('Wallet not initialized');
+        return await this.client.signTypedData(typedData);
+    }
+
     /**
      * Sends a transaction to pay for a resource
      * @param {string} to - Recipient address
@@ -1,8 +1,7 @@
 import { parseArgs } from 'util';
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
-// import { fetch } from 'node-fetch'; // Standard in Node 18+
+import { BinanceAdapter } from '../../../core/exchange/BinanceAdapter.js';
 
 const { values } = parseArgs({
     options: {
@@ -10,74 +9,43 @@ const { values } = parseArgs({
         side: { type: 'string' },
         amount: { type: 'string' },
         leverage: { type: 'string' },
+        type: { type: 'string' },        // market | limit | stop_market | stop_limit | take_profit_market | take_profit_limit
+        price: { type: 'string' },       // Limit price (limit, stop_limit, take_profit_limit)
+        stop_price: { type: 'string' },  // Trigger price (stop / take-profit orders)
+        margin_type: { type: 'string' }, // ISOLATED | CROSSED
         api_key: { type: 'string' },
         api_secret: { type: 'string' }
     },
 });
 
-const { symbol, side, amount, leverage, api_key, api_secret } = values;
-
-const DEBUG_LOG = path.join(path.dirname(process.argv[1]), 'binance_debug.log');
-fs.appendFileSync(DEBUG_LOG, `${new Date().toISOString()} - Binance Pipeline started: ${JSON.stringify(values)}\n`);
+const { symbol, side, amount, leverage, type, price, stop_price, margin_type, api_key, api_secret } = values;
 
 if (!symbol || !side || !amount || !api_key || !api_secret) {
     console.error("Missing required arguments: symbol, side, amount, api_key, api_secret");
     process.exit(1);
 }
 
-const BASE_URL = 'https://fapi.binance.com'; // Futures API
-
 console.log(`Binance CEX Pipeline connecting...`);
 
-// Helper to sign query string
-function signature(query, secret) {
-    return crypto.createHmac('sha256', secret).update(query).digest('hex');
-}
-
 async function executeTrade() {
     try {
+        const adapter = new BinanceAdapter({ apiKey: api_key, apiSecret: api_secret, marginType: margin_type });
         console.log(`✅ Pipeline: Preparing trade for ${symbol} ${side.toUpperCase()}`);
 
-        // 0. Set Leverage (Optional step in Binance, often required before order)
         if (leverage) {
             console.log(`⚙️  Setting Leverage to ${leverage}x`);
-            // POST /fapi/v1/leverage logic here
+            await adapter.setLeverage(symbol, parseFloat(leverage));
         }
 
-        // 1. Prepare Order Payload
-        const timestamp = Date.now();
-        const queryParams = [
-            `symbol=${symbol.replace('/', '')}`, // Binance format BTCUSDT, not BTC/USDT
-            `side=${side.toUpperCase()}`,
-            `type=MARKET`,
-            `quantity=${amount}`,
-            // `reduceOnly=false`,
-            `timestamp=${timestamp}`
-        ].join('&');
-
-        const sig = signature(queryParams, api_secret);
-        const signedQuery = `${queryParams}&signature=${sig}`;
-
-        console.log(`🚀 Sending Signed Order to Binance Futures API`);
-        console.log(`   Endpoint: ${BASE_URL}/fapi/v1/order`);
-        console.log(`   Payload: ${queryParams}`);
-
-        // Mock Fetch for Pipeline Structure
-        // const res = await fetch(`${BASE_URL}/fapi/v1/order?${signedQuery}`, {
-        //     method: 'POST',
-        //     headers: { 'X-MBX-APIKEY': api_key }
-        // });
-
-        const mockResponse = {
-            status: "FILLED",
-            orderId: 123456789,
-            symbol: symbol.replace('/', ''),
-            executedQty: amount,
-            avgPrice: "50000.00",
-            cumQuote: "500.00"
-        };
-
-        console.log('✅ Trade Executed Successfully (Mock)');
+        const order = await adapter.placeOrder({
+            symbol,
+            side,
+            quantity: parseFloat(amount),
+            type: type || 'market',
+            price: price ? parseFloat(price) : undefined,
+            stopPrice: stop_price ? parseFloat(stop_price) : undefined
+        });
+        console.log(`✅ Trade Executed: ${order.side.toUpperCase()} ${order.filledQuantity} ${order.symbol} (${order.status})`);
 
         // Log trade locally
         const logEntry = {
@@ -87,7 +55,8 @@ async function executeTrade() {
             side,
             amount: parseFloat(amount),
             leverage: parseFloat(leverage || 1),
-            result: mockResponse
+            type: order.type,
+            result: order.raw
         };
 
         const logPath = path.join(path.dirname(process.argv[1]), '..', '..', '..', 'trades.json');
@@ -96,7 +65,7 @@ async function executeTrade() {
         } catch (e) { }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
         process.exit(1);
     }
 }
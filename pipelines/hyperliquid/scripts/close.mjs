@@ -1,13 +1,13 @@
 import { parseArgs } from 'util';
-import fs from 'fs';
-import path from 'path';
+import { HyperliquidAdapter } from '../../../core/exchange/HyperliquidAdapter.js';
 
 const { values } = parseArgs({
     options: {
         symbol: { type: 'string' },
         direction: { type: 'string' }, // 'long' 'short' or 'all'
         private_key: { type: 'string' },
-        wallet_address: { type: 'string' }
+        wallet_address: { type: 'string' },
+        testnet: { type: 'boolean' }
     },
     allowPositionals: true
 });
@@ -26,26 +26,22 @@ console.log(`Hyperliquid Pipeline: Closing position for ${symbol}...`);
 
 async function closePosition() {
     try {
-        // Logic to fetch position size first
-        // const positions = await fetchPositions(wallet_address);
-        // const pos = positions.find(p => p.coin === symbol);
-        // const size = pos.szi; 
+        const adapter = new HyperliquidAdapter({ privateKey: private_key, walletAddress: values.wallet_address, testnet: values.testnet });
+        const side = direction === 'long' ? 'buy' : direction === 'short' ? 'sell' : null;
 
         console.log(`🔍 Checking Open Positions for ${symbol}`);
+        const orders = await adapter.closePosition(symbol, side);
 
-        // Mock finding a position
-        const mockPosition = { coin: symbol, size: "100.0", side: "long" };
-        console.log(`Found position: ${JSON.stringify(mockPosition)}`);
-
-        if (mockPosition) {
-            console.log(`🚀 Sending Close Order (Market Sell of ${mockPosition.size})`);
-            // Send market order to close
-        } else {
+        if (orders.length === 0) {
             console.log("No open position found to close.");
         }
+        for (const order of orders) {
+            console.log(`✅ Position Closed: ${order.side.toUpperCase()} ${order.quantity} ${order.symbol} (reduce-only)`);
+        }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
+        process.exit(1);
     }
 }
 
@@ -1,100 +1,72 @@
-import WebSocket from 'ws';
 import { parseArgs } from 'util';
 import fs from 'fs';
 import path from 'path';
-// import { fetch } from 'node-fetch'; // Standard in Node 18+, or use the import if needed. package.json has node-fetch
+import { HyperliquidAdapter } from '../../../core/exchange/HyperliquidAdapter.js';
 
 const { values } = parseArgs({
     options: {
         symbol: { type: 'string' },
         side: { type: 'string' },
-        amount: { type: 'string' }, // Size in USD or Token
+        amount: { type: 'string' }, // Size in coin units
         leverage: { type: 'string' },
+        type: { type: 'string' },        // market | limit | stop_market | stop_limit | take_profit_market | take_profit_limit
+        price: { type: 'string' },       // Limit price (limit, stop_limit, take_profit_limit)
+        stop_price: { type: 'string' },  // Trigger price (stop / take-profit orders)
+        testnet: { type: 'boolean' },
         private_key: { type: 'string' }, // User's Private Key for signing
         wallet_address: { type: 'string' }
     },
 });
 
-const { symbol, side, amount, leverage, private_key, wallet_address } = values;
-
-const DEBUG_LOG = path.join(path.dirname(process.argv[1]), 'hyperliquid_debug.log');
-fs.appendFileSync(DEBUG_LOG, `${new Date().toISOString()} - Hyperliquid Pipeline started: ${JSON.stringify(values)}\n`);
+const { symbol, side, amount, leverage, type, price, stop_price, testnet, private_key, wallet_address } = values;
 
 if (!symbol || !side || !amount || !private_key) {
     console.error("Missing required arguments: symbol, side, amount, private_key");
     process.exit(1);
 }
 
-const API_URL = "https://api.hyperliquid.xyz";
-const INFO_URL = "https://api.hyperliquid.xyz/info";
-const EXCHANGE_URL = "https://api.hyperliquid.xyz/exchange";
-
 console.log(`Hyperliquid Pipeline connecting for wallet ${wallet_address || 'Unknown'}...`);
 
-// 1. Logic to connect/authenticate (Mocked for pipeline structure)
-// Real implementation requires Ethers.js to sign the action
 async function executeTrade() {
     try {
+        const adapter = new HyperliquidAdapter({ privateKey: private_key, walletAddress: wallet_address, testnet });
         console.log(`✅ Pipeline: Preparing trade for ${symbol} ${side.toUpperCase()}`);
 
-        // structure of the payload for Hyperliquid
-        const action = {
-            type: "order",
-            orders: [
-                {
-                    a: 0, // asset index (needs lookup)
-                    b: side === 'buy', // true for buy
-                    p: "0", // price (0 for market if supported, or limit)
-                    s: amount, // size
-                    r: false, // reduce only
-                    t: { limit: { tif: "Gtc" } } // type
-                }
-            ],
-            grouping: "na"
-        };
-
-        console.log("🚀 Sending Signed Order to Hyperliquid:", JSON.stringify(action));
-
-        // In a real implementation:
-        // const signature = await signRequest(action, private_key);
-        // const response = await postToExchange(action, signature);
+        if (leverage) {
+            await adapter.setLeverage(symbol, parseFloat(leverage));
+        }
 
-        // Mock Response for Pipeline Demonstration
-        const mockResponse = {
-            status: "ok",
-            response: {
-                type: "order",
-                data: {
-                    statuses: [{ using: "market", status: "filled" }]
-                }
-            }
+        const order = await adapter.placeOrder({
+            symbol,
+            side,
+            quantity: parseFloat(amount),
+            type: type || 'market',
+            price: price ? parseFloat(price) : undefined,
+            stopPrice: stop_price ? parseFloat(stop_price) : undefined
+        });
+        console.log(`✅ Trade Executed: ${order.side.toUpperCase()} ${order.filledQuantity} ${order.symbol} (${order.status})`);
+
+        // Log trade locally
+        const logEntry = {
+            timestamp: new Date().toISOString(),
+            exchange: 'hyperliquid',
+            symbol,
+            side,
+            amount: parseFloat(amount),
+            leverage: parseFloat(leverage || 1),
+            type: order.type,
+            result: order.raw
         };
 
-        if (mockResponse.status === 'ok') {
-            console.log('✅ Trade Executed Successfully (Mock)');
-
-            // Log trade locally
-            const logEntry = {
-                timestamp: new Date().toISOString(),
-                exchange: 'hyperliquid',
-                symbol,
-                side,
-                amount: parseFloat(amount),
-                leverage: parseFloat(leverage || 1),
-                result: mockResponse
-            };
-
-            const logPath = path.join(path.dirname(process.argv[1]), '..', '..', '..', 'trades.json');
-            // Ensure trades.json exists or handle error
-            try {
-                fs.appendFileSync(logPath, JSON.stringify(logEntry) + '\n');
-            } catch (e) {
-                // Ignore if path issues
-            }
+        const logPath = path.join(path.dirname(process.argv[1]), '..', '..', '..', 'trades.json');
+        try {
+            fs.appendFileSync(logPath, JSON.stringify(logEntry) + '\n');
+        } catch (e) {
+            // Ignore if path issues
         }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
         process.exit(1);
     }
 }
@@ -0,0 +1,237 @@
+/**
+ * MarketMatcher — Finds the Polymarket market a social post is actually about.
+ *
+ * Each market is scored on its question, description, tags and end date:
+ *   - Similarity: cosine between the post and the market text, using LLM embeddings
+ *     (LLMClient.embed) when available, otherwise a local TF-IDF model.
+ *   - Date fit: markets that already ended are skipped, markets far beyond the horizon
+ *     are discounted, and a post naming the market's end month / year gets a small bonus.
+ *
+ * Returns null instead of guessing when no market clears the minimum score.
+ */
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had has have having he her
+here hers him his how i if in into is it its just me more most my no nor not now of off on once only or other our out over
+own same she should so some such than that the their them then there these they this those through to too under until up
+very was we were what when where which while who whom why will with would you your yours hearing going gonna today says
+said get got`.split(/\s+/));
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const DEFAULT_MIN_SCORE = { embedding: 0.45, tfidf: 0.12 };
+
+export class MarketMatcher {
+    /**
+     * @param {object} [config]
+     * @param {LLMClient} [config.llm] - Client with embed(); without it only TF-IDF is used
+     * @param {number} [config.minScore] - Minimum final score to trade (default env POLYMARKET_MIN_MATCH_SCORE, else 0.45 embeddings / 0.12 TF-IDF)
+     * @param {number} [config.horizonDays] - Markets ending later than this are discounted (default 180)
+     * @param {number} [config.dateBonus] - Bonus when the post names the market's end month or year (default 0.05)
+     */
+    constructor(config = {}) {
+        this.llm = config.llm || null;
+        const minScore = config.minScore ?? process.env.POLYMARKET_MIN_MATCH_SCORE;
+        this.minScore = minScore !== undefined ? parseFloat(minScore) : null;
+        this.horizonDays = config.horizonDays || 180;
+        this.dateBonus = config.dateBonus ?? 0.05;
+
+        // marketId -> { text, vector } so market embeddings are computed once
+        this._embeddingCache = new Map();
+        this._embeddingsAvailable = !!this.llm?.embed;
+    }
+
+    /**
+     * Score every market against a post and return the best one above the threshold.
+     * @param {string} text - Post text
+     * @param {Array} markets - Gamma markets
+     * @param {object} [options]
+     * @param {Date} [options.now] - Reference time for end dates (default now)
+     * @returns {Promise<{ match: object|null, candidates: Array, mode: string, minScore: number }>}
+     *   match / candidates entries: { market, score, similarity, reasons }
+     */
+    async match(text, markets, options = {}) {
+        const now = options.now || new Date();
+        const live = markets.filter(m => !m.closed && !this._hasEnded(m, now));
+
+        let mode = 'tfidf';
+        let similarities = null;
+        if (this._embeddingsAvailable && live.length > 0) {
+            try {
+                similarities = await this._embeddingSimilarities(text, live);
+                mode = 'embedding';
+            } catch (error) {
+                console.warn(`⚠️ Embeddings unavailable (${error.message}). Falling back to TF-IDF matching.`);
+                this._embeddingsAvailable = false;
+            }
+        }
+
+        let sharedTerms = null;
+        if (!similarities) {
+            ({ similarities, sharedTerms } = this._tfidfSimilarities(text, live));
+        }
+
+        const postTerms = new Set(this._tokenize(text));
+        const candidates = live.map((market, i) => {
+            const reasons = [`${mode} similarity ${similarities[i].toFixed(3)}`];
+            if (sharedTerms?.[i]?.length) reasons.push(`shared terms: ${sharedTerms[i].join(', ')}`);
+
+            const tagHits = this._tags(market).filter(tag => this._tokenize(tag).some(t => postTerms.has(t)));
+            if (tagHits.length) reasons.push(`tags: ${tagHits.join(', ')}`);
+
+            const { factor, bonus, notes } = this._dateFit(text, market, now);
+            reasons.push(...notes);
+
+            return {
+                market,
+                similarity: similarities[i],
+                score: similarities[i] * factor + bonus,
+                reasons
+            };
+        }).sort((a, b) => b.score - a.score);
+
+        const minScore = this.minScore ?? DEFAULT_MIN_SCORE[mode];
+        const best = candidates[0];
+        return {
+            match: best && best.score >= minScore ? best : null,
+            candidates,
+            mode,
+            minScore
+        };
+    }
+
+    // --- Similarity ---
+
+    async _embeddingSimilarities(text, markets) {
+        const missing = markets.filter(m => this._embeddingCache.get(m.id)?.text !== this._document(m));
+        const vectors = await this.llm.embed([text, ...missing.map(m => this._document(m))]);
+        if (vectors.length !== missing.length + 1) {
+            throw new Error(`expected ${missing.length + 1} embeddings, got ${vectors.length}`);
+        }
+
+        missing.forEach((m, i) => this._embeddingCache.set(m.id, { text: this._document(m), vector: vectors[i + 1] }));
+        return markets.map(m => this._cosine(vectors[0], this._embeddingCache.get(m.id).vector));
+    }
+
+    /**
+     * TF-IDF over the post plus the candidate markets, with idf smoothed so terms unique to
+     * one market still carry weight.
+     */
+    _tfidfSimilarities(text, markets) {
+        const docs = [this._tokenize(text), ...markets.map(m => this._tokenize(this._document(m)))];
+
+        const df = new Map();
+        for (const tokens of docs) {
+            for (const term of new Set(tokens)) df.set(term, (df.get(term) || 0) + 1);
+        }
+        const vectorize = (tokens) => {
+            const tf = new Map();
+            for (const term of tokens) tf.set(term, (tf.get(term) || 0) + 1);
+            const vector = new Map();
+            for (const [term, count] of tf) {
+                vector.set(term, (1 + Math.log(count)) * (Math.log((1 + docs.length) / (1 + df.get(term))) + 1));
+            }
+            return vector;
+        };
+
+        const [post, ...marketVectors] = docs.map(vectorize);
+        const similarities = [];
+        const sharedTerms = [];
+
+        for (const vector of marketVectors) {
+            let dot = 0;
+            const shared = [];
+            for (const [term, weight] of post) {
+                if (vector.has(term)) {
+                    dot += weight * vector.get(term);
+                    shared.push([term, weight * vector.get(term)]);
+                }
+            }
+            similarities.push(dot / ((this._norm(post) * this._norm(vector)) || 1));
+            sharedTerms.push(shared.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([term]) => term));
+        }
+
+        return { similarities, sharedTerms };
+    }
+
+    _cosine(a, b) {
+        let dot = 0, na = 0, nb = 0;
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            dot += a[i] * b[i];
+            na += a[i] * a[i];
+            nb += b[i] * b[i];
+        }
+        return dot / ((Math.sqrt(na) * Math.sqrt(nb)) || 1);
+    }
+
+    _norm(vector) {
+        let sum = 0;
+        for (const weight of vector.values()) sum += weight * weight;
+        return Math.sqrt(sum);
+    }
+
+    // --- Market Text & Dates ---
+
+    /**
+     * Text a market is matched on: the question counts twice, then tags and the start of the description.
+     */
+    _document(market) {
+        const description = (market.description || '').slice(0, 500);
+        return [market.question, market.question, this._tags(market).join(' '), description]
+            .filter(Boolean)
+            .join('. ');
+    }
+
+    _tags(market) {
+        const tags = [...(market.tags || []), ...(market.events || []).flatMap(e => e.tags || [])];
+        const labels = tags.map(t => (typeof t === 'string' ? t : t.label)).filter(Boolean);
+        if (market.category) labels.push(market.category);
+        return [...new Set(labels)];
+    }
+
+    _endDate(market) {
+        const date = new Date(market.endDate || market.endDateIso || market.end_date_iso || NaN);
+        return isNaN(date) ? null : date;
+    }
+
+    _hasEnded(market, now) {
+        const end = this._endDate(market);
+        return end !== null && end < now;
+    }
+
+    _dateFit(text, market, now) {
+        const end = this._endDate(market);
+        if (!end) return { factor: 1, bonus: 0, notes: ['no end date'] };
+
+        const days = (end - now) / 86400000;
+        const notes = [`ends in ${Math.ceil(days)}d`];
+
+        // Long-dated markets react less to today's news
+        const factor = days > this.horizonDays ? Math.sqrt(this.horizonDays / days) : 1;
+        if (factor < 1) notes.push(`beyond ${this.horizonDays}d horizon (x${factor.toFixed(2)})`);
+
+        let bonus = 0;
+        const lower = text.toLowerCase();
+        const month = MONTHS[end.getUTCMonth()];
+        if (new RegExp(`\\b${month}\\b`).test(lower)) {
+            bonus += this.dateBonus;
+            notes.push(`post mentions ${month}`);
+        }
+        if (lower.includes(String(end.getUTCFullYear()))) {
+            bonus += this.dateBonus;
+            notes.push(`post mentions ${end.getUTCFullYear()}`);
+        }
+
+        return { factor, bonus, notes };
+    }
+
+    _tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9$\s]/g, ' ')
+            .split(/\s+/)
+            .filter(t => t.length > 1 && !STOPWORDS.has(t))
+            // Light stemming so "rates" matches "rate" and "cuts" matches "cut"
+            .map(t => (t.length > 4 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+    }
+}
@@ -1,12 +1,79 @@
+import crypto from 'crypto';
 import fetch from 'node-fetch';
+import { erc20Abi, maxUint256, parseUnits } from 'viem';
 import { WalletManager } from '../../../core/index.js';
 
+const CHAIN_ID = 137;
+
+// Polygon contracts (USDC.e collateral, Conditional Tokens, exchanges)
+const USDC = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const CTF = '0x4D97DCd97eC945f40cF65F87097ACe5EA0476045';
+const CTF_EXCHANGE = '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E';
+const NEG_RISK_CTF_EXCHANGE = '0xC5d563A36AE78145C45a50134d48A1215220f80a';
+const NEG_RISK_ADAPTER = '0xd91E80cF2E7be2e162c6513ceD06f1dD0dA35296';
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const CTF_ABI = [
+    {
+        type: 'function', name: 'isApprovedForAll', stateMutability: 'view',
+        inputs: [{ name: 'owner', type: 'address' }, { name: 'operator', type: 'address' }],
+        outputs: [{ name: '', type: 'bool' }]
+    },
+    {
+        type: 'function', name: 'setApprovalForAll', stateMutability: 'nonpayable',
+        inputs: [{ name: 'operator', type: 'address' }, { name: 'approved', type: 'bool' }],
+        outputs: []
+    }
+];
+
+const CLOB_AUTH_MESSAGE = 'This message attests that I control the given wallet';
+
+const ORDER_TYPES = {
+    Order: [
+        { name: 'salt', type: 'uint256' },
+        { name: 'maker', type: 'address' },
+        { name: 'signer', type: 'address' },
+        { name: 'taker', type: 'address' },
+        { name: 'tokenId', type: 'uint256' },
+        { name: 'makerAmount', type: 'uint256' },
+        { name: 'takerAmount', type: 'uint256' },
+        { name: 'expiration', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'feeRateBps', type: 'uint256' },
+        { name: 'side', type: 'uint8' },
+        { name: 'signatureType', type: 'uint8' }
+    ]
+};
+
+// Decimals for price / size / amount per market tick size
+const ROUNDING = {
+    '0.1': { price: 1, size: 2, amount: 3 },
+    '0.01': { price: 2, size: 2, amount: 4 },
+    '0.001': { price: 3, size: 2, amount: 5 },
+    '0.0001': { price: 4, size: 2, amount: 6 }
+};
+
 export class PolymarketClient {
-    constructor() {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.gammaApi] - Gamma API (default env POLYMARKET_GAMMA_URL or https://gamma-api.polymarket.com)
+     * @param {string} [config.clobApi] - CLOB API (default env POLYMARKET_CLOB_URL or https://clob.polymarket.com)
+     * @param {number} [config.signatureType] - 0 EOA, 1 Polymarket proxy, 2 Gnosis Safe (default env POLYMARKET_SIGNATURE_TYPE or 0)
+     * @param {string} [config.funder] - Proxy / Safe address holding the funds (default env POLYMARKET_FUNDER_ADDRESS)
+     * @param {boolean} [config.autoApprove] - Send missing USDC / CTF approvals before trading (default true)
+     * @param {WalletManager} [config.wallet] - Polygon wallet (default a new WalletManager('polygon'))
+     */
+    constructor(config = {}) {
         // Initialize x402 wallet on Polygon
-        this.wallet = new WalletManager('polygon');
-        this.gammaApi = 'https://gamma-api.polymarket.com';
-        this.clobApi = 'https://clob.polymarket.com'; // Order book API
+        this.wallet = config.wallet || new WalletManager('polygon');
+        this.gammaApi = config.gammaApi || process.env.POLYMARKET_GAMMA_URL || 'https://gamma-api.polymarket.com';
+        this.clobApi = config.clobApi || process.env.POLYMARKET_CLOB_URL || 'https://clob.polymarket.com'; // Order book API
+        this.signatureType = Number(config.signatureType ?? process.env.POLYMARKET_SIGNATURE_TYPE ?? 0);
+        this.funder = config.funder || process.env.POLYMARKET_FUNDER_ADDRESS || null;
+        this.autoApprove = config.autoApprove ?? true;
+
+        this.apiCreds = null;       // { apiKey, secret, passphrase }
+        this._approved = new Set(); // 'usdc:<spender>' / 'ctf:<operator>' confirmed on-chain
     }
 
     /**
@@ -22,7 +89,7 @@ export class PolymarketClient {
 
     /**
      * Fetch active markets from Gamma API
-     * @param {number} limit 
+     * @param {number} limit
      */
     async getMarkets(limit = 10) {
         console.log('📡 Fetching markets from Gamma...');
@@ -37,9 +104,27 @@ export class PolymarketClient {
         }
     }
 
+    /**
+     * Fetch one market by Gamma id or condition id (0x...)
+     * @param {string} marketId
+     */
+    async getMarket(marketId) {
+        const url = String(marketId).startsWith('0x')
+            ? `${this.gammaApi}/markets?condition_ids=${marketId}`
+            : `${this.gammaApi}/markets/${marketId}`;
+
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Gamma API Error: ${response.statusText}`);
+
+        const data = await response.json();
+        const market = Array.isArray(data) ? data[0] : data;
+        if (!market) throw new Error(`Market not found: ${marketId}`);
+        return market;
+    }
+
     /**
      * Get order book for a specific token ID
-     * @param {string} tokenId 
+     * @param {string} tokenId
      */
     async getOrderBook(tokenId) {
         try {
@@ -53,23 +138,458 @@ export class PolymarketClient {
     }
 
     /**
-     * Place an order (Simulation / Skeleton)
-     * Real implementation requires EIP-712 signing compliant with Polymarket CTF
+     * Midpoint between best bid and best ask for a token
+     * @param {string} tokenId
+     * @returns {Promise<number|null>}
+     */
+    async getMidpoint(tokenId) {
+        const { mid } = await this._clob('GET', `/midpoint?token_id=${tokenId}`, null, { auth: false });
+        const price = parseFloat(mid);
+        return Number.isFinite(price) ? price : null;
+    }
+
+    /**
+     * CLOB token id of one outcome of a Gamma market
+     * @param {object} market - Gamma market
+     * @param {string} outcome - Outcome label (case-insensitive)
+     */
+    getTokenId(market, outcome) {
+        const outcomes = this._parseList(market.outcomes);
+        const tokenIds = this._parseList(market.clobTokenIds);
+        const index = outcomes.findIndex(o => o.toLowerCase() === String(outcome).toLowerCase());
+
+        if (index === -1 || !tokenIds[index]) {
+            throw new Error(`Outcome '${outcome}' not found in market ${market.id} (${outcomes.join(' / ')})`);
+        }
+        return tokenIds[index];
+    }
+
+    /**
+     * Taker fee rate of a token in basis points (0 when the market has no fee)
+     * @param {string} tokenId
+     */
+    async getFeeRateBps(tokenId) {
+        try {
+            const { base_fee } = await this._clob('GET', `/fee-rate?token_id=${tokenId}`, null, { auth: false });
+            return Number(base_fee) || 0;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * USDC available to the CLOB for this account
+     * @returns {Promise<number>}
+     */
+    async getCollateralBalance() {
+        this._requireWallet();
+        const { balance } = await this._clob('GET', `/balance-allowance?asset_type=COLLATERAL&signature_type=${this.signatureType}`);
+        return Number(balance || 0) / 1e6;
+    }
+
+    // --- Trading ---
+
+    /**
+     * Place an order on the CLOB.
+     *
+     * Buys spend `amount` USDC; sells sell `amount` outcome shares. With `price` the order
+     * rests as a GTC limit; without it, it is a market-style FOK order priced off the book.
+     *
+     * @param {string} marketId - Gamma market id or condition id
+     * @param {string} side - 'buy' | 'sell'
+     * @param {number} amount - USDC for buys, shares for sells
+     * @param {string} outcome - Outcome label ('YES' / 'NO' or the market's own labels)
+     * @param {object} [options]
+     * @param {number} [options.price] - Limit price (0-1)
+     * @param {string} [options.orderType] - 'GTC' | 'GTD' | 'FOK' | 'FAK' (default GTC for limits, FOK for market)
+     * @param {number} [options.expiration] - Unix seconds, for GTD orders
+     * @returns {Promise<object>} { status, orderId, tokenId, side, outcome, price, size, amount, raw }
+     */
+    async createOrder(marketId, side, amount, outcome, options = {}) {
+        this._requireWallet();
+        side = side.toLowerCase();
+        amount = parseFloat(amount);
+        console.log(`📝 Preparing order: ${side.toUpperCase()} ${amount} ${side === 'buy' ? 'USDC' : 'shares'} on ${outcome}`);
+
+        const market = await this.getMarket(marketId);
+        const tokenId = this.getTokenId(market, outcome);
+        const negRisk = !!market.negRisk;
+        const tickSize = await this._tickSize(tokenId, market);
+        const rounding = ROUNDING[tickSize] || ROUNDING['0.01'];
+
+        const isMarket = options.price === undefined || options.price === null;
+        const price = isMarket
+            ? await this._marketPrice(tokenId, side, amount)
+            : this._round(parseFloat(options.price), rounding.price, Math.round);
+
+        if (!(price >= parseFloat(tickSize) && price <= 1 - parseFloat(tickSize))) {
+            throw new Error(`Price ${price} is outside the market's range (tick ${tickSize}).`);
+        }
+
+        // Maker gives USDC for shares on buys, shares for USDC on sells
+        let makerAmount;
+        let takerAmount;
+        let size;
+        if (side === 'buy') {
+            makerAmount = this._round(amount, 2, Math.floor);
+            size = this._round(makerAmount / price, isMarket ? rounding.amount : rounding.size, Math.floor);
+            if (!isMarket) makerAmount = this._round(size * price, rounding.amount, Math.floor);
+            takerAmount = size;
+        } else {
+            size = this._round(amount, rounding.size, Math.floor);
+            makerAmount = size;
+            takerAmount = this._round(size * price, rounding.amount, Math.floor);
+        }
+
+        if (!(size > 0) || !(makerAmount > 0)) {
+            throw new Error(`Order too small: ${amount} at ${price}`);
+        }
+        if (market.orderMinSize && !isMarket && size < parseFloat(market.orderMinSize)) {
+            throw new Error(`Order size ${size} is below the market minimum of ${market.orderMinSize} shares.`);
+        }
+
+        const exchange = negRisk ? NEG_RISK_CTF_EXCHANGE : CTF_EXCHANGE;
+        await this._ensureAllowance(side, exchange, negRisk, side === 'buy' ? makerAmount : 0);
+
+        const order = await this._signOrder({
+            tokenId,
+            side,
+            makerAmount: parseUnits(String(makerAmount), 6),
+            takerAmount: parseUnits(String(takerAmount), 6),
+            expiration: options.expiration || 0,
+            feeRateBps: await this.getFeeRateBps(tokenId),
+            exchange
+        });
+
+        const orderType = options.orderType || (isMarket ? 'FOK' : (options.expiration ? 'GTD' : 'GTC'));
+        const creds = await this._getApiCreds();
+        const result = await this._clob('POST', '/order', { order, owner: creds.apiKey, orderType });
+
+        if (!result.success) {
+            throw new Error(`CLOB rejected order: ${result.errorMsg || JSON.stringify(result)}`);
+        }
+
+        console.log(`✅ Order ${result.orderID} ${result.status}: ${side.toUpperCase()} ${size} ${outcome} @ ${price}`);
+        return {
+            status: result.status,
+            orderId: result.orderID,
+            marketId: market.id,
+            conditionId: market.conditionId,
+            question: market.question,
+            slug: market.slug,
+            tokenId,
+            side,
+            outcome,
+            orderType,
+            price,
+            size,
+            amount: side === 'buy' ? makerAmount : takerAmount,
+            raw: result
+        };
+    }
+
+    /**
+     * Cancel an open order
+     * @param {string} orderId
+     */
+    async cancelOrder(orderId) {
+        const result = await this._clob('DELETE', '/order', { orderID: orderId });
+        const reason = result.not_canceled?.[orderId];
+        if (reason) throw new Error(`Order ${orderId} not cancelled: ${reason}`);
+        return result;
+    }
+
+    /**
+     * Cancel every open order of this account
+     */
+    async cancelAll() {
+        return this._clob('DELETE', '/cancel-all');
+    }
+
+    /**
+     * One order of this account (status, size_matched, price...)
+     * @param {string} orderId
+     */
+    async getOrder(orderId) {
+        return this._clob('GET', `/data/order/${orderId}`);
+    }
+
+    /**
+     * Open orders, optionally for one market (condition id) or token
+     * @param {object} [filter] - { market, tokenId }
+     */
+    async getOpenOrders(filter = {}) {
+        return this._paginate('/data/orders', { market: filter.market, asset_id: filter.tokenId });
+    }
+
+    /**
+     * This account's trades (fills), optionally for one market (condition id) or token
+     * @param {object} [filter] - { market, tokenId }
+     */
+    async getFills(filter = {}) {
+        return this._paginate('/data/trades', { maker_address: this._makerAddress(), market: filter.market, asset_id: filter.tokenId });
+    }
+
+    // --- Orders & Signing ---
+
+    /**
+     * Worst price needed to fill `amount` against the book (USDC for buys, shares for sells)
+     */
+    async _marketPrice(tokenId, side, amount) {
+        const book = await this.getOrderBook(tokenId);
+        const levels = (side === 'buy' ? book?.asks : book?.bids) || [];
+        const sorted = [...levels].sort((a, b) => side === 'buy' ? a.price - b.price : b.price - a.price);
+
+        let filled = 0;
+        for (const level of sorted) {
+            filled += side === 'buy' ? level.size * level.price : parseFloat(level.size);
+            if (filled >= amount) return parseFloat(level.price);
+        }
+        throw new Error(`Not enough liquidity to ${side} ${amount} ${side === 'buy' ? 'USDC' : 'shares'} (book depth ${filled.toFixed(2)}).`);
+    }
+
+    async _tickSize(tokenId, market) {
+        try {
+            const { minimum_tick_size } = await this._clob('GET', `/tick-size?token_id=${tokenId}`, null, { auth: false });
+            return String(minimum_tick_size);
+        } catch {
+            return String(market.orderPriceMinTickSize || '0.01');
+        }
+    }
+
+    async _signOrder({ tokenId, side, makerAmount, takerAmount, expiration, feeRateBps, exchange }) {
+        const order = {
+            salt: BigInt(Math.floor(Math.random() * Date.now())),
+            maker: this._makerAddress(),
+            signer: this.wallet.getAddress(),
+            taker: ZERO_ADDRESS,
+            tokenId: BigInt(tokenId),
+            makerAmount,
+            takerAmount,
+            expiration: BigInt(expiration),
+            nonce: 0n,
+            feeRateBps: BigInt(feeRateBps),
+            side: side === 'buy' ? 0 : 1,
+            signatureType: this.signatureType
+        };
+
+        const signature = await this.wallet.signTypedData({
+            domain: { name: 'Polymarket CTF Exchange', version: '1', chainId: CHAIN_ID, verifyingContract: exchange },
+            types: ORDER_TYPES,
+            primaryType: 'Order',
+            message: order
+        });
+
+        return {
+            salt: Number(order.salt),
+            maker: order.maker,
+            signer: order.signer,
+            taker: order.taker,
+            tokenId: String(order.tokenId),
+            makerAmount: String(order.makerAmount),
+            takerAmount: String(order.takerAmount),
+            expiration: String(order.expiration),
+            nonce: String(order.nonce),
+            feeRateBps: String(order.feeRateBps),
+            side: side === 'buy' ? 'BUY' : 'SELL',
+            signatureType: order.signatureType,
+            signature
+        };
+    }
+
+    // --- Allowances ---
+
+    /**
+     * Buys need USDC allowance for the exchange; sells need CTF operator approval.
+     * Proxy / Safe wallets manage approvals on Polymarket's side and are skipped.
      */
-    async createOrder(marketId, side, amount, outcome) {
-        console.log(`📝 Preparing order: ${side.toUpperCase()} ${amount} USDC on ${outcome}`);
+    async _ensureAllowance(side, exchange, negRisk, usdcAmount) {
+        if (this.signatureType !== 0) return;
+
+        const owner = this.wallet.getAddress();
+        const client = this.wallet.client;
+        // Neg-risk markets also route collateral and shares through the adapter
+        const spenders = negRisk ? [exchange, NEG_RISK_ADAPTER] : [exchange];
+
+        for (const spender of spenders) {
+            if (side === 'buy') {
+                const needed = parseUnits(String(usdcAmount), 6);
+                if (this._approved.has(`usdc:${spender}`)) continue;
+
+                const allowance = await client.readContract({ address: USDC, abi: erc20Abi, functionName: 'allowance', args: [owner, spender] });
+                if (allowance >= needed) {
+                    if (allowance === maxUint256) this._approved.add(`usdc:${spender}`);
+                    continue;
+                }
+                this._requireAutoApprove(`USDC allowance for ${spender}`);
+                console.log(`🔓 Approving USDC for ${spender}...`);
+                await this._waitFor(await client.writeContract({ address: USDC, abi: erc20Abi, functionName: 'approve', args: [spender, maxUint256] }));
+                this._approved.add(`usdc:${spender}`);
+            } else {
+                if (this._approved.has(`ctf:${spender}`)) continue;
+
+                const approved = await client.readContract({ address: CTF, abi: CTF_ABI, functionName: 'isApprovedForAll', args: [owner, spender] });
+                if (!approved) {
+                    this._requireAutoApprove(`CTF approval for ${spender}`);
+                    console.log(`🔓 Approving outcome tokens (CTF) for ${spender}...`);
+                    await this._waitFor(await client.writeContract({ address: CTF, abi: CTF_ABI, functionName: 'setApprovalForAll', args: [spender, true] }));
+                }
+                this._approved.add(`ctf:${spender}`);
+            }
+        }
+    }
+
+    _requireAutoApprove(what) {
+        if (!this.autoApprove) {
+            throw new Error(`Missing ${what}. Approve it on-chain or enable autoApprove.`);
+        }
+    }
+
+    async _waitFor(hash) {
+        const receipt = await this.wallet.client.waitForTransactionReceipt({ hash });
+        if (receipt.status !== 'success') throw new Error(`Approval transaction ${hash} reverted`);
+        console.log(`✅ Approval confirmed: ${hash}`);
+    }
 
-        // 1. Check Allowance (USDC -> CTF Exchange)
-        // This would require interacting with the USDC contract on Polygon
+    // --- CLOB Auth & Transport ---
 
-        // 2. Sign Order
-        // Polymarket requires EIP-712 signatures for CLOB orders.
-        // const signature = await this.wallet.signTypedData(...)
+    /**
+     * L2 API credentials: derive the existing key for this wallet, or create one.
+     */
+    async _getApiCreds() {
+        if (this.apiCreds) return this.apiCreds;
 
-        // 3. Post to CLOB
-        // await fetch(`${this.clobApi}/order`, ...)
+        if (process.env.POLYMARKET_API_KEY && process.env.POLYMARKET_API_SECRET && process.env.POLYMARKET_API_PASSPHRASE) {
+            this.apiCreds = {
+                apiKey: process.env.POLYMARKET_API_KEY,
+                secret: process.env.POLYMARKET_API_SECRET,
+                passphrase: process.env.POLYMARKET_API_PASSPHRASE
+            };
+            return this.apiCreds;
+        }
+
+        let creds;
+        try {
+            creds = await this._clob('GET', '/auth/derive-api-key', null, { auth: 'l1' });
+        } catch {
+            creds = await this._clob('POST', '/auth/api-key', null, { auth: 'l1' });
+        }
+
+        if (!creds?.apiKey) throw new Error('Could not derive Polymarket API credentials.');
+        this.apiCreds = { apiKey: creds.apiKey, secret: creds.secret, passphrase: creds.passphrase };
+        console.log(`🔑 CLOB API key ready: ${creds.apiKey}`);
+        return this.apiCreds;
+    }
+
+    async _l1Headers(nonce = 0) {
+        const address = this.wallet.getAddress();
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = await this.wallet.signTypedData({
+            domain: { name: 'ClobAuthDomain', version: '1', chainId: CHAIN_ID },
+            types: {
+                ClobAuth: [
+                    { name: 'address', type: 'address' },
+                    { name: 'timestamp', type: 'string' },
+                    { name: 'nonce', type: 'uint256' },
+                    { name: 'message', type: 'string' }
+                ]
+            },
+            primaryType: 'ClobAuth',
+            message: { address, timestamp, nonce: BigInt(nonce), message: CLOB_AUTH_MESSAGE }
+        });
+
+        return { POLY_ADDRESS: address, POLY_SIGNATURE: signature, POLY_TIMESTAMP: timestamp, POLY_NONCE: String(nonce) };
+    }
+
+    async _l2Headers(method, requestPath, body) {
+        const creds = await this._getApiCreds();
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = crypto
+            .createHmac('sha256', Buffer.from(creds.secret, 'base64'))
+            .update(`${timestamp}${method}${requestPath}${body || ''}`)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_');
+
+        return {
+            POLY_ADDRESS: this.wallet.getAddress(),
+            POLY_SIGNATURE: signature,
+            POLY_TIMESTAMP: timestamp,
+            POLY_API_KEY: creds.apiKey,
+            POLY_PASSPHRASE: creds.passphrase
+        };
+    }
+
+    /**
+     * CLOB request. auth: true (L2 API key, default) | 'l1' (wallet signature) | false
+     */
+    async _clob(method, requestPath, payload = null, { auth = true } = {}) {
+        const body = payload ? JSON.stringify(payload) : undefined;
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (auth === 'l1') {
+            Object.assign(headers, await this._l1Headers());
+        } else if (auth) {
+            Object.assign(headers, await this._l2Headers(method, requestPath.split('?')[0], body));
+        }
+
+        const response = await fetch(`${this.clobApi}${requestPath}`, { method, headers, body });
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : {};
+        } catch {
+            data = { error: text };
+        }
+
+        if (!response.ok) {
+            throw new Error(`CLOB ${method} ${requestPath.split('?')[0]} failed (${response.status}): ${data.error || data.errorMsg || text}`);
+        }
+        return data;
+    }
+
+    async _paginate(path, params) {
+        const results = [];
+        let cursor = 'MA==';
+
+        // 'LTE=' marks the last page
+        while (cursor && cursor !== 'LTE=') {
+            const query = new URLSearchParams({ next_cursor: cursor });
+            for (const [key, value] of Object.entries(params)) {
+                if (value) query.set(key, value);
+            }
+            const page = await this._clob('GET', `${path}?${query}`);
+            if (Array.isArray(page)) return page;
+
+            results.push(...(page.data || []));
+            cursor = page.next_cursor;
+        }
+        return results;
+    }
+
+    // --- Helpers ---
+
+    _makerAddress() {
+        return this.signatureType !== 0 && this.funder ? this.funder : this.wallet.getAddress();
+    }
+
+    _requireWallet() {
+        if (!this.wallet.getAddress()) {
+            throw new Error('Trading requires EVM_PRIVATE_KEY (Polygon wallet).');
+        }
+    }
+
+    _parseList(value) {
+        if (Array.isArray(value)) return value;
+        try {
+            return JSON.parse(value || '[]');
+        } catch {
+            return [];
+        }
+    }
 
-        console.log('⚠️ Trading implementation is a skeleton. Real execution requires EIP-712 signing implementation.');
-        return { status: 'simulated_success', marketId, side, amount };
+    _round(value, decimals, round) {
+        const factor = 10 ** decimals;
+        return round(value * factor + 1e-9) / factor;
     }
 }
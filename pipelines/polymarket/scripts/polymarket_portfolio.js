@@ -0,0 +1,363 @@
+import fs from 'fs';
+import path from 'path';
+import { eventBus } from '../../../core/index.js';
+
+// Below this many shares a position is considered fully exited (rounding dust)
+const DUST_SHARES = 0.01;
+
+/**
+ * Position symbol for one outcome of a market, e.g. 'FED-RATE-CUT-DECEMBER-YES'
+ * @param {string} marketRef - Market slug (or id)
+ * @param {string} outcome
+ */
+export function positionSymbol(marketRef, outcome) {
+    return `${marketRef}-${outcome}`.toUpperCase();
+}
+
+/**
+ * PolymarketPortfolio — Tracks outcome-token holdings, marks them to the CLOB and settles resolved markets.
+ *
+ * One position per outcome token (YES and NO of the same market are separate positions).
+ * Positions use the PositionManager shape (side 'buy', size = cost basis in USDC, quantity = shares,
+ * exchange 'polymarket') and emit 'position:opened' / 'position:closed' on the EventBus, so closed
+ * Polymarket trades carry their PnL the same way perp positions do.
+ *
+ * Persists state to data/polymarket_positions.json.
+ */
+export class PolymarketPortfolio {
+    /**
+     * @param {object} config
+     * @param {PolymarketClient} config.client - Client used for midpoints, order status and Gamma lookups
+     * @param {string} [config.dataDir] - Directory for persistence (default: data/)
+     */
+    constructor(config = {}) {
+        this.client = config.client;
+        this.dataDir = config.dataDir || path.join(process.cwd(), 'data');
+        this.stateFile = path.join(this.dataDir, 'polymarket_positions.json');
+
+        // Map of tokenId -> position
+        this.positions = new Map();
+        // Map of orderId -> resting order whose fills are still being tracked
+        this.pendingOrders = new Map();
+        // PnL of every position closed so far (sold or resolved)
+        this.realizedPnl = 0;
+
+        this._loadState();
+
+        console.log(`🎲 PolymarketPortfolio active. ${this.positions.size} positions, ${this.pendingOrders.size} pending orders loaded.`);
+    }
+
+    /**
+     * Record the result of PolymarketClient.createOrder().
+     * Matched orders are booked immediately; resting orders are booked as refresh() sees them fill.
+     * @param {object} order - createOrder() result
+     */
+    trackOrder(order) {
+        const entry = {
+            orderId: order.orderId,
+            marketId: order.marketId,
+            conditionId: order.conditionId,
+            tokenId: order.tokenId,
+            outcome: order.outcome,
+            side: order.side,
+            price: order.price,
+            size: order.size,
+            filled: 0,
+            question: order.question || null,
+            slug: order.slug || null
+        };
+
+        if (String(order.status).toLowerCase() === 'matched') {
+            this._applyFill(entry, order.size, order.price);
+        } else if (order.orderId) {
+            this.pendingOrders.set(order.orderId, entry);
+            this._saveState();
+        }
+    }
+
+    /**
+     * Record a fill directly (shares at a price).
+     * @param {object} fill
+     * @param {string} fill.marketId - Gamma market id
+     * @param {string} fill.tokenId - Outcome token id
+     * @param {string} fill.outcome - Outcome label
+     * @param {string} fill.side - 'buy' | 'sell'
+     * @param {number} fill.size - Shares
+     * @param {number} fill.price - Price per share (0-1)
+     * @param {string} [fill.conditionId]
+     * @param {string} [fill.question]
+     * @param {string} [fill.slug]
+     * @returns {object|null} The affected position
+     */
+    recordFill(fill) {
+        return this._applyFill(fill, fill.size, fill.price);
+    }
+
+    /**
+     * Sync resting orders, settle resolved markets and mark the rest to the CLOB midpoint.
+     * @returns {Promise<object>} { open, resolved, unrealizedPnl, realizedPnl }
+     */
+    async refresh() {
+        await this._syncPendingOrders();
+
+        const resolved = [];
+        for (const position of Array.from(this.positions.values())) {
+            try {
+                const market = await this.client.getMarket(position.marketId || position.conditionId);
+                const payoutPerShare = this._resolvedPayout(market, position.outcome);
+
+                if (payoutPerShare !== null) {
+                    resolved.push(this._settle(position, payoutPerShare));
+                    continue;
+                }
+
+                // Trading halted, awaiting resolution: keep the last mark
+                if (market.closed) continue;
+
+                const mid = await this.client.getMidpoint(position.tokenId);
+                if (mid !== null) this._mark(position, mid);
+            } catch (error) {
+                console.warn(`⚠️ Failed to refresh ${position.symbol}: ${error.message}`);
+            }
+        }
+
+        this._saveState();
+        return {
+            open: this.getOpen(),
+            resolved,
+            unrealizedPnl: this.getTotalPnL(),
+            realizedPnl: this.realizedPnl
+        };
+    }
+
+    /**
+     * Get all open positions.
+     * @returns {Array}
+     */
+    getOpen() {
+        return Array.from(this.positions.values());
+    }
+
+    /**
+     * Total unrealized PnL across open positions.
+     * @returns {number}
+     */
+    getTotalPnL() {
+        let total = 0;
+        for (const pos of this.positions.values()) {
+            total += pos.unrealizedPnl || 0;
+        }
+        return total;
+    }
+
+    /**
+     * Portfolio state in the shape RiskManager.canOpenPosition() expects.
+     * @param {number} balance - Available USDC
+     * @returns {{ balance: number, totalExposure: number, positionCount: number, positions: Array }}
+     */
+    getRiskSnapshot(balance) {
+        const positions = this.getOpen();
+        return {
+            balance,
+            totalExposure: positions.reduce((sum, p) => sum + p.size, 0),
+            positionCount: positions.length,
+            positions
+        };
+    }
+
+    // --- Position Accounting ---
+
+    _applyFill(fill, shares, price) {
+        shares = parseFloat(shares);
+        price = parseFloat(price);
+        if (!(shares > 0) || !Number.isFinite(price)) return null;
+
+        const side = fill.side.toLowerCase();
+        let position = this.positions.get(fill.tokenId);
+
+        if (side === 'buy') {
+            if (!position) {
+                position = this._openPosition(fill, shares, price);
+            } else {
+                // Average in at the volume-weighted cost
+                position.size += shares * price;
+                position.quantity += shares;
+                position.entryPrice = position.size / position.quantity;
+                this._mark(position, position.markPrice ?? price);
+                this._saveState();
+            }
+            return position;
+        }
+
+        if (!position) {
+            console.warn(`⚠️ Sell fill for untracked token ${fill.tokenId} ignored.`);
+            return null;
+        }
+
+        const sold = Math.min(shares, position.quantity);
+        const costSold = sold * position.entryPrice;
+        position.realizedPnl += sold * price - costSold;
+        position.quantity -= sold;
+        position.size -= costSold;
+
+        if (position.quantity < DUST_SHARES) {
+            return this._close(position, 'sold', price);
+        }
+
+        this._mark(position, position.markPrice ?? price);
+        this._saveState();
+        return position;
+    }
+
+    _openPosition(fill, shares, price) {
+        const outcome = String(fill.outcome).toUpperCase();
+        const position = {
+            id: `polymarket_${fill.tokenId}_${Date.now()}`,
+            symbol: positionSymbol(fill.slug || fill.marketId, outcome),
+            side: 'buy',
+            entryPrice: price,
+            size: shares * price,
+            leverage: 1,
+            quantity: shares,
+            exchange: 'polymarket',
+            marketId: fill.marketId,
+            conditionId: fill.conditionId || null,
+            tokenId: fill.tokenId,
+            outcome,
+            question: fill.question || null,
+            markPrice: price,
+            unrealizedPnl: 0,
+            realizedPnl: 0,
+            openedAt: new Date().toISOString(),
+            closedAt: null,
+            closeReason: null
+        };
+
+        this.positions.set(fill.tokenId, position);
+        this._saveState();
+
+        console.log(`📈 Polymarket position OPENED: ${position.quantity.toFixed(2)} ${outcome} on "${position.question || position.marketId}" @ ${price}`);
+
+        eventBus.emit('position:opened', position);
+        return position;
+    }
+
+    _mark(position, price) {
+        position.markPrice = price;
+        position.unrealizedPnl = position.quantity * price - position.size;
+    }
+
+    /**
+     * Winning shares redeem for the resolved price (1, or 0.5 on a 50/50 resolution), losing shares for 0.
+     */
+    _settle(position, payoutPerShare) {
+        const payout = position.quantity * payoutPerShare;
+        position.payout = payout;
+        position.realizedPnl += payout - position.size;
+
+        console.log(`🏁 Market resolved: ${position.outcome} on "${position.question || position.marketId}" pays ${payoutPerShare} → $${payout.toFixed(2)}`);
+        return this._close(position, 'resolved', payoutPerShare);
+    }
+
+    _close(position, reason, exitPrice) {
+        // Closed positions carry their final PnL in unrealizedPnl, like PositionManager.close()
+        position.unrealizedPnl = position.realizedPnl;
+        position.markPrice = exitPrice;
+        position.exitPrice = exitPrice;
+        position.closedAt = new Date().toISOString();
+        position.closeReason = reason;
+
+        this.positions.delete(position.tokenId);
+        this.realizedPnl += position.realizedPnl;
+        this._saveState();
+
+        console.log(`📉 Polymarket position CLOSED [${reason}]: ${position.outcome} on "${position.question || position.marketId}" | PnL: $${position.realizedPnl.toFixed(2)}`);
+
+        eventBus.emit('position:closed', position);
+        return position;
+    }
+
+    // --- Market Data ---
+
+    /**
+     * Payout per share once Gamma reports the market resolved, otherwise null.
+     */
+    _resolvedPayout(market, outcome) {
+        if (!market?.closed) return null;
+
+        const outcomes = this._parseList(market.outcomes).map(o => String(o).toUpperCase());
+        const prices = this._parseList(market.outcomePrices).map(Number);
+        const index = outcomes.indexOf(String(outcome).toUpperCase());
+        if (index === -1 || prices.length !== outcomes.length) return null;
+
+        // Closed markets keep trading prices until UMA settles them to 0 / 1 (or 0.5 each)
+        const settled = market.umaResolutionStatus === 'resolved'
+            || prices.every(p => p === 0 || p === 1);
+        return settled ? prices[index] : null;
+    }
+
+    async _syncPendingOrders() {
+        for (const [orderId, entry] of Array.from(this.pendingOrders.entries())) {
+            try {
+                const order = await this.client.getOrder(orderId);
+                if (!order) continue;
+
+                const matched = parseFloat(order.size_matched || 0);
+                if (matched > entry.filled) {
+                    this._applyFill(entry, matched - entry.filled, parseFloat(order.price) || entry.price);
+                    entry.filled = matched;
+                }
+
+                if (String(order.status).toUpperCase() !== 'LIVE') {
+                    this.pendingOrders.delete(orderId);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Failed to sync order ${orderId}: ${error.message}`);
+            }
+        }
+    }
+
+    _parseList(value) {
+        if (Array.isArray(value)) return value;
+        try {
+            return JSON.parse(value || '[]');
+        } catch {
+            return [];
+        }
+    }
+
+    // --- Persistence ---
+
+    _saveState() {
+        try {
+            if (!fs.existsSync(this.dataDir)) {
+                fs.mkdirSync(this.dataDir, { recursive: true });
+            }
+            const data = {
+                positions: Array.from(this.positions.values()),
+                pendingOrders: Array.from(this.pendingOrders.values()),
+                realizedPnl: this.realizedPnl
+            };
+            fs.writeFileSync(this.stateFile, JSON.stringify(data, null, 2));
+        } catch (error) {
+            console.error('❌ Failed to save Polymarket portfolio:', error.message);
+        }
+    }
+
+    _loadState() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+                for (const pos of data.positions || []) {
+                    this.positions.set(pos.tokenId, pos);
+                }
+                for (const order of data.pendingOrders || []) {
+                    this.pendingOrders.set(order.orderId, order);
+                }
+                this.realizedPnl = data.realizedPnl || 0;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load Polymarket portfolio:', error.message);
+        }
+    }
+}
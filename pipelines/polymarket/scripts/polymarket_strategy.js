@@ -0,0 +1,278 @@
+import { RiskManager } from '../../../core/index.js';
+import { positionSymbol } from './polymarket_portfolio.js';
+
+const PROBABILITY_PROMPT = `You are a calibrated forecaster for prediction markets.
+Estimate the probability that the market resolves YES, using only the information given.
+Respond ONLY with valid JSON: {"probability": 0.0 to 1.0, "confidence": 0.0 to 1.0, "reasoning": "one sentence"}`;
+
+/**
+ * PolymarketStrategy — Expected-value trading with fractional Kelly sizing.
+ *
+ * For a model probability p that YES wins, each outcome is priced off its order book:
+ *   - Entry price: volume-weighted ask for the intended stake, plus the taker fee
+ *     (feeRate × min(price, 1 - price) per share).
+ *   - Edge: p_outcome - entry price (a share pays 1 if the outcome wins).
+ *   - Kelly: f* = edge / (1 - entry price), staked at kellyFraction × f* of the bankroll.
+ *
+ * The stake is then capped by RiskManager (confidence gate, position count, per-trade risk,
+ * total and per-market exposure) and by the depth of the book. Markets with thin books,
+ * wide spreads or a resolution date too close are skipped.
+ */
+export class PolymarketStrategy {
+    /**
+     * @param {object} config
+     * @param {PolymarketClient} config.client - For order books and fee rates
+     * @param {RiskManager} [config.riskManager] - Exposure limits (default a new RiskManager)
+     * @param {LLMClient} [config.llm] - Probability model for estimateProbability()
+     * @param {number} [config.kellyFraction] - Fraction of full Kelly to stake (default 0.25)
+     * @param {number} [config.minEdge] - Minimum edge per share after fees and spread (default 0.03)
+     * @param {number} [config.maxSpread] - Skip books with a wider bid/ask spread (default 0.10)
+     * @param {number} [config.minDepthUsdc] - Skip books with less ask-side USDC within depthWindow of the best ask (default 200)
+     * @param {number} [config.depthWindow] - Price window for the depth check (default 0.05)
+     * @param {number} [config.minHoursToResolution] - Skip markets ending sooner than this (default 24)
+     * @param {number} [config.minOrderUsdc] - Skip stakes smaller than this (default 1)
+     * @param {number} [config.sentimentWeight] - Max shift from the market mid for a sentiment signal at full confidence (default 0.2)
+     */
+    constructor(config = {}) {
+        this.client = config.client;
+        this.riskManager = config.riskManager || new RiskManager();
+        this.llm = config.llm || null;
+
+        this.kellyFraction = config.kellyFraction ?? 0.25;
+        this.minEdge = config.minEdge ?? 0.03;
+        this.maxSpread = config.maxSpread ?? 0.10;
+        this.minDepthUsdc = config.minDepthUsdc ?? 200;
+        this.depthWindow = config.depthWindow ?? 0.05;
+        this.minHoursToResolution = config.minHoursToResolution ?? 24;
+        this.minOrderUsdc = config.minOrderUsdc ?? 1;
+        this.sentimentWeight = config.sentimentWeight ?? 0.2;
+    }
+
+    // --- Model Probability ---
+
+    /**
+     * Ask the LLM for the probability that a market resolves YES.
+     * @param {object} market - Gamma market
+     * @param {string} [context] - Extra information (news, posts)
+     * @returns {Promise<{ probability: number, confidence: number, reasoning: string, source: string }|null>}
+     */
+    async estimateProbability(market, context = '') {
+        if (!this.llm) return null;
+
+        const lines = [
+            `Market: ${market.question}`,
+            market.description ? `Rules: ${market.description.slice(0, 1000)}` : null,
+            market.endDate ? `Resolves by: ${market.endDate}` : null,
+            `Today: ${new Date().toISOString().slice(0, 10)}`,
+            context ? `Context: ${context}` : null
+        ].filter(Boolean);
+
+        try {
+            const response = await this.llm.chat([
+                { role: 'system', content: PROBABILITY_PROMPT },
+                { role: 'user', content: lines.join('\n') }
+            ], { temperature: 0.2, maxTokens: 256 });
+
+            const json = JSON.parse(response.match(/\{[\s\S]*\}/)?.[0] || '{}');
+            const probability = parseFloat(json.probability);
+            if (!(probability >= 0 && probability <= 1)) throw new Error(`invalid probability in "${response.slice(0, 100)}"`);
+
+            return {
+                probability,
+                confidence: Math.max(0, Math.min(1, parseFloat(json.confidence) || 0)),
+                reasoning: json.reasoning || '',
+                source: 'llm'
+            };
+        } catch (error) {
+            console.warn(`⚠️ Probability estimate failed for "${market.question}": ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Turn a SocialSentimentAnalyzer result into a YES probability by shifting the market's
+     * YES midpoint toward the forecast direction, in proportion to the analyzer's confidence.
+     * @param {object} market - Gamma market
+     * @param {object} analysis - analyze() result { forecast_direction, confidence, impact_level }
+     * @returns {Promise<{ probability: number, confidence: number, reasoning: string, source: string }|null>}
+     */
+    async probabilityFromSentiment(market, analysis) {
+        const direction = { BULLISH: 1, BEARISH: -1 }[analysis?.forecast_direction];
+        if (!direction) return null;
+
+        const mid = await this.client.getMidpoint(this.client.getTokenId(market, this._outcomes(market)[0]));
+        if (!Number.isFinite(mid)) return null;
+
+        const confidence = analysis.confidence || 0;
+        const shift = direction * this.sentimentWeight * Math.max(0, (confidence - 0.5) * 2);
+        return {
+            probability: Math.min(0.99, Math.max(0.01, mid + shift)),
+            confidence,
+            reasoning: `${analysis.forecast_direction} sentiment (${analysis.impact_level || 'n/a'} impact) shifts mid ${mid.toFixed(3)} by ${shift >= 0 ? '+' : ''}${shift.toFixed(3)}`,
+            source: 'sentiment'
+        };
+    }
+
+    // --- Evaluation ---
+
+    /**
+     * Price both outcomes of a market against a model probability and size the better one.
+     * @param {object} market - Gamma market
+     * @param {object} estimate - { probability (of YES), confidence, reasoning?, source? }
+     * @param {object} portfolio - { balance, totalExposure, positionCount, positions }
+     * @param {string} [survivalState] - SurvivalManager state (default 'SURVIVAL')
+     * @returns {Promise<object>} { action: 'BUY' | 'SKIP', reason, outcome, tokenId, amount, limitPrice, edge, ... }
+     */
+    async evaluate(market, estimate, portfolio, survivalState = 'SURVIVAL') {
+        const skip = (reason, extra = {}) => ({ action: 'SKIP', reason, marketId: market.id, ...extra });
+
+        if (market.closed || market.active === false || market.acceptingOrders === false) {
+            return skip('Market is not accepting orders');
+        }
+
+        const end = new Date(market.endDate || NaN);
+        const hoursLeft = (end - Date.now()) / 3600000;
+        if (!isNaN(end) && hoursLeft < this.minHoursToResolution) {
+            return skip(`Resolves in ${Math.max(0, hoursLeft).toFixed(1)}h (< ${this.minHoursToResolution}h)`);
+        }
+
+        const outcomes = this._outcomes(market);
+        if (outcomes.length !== 2) return skip('Only binary markets are supported');
+
+        // Score YES with p and NO with 1 - p; keep the better side
+        const quotes = [];
+        for (const [i, outcome] of outcomes.entries()) {
+            const probability = i === 0 ? estimate.probability : 1 - estimate.probability;
+            quotes.push(await this._quote(market, outcome, probability, portfolio.balance));
+        }
+
+        const tradable = quotes.filter(q => !q.rejected);
+        if (tradable.length === 0) {
+            return skip(quotes.map(q => `${q.outcome}: ${q.rejected}`).join('; '), { quotes });
+        }
+
+        const best = tradable.sort((a, b) => b.edge - a.edge)[0];
+        if (best.edge < this.minEdge) {
+            return skip(`Edge ${best.edge.toFixed(3)} on ${best.outcome} below ${this.minEdge}`, { quotes });
+        }
+
+        // Risk limits: a binary stake can lose everything, so the per-trade risk budget caps the stake
+        const symbol = positionSymbol(market.slug || market.id, best.outcome);
+        const check = this.riskManager.canOpenPosition(
+            { action: 'BUY', symbol, confidence: estimate.confidence, leverage: 1 },
+            portfolio,
+            survivalState
+        );
+        if (!check.allowed) return skip(`Risk: ${check.reason}`, { quotes });
+
+        const maxExposure = portfolio.balance * (this.riskManager.maxExposurePercent / 100) - (portfolio.totalExposure || 0);
+        const caps = {
+            kelly: best.stake,
+            risk: check.adjustedSize,
+            exposure: maxExposure,
+            depth: best.depthUsdc
+        };
+        const [capName, amount] = Object.entries(caps).sort((a, b) => a[1] - b[1])[0];
+
+        if (!(amount >= this.minOrderUsdc)) {
+            return skip(`Stake $${Math.max(0, amount).toFixed(2)} below minimum $${this.minOrderUsdc} (capped by ${capName})`, { quotes });
+        }
+
+        return {
+            action: 'BUY',
+            reason: `p=${best.probability.toFixed(3)} vs ${best.entryPrice.toFixed(3)} → edge ${best.edge.toFixed(3)}, Kelly ${(best.kelly * 100).toFixed(1)}% × ${this.kellyFraction}, capped by ${capName}`,
+            marketId: market.id,
+            symbol,
+            outcome: best.outcome,
+            tokenId: best.tokenId,
+            probability: best.probability,
+            confidence: estimate.confidence,
+            source: estimate.source || null,
+            midPrice: best.mid,
+            spread: best.spread,
+            entryPrice: best.entryPrice,
+            limitPrice: best.limitPrice,
+            edge: best.edge,
+            kelly: best.kelly,
+            amount: Math.floor(amount * 100) / 100,
+            expectedValue: best.edge / best.entryPrice * amount,
+            quotes
+        };
+    }
+
+    /**
+     * Book-derived entry price, edge and Kelly stake for buying one outcome.
+     */
+    async _quote(market, outcome, probability, bankroll) {
+        const quote = { outcome, probability };
+
+        try {
+            quote.tokenId = this.client.getTokenId(market, outcome);
+        } catch (error) {
+            return { ...quote, rejected: error.message };
+        }
+
+        const book = await this.client.getOrderBook(quote.tokenId);
+        const asks = (book?.asks || []).map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) })).sort((a, b) => a.price - b.price);
+        const bids = (book?.bids || []).map(l => ({ price: parseFloat(l.price), size: parseFloat(l.size) })).sort((a, b) => b.price - a.price);
+        if (asks.length === 0 || bids.length === 0) return { ...quote, rejected: 'empty book' };
+
+        quote.spread = asks[0].price - bids[0].price;
+        quote.mid = (asks[0].price + bids[0].price) / 2;
+        if (quote.spread > this.maxSpread) {
+            return { ...quote, rejected: `spread ${quote.spread.toFixed(3)} > ${this.maxSpread}` };
+        }
+
+        quote.depthUsdc = asks
+            .filter(l => l.price <= asks[0].price + this.depthWindow)
+            .reduce((sum, l) => sum + l.price * l.size, 0);
+        if (quote.depthUsdc < this.minDepthUsdc) {
+            return { ...quote, rejected: `thin book: $${quote.depthUsdc.toFixed(0)} within ${this.depthWindow} of best ask` };
+        }
+
+        const feeRate = (await this.client.getFeeRateBps(quote.tokenId)) / 10000;
+        const price = (p) => p + feeRate * Math.min(p, 1 - p);
+
+        // Size at the top of the book, then re-price at the VWAP that stake would actually pay
+        let fill = { vwap: asks[0].price, worst: asks[0].price };
+        for (let pass = 0; pass < 2; pass++) {
+            quote.entryPrice = price(fill.vwap);
+            quote.edge = probability - quote.entryPrice;
+            quote.kelly = quote.edge > 0 ? quote.edge / (1 - quote.entryPrice) : 0;
+            quote.stake = bankroll * quote.kelly * this.kellyFraction;
+            if (quote.stake <= 0) break;
+            fill = this._walk(asks, Math.min(quote.stake, quote.depthUsdc));
+        }
+        quote.limitPrice = fill.worst;
+
+        return quote;
+    }
+
+    /**
+     * Volume-weighted and worst price to spend `amount` USDC on the asks.
+     */
+    _walk(asks, amount) {
+        let spent = 0;
+        let shares = 0;
+        let worst = asks[0].price;
+
+        for (const level of asks) {
+            if (spent >= amount) break;
+            const take = Math.min(level.size, (amount - spent) / level.price);
+            spent += take * level.price;
+            shares += take;
+            worst = level.price;
+        }
+
+        return { vwap: shares > 0 ? spent / shares : asks[0].price, worst };
+    }
+
+    _outcomes(market) {
+        if (Array.isArray(market.outcomes)) return market.outcomes;
+        try {
+            return JSON.parse(market.outcomes || '[]');
+        } catch {
+            return [];
+        }
+    }
+}
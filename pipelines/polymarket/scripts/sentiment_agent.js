@@ -1,9 +1,16 @@
+import path from 'path';
 import { PolymarketClient } from './polymarket_client.js';
+import { PolymarketPortfolio } from './polymarket_portfolio.js';
+import { MarketMatcher } from './market_matcher.js';
+import { PolymarketStrategy } from './polymarket_strategy.js';
+import { LLMClient, SurvivalManager, TradeLedger, eventBus } from '../../../core/index.js';
 import { SocialSentimentAnalyzer } from '../../market_intelligence/social_sentiment.js';
 
 // Configuration
 const POLL_INTERVAL = 10000; // 10 seconds (Accelerated for demo)
-const TRADE_AMOUNT_USDC = 50;
+const DRY_RUN_BANKROLL = 1000; // USDC assumed for sizing when no wallet is configured
+const START_BALANCE = parseFloat(process.env.POLYMARKET_START_BALANCE) || DRY_RUN_BANKROLL; // Baseline for realized PnL and survival
+const MARKET_SCAN_LIMIT = 50;
 
 // Simulated Social Feed (since we don't have a live Twitter API connection in this kit yet)
 const SIMULATED_FEED = [
@@ -19,9 +26,52 @@ async function runSentimentAgent() {
 
     const client = new PolymarketClient();
     const analyzer = new SocialSentimentAnalyzer();
+    // Embeddings and LLM probabilities need a configured provider; otherwise matching runs
+    // on local TF-IDF and the probability comes from the sentiment analysis
+    const llm = process.env.LLM_PROVIDER ? new LLMClient() : null;
+    const matcher = new MarketMatcher({ llm });
+    const strategy = new PolymarketStrategy({ client, llm });
 
     await client.init();
 
+    // Sold and resolved positions are booked in the ledger; its equity drives the survival
+    // state and the risk breakers, as in AgentOrchestrator
+    const ledger = new TradeLedger({ dataDir: path.join(process.cwd(), 'data', 'polymarket'), initialBalance: START_BALANCE });
+    const survival = new SurvivalManager({ initialBalance: START_BALANCE });
+    eventBus.on('position:closed', (position) => {
+        strategy.riskManager.recordTrade(ledger.getPositionPnl(position.id));
+    });
+
+    const portfolio = new PolymarketPortfolio({ client });
+
+    const hasWallet = !!client.wallet.getAddress();
+
+    // Model probability (LLM, else sentiment-shifted mid) vs. order book → edge and Kelly stake
+    async function tradeSignal(market, post, analysis) {
+        const estimate = (await strategy.estimateProbability(market, `${post.author}: ${post.text}`))
+            || (await strategy.probabilityFromSentiment(market, analysis));
+        if (!estimate) return;
+
+        const balance = hasWallet ? await client.getCollateralBalance() : DRY_RUN_BANKROLL;
+        const decision = await strategy.evaluate(market, estimate, portfolio.getRiskSnapshot(balance), survival.state);
+        console.log(`   Model (${estimate.source}): p(YES)=${estimate.probability.toFixed(3)} | ${estimate.reasoning}`);
+
+        if (decision.action !== 'BUY') {
+            console.log(`   No trade: ${decision.reason}`);
+            return;
+        }
+
+        console.log(`⚡ Executing Sentiment Trade: BUY ${decision.outcome} $${decision.amount} on market ${market.id}`);
+        console.log(`   ${decision.reason} | EV: $${decision.expectedValue.toFixed(2)}`);
+        if (!hasWallet) return;
+
+        const order = await client.createOrder(market.id, 'buy', decision.amount, decision.outcome, {
+            price: decision.limitPrice,
+            orderType: 'FOK'
+        });
+        portfolio.trackOrder(order);
+    }
+
     let feedIndex = 0;
 
     while (true) {
@@ -43,26 +93,26 @@ async function runSentimentAgent() {
             // 3. Trade Execution Logic
             if (analysis.forecast_direction !== 'NEUTRAL') {
 
-                // Find relevant market
-                // In a real system, we'd use semantic search. Here we use basic keyword matching.
-                const markets = await client.getMarkets(20);
-
-                // Simple keyword matching based on post content
-                const keywords = post.text.split(' ').filter(w => w.length > 4);
-                let targetMarket = markets.find(m => keywords.some(k => m.question.toLowerCase().includes(k.toLowerCase())));
-
-                // Fallback for demo purposes if no specific market found
-                if (!targetMarket && markets.length > 0) {
-                    targetMarket = markets[0];
-                    console.log(`⚠️ No specific market found for keywords. Targeting top market for demo: "${targetMarket.question}"`);
+                // Find the market the post is about
+                const markets = await client.getMarkets(MARKET_SCAN_LIMIT);
+                const { match, candidates, mode, minScore } = await matcher.match(post.text, markets);
+                const targetMarket = match?.market;
+
+                if (match) {
+                    console.log(`🎯 Matched "${targetMarket.question}" | Score: ${match.score.toFixed(3)} (${mode}, min ${minScore})`);
+                    console.log(`   Why: ${match.reasons.join('; ')}`);
+                } else {
+                    const best = candidates[0];
+                    console.log(`   No market above ${mode} score ${minScore}. No trade executed.`);
+                    if (best) console.log(`   Closest: "${best.market.question}" | Score: ${best.score.toFixed(3)} | ${best.reasons.join('; ')}`);
                 }
 
                 if (targetMarket) {
-                    const side = 'buy';
-                    const outcome = analysis.forecast_direction === 'BULLISH' ? 'YES' : 'NO';
-
-                    console.log(`⚡ Executing Sentiment Trade: ${side.toUpperCase()} ${outcome} on market ${targetMarket.id}`);
-                    await client.createOrder(targetMarket.id, side, TRADE_AMOUNT_USDC, outcome);
+                    try {
+                        await tradeSignal(targetMarket, post, analysis);
+                    } catch (error) {
+                        console.error('❌ Order failed:', error.message);
+                    }
                 }
             } else {
                 console.log("   Direction is NEUTRAL. No trade executed.");
@@ -72,6 +122,13 @@ async function runSentimentAgent() {
             console.log("   Ignored: Not actionable or low impact.");
         }
 
+        // 4. Mark positions, settle resolved markets and update survival
+        const { open, unrealizedPnl } = await portfolio.refresh();
+        const equity = ledger.getEquity(open);
+        survival.updateVitalSigns(equity);
+        strategy.riskManager.updateEquity(equity);
+        console.log(`📊 Portfolio: ${open.length} open | Unrealized: $${unrealizedPnl.toFixed(2)} | Realized: $${ledger.getRealizedPnl().toFixed(2)} | Equity: $${equity.toFixed(2)} (${survival.state})`);
+
         console.log(`💤 Sleeping for ${POLL_INTERVAL / 1000}s...`);
         await new Promise(r => setTimeout(r, POLL_INTERVAL));
     }
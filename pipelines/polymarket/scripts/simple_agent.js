@@ -1,8 +1,14 @@
+import path from 'path';
 import { PolymarketClient } from './polymarket_client.js';
+import { PolymarketPortfolio } from './polymarket_portfolio.js';
+import { PolymarketStrategy } from './polymarket_strategy.js';
+import { LLMClient, SurvivalManager, TradeLedger, eventBus } from '../../../core/index.js';
 
 // Configuration
 const POLL_INTERVAL = 60000; // 60 seconds
-const TRADE_AMOUNT_USDC = 5;
+const MARKETS_PER_CYCLE = 5;
+const DRY_RUN_BANKROLL = 100; // USDC assumed for sizing when no wallet is configured
+const START_BALANCE = parseFloat(process.env.POLYMARKET_START_BALANCE) || DRY_RUN_BANKROLL; // Baseline for realized PnL and survival
 
 async function runAgent() {
     console.log('🤖 Starting Polymarket Autonomous Agent...');
@@ -11,31 +17,75 @@ async function runAgent() {
     const client = new PolymarketClient();
     await client.init();
 
+    // The LLM supplies the model probability; without one there is no edge to trade
+    const llm = process.env.LLM_PROVIDER ? new LLMClient() : null;
+    const strategy = new PolymarketStrategy({ client, llm });
+
+    // Sold and resolved positions are booked in the ledger; its equity drives the survival
+    // state and the risk breakers, as in AgentOrchestrator
+    const ledger = new TradeLedger({ dataDir: path.join(process.cwd(), 'data', 'polymarket'), initialBalance: START_BALANCE });
+    const survival = new SurvivalManager({ initialBalance: START_BALANCE });
+    eventBus.on('position:closed', (position) => {
+        strategy.riskManager.recordTrade(ledger.getPositionPnl(position.id));
+    });
+
+    const portfolio = new PolymarketPortfolio({ client });
+
+    // Markets already entered (open positions survive restarts)
+    const traded = new Set(portfolio.getOpen().map(p => p.marketId));
+    const hasWallet = !!client.wallet.getAddress();
+
+    if (!hasWallet) {
+        console.warn(`⚠️ No wallet configured: the agent will size against a $${DRY_RUN_BANKROLL} dry-run bankroll and not place orders.`);
+    }
+    if (!llm) {
+        console.warn('⚠️ No LLM_PROVIDER configured: no probability model, the agent will only mark its portfolio.');
+    }
+
     while (true) {
         try {
             console.log(`\n🕐 [${new Date().toISOString()}] Scanning Markets...`);
 
             // 1. Fetch Markets
-            const markets = await client.getMarkets(5);
+            const markets = llm ? await client.getMarkets(MARKETS_PER_CYCLE) : [];
+            const candidates = markets.filter(m => !traded.has(m.id));
 
-            if (markets.length === 0) {
-                console.log('No active markets found. Sleeping...');
-            } else {
-                // 2. Simple Strategy: Pick the first market and bet on the underdog (Simulated Logic)
-                const targetMarket = markets[0];
-                console.log(`🎯 Targeting Market: "${targetMarket.question}"`);
+            for (const market of candidates) {
+                // 2. Model probability vs. order book → edge and Kelly stake
+                const estimate = await strategy.estimateProbability(market);
+                if (!estimate) continue;
 
-                // 3. Execute Trade (Simulated)
-                // In a real strategy, you would calculate EV here.
-                const side = 'buy';
-                const outcome = 'YES'; // Simplified
+                const balance = hasWallet ? await client.getCollateralBalance() : DRY_RUN_BANKROLL;
+                const decision = await strategy.evaluate(market, estimate, portfolio.getRiskSnapshot(balance), survival.state);
 
-                console.log(`💡 Strategy Decision: BUY YES on "${targetMarket.question}"`);
+                if (decision.action !== 'BUY') {
+                    console.log(`⏭️  "${market.question}" (p=${estimate.probability.toFixed(2)}): ${decision.reason}`);
+                    continue;
+                }
 
-                await client.createOrder(targetMarket.id, side, TRADE_AMOUNT_USDC, outcome);
-                console.log('✅ Cycle Complete.');
+                console.log(`💡 Strategy Decision: BUY ${decision.outcome} $${decision.amount} on "${market.question}"`);
+                console.log(`   ${decision.reason} | EV: $${decision.expectedValue.toFixed(2)} | Model: ${estimate.reasoning}`);
+
+                // 3. Execute Trade: fill-or-kill up to the worst price the stake was priced at
+                if (hasWallet) {
+                    const order = await client.createOrder(market.id, 'buy', decision.amount, decision.outcome, {
+                        price: decision.limitPrice,
+                        orderType: 'FOK'
+                    });
+                    traded.add(market.id);
+                    portfolio.trackOrder(order);
+                    console.log(`📨 Order ${order.orderId} ${order.status}: ${order.size} shares @ ${order.price}`);
+                }
             }
 
+            // 4. Mark positions, settle resolved markets and update survival
+            const { open, unrealizedPnl } = await portfolio.refresh();
+            const equity = ledger.getEquity(open);
+            survival.updateVitalSigns(equity);
+            strategy.riskManager.updateEquity(equity);
+            console.log(`📊 Portfolio: ${open.length} open | Unrealized: $${unrealizedPnl.toFixed(2)} | Realized: $${ledger.getRealizedPnl().toFixed(2)} | Equity: $${equity.toFixed(2)} (${survival.state})`);
+            console.log('✅ Cycle Complete.');
+
         } catch (error) {
             console.error('❌ Agent Loop Error:', error.message);
         }
@@ -1,5 +1,6 @@
 import minimist from 'minimist';
 import { PolymarketClient } from './polymarket_client.js';
+import { PolymarketPortfolio } from './polymarket_portfolio.js';
 
 async function main() {
     const args = minimist(process.argv.slice(2));
@@ -30,19 +31,67 @@ async function main() {
             const side = args.side || 'buy';
             const amount = args.amount || 10;
             const outcome = args.outcome || 'YES';
+            const type = args.type || (args.price !== undefined ? 'limit' : 'market');
 
             if (!marketId) {
                 console.error('❌ Error: --market=[ID] is required for trading.');
                 process.exit(1);
             }
+            if (type === 'limit' && args.price === undefined) {
+                console.error('❌ Error: --price=[0-1] is required for limit orders.');
+                process.exit(1);
+            }
 
-            console.log(`\n💸 Executing Trade: ${side.toUpperCase()} ${amount} USDC on ${outcome}`);
+            const unit = side === 'buy' ? 'USDC' : 'shares';
+            console.log(`\n💸 Executing Trade: ${side.toUpperCase()} ${amount} ${unit} on ${outcome} (${type}${type === 'limit' ? ` @ ${args.price}` : ''})`);
 
-            const result = await client.createOrder(marketId, side, amount, outcome);
+            const result = await client.createOrder(marketId, side, amount, outcome, {
+                price: type === 'limit' ? args.price : undefined,
+                orderType: args.order_type
+            });
             console.log('✅ Trade Result:', result);
 
+            new PolymarketPortfolio({ client }).trackOrder(result);
+
+        } else if (action === 'cancel') {
+            if (args.all) {
+                console.log('✅ Cancel Result:', await client.cancelAll());
+            } else if (args.order) {
+                console.log('✅ Cancel Result:', await client.cancelOrder(args.order));
+            } else {
+                console.error('❌ Error: --order=[ID] or --all is required to cancel.');
+                process.exit(1);
+            }
+
+        } else if (action === 'orders') {
+            const orders = await client.getOpenOrders({ market: args.market });
+            console.log(`\n📋 ${orders.length} Open Orders:\n`);
+            orders.forEach(o => {
+                console.log(`- ${o.id}: ${o.side} ${o.original_size} ${o.outcome} @ ${o.price} (matched ${o.size_matched})`);
+            });
+
+        } else if (action === 'fills') {
+            const fills = await client.getFills({ market: args.market });
+            console.log(`\n📋 ${fills.length} Fills:\n`);
+            fills.forEach(f => {
+                console.log(`- ${f.match_time || ''} ${f.side} ${f.size} ${f.outcome} @ ${f.price} (${f.status})`);
+            });
+
+        } else if (action === 'portfolio') {
+            const portfolio = new PolymarketPortfolio({ client });
+            const { open, resolved, unrealizedPnl, realizedPnl } = await portfolio.refresh();
+
+            console.log(`\n📊 ${open.length} Open Positions:\n`);
+            open.forEach(p => {
+                console.log(`- ${p.quantity.toFixed(2)} ${p.outcome} on "${p.question || p.marketId}" | Avg: ${p.entryPrice.toFixed(3)} | Mark: ${p.markPrice} | PnL: $${p.unrealizedPnl.toFixed(2)}`);
+            });
+            resolved.forEach(p => {
+                console.log(`🏁 Resolved: ${p.outcome} on "${p.question || p.marketId}" | Payout: $${p.payout.toFixed(2)} | PnL: $${p.realizedPnl.toFixed(2)}`);
+            });
+            console.log(`\n💰 Unrealized: $${unrealizedPnl.toFixed(2)} | Realized: $${realizedPnl.toFixed(2)}`);
+
         } else {
-            console.log('Unknown action. Use --action=markets or --action=trade');
+            console.log('Unknown action. Use --action=markets | trade | cancel | orders | fills | portfolio');
         }
 
     } catch (error) {
@@ -1,6 +1,5 @@
 import { parseArgs } from 'util';
-import fs from 'fs';
-import path from 'path';
+import { JupiterAdapter } from '../../../core/exchange/JupiterAdapter.js';
 
 const { values } = parseArgs({
     options: {
@@ -16,46 +15,26 @@ if (!symbol || !private_key) {
     process.exit(1);
 }
 
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-const JUP_API = 'https://quote-api.jup.ag/v6';
-
 console.log(`Solana Jupiter Pipeline: Closing position (Selling) for ${symbol}...`);
 
 async function closePosition() {
     try {
-        console.log(`🔍 Checking Wallet Balance for ${symbol}`);
-
-        // Mock Balance Check (RPC Call)
-        const mockBalance = 123456789; // Lamports of the token
-
-        if (mockBalance > 0) {
-            console.log(`Found Balance: ${mockBalance} units`);
-            console.log(`🚀 Fetching Quote: Token -> USDC`);
-
-            // 1. Get Quote (Sell)
-            const quoteUrl = `${JUP_API}/quote?inputMint=${symbol}&outputMint=${USDC_MINT}&amount=${mockBalance}&slippageBps=50`;
-            console.log(`fetching quote: ${quoteUrl}`);
+        const adapter = new JupiterAdapter({ privateKey: private_key });
 
-            // Mock Response
-            const mockQuote = {
-                inputMint: symbol,
-                inAmount: mockBalance.toString(),
-                outputMint: USDC_MINT,
-                outAmount: "50000000", // 50 USDC
-                swapMode: "ExactIn",
-            };
-
-            // 2. Submit Transaction
-            // Sign and Send...
-
-            console.log("✅ Position Closed (Swapped to USDC) (Mock)");
+        console.log(`🔍 Checking Wallet Balance for ${symbol}`);
+        const orders = await adapter.closePosition(symbol);
 
-        } else {
+        if (orders.length === 0) {
             console.log("No token balance found to close.");
         }
+        for (const order of orders) {
+            console.log(`✅ Position Closed (Swapped ${order.quantity} ${order.symbol} to USDC)`);
+            console.log(`   Signature: ${order.id}`);
+        }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
+        process.exit(1);
     }
 }
 
@@ -1,85 +1,59 @@
 import { parseArgs } from 'util';
 import fs from 'fs';
 import path from 'path';
-// import { fetch } from 'node-fetch'; // Standard in Node 18+
+import { JupiterAdapter } from '../../../core/exchange/JupiterAdapter.js';
 
 const { values } = parseArgs({
     options: {
         symbol: { type: 'string' }, // Mint Address (e.g. So1111111...) or Ticker if mapped
-        side: { type: 'string' },   // 'buy' (USDC->Token)
-        amount: { type: 'string' }, // Amount in USDC
+        side: { type: 'string' },   // 'buy' (USDC->Token) or 'sell' (Token->USDC)
+        amount: { type: 'string' }, // Buy: amount in USDC. Sell: amount in tokens
+        slippage_bps: { type: 'string' },
+        rpc_url: { type: 'string' },
         private_key: { type: 'string' }
     },
 });
 
-const { symbol, side, amount, private_key } = values;
-
-const DEBUG_LOG = path.join(path.dirname(process.argv[1]), 'solana_debug.log');
-fs.appendFileSync(DEBUG_LOG, `${new Date().toISOString()} - Solana Jupiter Pipeline started: ${JSON.stringify(values)}\n`);
+const { symbol, amount, slippage_bps, rpc_url, private_key } = values;
+const side = (values.side || 'buy').toLowerCase();
 
 if (!symbol || !amount || !private_key) {
     console.error("Missing required arguments: symbol, amount, private_key");
     process.exit(1);
 }
 
-// Default to Buy (Swap USDC -> Token)
-// For simplicity, we assume 'symbol' is the Output Token Mint (e.g., SOL)
-// And Input is USDC
-const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-const JUP_API = 'https://quote-api.jup.ag/v6';
-
 console.log(`Solana Jupiter Pipeline: Swapping for ${symbol}...`);
 
 async function executeSwap() {
     try {
-        console.log(`✅ Pipeline: Fetching Quote for ${amount} USDC -> ${symbol}`);
-
-        // 1. Get Quote
-        const amountInLamports = Math.floor(parseFloat(amount) * 1_000_000); // 6 decimals for USDC
-        const quoteUrl = `${JUP_API}/quote?inputMint=${USDC_MINT}&outputMint=${symbol}&amount=${amountInLamports}&slippageBps=50`;
-
-        console.log(`fetching: ${quoteUrl}`);
-
-        // Mock Quote Response
-        const mockQuote = {
-            inputMint: USDC_MINT,
-            inAmount: amountInLamports.toString(),
-            outputMint: symbol,
-            outAmount: "123456789", // Mock output
-            otherAmountThreshold: "123000000",
-            swapMode: "ExactIn",
-            priceImpactPct: "0.01"
-        };
-
-        console.log(`Found Route via Jupiter. Out Amount: ${mockQuote.outAmount} Lamports`);
-
-        // 2. Get Swap Transaction
-        // POST /swap
-        const swapPayload = {
-            quoteResponse: mockQuote,
-            userPublicKey: "USER_WALLET_ADDRESS_DERIVED_FROM_KEY", // derived in real app
-            wrapAndUnwrapSol: true
-        };
-
-        console.log(`🚀 Sending Transaction Request to Jupiter...`);
-
-        // 3. Sign and Submit (Mock)
-        // In real app: Deserialize transaction -> Sign with Keypair -> Send to RPC
-
-        const mockSignature = "5y...mock_signature_on_solana_blockchain";
-
-        console.log('✅ Swap Executed Successfully (Mock)');
-        console.log(`   Signature: ${mockSignature}`);
+        const adapter = new JupiterAdapter({
+            privateKey: private_key,
+            rpcUrl: rpc_url,
+            slippageBps: slippage_bps ? parseInt(slippage_bps) : undefined
+        });
+
+        let fill;
+        if (side === 'sell') {
+            console.log(`✅ Pipeline: Fetching Quote for ${amount} ${symbol} -> USDC`);
+            const order = await adapter.placeOrder({ symbol, side: 'sell', quantity: parseFloat(amount) });
+            fill = { orderId: order.id, quantity: order.quantity, avgPrice: order.avgPrice };
+        } else {
+            console.log(`✅ Pipeline: Fetching Quote for ${amount} USDC -> ${symbol}`);
+            fill = await adapter.executeTrade({ symbol, side: 'buy', amount: parseFloat(amount) });
+        }
+
+        console.log('✅ Swap Executed Successfully');
+        console.log(`   Signature: ${fill.orderId}`);
 
         // Log trade locally
         const logEntry = {
             timestamp: new Date().toISOString(),
             exchange: 'solana_jupiter',
             symbol, // Token Mint
-            side: 'buy',
+            side,
             amountInput: parseFloat(amount),
-            amountOutput: parseFloat(mockQuote.outAmount),
-            signature: mockSignature
+            amountOutput: side === 'sell' ? fill.quantity * fill.avgPrice : fill.quantity,
+            signature: fill.orderId
         };
 
         const logPath = path.join(path.dirname(process.argv[1]), '..', '..', '..', 'trades.json');
@@ -88,7 +62,7 @@ async function executeSwap() {
         } catch (e) { }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
         process.exit(1);
     }
 }
@@ -1,60 +1,41 @@
 import { parseArgs } from 'util';
-import fs from 'fs';
-import path from 'path';
+import { UniswapAdapter } from '../../../core/exchange/UniswapAdapter.js';
 
 const { values } = parseArgs({
     options: {
         symbol: { type: 'string' }, // Token Address to Sell
         private_key: { type: 'string' },
-        chain_id: { type: 'string' }
+        chain_id: { type: 'string' },
+        rpc_url: { type: 'string' }
     },
 });
 
-const { symbol, private_key, chain_id } = values;
+const { symbol, private_key, chain_id, rpc_url } = values;
 
 if (!symbol || !private_key) {
     console.error("Missing required arguments: symbol, private_key");
     process.exit(1);
 }
 
-const CHAINS = {
-    '1': { name: 'Mainnet', router: '0xE592427A0AEce92De3Edee1F18E0157C05861564' },
-    '42161': { name: 'Arbitrum', router: '0xE592427A0AEce92De3Edee1F18E0157C05861564' },
-    '8453': { name: 'Base', router: '0x2626664c2603336E57B271c5C0b26F421741e481' }
-};
-
-const activeChain = CHAINS[chain_id || '1'];
-
-console.log(`Uniswap V3 Pipeline: Closing position (Selling) for ${symbol} on ${activeChain.name}...`);
-
 async function closePosition() {
     try {
-        console.log(`🔍 Checking ERC20 Balance for ${symbol}`);
-
-        // Mock Contract Call (balanceOf)
-        const mockBalance = "1000000000000000000"; // 1.0 Token
-
-        if (BigInt(mockBalance) > 0n) {
-            console.log(`Found Balance: ${mockBalance} units`);
+        const adapter = new UniswapAdapter({ privateKey: private_key, chainId: chain_id, rpcUrl: rpc_url, quoteToken: 'WETH' });
+        console.log(`Uniswap V3 Pipeline: Closing position (Selling) for ${symbol} on ${adapter.chain.name}...`);
 
-            // 1. Approve Router (If needed)
-            console.log(`🔐 Checking Allowance for Router ${activeChain.router}...`);
-            console.log(`   Simulating 'approve(router, max_int)' transaction...`);
-
-            // 2. Execute Swap (Token -> ETH)
-            console.log(`🚀 Sending Swap Transaction (ExactInputSingle: Token -> ETH)`);
-
-            const mockHash = "0x" + Math.random().toString(16).substr(2, 64);
-
-            console.log("✅ Position Closed (Swapped to ETH) (Mock)");
-            console.log(`   Transaction Hash: ${mockHash}`);
+        console.log(`🔍 Checking ERC20 Balance for ${symbol}`);
+        const orders = await adapter.closePosition(symbol);
 
-        } else {
+        if (orders.length === 0) {
             console.log("No token balance found to close.");
         }
+        for (const order of orders) {
+            console.log(`✅ Position Closed (Swapped ${order.quantity} ${order.symbol} to WETH)`);
+            console.log(`   Transaction Hash: ${order.id}`);
+        }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
+        process.exit(1);
     }
 }
 
@@ -1,74 +1,62 @@
 import { parseArgs } from 'util';
 import fs from 'fs';
 import path from 'path';
+import { UniswapAdapter } from '../../../core/exchange/UniswapAdapter.js';
 
 const { values } = parseArgs({
     options: {
         symbol: { type: 'string' }, // Token Address
-        side: { type: 'string' },   // 'buy' (ETH -> Token)
-        amount: { type: 'string' }, // Amount in ETH
+        side: { type: 'string' },   // 'buy' (WETH -> Token) or 'sell' (Token -> WETH)
+        amount: { type: 'string' }, // Buy: amount in WETH. Sell: amount in tokens
+        slippage_bps: { type: 'string' },
+        rpc_url: { type: 'string' },
         private_key: { type: 'string' },
-        chain_id: { type: 'string' } // 1 (Eth), 137 (Polygon), 42161 (Arbitrum), 8453 (Base)
+        chain_id: { type: 'string' } // 1 (Eth), 42161 (Arbitrum), 8453 (Base)
     },
 });
 
-const { symbol, side, amount, private_key, chain_id } = values;
-
-const DEBUG_LOG = path.join(path.dirname(process.argv[1]), 'uniswap_debug.log');
-fs.appendFileSync(DEBUG_LOG, `${new Date().toISOString()} - Uniswap Pipeline started: ${JSON.stringify(values)}\n`);
+const { symbol, amount, slippage_bps, rpc_url, private_key, chain_id } = values;
+const side = (values.side || 'buy').toLowerCase();
 
 if (!symbol || !amount || !private_key) {
     console.error("Missing required arguments: symbol, amount, private_key");
     process.exit(1);
 }
 
-// Default Configuration (Can be expanded per chain)
-const CHAINS = {
-    '1': { name: 'Mainnet', rpc: 'https://rpc.ankr.com/eth', router: '0xE592427A0AEce92De3Edee1F18E0157C05861564' },
-    '42161': { name: 'Arbitrum', rpc: 'https://arb1.arbitrum.io/rpc', router: '0xE592427A0AEce92De3Edee1F18E0157C05861564' },
-    '8453': { name: 'Base', rpc: 'https://mainnet.base.org', router: '0x2626664c2603336E57B271c5C0b26F421741e481' }
-};
-
-const activeChain = CHAINS[chain_id || '1'];
-console.log(`Uniswap V3 Pipeline: Swapping on ${activeChain.name}...`);
-
 async function executeSwap() {
     try {
-        console.log(`✅ Pipeline: Preparing Swap for ${amount} ETH -> ${symbol}`);
-
-        // 1. Logic would involve ethers.js
-        // const provider = new ethers.JsonRpcProvider(activeChain.rpc);
-        // const wallet = new ethers.Wallet(private_key, provider);
-
-        console.log(`Using Router Contract: ${activeChain.router}`);
-
-        // Mock Transaction Construction
-        const txPayload = {
-            to: activeChain.router,
-            data: "0x...calldata_for_exactInputSingle...",
-            value: (parseFloat(amount) * 1e18).toString(), // Wei
-            gasLimit: "200000",
-            maxFeePerGas: "30000000000"
-        };
-
-        console.log(`🚀 Sending Transaction to ${activeChain.name} RPC...`);
-        console.log(`   Tx Payload: ${JSON.stringify(txPayload)}`);
-
-        // Mock Signature & Broadcast
-        const mockHash = "0x" + Math.random().toString(16).substr(2, 64);
-
-        console.log('✅ Swap Executed Successfully (Mock)');
-        console.log(`   Transaction Hash: ${mockHash}`);
+        // Pays in WETH, like the original ETH -> Token flow
+        const adapter = new UniswapAdapter({
+            privateKey: private_key,
+            chainId: chain_id,
+            rpcUrl: rpc_url,
+            quoteToken: 'WETH',
+            slippageBps: slippage_bps ? parseInt(slippage_bps) : undefined
+        });
+        console.log(`Uniswap V3 Pipeline: Swapping on ${adapter.chain.name}...`);
+
+        let fill;
+        if (side === 'sell') {
+            console.log(`✅ Pipeline: Preparing Swap for ${amount} ${symbol} -> WETH`);
+            const order = await adapter.placeOrder({ symbol, side: 'sell', quantity: parseFloat(amount) });
+            fill = { orderId: order.id, quantity: order.quantity };
+        } else {
+            console.log(`✅ Pipeline: Preparing Swap for ${amount} WETH -> ${symbol}`);
+            fill = await adapter.executeTrade({ symbol, side: 'buy', amount: parseFloat(amount) });
+        }
+
+        console.log('✅ Swap Executed Successfully');
+        console.log(`   Transaction Hash: ${fill.orderId}`);
 
         // Log trade locally
         const logEntry = {
             timestamp: new Date().toISOString(),
             exchange: 'uniswap_v3',
-            chain: activeChain.name,
+            chain: adapter.chain.name,
             symbol,
-            side: 'buy',
+            side,
             amount: parseFloat(amount),
-            txHash: mockHash
+            txHash: fill.orderId
         };
 
         const logPath = path.join(path.dirname(process.argv[1]), '..', '..', '..', 'trades.json');
@@ -77,7 +65,7 @@ async function executeSwap() {
         } catch (e) { }
 
     } catch (error) {
-        console.error("Pipeline Error:", error);
+        console.error("Pipeline Error:", error.message);
         process.exit(1);
     }
 }
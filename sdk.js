@@ -16,6 +16,7 @@
 import { eventBus } from './core/EventBus.js';
 import { SurvivalManager } from './core/survival/SurvivalManager.js';
 import { LLMClient } from './core/LLMClient.js';
+import { LLMCassette, CassetteMissError } from './core/LLMCassette.js';
 import { MarketDataFeed } from './core/MarketDataFeed.js';
 import { PositionManager } from './core/PositionManager.js';
 import { RiskManager } from './core/RiskManager.js';
@@ -24,12 +25,32 @@ import { WalletManager } from './core/x402/WalletManager.js';
 import { X402Client } from './core/x402/X402Client.js';
 import { SocialSentimentAnalyzer } from './pipelines/market_intelligence/social_sentiment.js';
 import { LiquidationIntelligence } from './core/LiquidationIntelligence.js';
+import {
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    OrderNotFoundError,
+    RateLimitError,
+    UnsupportedOperationError,
+    PaperExchange,
+    SidexAdapter,
+    BinanceAdapter,
+    BybitAdapter,
+    HyperliquidAdapter,
+    JupiterAdapter,
+    UniswapAdapter,
+    EXCHANGE_ADAPTERS,
+    createExchangeAdapter
+} from './core/exchange/index.js';
 
 // Re-export all core modules
 export {
     eventBus,
     SurvivalManager,
     LLMClient,
+    LLMCassette,
+    CassetteMissError,
     MarketDataFeed,
     PositionManager,
     RiskManager,
@@ -38,6 +59,22 @@ export {
     X402Client,
     SocialSentimentAnalyzer,
     LiquidationIntelligence,
+    ExchangeAdapter,
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    OrderNotFoundError,
+    RateLimitError,
+    UnsupportedOperationError,
+    PaperExchange,
+    SidexAdapter,
+    BinanceAdapter,
+    BybitAdapter,
+    HyperliquidAdapter,
+    JupiterAdapter,
+    UniswapAdapter,
+    EXCHANGE_ADAPTERS,
+    createExchangeAdapter,
 };
 
 /**
@@ -52,6 +89,13 @@ export {
  * @param {string} [options.dataDir] - Data directory for persistence
  * @param {function} [options.onTrade] - Custom trade execution handler
  * @param {function} [options.onClose] - Custom close execution handler
+ * @param {string} [options.exchange] - Execute through this adapter (e.g. 'binance', 'hyperliquid')
+ * @param {object} [options.exchanges] - Adapters by name, as instances or adapter configs
+ * @param {object} [options.routes] - Per-symbol adapter names, e.g. { SOLUSDT: 'solana_jupiter' }
+ * @param {boolean|object} [options.paper] - Simulate fills on a local PaperExchange (true, or its config)
+ * @param {boolean} [options.nativeBrackets] - Rest reduce-only TP/SL orders on the venue for each position
+ * @param {function} [options.fetchPositions] - Async (exchange) → the venue's positions, for reconciliation
+ * @param {string} [options.reconcilePolicy] - 'alert' | 'adopt' | 'close' when local and venue positions drift
  * @returns {AgentOrchestrator}
  */
 export function createAgent(options = {}) {
@@ -66,6 +110,13 @@ export function createAgent(options = {}) {
         x402Client: options.x402Client || null,
         executeTrade: options.onTrade || null,
         executeClose: options.onClose || null,
+        exchange: options.exchange,
+        exchanges: options.exchanges,
+        routes: options.routes,
+        paperTrading: options.paper || false,
+        nativeBrackets: options.nativeBrackets,
+        fetchPositions: options.fetchPositions || null,
+        reconcilePolicy: options.reconcilePolicy,
     });
 }
 
@@ -77,6 +128,7 @@ export function createAgent(options = {}) {
  * @param {string} [options.model] - Model name
  * @param {string} [options.apiBase] - API base URL
  * @param {string} [options.apiKey] - API key
+ * @param {object} [options.cassette] - Record/replay cassette { path, mode: 'record'|'replay'|'off' }
  * @returns {LLMClient}
  */
 export function createLLM(options = {}) {
@@ -131,12 +183,16 @@ export function createSurvival(initialBalance, callbacks = {}) {
  * @param {object} [options]
  * @param {string} [options.dataDir] - Persistence directory
  * @param {function} [options.onClose] - Close handler
+ * @param {function} [options.onExecuteOrder] - Triggered pending order handler (order, price) → fill
+ * @param {MarginModel} [options.marginModel] - Recomputes isolated-margin liquidation prices (e.g. riskManager.marginModel)
  * @returns {PositionManager}
  */
 export function createPositionManager(options = {}) {
     return new PositionManager({
         dataDir: options.dataDir,
         onClosePosition: options.onClose || null,
+        onExecuteOrder: options.onExecuteOrder || null,
+        marginModel: options.marginModel || null,
     });
 }
 
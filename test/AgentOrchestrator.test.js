@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AgentOrchestrator } from '../core/AgentOrchestrator.js';
+import { BinanceAdapter } from '../core/exchange/BinanceAdapter.js';
+import { BybitAdapter } from '../core/exchange/BybitAdapter.js';
+import { MockServer } from './helpers/mockServer.js';
+
+const PRICE = 60000;
+
+const waitFor = async (condition) => {
+    while (!condition()) await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+/**
+ * Bybit venue whose order results, like the live API, carry the commission (cumExecFee)
+ * that the execution stream also reports.
+ */
+const bybitVenue = (server) => {
+    const orders = new Map();
+    server.route('GET /v5/market/instruments-info', () => ({
+        retCode: 0, result: { list: [{ lotSizeFilter: { qtyStep: '0.001' }, priceFilter: { tickSize: '0.10' } }] }
+    }));
+    server.route('POST /v5/position/set-leverage', () => ({ retCode: 0, result: {} }));
+    server.route('POST /v5/order/create', (req) => {
+        const order = req.body;
+        const orderId = `o-${orders.size + 1}`;
+        orders.set(orderId, order);
+        return { retCode: 0, result: { orderId } };
+    });
+    server.route('GET /v5/order/realtime', (req) => {
+        const order = orders.get(req.query.orderId);
+        return {
+            retCode: 0,
+            result: {
+                list: [{
+                    ...order,
+                    orderId: req.query.orderId,
+                    orderStatus: 'Filled',
+                    cumExecQty: order.qty,
+                    avgPrice: String(PRICE),
+                    cumExecFee: (parseFloat(order.qty) * PRICE * 0.00055).toFixed(4)
+                }]
+            }
+        };
+    });
+    server.onSocket((socket) => socket.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.op === 'auth' || msg.op === 'subscribe') socket.send(JSON.stringify({ op: msg.op, success: true }));
+    }));
+    return orders;
+};
+
+/**
+ * Binance venue that fills market orders in full; commissions arrive on the user-data stream.
+ */
+const binanceVenue = (server) => {
+    server.route('GET /fapi/v1/exchangeInfo', () => ({
+        symbols: [{ symbol: 'BTCUSDT', filters: [{ filterType: 'LOT_SIZE', stepSize: '0.001' }, { filterType: 'PRICE_FILTER', tickSize: '0.10' }] }]
+    }));
+    server.route('POST /fapi/v1/leverage', (req) => ({ symbol: req.query.symbol, leverage: Number(req.query.leverage) }));
+    server.route('POST /fapi/v1/order', (req) => ({
+        orderId: 7, symbol: req.query.symbol, side: req.query.side, type: req.query.type, status: 'FILLED',
+        origQty: req.query.quantity, executedQty: req.query.quantity, avgPrice: String(PRICE)
+    }));
+    server.route('POST /fapi/v1/listenKey', () => ({ listenKey: 'lk-1' }));
+    server.route('DELETE /fapi/v1/listenKey', () => ({}));
+};
+
+let server;
+let dataDir;
+let binance;
+let bybit;
+let agent;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-test-'));
+});
+
+afterEach(async () => {
+    agent?.detach();
+    await binance?.disconnect();
+    await bybit?.disconnect();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('books each Bybit commission once when the order result and the execution stream both carry it', async () => {
+    const orders = bybitVenue(server);
+    bybit = new BybitAdapter({ apiKey: 'test-key', apiSecret: 'test-secret', baseUrl: server.url, wsUrl: server.wsUrl });
+    await bybit.connect();
+    agent = new AgentOrchestrator({ initialBalance: 1000, dataDir, llm: {}, exchanges: { bybit }, exchange: 'bybit' });
+    agent.marketData.getPrice = () => PRICE;
+
+    const execution = (orderId) => {
+        const order = orders.get(orderId);
+        server.broadcast({
+            topic: 'execution',
+            creationTime: Date.now(),
+            data: [{
+                category: 'linear', execType: 'Trade', orderId, symbol: order.symbol, side: order.side,
+                execQty: order.qty, execPrice: String(PRICE), execFee: (parseFloat(order.qty) * PRICE * 0.00055).toFixed(4)
+            }]
+        });
+    };
+
+    const buy = { action: 'BUY', symbol: 'BTC', confidence: 0.8, leverage: 2 };
+    await agent._execute(buy, agent._riskFilter(buy));
+    const [position] = agent.positionManager.getOpen();
+    execution('o-1');
+    await waitFor(() => position.fees > 0);
+    const entryFee = parseFloat(orders.get('o-1').qty) * PRICE * 0.00055;
+    assert.ok(Math.abs(position.fees - entryFee) < 1e-4);
+
+    await agent._execute({ action: 'CLOSE', symbol: 'BTC' }, {});
+    execution('o-2');
+    const closeFee = parseFloat(orders.get('o-2').qty) * PRICE * 0.00055;
+    await waitFor(() => agent.ledger.getTrades()[0]?.fees >= entryFee + closeFee - 1e-4);
+
+    assert.equal(orders.get('o-2').reduceOnly, true);
+    assert.ok(Math.abs(agent.ledger.getTrades()[0].fees - (entryFee + closeFee)) < 1e-4);
+});
+
+test('converts commissions paid in another asset at its price and skips ones it cannot price', async () => {
+    binanceVenue(server);
+    const connected = new Promise(resolve => server.onSocket(resolve));
+    binance = new BinanceAdapter({ apiKey: 'test-key', apiSecret: 'test-secret', baseUrl: server.url, wsUrl: server.wsUrl });
+    await binance.connect();
+    await connected;
+    agent = new AgentOrchestrator({ initialBalance: 1000, dataDir, llm: {}, exchanges: { binance }, exchange: 'binance' });
+    const prices = { BTCUSDT: PRICE, BNBUSDT: 600 };
+    agent.marketData.getPrice = (symbol) => prices[symbol] || 0;
+
+    const buy = { action: 'BUY', symbol: 'BTC', confidence: 0.8, leverage: 2 };
+    await agent._execute(buy, agent._riskFilter(buy));
+    const [position] = agent.positionManager.getOpen();
+
+    const fills = [];
+    binance.subscribeFills(fill => fills.push(fill));
+    const trade = (n, N) => server.broadcast({
+        e: 'ORDER_TRADE_UPDATE',
+        E: 1700000000000,
+        o: { s: 'BTCUSDT', S: 'BUY', o: 'MARKET', X: 'PARTIALLY_FILLED', x: 'TRADE', i: 7, q: '0.005', z: '0.001', ap: String(PRICE), l: '0.001', L: String(PRICE), n, N, T: 1700000000001 }
+    });
+    trade('0.0005', 'BNB');
+    trade('0.0001', 'XYZ');
+    trade('0.02', 'USDT');
+    await waitFor(() => fills.length === 3);
+
+    // 0.0005 BNB at $600, the unpriced XYZ fee skipped, then $0.02
+    assert.ok(Math.abs(position.fees - 0.32) < 1e-9);
+    assert.equal(agent._unbookedFees.size, 0);
+});
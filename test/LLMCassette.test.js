@@ -0,0 +1,88 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LLMCassette, CassetteMissError } from '../core/LLMCassette.js';
+import { LLMClient } from '../core/LLMClient.js';
+import { MockServer } from './helpers/mockServer.js';
+
+const messages = (content) => [
+    { role: 'system', content: 'You are a trading agent.' },
+    { role: 'user', content }
+];
+
+let dir;
+let cassettePath;
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+    cassettePath = path.join(dir, 'cassette.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records new prompts and replays them from disk', () => {
+    const recorder = new LLMCassette({ path: cassettePath });
+    assert.equal(recorder.mode, 'record');
+    assert.equal(recorder.lookup(messages('BTC at $60000'), { temperature: 0.2 }), null);
+    recorder.record(messages('BTC at $60000'), { temperature: 0.2 }, '{"action":"HOLD"}', { provider: 'ollama', model: 'llama3.3' });
+
+    const player = new LLMCassette({ path: cassettePath });
+    assert.equal(player.mode, 'replay');
+    assert.equal(player.lookup(messages('BTC at $60000'), { temperature: 0.2 }), '{"action":"HOLD"}');
+    assert.deepEqual(player.stats, { hits: 1, misses: 0, recorded: 0 });
+});
+
+test('keys prompts by their messages, temperature and token limit only', () => {
+    const cassette = new LLMCassette({ path: cassettePath, mode: 'record' });
+    const key = cassette.keyFor(messages('BTC at $60000'), { temperature: 0.2 });
+
+    assert.match(key, /^[0-9a-f]{64}$/);
+    assert.equal(cassette.keyFor(messages('BTC at $60000').map(m => ({ ...m, name: 'extra' })), { temperature: 0.2 }), key);
+    assert.notEqual(cassette.keyFor(messages('BTC at $60001'), { temperature: 0.2 }), key);
+    assert.notEqual(cassette.keyFor(messages('BTC at $60000'), { temperature: 0.3 }), key);
+    assert.notEqual(cassette.keyFor(messages('BTC at $60000'), { temperature: 0.2, maxTokens: 100 }), key);
+});
+
+test('throws a CassetteMissError for an unrecorded prompt in replay mode', () => {
+    const recorder = new LLMCassette({ path: cassettePath, mode: 'record' });
+    recorder.record(messages('BTC at $60000'), {}, '{"action":"HOLD"}');
+    const player = new LLMCassette({ path: cassettePath, mode: 'replay' });
+
+    assert.throws(
+        () => player.lookup(messages('ETH at $3000'), {}),
+        (err) => err instanceof CassetteMissError &&
+            err.key === player.keyFor(messages('ETH at $3000'), {}) &&
+            err.message.includes('("ETH at $3000")')
+    );
+    assert.equal(player.stats.misses, 1);
+});
+
+test('rejects unknown modes and unreadable cassettes', () => {
+    assert.throws(() => new LLMCassette({ path: cassettePath, mode: 'rewind' }), /Unknown cassette mode: rewind/);
+    fs.writeFileSync(cassettePath, '{ not json');
+    assert.throws(() => new LLMCassette({ path: cassettePath }), /Could not read LLM cassette/);
+});
+
+test('lets a replay miss through the LLM client instead of falling back to HOLD', async () => {
+    const server = await MockServer.start({ 'POST /api/chat': () => ({ message: { content: '{"action":"BUY","symbol":"BTC","confidence":0.9}' } }) });
+    try {
+        const context = { marketData: {}, signals: [], positions: [], survivalState: 'SURVIVAL', balance: 1000, pnl: 0 };
+        const recording = new LLMClient({ apiBase: server.url, cassette: { path: cassettePath, mode: 'record' } });
+        const recorded = await recording.decide(context);
+
+        const replaying = new LLMClient({ apiBase: server.url, cassette: { path: cassettePath, mode: 'replay' } });
+        assert.deepEqual(await replaying.decide(context), recorded);
+        assert.equal(server.requestsFor('POST /api/chat').length, 1);
+        await assert.rejects(replaying.decide({ ...context, balance: 999 }), CassetteMissError);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,182 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PositionManager } from '../core/PositionManager.js';
+import { eventBus } from '../core/EventBus.js';
+
+const candle = (open, high, low, close) => ({ symbol: 'BTCUSDT', open, high, low, close });
+
+let dataDir;
+let manager;
+
+const createManager = (config = {}) => {
+    manager = new PositionManager({ dataDir, ...config });
+    return manager;
+};
+
+/**
+ * Collect the payloads of an event until the test ends.
+ */
+const collect = (t, event) => {
+    const received = [];
+    const listener = (payload) => received.push(payload);
+    eventBus.on(event, listener);
+    t.after(() => eventBus.off(event, listener));
+    return received;
+};
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'positions-test-'));
+});
+
+afterEach(() => {
+    manager?.detach();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// --- Partial Closes ---
+
+test('scales out of a ladder on candles and moves the stop to breakeven after the first target', () => {
+    const pm = createManager();
+    const position = pm.open({
+        symbol: 'BTCUSDT', side: 'buy', entryPrice: 100, size: 100, leverage: 2, exchange: 'paper', stopLoss: 90,
+        takeProfits: [{ price: 120, fraction: 0.3 }, { price: 110, fraction: 0.5 }],
+        breakevenAfterFirstTarget: true
+    });
+
+    // First target: half of the entry size at $110
+    assert.deepEqual(pm.checkCandle(candle(101, 112, 100, 111)), []);
+    assert.equal(position.size, 50);
+    assert.equal(position.realizedPnl, 10);
+    assert.equal(position.stopLoss, 100);
+
+    // The bar opens past the second target: 30% of the entry size fills at the open
+    pm.checkCandle(candle(125, 126, 124, 125));
+    assert.equal(position.size, 20);
+    assert.equal(position.realizedPnl, 10 + 30 * 0.25 * 2);
+
+    // The rest leaves at the breakeven stop
+    const [closed] = pm.checkCandle(candle(101, 102, 99, 100));
+    assert.equal(closed.closeReason, 'stop_loss');
+    assert.equal(closed.exitPrice, 100);
+    assert.equal(closed.realizedPnl, 25);
+    assert.equal(pm.getCount(), 0);
+});
+
+test('books a partial close with its share of the fees, quantity and PnL', (t) => {
+    const reduced = collect(t, 'position:reduced');
+    const pm = createManager();
+    const position = pm.open({ symbol: 'BTCUSDT', side: 'sell', entryPrice: 100, size: 80, leverage: 5, quantity: 4, exchange: 'paper', fee: 2 });
+
+    const slice = pm.closePartial(position.id, { fraction: 0.25 }, 'llm_decision', 90, 0.5);
+
+    assert.equal(slice.size, 20);
+    assert.equal(slice.quantity, 1);
+    assert.equal(slice.pnl, 10);
+    assert.equal(slice.fees, 1);
+    assert.equal(slice.remainingSize, 60);
+    assert.deepEqual(reduced, [slice]);
+    assert.equal(position.quantity, 3);
+    assert.equal(position.fees, 1.5);
+    assert.equal(position.closedSize, 20);
+
+    // Whatever is left goes through close()
+    const closed = pm.closePartial(position.id, { size: 1000 }, 'llm_decision', 90);
+    assert.equal(closed.closeReason, 'llm_decision');
+    assert.equal(closed.realizedPnl, 40);
+});
+
+test('reduces on the exchange first and books nothing when it refuses', async () => {
+    const sent = [];
+    let refuse = false;
+    const pm = createManager({
+        onClosePosition: async (slice) => {
+            if (refuse) throw new Error('reduce-only rejected');
+            sent.push(slice);
+            return { avgPrice: 105, fee: 0.1 };
+        }
+    });
+    const position = pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 100, size: 100, leverage: 1, quantity: 1, exchange: 'paper' });
+
+    const slice = await pm.reduce(position.id, { fraction: 0.4 }, 'manual', 104);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].size, 40);
+    assert.equal(sent[0].quantity, 0.4);
+    assert.equal(sent[0].partial, true);
+    assert.equal(slice.exitPrice, 105);
+    assert.equal(slice.fees, 0.1);
+
+    refuse = true;
+    assert.equal(await pm.reduce(position.id, { fraction: 0.5 }), null);
+    assert.equal(position.size, 60);
+});
+
+// --- Netting (one-way mode) ---
+
+test('keeps longs and shorts apart in hedge mode', () => {
+    const pm = createManager();
+
+    pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 100, size: 100, leverage: 2, exchange: 'binance' });
+    pm.open({ symbol: 'BTCUSDT', side: 'sell', entryPrice: 100, size: 50, leverage: 2, exchange: 'binance' });
+
+    assert.deepEqual(pm.getOpen().map(p => p.side), ['buy', 'sell']);
+});
+
+test('scales same-side fills into one position at the volume-weighted entry in one-way mode', (t) => {
+    const updated = collect(t, 'position:updated');
+    const pm = createManager({ positionModes: { binance: 'one_way' } });
+    const first = pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 100, size: 100, leverage: 2, quantity: 2, exchange: 'binance', fee: 0.1, stopLoss: 90 });
+
+    const scaled = pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 120, size: 60, leverage: 4, quantity: 2, exchange: 'binance', fee: 0.2, stopLoss: 105 });
+
+    assert.equal(scaled, first);
+    assert.equal(pm.getCount(), 1);
+    assert.equal(scaled.entryPrice, 110);
+    assert.equal(scaled.quantity, 4);
+    assert.equal(scaled.size, 160);
+    assert.equal(scaled.leverage, 2.75);
+    assert.ok(Math.abs(scaled.fees - 0.3) < 1e-12);
+    assert.equal(scaled.stopLoss, 105);
+    assert.deepEqual(updated, [scaled]);
+});
+
+test('nets opposite fills in one-way mode: reduces, closes, or flips the position', (t) => {
+    const closedEvents = collect(t, 'position:closed');
+    const pm = createManager({ positionModes: { binance: 'one_way' } });
+    const long = pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 100, size: 100, leverage: 2, quantity: 2, exchange: 'binance' });
+
+    // Sell half: a partial close at the fill price
+    const reduced = pm.open({ symbol: 'BTCUSDT', side: 'sell', entryPrice: 110, size: 50, leverage: 2, quantity: 1, exchange: 'binance' });
+    assert.equal(reduced, long);
+    assert.equal(long.size, 50);
+    assert.equal(long.quantity, 1);
+    assert.equal(long.realizedPnl, 10);
+
+    // Sell three times what is left: the long closes and a short opens with the remainder
+    const short = pm.open({ symbol: 'BTCUSDT', side: 'sell', entryPrice: 120, size: 150, leverage: 2, quantity: 3, exchange: 'binance', fee: 0.3 });
+    assert.equal(closedEvents.length, 1);
+    assert.equal(closedEvents[0].closeReason, 'netted');
+    assert.equal(closedEvents[0].realizedPnl, 30);
+    assert.ok(Math.abs(closedEvents[0].fees - 0.1) < 1e-12);
+    assert.equal(short.side, 'sell');
+    assert.equal(short.size, 100);
+    assert.equal(short.quantity, 2);
+    assert.ok(Math.abs(short.fees - 0.2) < 1e-12);
+    assert.deepEqual(pm.getOpen(), [short]);
+
+    // Buying it all back leaves the symbol flat
+    const flat = pm.open({ symbol: 'BTCUSDT', side: 'buy', entryPrice: 120, size: 100, leverage: 2, quantity: 2, exchange: 'binance' });
+    assert.equal(flat.closeReason, 'netted');
+    assert.equal(pm.getCount(), 0);
+});
+
+test('rejects unknown position modes', () => {
+    assert.throws(() => createManager({ positionModes: { binance: 'netting' } }), /Unknown position mode 'netting'/);
+});
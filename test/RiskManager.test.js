@@ -0,0 +1,319 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RiskManager } from '../core/RiskManager.js';
+import { eventBus } from '../core/EventBus.js';
+
+/**
+ * Hourly prices for BTC and an ETH that follows it at 1.2x with noise, from a seeded generator.
+ */
+const priceHistory = (count) => {
+    let seed = 11;
+    const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647 - 0.5;
+    };
+    const prices = { BTCUSDT: 60000, ETHUSDT: 3000 };
+    const history = { BTCUSDT: [], ETHUSDT: [] };
+    for (let i = 0; i < count; i++) {
+        const move = random() * 0.02;
+        prices.BTCUSDT *= 1 + move;
+        prices.ETHUSDT *= 1 + 1.2 * move + random() * 0.01;
+        for (const symbol of Object.keys(prices)) history[symbol].push({ price: prices[symbol], timestamp: 3600e3 * i });
+    }
+    return history;
+};
+
+let dataDir;
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const HOUR = 3600e3;
+const T0 = 1704067200000; // 2024-01-01T00:00:00Z
+
+const flatBook = (config = {}) => ({ balance: 1000, totalExposure: 0, positionCount: 0, positions: [], ...config });
+
+const longBtcBook = () => {
+    const positions = [{ symbol: 'BTCUSDT', side: 'buy', size: 50, leverage: 5 }];
+    return { balance: 1000, totalExposure: 250, positionCount: 1, positions, priceHistory: priceHistory(150) };
+};
+
+const longEth = { action: 'BUY', symbol: 'ETHUSDT', confidence: 0.9, leverage: 5, entryPrice: 3000, stopLoss: 2700 };
+
+// --- Sizing ---
+
+test('sizes a stop-based trade so the stop loses exactly the risk budget', () => {
+    const risk = new RiskManager({ dataDir });
+
+    // 2% of $1000 at a 10% stop: $200 notional
+    const result = risk.canOpenPosition({ action: 'BUY', symbol: 'SOLUSDT', confidence: 0.9, leverage: 5, entryPrice: 100, stopLoss: 90 }, flatBook());
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.reason, 'Trade approved');
+    assert.equal(result.adjustedLeverage, 5);
+    assert.ok(Math.abs(result.adjustedSize - 40) < 1e-9);
+    assert.ok(Math.abs(result.riskAmount - 20) < 1e-9);
+    assert.ok(Math.abs(result.stopDistancePercent - 10) < 1e-9);
+});
+
+test('caps the size at the tightest exposure limit, risking less than the budget', () => {
+    const risk = new RiskManager({ dataDir });
+
+    // A 5% stop wants $400 notional; the per-asset limit leaves $300
+    const result = risk.canOpenPosition({ action: 'BUY', symbol: 'SOLUSDT', confidence: 0.9, leverage: 5, entryPrice: 100, stopLoss: 95 }, flatBook());
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.reason, 'Trade approved (size capped by per-asset limit)');
+    assert.ok(Math.abs(result.adjustedSize - 60) < 1e-9);
+    assert.ok(Math.abs(result.riskAmount - 15) < 1e-9);
+});
+
+test('rejects a capped trade left below the minimum notional or risk-budget share', () => {
+    const signal = { action: 'BUY', symbol: 'SOLUSDT', confidence: 0.9, leverage: 5, entryPrice: 100, stopLoss: 90 };
+
+    // $10 of exposure room against a $200 budget: a quarter of it is the floor
+    const dust = new RiskManager({ dataDir }).canOpenPosition(signal, flatBook({ totalExposure: 790 }));
+    assert.equal(dust.allowed, false);
+    assert.equal(dust.reason, 'Size capped by max exposure too small: $10.00 notional < $50.00 minimum');
+    assert.equal(dust.adjustedSize, 0);
+
+    const floorOnly = new RiskManager({ dataDir, minRiskFraction: 0, minNotional: 20 });
+    assert.equal(floorOnly.canOpenPosition(signal, flatBook({ totalExposure: 790 })).allowed, false);
+    const capped = floorOnly.canOpenPosition(signal, flatBook({ totalExposure: 770 }));
+    assert.equal(capped.allowed, true);
+    assert.equal(capped.reason, 'Trade approved (size capped by max exposure)');
+    assert.ok(Math.abs(capped.adjustedSize * capped.adjustedLeverage - 30) < 1e-9);
+});
+
+// --- Correlation ---
+
+const correlationManager = (config = {}) => new RiskManager({
+    dataDir,
+    maxExposurePercent: 500,
+    maxPerAssetPercent: 500,
+    maxVarPercent: 0,
+    ...config
+});
+
+test('clusters assets whose returns move together and measures their beta to BTC', () => {
+    const history = priceHistory(150);
+    // An asset on its own path
+    history.XMRUSDT = history.BTCUSDT.map(({ timestamp }, n) => ({ price: 150 + (n % 2 ? 1 : -1) * (n % 7), timestamp }));
+    const risk = correlationManager();
+
+    assert.deepEqual(risk.getClusters(history), [['BTCUSDT', 'ETHUSDT'], ['XMRUSDT']]);
+    assert.ok(risk.getCorrelation('BTCUSDT', 'ETHUSDT', history) > 0.9);
+    const beta = risk.getBeta('ETHUSDT', history);
+    assert.ok(beta > 1.1 && beta < 1.3);
+    // Too little history to trust
+    assert.equal(risk.getCorrelation('BTCUSDT', 'ETHUSDT', priceHistory(10)), null);
+});
+
+test('rejects a trade that grows its cluster past the limit and lets hedges through', () => {
+    const risk = correlationManager({ maxClusterExposurePercent: 30, maxPortfolioBeta: 5 });
+
+    const added = risk.canOpenPosition(longEth, longBtcBook());
+    assert.equal(added.allowed, false);
+    assert.equal(added.reason, 'Would exceed cluster limit for BTCUSDT+ETHUSDT: net $450 beyond $300');
+
+    const hedge = risk.canOpenPosition({ ...longEth, action: 'SELL', stopLoss: 3300 }, longBtcBook());
+    assert.equal(hedge.allowed, true);
+
+    // Without price history the check is skipped
+    const { priceHistory: _, ...blind } = longBtcBook();
+    assert.equal(risk.canOpenPosition(longEth, blind).allowed, true);
+});
+
+test('rejects a trade that pushes the portfolio beta past the limit', () => {
+    const risk = correlationManager({ maxClusterExposurePercent: 500, maxPortfolioBeta: 0.3 });
+
+    const result = risk.canOpenPosition(longEth, longBtcBook());
+
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /^Would push portfolio beta to BTCUSDT to 0\.\d\d beyond 0\.3 \(cluster BTCUSDT\+ETHUSDT, beta 1\.\d\d\)$/);
+});
+
+// --- Circuit Breakers ---
+
+const breakerManager = (clock, config = {}) => new RiskManager({ dataDir, clock: () => clock.now, ...config });
+
+test('trips the daily loss breaker until the next UTC day and keeps it across restarts', () => {
+    const clock = { now: T0 + 9 * HOUR };
+    const events = [];
+    const onBreaker = (event) => events.push(event);
+    eventBus.on('risk:breaker', onBreaker);
+    try {
+        const risk = breakerManager(clock);
+        risk.updateEquity(1000);
+        risk.updateEquity(940);
+
+        const blocked = risk.canOpenPosition(longEth, flatBook());
+        assert.equal(blocked.allowed, false);
+        assert.equal(blocked.reason, 'Circuit breaker daily_loss active until 2024-01-02T00:00:00.000Z: Down 6.00% today (limit 5%)');
+
+        const restarted = breakerManager(clock);
+        assert.equal(restarted.getActiveBreaker()?.name, 'daily_loss');
+
+        clock.now = T0 + 24 * HOUR;
+        assert.equal(restarted.getActiveBreaker(), null);
+        assert.deepEqual(events.map(e => [e.breaker, e.action]), [['daily_loss', 'tripped'], ['daily_loss', 'cleared']]);
+    } finally {
+        eventBus.off('risk:breaker', onBreaker);
+    }
+});
+
+test('trips the losing streak breaker for its cool-down; a win resets the streak', () => {
+    const clock = { now: T0 };
+    const risk = breakerManager(clock);
+
+    for (const pnl of [-1, -1, -1, 2, -1, -1, -1]) risk.recordTrade(pnl);
+    assert.equal(risk.getActiveBreaker(), null);
+
+    risk.recordTrade(-1);
+    const breaker = risk.getActiveBreaker();
+    assert.equal(breaker.name, 'consecutive_losses');
+    assert.equal(breaker.until, T0 + 60 * 60e3);
+    assert.equal(risk.lossStreak, 0);
+
+    clock.now = T0 + 60 * 60e3;
+    assert.equal(risk.getActiveBreaker(), null);
+});
+
+test('trips the drawdown breaker from peak equity and restarts the peak once it clears', () => {
+    const clock = { now: T0 };
+    const risk = breakerManager(clock, { maxDailyLossPercent: 0 });
+
+    risk.updateEquity(1200);
+    risk.updateEquity(1000);
+    assert.equal(risk.getActiveBreaker()?.name, 'drawdown');
+    assert.equal(risk.getActiveBreaker().until, T0 + 240 * 60e3);
+
+    clock.now = T0 + 240 * 60e3;
+    assert.equal(risk.getActiveBreaker(), null);
+    risk.updateEquity(900);
+    assert.equal(risk.peakEquity, 900);
+    assert.equal(risk.getActiveBreaker(), null);
+});
+
+// --- Liquidation ---
+
+test('lowers leverage until the stop clears liquidation by the buffer', () => {
+    const risk = new RiskManager({ dataDir, marginMode: 'isolated' });
+
+    // At 20x a 1% maintenance rate liquidates near $95.96, above the $90 stop
+    const result = risk.canOpenPosition({ action: 'BUY', symbol: 'SOLUSDT', confidence: 0.9, leverage: 20, entryPrice: 100, stopLoss: 90 }, flatBook());
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.reason, 'Trade approved (leverage cut to 8x: stop too close to liquidation)');
+    assert.equal(result.adjustedLeverage, 8);
+    assert.ok(Math.abs(result.adjustedSize - 25) < 1e-9);
+    assert.ok(result.liquidationPrice < 89);
+});
+
+test('rejects a trade no leverage can keep clear of liquidation', () => {
+    const risk = new RiskManager({ dataDir, marginMode: 'isolated', liquidationBufferPercent: 95 });
+
+    const result = risk.canOpenPosition({ action: 'SELL', symbol: 'SOLUSDT', confidence: 0.9, leverage: 3, entryPrice: 100, stopLoss: 110 }, flatBook());
+
+    assert.equal(result.allowed, false);
+    assert.equal(result.reason, 'Stop $110.00 not 95% clear of liquidation at $198.02 at 1x (default, isolated margin)');
+    assert.equal(result.adjustedLeverage, 3);
+    assert.equal(result.adjustedSize, 0);
+    assert.ok(Math.abs(result.stopDistancePercent - 10) < 1e-9);
+});
+
+// --- Environment ---
+
+test('reads an explicit 0 from the env as disabled, and empty or malformed values as the default', () => {
+    const names = ['MAX_DAILY_LOSS_PERCENT', 'MAX_CONSECUTIVE_LOSSES', 'MAX_DRAWDOWN_PERCENT', 'MAX_VAR_PERCENT', 'LIQUIDATION_BUFFER_PERCENT'];
+    const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+    const fromEnv = (value) => {
+        for (const name of names) process.env[name] = value;
+        return new RiskManager({ dataDir });
+    };
+    try {
+        const zero = fromEnv('0');
+        assert.deepEqual(
+            [zero.maxDailyLossPercent, zero.maxConsecutiveLosses, zero.maxDrawdownPercent, zero.maxVarPercent, zero.liquidationBufferPercent],
+            [0, 0, 0, 0, 0]
+        );
+        zero.updateEquity(1000);
+        zero.updateEquity(100);
+        for (let i = 0; i < 10; i++) zero.recordTrade(-1);
+        assert.equal(zero.getActiveBreaker(), null);
+
+        for (const value of ['', 'off']) {
+            const fallback = fromEnv(value);
+            assert.deepEqual(
+                [fallback.maxDailyLossPercent, fallback.maxConsecutiveLosses, fallback.maxDrawdownPercent, fallback.maxVarPercent, fallback.liquidationBufferPercent],
+                [5, 4, 15, 5, 1]
+            );
+        }
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+});
+
+// --- Value-at-Risk ---
+
+const varManager = (config = {}) => new RiskManager({
+    dataDir,
+    maxExposurePercent: 500,
+    maxPerAssetPercent: 500,
+    maxClusterExposurePercent: 500,
+    maxPortfolioBeta: 5,
+    maxVarPercent: 2,
+    ...config
+});
+
+test('cuts a trade that pushes the book past the VaR limit to the largest size that fits', () => {
+    const result = varManager().canOpenPosition(longEth, longBtcBook());
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.reason, 'Trade approved (size capped by VaR)');
+    // Uncut, the stop sizes it at $40 margin; the cut keeps VaR at the $20 limit
+    assert.ok(result.adjustedSize > 0 && result.adjustedSize < 40);
+    assert.ok(Math.abs(result.valueAtRisk - 20) < 0.1);
+    assert.ok(Math.abs(result.riskAmount - result.adjustedSize * 5 * 0.1) < 1e-9);
+});
+
+test('lets trades that lower the VaR (hedges) through uncut', () => {
+    const result = varManager().canOpenPosition({ action: 'SELL', symbol: 'ETHUSDT', confidence: 0.9, leverage: 5 }, longBtcBook());
+
+    assert.equal(result.allowed, true);
+    assert.equal(result.reason, 'Trade approved');
+});
+
+test('rejects a trade the VaR cut shrinks below the dust floor', () => {
+    // Risk budget $200 notional: a 0.6 floor is $120, above what the cut leaves
+    const result = varManager({ minRiskFraction: 0.6 }).canOpenPosition(longEth, longBtcBook());
+
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /^Size capped by VaR too small: \$\d+\.\d{2} notional < \$120\.00 minimum$/);
+    assert.equal(result.adjustedSize, 0);
+});
+
+test('blocks new risk when the book is already at the VaR limit', () => {
+    const book = longBtcBook();
+    book.positions[0].size = 200;
+
+    const result = varManager().canOpenPosition(longEth, book);
+
+    assert.equal(result.allowed, false);
+    assert.match(result.reason, /already \$\d+ at limit \$20/);
+});
@@ -0,0 +1,67 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { BacktestEngine } from '../../core/backtest/BacktestEngine.js';
+import { LLMClient } from '../../core/LLMClient.js';
+import { CassetteMissError } from '../../core/LLMCassette.js';
+
+// 60 hourly BTCUSDT bars, and the council's answers to every prompt a run over them asks:
+// BUY on the first decision, CLOSE on the eighth, HOLD otherwise
+const CANDLES = fileURLToPath(new URL('../fixtures/backtest/BTCUSDT.csv', import.meta.url));
+const CASSETTE = fileURLToPath(new URL('../fixtures/backtest/cassette.json', import.meta.url));
+
+const runBacktest = (config = {}) => new BacktestEngine({
+    initialBalance: 1000,
+    files: { BTCUSDT: CANDLES },
+    warmupBars: 20,
+    // Nothing listens there: every answer must come from the cassette
+    llm: new LLMClient({ apiBase: 'http://127.0.0.1:1', cassette: { path: CASSETTE, mode: 'replay' } }),
+    riskConfig: { defaultRiskPercent: 0.5 },
+    ...config
+}).run();
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+test('replays the recorded decisions into the same trade on every run', async () => {
+    const first = await runBacktest();
+    const second = await runBacktest();
+
+    assert.equal(first.trades.length, 1);
+    const [trade] = first.trades;
+    assert.equal(trade.symbol, 'BTCUSDT');
+    assert.equal(trade.side, 'buy');
+    assert.equal(trade.reason, 'llm_decision');
+    assert.ok(trade.closedAt > trade.openedAt);
+    assert.ok(Math.abs(trade.pnl - 6.008) < 0.001);
+    assert.deepEqual(second.trades, first.trades);
+    assert.deepEqual(second.equityCurve, first.equityCurve);
+    assert.equal(first.meta.bars, 60);
+});
+
+test('marks equity with the ledger, so it ends at the starting balance plus the net trade PnL', async () => {
+    const report = await runBacktest();
+
+    const net = report.trades.reduce((sum, t) => sum + t.pnl, 0);
+    assert.equal(report.equityCurve.length, 60);
+    assert.equal(report.equityCurve[0].equity, 1000);
+    assert.ok(Math.abs(report.equityCurve.at(-1).equity - (1000 + net)) < 1e-9);
+});
+
+test('reports paper trades net of their fees and funding', async () => {
+    const report = await runBacktest({ paperTrading: true });
+
+    const [trade] = report.trades;
+    const paper = report.meta.paper;
+    assert.ok(trade.fees > 0 && trade.funding > 0);
+    assert.ok(Math.abs(trade.fees - paper.feesPaid) < 1e-9);
+    assert.ok(Math.abs(trade.funding - paper.fundingPaid) < 1e-9);
+    // The venue's account agrees with the net figure
+    assert.ok(Math.abs(report.equityCurve.at(-1).equity - (1000 + trade.pnl)) < 0.01);
+});
+
+test('stops with a CassetteMissError when a prompt was never recorded', async () => {
+    // A different balance changes the Guardian's prompt
+    await assert.rejects(runBacktest({ initialBalance: 2000 }), CassetteMissError);
+});
@@ -0,0 +1,108 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HistoricalDataLoader } from '../../core/backtest/HistoricalDataLoader.js';
+
+const HOUR = 3600e3;
+const T0 = 1704067200000; // 2024-01-01T00:00:00Z
+
+let dir;
+
+const write = (file, lines) => fs.writeFileSync(path.join(dir, file), lines.join('\n') + '\n');
+
+before(() => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads CSV with aliased headers, and header-less rows in Binance kline order', () => {
+    write('BTCUSDT.csv', ['Open_Time,O,H,L,C,Vol', `${T0},100,110,90,105,7`]);
+    write('ETHUSDT.csv', [`${T0},10,11,9,10.5,3,${T0 + HOUR - 1},31.5`]);
+
+    const dataset = new HistoricalDataLoader({ dataDir: dir }).load();
+
+    assert.deepEqual(dataset.BTCUSDT, [{ timestamp: T0, open: 100, high: 110, low: 90, close: 105, volume: 7 }]);
+    assert.deepEqual(dataset.ETHUSDT, [{ timestamp: T0, open: 10, high: 11, low: 9, close: 10.5, volume: 3 }]);
+});
+
+test('reads JSONL objects and kline arrays, skipping malformed lines', () => {
+    write('SOLUSDT.jsonl', [
+        JSON.stringify({ time: new Date(T0).toISOString(), price: 20 }),
+        'not json',
+        JSON.stringify([T0 / 1000 + 3600, '20', '22', '19', '21', '100'])
+    ]);
+
+    const { SOLUSDT } = new HistoricalDataLoader({ dataDir: dir }).load();
+
+    assert.deepEqual(SOLUSDT, [
+        // Only a close: the other prices fall back to it
+        { timestamp: T0, open: 20, high: 20, low: 20, close: 20, volume: 0 },
+        // Epoch seconds are read as such
+        { timestamp: T0 + HOUR, open: 20, high: 22, low: 19, close: 21, volume: 100 }
+    ]);
+});
+
+test('sorts candles, keeps the last of duplicate timestamps and applies the date window', () => {
+    write('BTCUSDT.csv', [
+        'timestamp,close',
+        `${T0 + 2 * HOUR},103`,
+        `${T0},100`,
+        `${T0 + HOUR},101`,
+        `${T0 + HOUR},102`,
+        `${T0 + 3 * HOUR},104`
+    ]);
+
+    const all = new HistoricalDataLoader({ dataDir: dir }).load();
+    const window = new HistoricalDataLoader({ dataDir: dir, from: new Date(T0 + HOUR).toISOString(), to: T0 + 2 * HOUR }).load();
+
+    assert.deepEqual(all.BTCUSDT.map(c => c.close), [100, 102, 103, 104]);
+    assert.deepEqual(window.BTCUSDT.map(c => c.close), [102, 103]);
+});
+
+test('restricts to the requested symbols, with explicit files taking precedence', () => {
+    write('BTCUSDT.csv', ['timestamp,close', `${T0},100`]);
+    write('ETHUSDT.csv', ['timestamp,close', `${T0},10`]);
+    const other = path.join(dir, 'eth-override.txt');
+    fs.writeFileSync(other, `timestamp,close\n${T0},11\n`);
+
+    const dataset = new HistoricalDataLoader({ dataDir: dir, files: { ethusdt: other }, symbols: ['ethusdt'] }).load();
+
+    assert.deepEqual(Object.keys(dataset), ['ETHUSDT']);
+    assert.equal(dataset.ETHUSDT[0].close, 11);
+});
+
+test('merges symbols into one timeline and detects the bar interval', () => {
+    const loader = new HistoricalDataLoader();
+    const dataset = {
+        BTCUSDT: [T0, T0 + HOUR, T0 + 2 * HOUR].map(timestamp => ({ timestamp, close: 100 })),
+        ETHUSDT: [T0 + HOUR, T0 + 3 * HOUR].map(timestamp => ({ timestamp, close: 10 }))
+    };
+
+    const timeline = loader.toTimeline(dataset);
+
+    assert.deepEqual(timeline.map(s => [s.timestamp, s.bars.map(b => b.symbol)]), [
+        [T0, ['BTCUSDT']],
+        [T0 + HOUR, ['BTCUSDT', 'ETHUSDT']],
+        [T0 + 2 * HOUR, ['BTCUSDT']],
+        [T0 + 3 * HOUR, ['ETHUSDT']]
+    ]);
+    assert.equal(loader.detectInterval(dataset), HOUR);
+    assert.equal(loader.detectInterval({ BTCUSDT: [{ timestamp: T0, close: 1 }] }), 0);
+});
+
+test('fails on missing data and on files without a timestamp or close column', () => {
+    assert.throws(() => new HistoricalDataLoader({ dataDir: path.join(dir, 'missing') }).load(), /data directory not found/);
+    assert.throws(() => new HistoricalDataLoader({ dataDir: dir }).load(), /No historical data files found/);
+
+    write('BTCUSDT.csv', ['timestamp,open,high', `${T0},1,2`]);
+    assert.throws(() => new HistoricalDataLoader({ dataDir: dir }).load(), /needs at least a timestamp and close column/);
+});
@@ -0,0 +1,273 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import net from 'net';
+import { BinanceAdapter } from '../../core/exchange/BinanceAdapter.js';
+import {
+    ExchangeApiError,
+    InsufficientBalanceError,
+    OrderNotFoundError,
+    RateLimitError,
+    ReduceOnlyViolationError
+} from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+const EXCHANGE_INFO = {
+    symbols: [{
+        symbol: 'BTCUSDT',
+        filters: [
+            { filterType: 'LOT_SIZE', stepSize: '0.001' },
+            { filterType: 'PRICE_FILTER', tickSize: '0.10' }
+        ]
+    }]
+};
+
+const orderReply = (req, overrides = {}) => ({
+    orderId: 42,
+    symbol: req.query.symbol,
+    side: req.query.side,
+    type: req.query.type,
+    status: 'NEW',
+    price: req.query.price || '0',
+    stopPrice: req.query.stopPrice || '0',
+    origQty: req.query.quantity,
+    executedQty: '0',
+    avgPrice: '0',
+    reduceOnly: req.query.reduceOnly === 'true',
+    ...overrides
+});
+
+const verifySignature = (req) => {
+    const [payload, signature] = req.rawQuery.split('&signature=');
+    return crypto.createHmac('sha256', API_SECRET).update(payload).digest('hex') === signature;
+};
+
+let server;
+let binance;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(async () => {
+    await binance?.disconnect();
+});
+
+beforeEach(() => {
+    server.requests = [];
+    server.route('GET /fapi/v1/exchangeInfo', () => EXCHANGE_INFO);
+    server.route('POST /fapi/v1/order', (req) => orderReply(req));
+    binance = new BinanceAdapter({ apiKey: API_KEY, apiSecret: API_SECRET, baseUrl: server.url, wsUrl: server.wsUrl });
+});
+
+test('signs requests with HMAC-SHA256, recvWindow and the API key header', async () => {
+    server.route('GET /fapi/v2/account', () => ({
+        totalWalletBalance: '1000', totalMarginBalance: '1010', availableBalance: '900', totalUnrealizedProfit: '10'
+    }));
+
+    const balance = await binance.getBalance();
+
+    const [req] = server.requestsFor('GET /fapi/v2/account');
+    assert.equal(req.headers['x-mbx-apikey'], API_KEY);
+    assert.equal(req.query.recvWindow, '5000');
+    assert.ok(Math.abs(Number(req.query.timestamp) - Date.now()) < 5000);
+    assert.ok(verifySignature(req), 'signature matches the query string');
+    assert.deepEqual(balance, { balance: 1000, equity: 1010, available: 900, unrealizedPnl: 10 });
+});
+
+test('leaves public endpoints unsigned', async () => {
+    await binance.placeOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.01 });
+
+    const [info] = server.requestsFor('GET /fapi/v1/exchangeInfo');
+    assert.equal(info.query.signature, undefined);
+    assert.equal(info.query.timestamp, undefined);
+});
+
+test('places limit orders rounded to the symbol filters', async () => {
+    const order = await binance.placeOrder({ symbol: 'BTC/USDT', side: 'buy', quantity: 0.01234, type: 'limit', price: 60000.06 });
+
+    const [req] = server.requestsFor('POST /fapi/v1/order');
+    assert.equal(req.query.symbol, 'BTCUSDT');
+    assert.equal(req.query.side, 'BUY');
+    assert.equal(req.query.type, 'LIMIT');
+    assert.equal(req.query.quantity, '0.012');
+    assert.equal(req.query.price, '60000.1');
+    assert.equal(req.query.timeInForce, 'GTC');
+    assert.ok(verifySignature(req));
+    assert.equal(order.id, '42');
+    assert.equal(order.type, 'limit');
+    assert.equal(order.status, 'open');
+});
+
+test('places reduce-only stop-market orders on the mark price', async () => {
+    const order = await binance.placeOrder({ symbol: 'BTCUSDT', side: 'sell', quantity: 0.01, type: 'stop_market', stopPrice: 58000, reduceOnly: true });
+
+    const [req] = server.requestsFor('POST /fapi/v1/order');
+    assert.equal(req.query.type, 'STOP_MARKET');
+    assert.equal(req.query.stopPrice, '58000.0');
+    assert.equal(req.query.workingType, 'MARK_PRICE');
+    assert.equal(req.query.reduceOnly, 'true');
+    assert.equal(req.query.price, undefined);
+    assert.equal(order.type, 'stop_market');
+    assert.equal(order.reduceOnly, true);
+});
+
+test('sends positionSide instead of reduceOnly in hedge mode', async () => {
+    binance = new BinanceAdapter({ apiKey: API_KEY, apiSecret: API_SECRET, baseUrl: server.url, positionMode: 'hedge' });
+
+    await binance.placeOrder({ symbol: 'BTCUSDT', side: 'sell', quantity: 0.01, reduceOnly: true });
+
+    const [req] = server.requestsFor('POST /fapi/v1/order');
+    assert.equal(req.query.positionSide, 'LONG');
+    assert.equal(req.query.reduceOnly, undefined);
+});
+
+test('applies the margin type once before setting leverage', async () => {
+    binance = new BinanceAdapter({ apiKey: API_KEY, apiSecret: API_SECRET, baseUrl: server.url, marginType: 'isolated' });
+    server.route('POST /fapi/v1/marginType', () => ({ status: 400, body: { code: -4046, msg: 'No need to change margin type.' } }));
+    server.route('POST /fapi/v1/leverage', (req) => ({ leverage: Number(req.query.leverage), symbol: req.query.symbol }));
+
+    assert.equal(await binance.setLeverage('BTCUSDT', 10), 10);
+    assert.equal(await binance.setLeverage('BTCUSDT', 5), 5);
+
+    assert.equal(server.requestsFor('POST /fapi/v1/marginType').length, 1);
+    assert.equal(server.requestsFor('POST /fapi/v1/marginType')[0].query.marginType, 'ISOLATED');
+});
+
+test('maps venue error codes to typed errors', async () => {
+    const cases = [
+        [-2019, 400, InsufficientBalanceError],
+        [-2022, 400, ReduceOnlyViolationError],
+        [-2011, 400, OrderNotFoundError],
+        [-1003, 418, RateLimitError],
+        [-1111, 400, ExchangeApiError]
+    ];
+
+    for (const [code, status, ErrorType] of cases) {
+        server.route('POST /fapi/v1/order', () => ({ status, body: { code, msg: `error ${code}` } }));
+        await assert.rejects(
+            binance.placeOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.01 }),
+            (err) => err instanceof ErrorType && err.code === code && err.exchange === 'binance'
+        );
+    }
+
+    server.route('DELETE /fapi/v1/order', () => ({ status: 429, body: {} }));
+    await assert.rejects(binance.cancelOrder('1', 'BTCUSDT'), RateLimitError);
+});
+
+test('resyncs server time and retries once when the timestamp is rejected', async () => {
+    const serverTime = Date.now() + 60000;
+    let attempts = 0;
+    server.route('GET /fapi/v1/time', () => ({ serverTime }));
+    server.route('POST /fapi/v1/order', (req) => {
+        attempts++;
+        return Number(req.query.timestamp) < serverTime - 1000
+            ? { status: 400, body: { code: -1021, msg: 'Timestamp for this request is outside of the recvWindow.' } }
+            : orderReply(req);
+    });
+
+    const order = await binance.placeOrder({ symbol: 'BTCUSDT', side: 'buy', quantity: 0.01 });
+
+    assert.equal(order.id, '42');
+    assert.equal(attempts, 2);
+    assert.equal(server.requestsFor('GET /fapi/v1/time').length, 1);
+});
+
+test('rejects connect when the stream handshake is refused', async () => {
+    server.route('POST /fapi/v1/listenKey', () => ({ listenKey: 'lk-refused' }));
+    server.route('DELETE /fapi/v1/listenKey', () => ({}));
+    server.wss.options.verifyClient = (info) => !info.req.url.endsWith('/lk-refused');
+
+    try {
+        await assert.rejects(binance.connect(), ExchangeApiError);
+        assert.equal(binance._ws, null);
+        assert.equal(binance._keepAliveTimer, null);
+    } finally {
+        server.wss.options.verifyClient = null;
+    }
+});
+
+test('rejects connect when the stream never opens', async () => {
+    server.route('POST /fapi/v1/listenKey', () => ({ listenKey: 'lk-1' }));
+    server.route('DELETE /fapi/v1/listenKey', () => ({}));
+    // Accepts TCP but never answers the upgrade
+    const accepted = [];
+    const silent = net.createServer((socket) => accepted.push(socket));
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    binance = new BinanceAdapter({
+        apiKey: API_KEY, apiSecret: API_SECRET, baseUrl: server.url, wsUrl: `ws://127.0.0.1:${silent.address().port}`, connectTimeoutMs: 200
+    });
+
+    try {
+        await assert.rejects(binance.connect(), /not open after 200ms/);
+    } finally {
+        for (const socket of accepted) socket.destroy();
+        await new Promise(resolve => silent.close(resolve));
+    }
+});
+
+test('publishes fills from the user-data stream', async () => {
+    server.route('POST /fapi/v1/listenKey', () => ({ listenKey: 'lk-1' }));
+    server.route('DELETE /fapi/v1/listenKey', () => ({}));
+    const connected = new Promise(resolve => server.onSocket((socket, req) => resolve(req.url)));
+
+    const fills = [];
+    binance.subscribeFills(fill => fills.push(fill));
+    await binance.connect();
+    assert.equal(await connected, '/ws/lk-1');
+
+    const received = new Promise(resolve => binance.subscribeFills(resolve));
+    server.broadcast({
+        e: 'ORDER_TRADE_UPDATE',
+        E: 1700000000000,
+        o: { s: 'BTCUSDT', S: 'BUY', o: 'MARKET', X: 'FILLED', x: 'TRADE', i: 7, q: '0.01', z: '0.01', ap: '60000', l: '0.01', L: '60000', n: '0.24', N: 'USDT', T: 1700000000001 }
+    });
+    await received;
+
+    assert.equal(fills.length, 1);
+    assert.deepEqual(
+        { orderId: fills[0].orderId, quantity: fills[0].quantity, price: fills[0].price, fee: fills[0].fee },
+        { orderId: '7', quantity: 0.01, price: 60000, fee: 0.24 }
+    );
+});
+
+test('looks up funding settlements in the income history and publishes them per symbol', async () => {
+    server.route('POST /fapi/v1/listenKey', () => ({ listenKey: 'lk-1' }));
+    server.route('DELETE /fapi/v1/listenKey', () => ({}));
+    server.route('GET /fapi/v1/income', (req) => [
+        { symbol: 'BTCUSDT', incomeType: 'FUNDING_FEE', income: '-0.12', asset: 'USDT', time: Number(req.query.startTime) + 100 },
+        { symbol: 'ETHUSDT', incomeType: 'FUNDING_FEE', income: '0.05', asset: 'USDT', time: Number(req.query.startTime) + 100 }
+    ]);
+    const connected = new Promise(resolve => server.onSocket(resolve));
+    const payments = [];
+    binance.subscribeFunding(payment => payments.push(payment));
+    await binance.connect();
+    await connected;
+
+    server.broadcast({ e: 'ACCOUNT_UPDATE', E: 1700000000000, a: { m: 'FUNDING_FEE', B: [{ a: 'USDT', wb: '999.93' }], P: [] } });
+    while (payments.length < 2) await new Promise(resolve => setTimeout(resolve, 5));
+    server.broadcast({ e: 'ACCOUNT_UPDATE', E: 1700028800000, a: { m: 'FUNDING_FEE', B: [], P: [] } });
+    while (payments.length < 4) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const [first, second] = server.requestsFor('GET /fapi/v1/income');
+    assert.equal(first.query.incomeType, 'FUNDING_FEE');
+    assert.equal(first.query.startTime, String(1700000000000 - 60000));
+    assert.ok(verifySignature(first));
+    // The next lookup starts after the last settlement already published
+    assert.equal(second.query.startTime, String(1700000000000 - 60000 + 101));
+    assert.deepEqual(
+        payments.slice(0, 2).map(({ exchange, symbol, side, payment }) => ({ exchange, symbol, side, payment })),
+        [
+            { exchange: 'binance', symbol: 'BTCUSDT', side: null, payment: 0.12 },
+            { exchange: 'binance', symbol: 'ETHUSDT', side: null, payment: -0.05 }
+        ]
+    );
+});
@@ -0,0 +1,133 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { BybitAdapter } from '../../core/exchange/BybitAdapter.js';
+import { ExchangeApiError } from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+const API_KEY = 'test-key';
+const API_SECRET = 'test-secret';
+
+/**
+ * Private stream that acks auth and subscribe with the given replies (null = never answer).
+ */
+const privateStream = (server, { auth = { success: true }, subscribe = { success: true } } = {}) => {
+    const messages = [];
+    server.onSocket((socket) => {
+        socket.on('message', (data) => {
+            const msg = JSON.parse(data.toString());
+            messages.push(msg);
+            const reply = msg.op === 'auth' ? auth : msg.op === 'subscribe' ? subscribe : null;
+            if (reply) socket.send(JSON.stringify({ op: msg.op, ret_msg: reply.success ? '' : 'denied', ...reply }));
+        });
+    });
+    return messages;
+};
+
+let server;
+let bybit;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(async () => {
+    await bybit?.disconnect();
+});
+
+const createAdapter = (config = {}) => {
+    bybit = new BybitAdapter({ apiKey: API_KEY, apiSecret: API_SECRET, baseUrl: server.url, wsUrl: server.wsUrl, ...config });
+    return bybit;
+};
+
+test('authenticates with a signed expiry and subscribes to the private topics', async () => {
+    const messages = privateStream(server);
+
+    await createAdapter().connect();
+
+    const [auth, subscribe] = messages;
+    const [key, expires, signature] = auth.args;
+    assert.equal(key, API_KEY);
+    assert.equal(signature, crypto.createHmac('sha256', API_SECRET).update(`GET/realtime${expires}`).digest('hex'));
+    assert.deepEqual(subscribe.args, ['order', 'execution', 'position']);
+});
+
+test('rejects connect when auth is refused', async () => {
+    privateStream(server, { auth: { success: false } });
+
+    await assert.rejects(createAdapter().connect(), (err) => err instanceof ExchangeApiError && /auth failed/.test(err.message));
+    assert.equal(bybit._ws, null);
+});
+
+test('rejects connect when the subscription is refused', async () => {
+    privateStream(server, { subscribe: { success: false } });
+
+    await assert.rejects(createAdapter().connect(), /subscribe failed/);
+});
+
+test('rejects connect when the venue never answers', async () => {
+    privateStream(server, { auth: null });
+
+    await assert.rejects(createAdapter({ connectTimeoutMs: 200 }).connect(), /not ready after 200ms/);
+});
+
+test('rejects connect when the socket closes before the subscribe ack', async () => {
+    server.onSocket((socket) => socket.close());
+
+    await assert.rejects(createAdapter().connect(), /closed before it was ready/);
+});
+
+test('keeps reconnecting when a reconnect closes before it is ready', async () => {
+    privateStream(server);
+    await createAdapter().connect();
+
+    // The venue drops the stream, then closes the first reconnect before its subscribe ack
+    let connections = 0;
+    server.onSocket((socket) => {
+        if (++connections === 1) {
+            socket.close();
+            return;
+        }
+        socket.on('message', (data) => {
+            const msg = JSON.parse(data.toString());
+            socket.send(JSON.stringify({ op: msg.op, success: true }));
+        });
+    });
+    const dropped = bybit._ws;
+    bybit._reconnectAttempts = -10;     // 2^-10 s backoff keeps the test fast
+    for (const socket of server.sockets) socket.close();
+
+    while (!bybit._pingTimer || bybit._ws === dropped) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(connections, 2);
+});
+
+test('publishes trade executions as fills and funding settlements as funding', async () => {
+    privateStream(server);
+    await createAdapter().connect();
+    const fills = [];
+    const payments = [];
+    bybit.subscribeFills(fill => fills.push(fill));
+    bybit.subscribeFunding(payment => payments.push(payment));
+
+    const execution = (overrides) => ({ category: 'linear', symbol: 'BTCUSDT', orderId: 'o-1', side: 'Buy', execQty: '0.01', execPrice: '60000', execTime: '1700000000000', ...overrides });
+    server.broadcast({
+        topic: 'execution',
+        creationTime: 1700000000000,
+        data: [
+            execution({ execType: 'Trade', execFee: '0.33' }),
+            execution({ execType: 'Funding', orderId: '', side: 'Sell', execFee: '-0.06', feeRate: '0.0001' })
+        ]
+    });
+    while (payments.length < 1) await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepEqual(fills.map(f => ({ orderId: f.orderId, fee: f.fee })), [{ orderId: 'o-1', fee: 0.33 }]);
+    assert.deepEqual(
+        payments.map(({ exchange, symbol, side, payment, rate }) => ({ exchange, symbol, side, payment, rate })),
+        [{ exchange: 'bybit', symbol: 'BTCUSDT', side: 'sell', payment: -0.06, rate: 0.0001 }]
+    );
+});
@@ -0,0 +1,92 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { HyperliquidAdapter } from '../../core/exchange/HyperliquidAdapter.js';
+import { ExchangeApiError } from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+// Throwaway key (Hardhat account #0)
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+let server;
+let hyperliquid;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(async () => {
+    await hyperliquid?.disconnect();
+});
+
+test('subscribes to fills, order updates and funding for the wallet', async () => {
+    const subscriptions = [];
+    const subscribed = new Promise((resolve) => {
+        server.onSocket((socket) => socket.on('message', (data) => {
+            subscriptions.push(JSON.parse(data.toString()));
+            if (subscriptions.length === 3) resolve();
+        }));
+    });
+    hyperliquid = new HyperliquidAdapter({ privateKey: PRIVATE_KEY, apiUrl: server.url });
+
+    await hyperliquid.connect();
+    await subscribed;
+
+    assert.deepEqual(subscriptions.map(s => s.subscription.type), ['userFills', 'orderUpdates', 'userFundings']);
+    assert.ok(subscriptions.every(s => s.subscription.user === hyperliquid.walletAddress));
+});
+
+test('publishes funding payments, skipping the snapshot', async () => {
+    const connected = new Promise(resolve => server.onSocket(resolve));
+    hyperliquid = new HyperliquidAdapter({ privateKey: PRIVATE_KEY, apiUrl: server.url });
+    const payments = [];
+    hyperliquid.subscribeFunding(payment => payments.push(payment));
+    await hyperliquid.connect();
+    await connected;
+
+    const funding = (coin, usdc, szi) => ({ time: 1700000000000, coin, usdc, szi, fundingRate: '0.0001' });
+    server.broadcast({ channel: 'userFundings', data: { isSnapshot: true, fundings: [funding('BTC', '-9', '1')] } });
+    server.broadcast({ channel: 'userFundings', data: { fundings: [funding('ETH', '-0.25', '2'), funding('SOL', '0.1', '-30')] } });
+    while (payments.length < 2) await new Promise(resolve => setTimeout(resolve, 5));
+
+    assert.deepEqual(
+        payments.map(({ exchange, symbol, side, payment, rate }) => ({ exchange, symbol, side, payment, rate })),
+        [
+            { exchange: 'hyperliquid', symbol: 'ETH', side: 'buy', payment: 0.25, rate: 0.0001 },
+            { exchange: 'hyperliquid', symbol: 'SOL', side: 'sell', payment: -0.1, rate: 0.0001 }
+        ]
+    );
+    assert.ok(hyperliquid.matchesSymbol('ETH/USDT', 'ETH') && hyperliquid.matchesSymbol('ETHUSDT', 'ETH'));
+});
+
+test('rejects connect when the handshake is refused', async () => {
+    hyperliquid = new HyperliquidAdapter({ privateKey: PRIVATE_KEY, apiUrl: server.url, wsUrl: `${server.wsUrl}/missing` });
+    server.wss.options.verifyClient = (info) => !info.req.url.endsWith('/missing');
+
+    try {
+        await assert.rejects(hyperliquid.connect(), ExchangeApiError);
+        assert.equal(hyperliquid._ws, null);
+    } finally {
+        server.wss.options.verifyClient = null;
+    }
+});
+
+test('rejects connect when the stream never opens', async () => {
+    // Accepts TCP but never answers the upgrade
+    const accepted = [];
+    const silent = net.createServer((socket) => accepted.push(socket));
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+    hyperliquid = new HyperliquidAdapter({ privateKey: PRIVATE_KEY, wsUrl: `ws://127.0.0.1:${silent.address().port}`, connectTimeoutMs: 200 });
+
+    try {
+        await assert.rejects(hyperliquid.connect(), /not open after 200ms/);
+    } finally {
+        for (const socket of accepted) socket.destroy();
+        await new Promise(resolve => silent.close(resolve));
+    }
+});
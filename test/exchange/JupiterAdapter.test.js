@@ -0,0 +1,186 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { JupiterAdapter } from '../../core/exchange/JupiterAdapter.js';
+import {
+    ExchangeApiError,
+    InsufficientBalanceError,
+    RateLimitError,
+    UnsupportedOperationError
+} from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const JUP_MINT = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+// Throwaway wallet: 32-byte seed followed by the 32-byte public key
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const SEED = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(-32);
+const PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+const SECRET_KEY = JSON.stringify([...SEED, ...PUBLIC_KEY]);
+
+/**
+ * Unsigned v0 transaction with the given signer as fee payer (header + one account key).
+ */
+const unsignedTransaction = (signer) => Buffer.concat([
+    Buffer.from([1]), Buffer.alloc(64),         // one empty signature slot
+    Buffer.from([0x80, 1, 0, 0, 1]), signer,    // v0 header, one account key
+    Buffer.alloc(32)                            // recent blockhash
+]);
+
+/**
+ * JSON-RPC endpoint dispatching on method to `rpcHandlers`; handlers return the result or { error }.
+ */
+const rpc = (req) => {
+    const { id, method, params } = req.body;
+    const reply = rpcHandlers[method]?.(params);
+    if (reply === undefined) return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+    return reply?.error ? { jsonrpc: '2.0', id, error: reply.error } : { jsonrpc: '2.0', id, result: reply };
+};
+
+let server;
+let jupiter;
+let rpcHandlers;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    server.requests = [];
+    server.route('GET /swap/v1/quote', (req) => ({
+        inputMint: req.query.inputMint,
+        outputMint: req.query.outputMint,
+        inAmount: '25000000',
+        outAmount: '50000000',
+        swapMode: req.query.swapMode,
+        priceImpactPct: '0.01'
+    }));
+    server.route('POST /swap/v1/swap', () => ({
+        swapTransaction: unsignedTransaction(PUBLIC_KEY).toString('base64'),
+        lastValidBlockHeight: 1000
+    }));
+    rpcHandlers = {
+        sendTransaction: () => 'sent',
+        getSignatureStatuses: () => ({ value: [{ confirmationStatus: 'confirmed', err: null }] }),
+        getBlockHeight: () => 900,
+        getTokenAccountsByOwner: () => ({ value: [] }),
+        getBalance: () => ({ value: 0 })
+    };
+    server.route('POST /rpc', rpc);
+    jupiter = new JupiterAdapter({
+        privateKey: SECRET_KEY,
+        apiUrl: `${server.url}/swap/v1`,
+        tokensApiUrl: `${server.url}/tokens/v2`,
+        rpcUrl: `${server.url}/rpc`,
+        pollIntervalMs: 5
+    });
+});
+
+const rpcCalls = (method) => server.requestsFor('POST /rpc').map(r => r.body).filter(b => b.method === method);
+
+test('swaps USDC into the token: quote, swap, sign, send and confirm', async () => {
+    const fill = await jupiter.executeTrade({ symbol: 'JUP', side: 'buy', amount: 25, price: 0.5 });
+
+    const [quote] = server.requestsFor('GET /swap/v1/quote');
+    assert.deepEqual(
+        { inputMint: quote.query.inputMint, outputMint: quote.query.outputMint, amount: quote.query.amount, swapMode: quote.query.swapMode, slippageBps: quote.query.slippageBps },
+        { inputMint: USDC_MINT, outputMint: JUP_MINT, amount: '25000000', swapMode: 'ExactIn', slippageBps: '50' }
+    );
+
+    const [swap] = server.requestsFor('POST /swap/v1/swap');
+    assert.equal(swap.body.userPublicKey, jupiter.walletAddress);
+    assert.equal(swap.body.quoteResponse.outAmount, '50000000');
+    assert.equal(swap.body.prioritizationFeeLamports, 'auto');
+
+    assert.equal(rpcCalls('getSignatureStatuses').length, 1);
+    assert.equal(fill.quantity, 50);
+    assert.equal(fill.avgPrice, 0.5);
+});
+
+test('signs the swap transaction with the wallet key in the fee payer slot', async () => {
+    const order = await jupiter.placeOrder({ symbol: 'JUP', side: 'sell', quantity: 50 });
+
+    const [send] = rpcCalls('sendTransaction');
+    const tx = Buffer.from(send.params[0], 'base64');
+    const signature = tx.subarray(1, 65);
+    assert.ok(crypto.verify(null, tx.subarray(65), publicKey, signature), 'signature covers the message');
+
+    const [status] = rpcCalls('getSignatureStatuses');
+    assert.equal(status.params[0][0], order.id);
+    assert.equal(order.side, 'sell');
+    assert.equal(order.status, 'filled');
+
+    const [quote] = server.requestsFor('GET /swap/v1/quote');
+    assert.equal(quote.query.swapMode, 'ExactIn');
+    assert.equal(quote.query.inputMint, JUP_MINT);
+    assert.equal(quote.query.amount, '50000000');
+});
+
+test('refuses to sign transactions that do not need the wallet', async () => {
+    server.route('POST /swap/v1/swap', () => ({ swapTransaction: unsignedTransaction(Buffer.alloc(32, 7)).toString('base64') }));
+
+    await assert.rejects(jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }), /does not require a signature/);
+    assert.equal(rpcCalls('sendTransaction').length, 0);
+});
+
+test('rejects what a spot venue cannot do', async () => {
+    await assert.rejects(jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1, type: 'limit', price: 0.5 }), UnsupportedOperationError);
+    await assert.rejects(jupiter.executeTrade({ symbol: 'JUP', side: 'sell', amount: 25 }), UnsupportedOperationError);
+    await assert.rejects(jupiter.setLeverage('JUP', 5), UnsupportedOperationError);
+    assert.equal(server.requests.length, 0);
+});
+
+test('maps API, RPC and on-chain errors to typed errors', async () => {
+    server.route('GET /swap/v1/quote', () => ({ status: 400, body: { error: 'Could not find any route', errorCode: 'COULD_NOT_FIND_ANY_ROUTE' } }));
+    await assert.rejects(
+        jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }),
+        (err) => err instanceof ExchangeApiError && err.code === 'COULD_NOT_FIND_ANY_ROUTE' && err.status === 400
+    );
+
+    server.route('GET /swap/v1/quote', () => ({ status: 429, body: {} }));
+    await assert.rejects(jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }), RateLimitError);
+
+    server.route('GET /swap/v1/quote', (req) => ({ inAmount: '1', outAmount: '1', inputMint: req.query.inputMint, outputMint: req.query.outputMint }));
+    rpcHandlers.sendTransaction = () => ({
+        error: { code: -32002, message: 'Transaction simulation failed', data: { logs: ['Program log: Error: insufficient funds'] } }
+    });
+    await assert.rejects(
+        jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }),
+        (err) => err instanceof InsufficientBalanceError && err.code === -32002
+    );
+
+    rpcHandlers.sendTransaction = () => 'sent';
+    rpcHandlers.getSignatureStatuses = () => ({ value: [{ err: { InstructionError: [2, { Custom: 1 }] } }] });
+    await assert.rejects(jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }), InsufficientBalanceError);
+
+    rpcHandlers.getSignatureStatuses = () => ({ value: [null] });
+    rpcHandlers.getBlockHeight = () => 1001;
+    await assert.rejects(jupiter.placeOrder({ symbol: 'JUP', side: 'buy', quantity: 1 }), /expired before confirmation/);
+});
+
+test('reads holdings from SPL token accounts and resolves unknown tickers', async () => {
+    const tokenAccount = (mint, uiAmountString, decimals) => ({ account: { data: { parsed: { info: { mint, tokenAmount: { uiAmountString, decimals } } } } } });
+    rpcHandlers.getTokenAccountsByOwner = ([, { programId }]) => ({
+        value: programId.startsWith('Tokenkeg') ? [tokenAccount(USDC_MINT, '120.5', 6), tokenAccount('PYTHmint1111111111111111111111111111111111', '7', 6)] : []
+    });
+    rpcHandlers.getBalance = () => ({ value: 2e9 });
+    server.route('GET /tokens/v2/search', () => [
+        { id: 'FakePyth11111111111111111111111111111111111', symbol: 'PYTH', decimals: 6, isVerified: false },
+        { id: 'PYTHmint1111111111111111111111111111111111', symbol: 'PYTH', decimals: 6, isVerified: true }
+    ]);
+
+    const balance = await jupiter.getBalance();
+    assert.equal(balance.available, 120.5);
+    assert.equal(balance.sol, 1.99);
+
+    const [position] = await jupiter.getPositions('PYTH');
+    assert.equal(position.mint, 'PYTHmint1111111111111111111111111111111111');
+    assert.equal(position.quantity, 7);
+    assert.equal(server.requestsFor('GET /tokens/v2/search')[0].query.query, 'PYTH');
+});
@@ -0,0 +1,173 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SidexAdapter } from '../../core/exchange/SidexAdapter.js';
+import {
+    ExchangeApiError,
+    InsufficientBalanceError,
+    ReduceOnlyViolationError,
+    UnsupportedOperationError
+} from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+/**
+ * Gateway that answers each command with reply(msg) → message(s) (null = no answer).
+ * Records the commands and the URL of each connection.
+ */
+const gateway = (server, reply) => {
+    const commands = [];
+    const urls = [];
+    server.onSocket((socket, req) => {
+        urls.push(req.url);
+        socket.on('message', (data) => {
+            const msg = JSON.parse(data.toString());
+            commands.push(msg);
+            for (const out of [].concat(reply(msg) ?? [])) socket.send(JSON.stringify(out));
+        });
+    });
+    return { commands, urls };
+};
+
+let server;
+let sidex;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+afterEach(async () => {
+    await sidex?.disconnect();
+});
+
+const createAdapter = (config = {}) => {
+    sidex = new SidexAdapter({ token: 'test-token', gatewayUrl: `${server.wsUrl}/gateway`, ...config });
+    return sidex;
+};
+
+test('connects with the token and sends trade and close commands', async () => {
+    const { commands, urls } = gateway(server, (msg) => ({ id: msg.id, status: 'success', orderId: 9, quantity: '0.01', price: '60000', fee: '0.3' }));
+
+    await createAdapter().setLeverage('BTCUSDT', 5);
+    const order = await sidex.placeOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 100 });
+    const [close] = await sidex.closePosition('BTCUSDT', 'buy');
+
+    assert.deepEqual(urls, ['/gateway?token=test-token']);
+    assert.deepEqual(
+        commands.map(({ id, ...rest }) => rest),
+        [
+            { action: 'trade', symbol: 'BTC/USDT', side: 'buy', amount: 100, leverage: 5 },
+            { action: 'close', asset: 'BTC/USDT', side: 'long' }
+        ]
+    );
+    assert.deepEqual(
+        { id: order.id, quantity: order.quantity, avgPrice: order.avgPrice, fee: order.fee },
+        { id: '9', quantity: 0.01, avgPrice: 60000, fee: 0.3 }
+    );
+    assert.equal(close.side, 'sell');
+    assert.equal(close.reduceOnly, true);
+});
+
+test('matches out-of-order responses to their requests by id', async () => {
+    const held = [];
+    gateway(server, (msg) => {
+        held.push(msg);
+        if (held.length < 2) return null;
+        // Answer the second command first
+        return held.reverse().map(m => ({ id: m.id, status: 'success', orderId: m.symbol }));
+    });
+
+    createAdapter();
+    const [eth, sol] = await Promise.all([
+        sidex.placeOrder({ symbol: 'ETHUSDT', side: 'buy', amount: 50 }),
+        sidex.placeOrder({ symbol: 'SOLUSDT', side: 'sell', amount: 20 })
+    ]);
+
+    assert.equal(eth.id, 'ETH/USDT');
+    assert.equal(sol.id, 'SOL/USDT');
+    assert.equal(sidex._pending.size, 0);
+});
+
+test('keeps acknowledged requests pending until their result or the timeout', async () => {
+    gateway(server, (msg) => msg.symbol === 'BTC/USDT'
+        ? [{ id: msg.id, status: 'ack' }, { id: msg.id, status: 'success', orderId: 1 }]
+        : { id: msg.id, status: 'ack' });
+
+    const order = await createAdapter({ timeoutMs: 200 }).placeOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 10 });
+    assert.equal(order.id, '1');
+
+    await assert.rejects(
+        sidex.placeOrder({ symbol: 'ETHUSDT', side: 'buy', amount: 10 }),
+        /Timeout waiting for Sidex gateway response to 'trade' .*\(acknowledged, no result\)/
+    );
+    assert.equal(sidex._pending.size, 0);
+});
+
+test('maps gateway errors to typed errors', async () => {
+    const replies = {
+        'BTC/USDT': { status: 'error', message: 'Insufficient margin', code: 'E1' },
+        'ETH/USDT': { status: 'error', message: 'No open position for ETH/USDT' },
+        'SOL/USDT': { status: 'ignored', message: 'Market closed' }
+    };
+    gateway(server, (msg) => ({ id: msg.id, ...replies[msg.symbol || msg.asset] }));
+    createAdapter();
+
+    await assert.rejects(
+        sidex.placeOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 10 }),
+        (err) => err instanceof InsufficientBalanceError && err.code === 'E1' && err.exchange === 'sidex'
+    );
+    await assert.rejects(sidex.closePosition('ETHUSDT', 'sell'), ReduceOnlyViolationError);
+    await assert.rejects(
+        sidex.placeOrder({ symbol: 'SOLUSDT', side: 'buy', amount: 10 }),
+        (err) => err.constructor === ExchangeApiError && /gateway ignored: Market closed/.test(err.message)
+    );
+    await assert.rejects(sidex.placeOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 10, type: 'limit' }), UnsupportedOperationError);
+    await assert.rejects(sidex.executeClose({ id: 'p1', symbol: 'BTCUSDT', side: 'buy', partial: true }), UnsupportedOperationError);
+});
+
+test('rejects in-flight requests when the connection drops, then reconnects', async () => {
+    let connections = 0;
+    server.onSocket((socket) => {
+        connections++;
+        socket.on('message', (data) => {
+            const msg = JSON.parse(data.toString());
+            if (msg.symbol === 'BTC/USDT') socket.close();
+            else socket.send(JSON.stringify({ id: msg.id, status: 'success', orderId: 2 }));
+        });
+    });
+
+    await createAdapter().connect();
+    sidex._reconnectAttempts = -10;     // 2^-10 s backoff keeps the test fast
+
+    await assert.rejects(sidex.placeOrder({ symbol: 'BTCUSDT', side: 'buy', amount: 10 }), /connection lost before a response/);
+    while (connections < 2 || !sidex._ws) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const order = await sidex.placeOrder({ symbol: 'ETHUSDT', side: 'buy', amount: 10 });
+    assert.equal(order.id, '2');
+    assert.equal(connections, 2);
+});
+
+test('publishes fill pushes and closes positions the venue closed', async () => {
+    gateway(server, () => null);
+    const closed = [];
+    const positionManager = {
+        getOpen: () => [{ id: 'p1', exchange: 'sidex', symbol: 'BTCUSDT', side: 'buy' }],
+        close: (...args) => closed.push(args)
+    };
+    await createAdapter({ positionManager }).connect();
+
+    const received = new Promise(resolve => sidex.subscribeFills(resolve));
+    server.broadcast({ type: 'fill', orderId: 7, symbol: 'BTCUSDT', side: 'buy', quantity: '0.02', price: '61000', fee: '0.5', timestamp: 1700000000000 });
+    const fill = await received;
+    assert.deepEqual(
+        { orderId: fill.orderId, symbol: fill.symbol, quantity: fill.quantity, price: fill.price, fee: fill.fee },
+        { orderId: '7', symbol: 'BTC/USDT', quantity: 0.02, price: 61000, fee: 0.5 }
+    );
+
+    server.broadcast({ type: 'position', symbol: 'BTC/USDT', side: 'long', status: 'closed', exitPrice: '55000', reason: 'liquidation' });
+    while (closed.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+    assert.deepEqual(closed, [['p1', 'liquidation', 55000]]);
+});
@@ -0,0 +1,241 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    decodeFunctionData,
+    encodeAbiParameters,
+    encodeEventTopics,
+    encodeFunctionResult,
+    erc20Abi,
+    keccak256,
+    parseAbi,
+    parseTransaction,
+    recoverTransactionAddress
+} from 'viem';
+import { UniswapAdapter, CHAINS } from '../../core/exchange/UniswapAdapter.js';
+import {
+    ExchangeApiError,
+    InsufficientBalanceError,
+    UnsupportedOperationError
+} from '../../core/exchange/ExchangeAdapter.js';
+import { MockServer } from '../helpers/mockServer.js';
+
+// Throwaway key (Hardhat account #0)
+const PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const WALLET = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const POOL = '0x000000000000000000000000000000000000b001';
+
+const BASE = CHAINS[8453];
+const { USDC, WETH } = BASE.tokens;
+
+const QUOTER_ABI = parseAbi([
+    'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+    'function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)'
+]);
+const ROUTER_ABI = parseAbi([
+    'function multicall(uint256 deadline, bytes[] data) returns (bytes[])',
+    'struct ExactInputSingleParams { address tokenIn; address tokenOut; uint24 fee; address recipient; uint256 amountIn; uint256 amountOutMinimum; uint160 sqrtPriceLimitX96; }',
+    'function exactInputSingle(ExactInputSingleParams params) returns (uint256)',
+    'struct ExactInputParams { bytes path; address recipient; uint256 amountIn; uint256 amountOutMinimum; }',
+    'function exactInput(ExactInputParams params) returns (uint256)'
+]);
+
+const hex = (value) => `0x${BigInt(value).toString(16)}`;
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Minimal Base node: ERC-20 balances and allowances, a QuoterV2 that only knows the
+ * given direct pool, and receipts with the Transfer logs of each swap.
+ */
+class MockChain {
+    constructor() {
+        this.balances = { [USDC.address]: 1000_000000n, [WETH.address]: 0n };
+        this.allowance = 0n;
+        this.quotes = { 500: 40_000000000000000n };   // fee tier → amountOut for 100 USDC
+        this.sent = [];
+        this.receipts = {};
+        this.errors = {};
+    }
+
+    async handle(req) {
+        const { id, method, params = [] } = req.body;
+        if (this.errors[method]) return { jsonrpc: '2.0', id, error: this.errors[method] };
+        if (!this[method]) return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+        try {
+            return { jsonrpc: '2.0', id, result: await this[method](...params) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: error.rpc || { code: -32603, message: error.message } };
+        }
+    }
+
+    eth_chainId() { return hex(8453); }
+    eth_blockNumber() { return hex(16); }
+    eth_getTransactionCount() { return hex(this.sent.length); }
+    eth_maxPriorityFeePerGas() { return hex(1e6); }
+    eth_estimateGas() { return hex(200000); }
+    eth_gasPrice() { return hex(1e7); }
+    eth_getBlockByNumber() {
+        return { number: hex(16), hash: `0x${'11'.repeat(32)}`, timestamp: hex(1700000000), baseFeePerGas: hex(1e7), transactions: [] };
+    }
+
+    eth_call({ to, data }) {
+        if (same(to, BASE.quoter)) {
+            const { functionName, args: [path] } = decodeFunctionData({ abi: QUOTER_ABI, data });
+            // Direct paths only: 0x + tokenIn (20 bytes) + fee (3 bytes) + tokenOut (20 bytes)
+            const quote = path.length === 88 && this.quotes[Number(`0x${path.slice(42, 48)}`)];
+            if (!quote) throw Object.assign(new Error(), { rpc: { code: 3, message: 'execution reverted', data: '0x' } });
+            return encodeFunctionResult({ abi: QUOTER_ABI, functionName, result: [quote, [], [], 100000n] });
+        }
+
+        const { functionName } = decodeFunctionData({ abi: erc20Abi, data });
+        const token = Object.keys(this.balances).find(a => same(a, to));
+        const result = functionName === 'balanceOf' ? this.balances[token]
+            : functionName === 'allowance' ? this.allowance
+            : functionName === 'decimals' ? 18
+            : null;
+        return encodeFunctionResult({ abi: erc20Abi, functionName, result });
+    }
+
+    async eth_sendRawTransaction(serialized) {
+        const tx = parseTransaction(serialized);
+        const from = await recoverTransactionAddress({ serializedTransaction: serialized });
+        const hash = keccak256(serialized);
+        this.sent.push({ ...tx, from, hash });
+
+        const logs = [];
+        if (same(tx.to, BASE.router)) {
+            const { args: [, [call]] } = decodeFunctionData({ abi: ROUTER_ABI, data: tx.data });
+            const { args: [params] } = decodeFunctionData({ abi: ROUTER_ABI, data: call });
+            const amountOut = this.quotes[params.fee];
+            logs.push(this._transfer(USDC.address, WALLET, POOL, params.amountIn));
+            logs.push(this._transfer(WETH.address, POOL, WALLET, amountOut - amountOut / 100n));   // 1% worse than quoted
+        } else {
+            this.allowance = decodeFunctionData({ abi: erc20Abi, data: tx.data }).args[1];
+        }
+
+        this.receipts[hash] = {
+            transactionHash: hash, transactionIndex: '0x0', blockHash: `0x${'22'.repeat(32)}`, blockNumber: hex(16),
+            from, to: tx.to, cumulativeGasUsed: hex(150000), gasUsed: hex(150000), effectiveGasPrice: hex(1e7),
+            contractAddress: null, logsBloom: `0x${'00'.repeat(256)}`, type: '0x2',
+            status: this.revert ? '0x0' : '0x1',
+            logs: logs.map((log, i) => ({ ...log, transactionHash: hash, blockHash: `0x${'22'.repeat(32)}`, blockNumber: hex(16), transactionIndex: '0x0', logIndex: hex(i), removed: false }))
+        };
+        return hash;
+    }
+
+    eth_getTransactionReceipt(hash) {
+        return this.receipts[hash] || null;
+    }
+
+    _transfer(token, from, to, value) {
+        return {
+            address: token,
+            topics: encodeEventTopics({ abi: erc20Abi, eventName: 'Transfer', args: { from, to } }),
+            data: encodeAbiParameters([{ type: 'uint256' }], [value])
+        };
+    }
+}
+
+let server;
+let chain;
+let uniswap;
+
+before(async () => {
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+    server = await MockServer.start();
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    server.requests = [];
+    chain = new MockChain();
+    server.route('POST /rpc', (req) => chain.handle(req));
+    uniswap = new UniswapAdapter({ privateKey: PRIVATE_KEY, chainId: 8453, rpcUrl: `${server.url}/rpc` });
+});
+
+const rpcCalls = (method) => server.requestsFor('POST /rpc').map(r => r.body).filter(b => b.method === method);
+
+test('approves the router, then sends a signed multicall on the best quoted route', async () => {
+    const fill = await uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100, price: 2500 });
+
+    const [approve, swap] = chain.sent;
+    assert.equal(chain.sent.length, 2);
+    assert.ok(same(approve.from, WALLET) && same(swap.from, WALLET), 'signed by the wallet');
+    assert.equal(swap.chainId, 8453);
+
+    const { functionName, args: [spender, value] } = decodeFunctionData({ abi: erc20Abi, data: approve.data });
+    assert.ok(same(approve.to, USDC.address));
+    assert.equal(functionName, 'approve');
+    assert.ok(same(spender, BASE.router));
+    assert.equal(value, 100_000000n);
+
+    const { functionName: outer, args: [deadline, [call]] } = decodeFunctionData({ abi: ROUTER_ABI, data: swap.data });
+    const { functionName: inner, args: [params] } = decodeFunctionData({ abi: ROUTER_ABI, data: call });
+    assert.ok(same(swap.to, BASE.router));
+    assert.equal(outer, 'multicall');
+    assert.ok(Number(deadline) > Date.now() / 1000);
+    assert.equal(inner, 'exactInputSingle');
+    assert.equal(params.fee, 500);
+    assert.ok(same(params.recipient, WALLET));
+    assert.equal(params.amountIn, 100_000000n);
+    assert.equal(params.amountOutMinimum, 40_000000000000000n * 9950n / 10000n);
+
+    // Settled from the receipt's transfers, not the quote
+    assert.equal(fill.quantity, 0.0396);
+    assert.equal(fill.avgPrice, 100 / 0.0396);
+    assert.equal(fill.orderId, swap.hash);
+});
+
+test('skips the approval when the allowance covers the swap', async () => {
+    chain.allowance = 2n ** 255n;
+
+    await uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 });
+
+    assert.equal(chain.sent.length, 1);
+    assert.ok(same(chain.sent[0].to, BASE.router));
+});
+
+test('quotes every fee tier and sends the best one', async () => {
+    chain.quotes = { 500: 40_000000000000000n, 3000: 41_000000000000000n };
+
+    await uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 });
+
+    // USDC → WETH is direct only: one quote per fee tier
+    assert.equal(rpcCalls('eth_call').filter(c => same(c.params[0].to, BASE.quoter)).length, 4);
+    const { args: [, [call]] } = decodeFunctionData({ abi: ROUTER_ABI, data: chain.sent.at(-1).data });
+    assert.equal(decodeFunctionData({ abi: ROUTER_ABI, data: call }).args[0].fee, 3000);
+});
+
+test('rejects what a spot venue cannot do', async () => {
+    await assert.rejects(uniswap.placeOrder({ symbol: 'WETH', side: 'buy', quantity: 1, type: 'limit', price: 2500 }), UnsupportedOperationError);
+    await assert.rejects(uniswap.executeTrade({ symbol: 'WETH', side: 'sell', amount: 100 }), UnsupportedOperationError);
+    await assert.rejects(uniswap.setLeverage('WETH', 3), UnsupportedOperationError);
+    assert.equal(server.requests.length, 0);
+});
+
+test('maps routing, balance, revert and gas-estimation errors to typed errors', async () => {
+    chain.quotes = {};
+    await assert.rejects(uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 }), /No Uniswap V3 route/);
+
+    chain.quotes = { 500: 40_000000000000000n };
+    chain.balances[USDC.address] = 10_000000n;
+    await assert.rejects(uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 }), InsufficientBalanceError);
+    assert.equal(chain.sent.length, 0, 'nothing is sent without the balance');
+
+    chain.balances[USDC.address] = 1000_000000n;
+    chain.allowance = 2n ** 255n;
+    chain.errors.eth_estimateGas = { code: 3, message: 'execution reverted: Too little received', data: '0x' };
+    await assert.rejects(
+        uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 }),
+        (err) => err instanceof ExchangeApiError && /Slippage limit of 50 bps exceeded/.test(err.message)
+    );
+
+    chain.errors.eth_estimateGas = { code: 3, message: 'execution reverted: STF', data: '0x' };
+    await assert.rejects(uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 }), InsufficientBalanceError);
+
+    delete chain.errors.eth_estimateGas;
+    chain.revert = true;
+    await assert.rejects(uniswap.executeTrade({ symbol: 'WETH', side: 'buy', amount: 100 }), /reverted/);
+});
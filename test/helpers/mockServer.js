@@ -0,0 +1,136 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+/**
+ * MockServer — Local HTTP + WebSocket venue for adapter tests.
+ *
+ * Routes are 'METHOD /path' → handler(req) returning { status?, body } (or a body).
+ * Every request is recorded with its parsed query, headers and raw body, so tests can
+ * check signing and payloads. WebSocket clients connect on the same port.
+ *
+ * @example
+ *   const server = await MockServer.start({
+ *       'GET /time': () => ({ serverTime: Date.now() }),
+ *       'POST /order': (req) => ({ status: 400, body: { code: -2019, msg: 'Margin is insufficient.' } })
+ *   });
+ *   server.onSocket((socket, req) => socket.send('{}'));
+ *   await server.close();
+ */
+export class MockServer {
+    /**
+     * @param {Object<string, function>} [routes]
+     * @returns {Promise<MockServer>}
+     */
+    static async start(routes = {}) {
+        const server = new MockServer(routes);
+        await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+        return server;
+    }
+
+    constructor(routes) {
+        this.routes = { ...routes };
+        this.requests = [];
+        this.sockets = new Set();
+        this._socketHandler = null;
+
+        this.http = http.createServer((req, res) => this._handle(req, res));
+        this.wss = new WebSocketServer({ server: this.http });
+        this.wss.on('connection', (socket, req) => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+            this._socketHandler?.(socket, req);
+        });
+    }
+
+    get url() {
+        return `http://127.0.0.1:${this.http.address().port}`;
+    }
+
+    get wsUrl() {
+        return `ws://127.0.0.1:${this.http.address().port}`;
+    }
+
+    /**
+     * Add or replace a route.
+     * @param {string} route - 'METHOD /path'
+     * @param {function} handler
+     */
+    route(route, handler) {
+        this.routes[route] = handler;
+    }
+
+    /**
+     * @param {function} handler - (socket, req) for each WebSocket connection
+     */
+    onSocket(handler) {
+        this._socketHandler = handler;
+    }
+
+    /**
+     * Send a message to every connected socket.
+     * @param {object|string} message
+     */
+    broadcast(message) {
+        const data = typeof message === 'string' ? message : JSON.stringify(message);
+        for (const socket of this.sockets) socket.send(data);
+    }
+
+    /**
+     * Recorded requests for a route ('METHOD /path').
+     * @param {string} route
+     * @returns {Array}
+     */
+    requestsFor(route) {
+        return this.requests.filter(r => `${r.method} ${r.path}` === route);
+    }
+
+    async close() {
+        for (const socket of this.sockets) socket.terminate();
+        await new Promise(resolve => this.wss.close(resolve));
+        this.http.closeAllConnections?.();
+        await new Promise(resolve => this.http.close(resolve));
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const rawBody = Buffer.concat(chunks).toString();
+
+        let json = null;
+        try {
+            json = rawBody ? JSON.parse(rawBody) : null;
+        } catch {
+            // Form or text bodies stay raw
+        }
+
+        const request = {
+            method: req.method,
+            path: url.pathname,
+            rawQuery: url.search.slice(1),
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            rawBody,
+            body: json
+        };
+        this.requests.push(request);
+
+        const handler = this.routes[`${req.method} ${url.pathname}`] || this.routes[`* ${url.pathname}`];
+        if (!handler) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `No mock route for ${req.method} ${url.pathname}` }));
+            return;
+        }
+
+        let result;
+        try {
+            result = await handler(request);
+        } catch (error) {
+            result = { status: 500, body: { error: error.message } };
+        }
+        const reply = result && typeof result === 'object' && 'body' in result ? result : { body: result };
+
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+        res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? {}));
+    }
+}
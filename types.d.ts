@@ -33,8 +33,30 @@ export interface PositionEvent {
     size: number;
     leverage: number;
     exchange: string;
+    quantity: number | null;
     stopLoss: number | null;
     takeProfit: number | null;
+    trailingStop?: TrailingStop | null;
+    takeProfits?: TakeProfitTarget[];
+    breakevenAfterFirstTarget?: boolean;
+    /** Margin already closed in partial slices */
+    closedSize?: number;
+    /** PnL booked on partial slices (on close: the total, including the final slice) */
+    realizedPnl?: number;
+    /** Best price since entry (highest for longs, lowest for shorts) */
+    bestPrice?: number;
+    /** True once the trailing stop has set stopLoss */
+    trailingActive?: boolean;
+    /** Pending order that opened the position */
+    orderId?: string | null;
+    /** Reduce-only TP/SL orders resting on the exchange (native brackets) */
+    protection?: Protection | null;
+    /** Fees paid on what is still open (on close: including the closing fill when known) */
+    fees?: number;
+    /** Funding paid on what is still open (negative = received) */
+    funding?: number;
+    /** Price at which the venue liquidates the position (isolated margin: recomputed as it changes) */
+    liquidationPrice?: number | null;
     unrealizedPnl: number;
     openedAt: string;
     closedAt: string | null;
@@ -42,6 +64,64 @@ export interface PositionEvent {
     exitPrice?: number;
 }
 
+export interface ProtectiveOrder {
+    orderId: string;
+    /** Trigger price */
+    price: number;
+    quantity: number;
+}
+
+export interface Protection {
+    stopLoss: ProtectiveOrder | null;
+    takeProfit: ProtectiveOrder | null;
+}
+
+export interface TakeProfitTarget {
+    price: number;
+    /** Share of the entry size closed at this target */
+    fraction: number;
+    filled?: boolean;
+}
+
+export interface PositionSlice {
+    positionId: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    exchange: string;
+    entryPrice: number;
+    exitPrice: number | null;
+    leverage: number;
+    size: number;
+    quantity: number | null;
+    pnl: number;
+    /** The slice's share of entry fees and funding, plus the closing fill's fee */
+    fees: number;
+    funding: number;
+    reason: string;
+    remainingSize: number;
+    openedAt: string;
+    closedAt: string;
+}
+
+export interface PositionCostEvent {
+    positionId: string;
+    fee: number;
+    funding: number;
+}
+
+export type RiskBreakerName = 'daily_loss' | 'consecutive_losses' | 'drawdown';
+
+export interface RiskBreakerEvent {
+    breaker: RiskBreakerName;
+    action: 'tripped' | 'cleared';
+    reason: string;
+    /** Epoch ms */
+    trippedAt: number;
+    /** Epoch ms when the cool-down ends */
+    until: number;
+    equity?: number | null;
+}
+
 export interface AgentShutdownEvent {
     reason: string;
     balance: number;
@@ -55,11 +135,24 @@ export interface AgentErrorEvent {
 interface AgentEventMap {
     'price:update': (data: PriceUpdateEvent) => void;
     'survival:change': (data: SurvivalChangeEvent) => void;
+    'risk:breaker': (data: RiskBreakerEvent) => void;
     'position:opened': (data: PositionEvent) => void;
     'position:closed': (data: PositionEvent) => void;
+    'position:reduced': (data: PositionSlice) => void;
+    'position:updated': (data: PositionEvent) => void;
+    'position:drift': (data: PositionDrift) => void;
+    'position:liquidation_warning': (data: PositionEvent & { price: number; distancePercent: number }) => void;
+    'position:cost': (data: PositionCostEvent) => void;
+    'order:placed': (data: PendingOrder) => void;
+    'order:triggered': (data: PendingOrder) => void;
+    'order:cancelled': (data: PendingOrder) => void;
     'agent:shutdown': (data: AgentShutdownEvent) => void;
     'agent:error': (data: AgentErrorEvent) => void;
     'signal:new': (data: any) => void;
+    'exchange:fill': (data: ExchangeFill) => void;
+    'paper:fill': (data: PaperOrder) => void;
+    'paper:funding': (data: { symbol: string; side: 'buy' | 'sell'; rate: number; payment: number }) => void;
+    'paper:liquidation': (data: PaperPosition & { price: number; loss: number }) => void;
 }
 
 export class AgentEventBus extends EventEmitter {
@@ -116,7 +209,7 @@ export class SurvivalManager {
 // ═══════════════════════════════════════
 
 export type LLMProvider = 'ollama' | 'openai' | 'anthropic';
-export type TradeAction = 'BUY' | 'SELL' | 'CLOSE' | 'HOLD';
+export type TradeAction = 'BUY' | 'SELL' | 'CLOSE' | 'REDUCE' | 'HOLD';
 export type Urgency = 'LOW' | 'MEDIUM' | 'HIGH';
 
 export interface LLMClientConfig {
@@ -126,6 +219,31 @@ export interface LLMClientConfig {
     apiKey?: string;
     timeout?: number;
     maxRetries?: number;
+    embeddingModel?: string;
+    cassette?: LLMCassette | LLMCassetteConfig;
+}
+
+export type CassetteMode = 'record' | 'replay' | 'off';
+
+export interface LLMCassetteConfig {
+    path: string;
+    mode?: CassetteMode;
+}
+
+export class LLMCassette {
+    path: string;
+    mode: CassetteMode;
+    readonly enabled: boolean;
+    stats: { hits: number; misses: number; recorded: number };
+
+    constructor(config: LLMCassetteConfig);
+    keyFor(messages: ChatMessage[], options?: ChatOptions): string;
+    lookup(messages: ChatMessage[], options?: ChatOptions): string | null;
+    record(messages: ChatMessage[], options: ChatOptions, response: string, meta?: { provider?: string; model?: string }): void;
+}
+
+export class CassetteMissError extends Error {
+    key: string;
 }
 
 export interface ChatMessage {
@@ -138,6 +256,8 @@ export interface ChatOptions {
     maxTokens?: number;
 }
 
+export type EntryOrderType = 'MARKET' | 'LIMIT' | 'STOP' | 'STOP_LIMIT';
+
 export interface TradeDecision {
     action: TradeAction;
     symbol: string | null;
@@ -145,6 +265,14 @@ export interface TradeDecision {
     reasoning: string;
     leverage: number;
     urgency: Urgency;
+    orderType?: EntryOrderType;
+    /** Limit price for LIMIT / STOP_LIMIT entries */
+    entryPrice?: number | null;
+    /** Stop price for STOP / STOP_LIMIT entries */
+    triggerPrice?: number | null;
+    trailingStop?: TrailingStop | null;
+    /** REDUCE: share of the open position to close (0-1) */
+    fraction?: number;
     debate?: {
         technician: string;
         sentinel: string;
@@ -156,9 +284,12 @@ export interface DecisionContext {
     marketData?: Record<string, MarketSnapshot>;
     signals?: any[];
     positions?: PositionEvent[];
+    orders?: PendingOrder[];
     survivalState?: SurvivalState;
     balance?: number;
     pnl?: number;
+    /** Shown to the Guardian persona */
+    risk?: (ValueAtRisk & { varLimit?: number | null }) | null;
 }
 
 export class LLMClient {
@@ -168,11 +299,14 @@ export class LLMClient {
     apiKey: string;
     timeout: number;
     maxRetries: number;
+    embeddingModel: string;
+    cassette: LLMCassette | null;
     TRADING_SYSTEM_PROMPT: string;
     PERSONA_PROMPTS: Record<string, string>;
 
     constructor(config?: LLMClientConfig);
     chat(messages: ChatMessage[], options?: ChatOptions): Promise<string>;
+    embed(texts: string[]): Promise<number[][]>;
     decide(context: DecisionContext): Promise<TradeDecision>;
     decideWithDebate(context: DecisionContext): Promise<TradeDecision>;
 }
@@ -217,7 +351,74 @@ export class MarketDataFeed {
 
 export interface PositionManagerConfig {
     dataDir?: string;
-    onClosePosition?: (position: PositionEvent) => Promise<void>;
+    /** May resolve to the closing fill; its price and fee are booked on the close */
+    onClosePosition?: (position: PositionEvent) => Promise<void | { avgPrice?: number; fee?: number }>;
+    /** Mode for exchanges without their own (default 'hedge') */
+    positionMode?: PositionMode;
+    positionModes?: Record<string, PositionMode>;
+    /** Execute a triggered pending order; rejecting cancels the order with reason 'execution_failed' */
+    onExecuteOrder?: (order: PendingOrder, price: number) => Promise<{ avgPrice?: number; quantity?: number; protection?: Protection } | null>;
+    /** A position's stop-loss, take-profit or size changed (keeps exchange-side brackets in line) */
+    onLevelsChanged?: (position: PositionEvent) => Promise<unknown>;
+    /** Recomputes isolated-margin liquidation prices (the orchestrator passes riskManager.marginModel) */
+    marginModel?: MarginModel;
+    /** Distance to liquidation, % of price, that emits 'position:liquidation_warning' (default 2) */
+    liquidationWarningPercent?: number;
+    /** Time source for ids and timestamps, epoch ms (default Date.now) */
+    clock?: () => number;
+}
+
+/** one_way: one netted position per symbol (fills scale in at VWAP, or reduce / flip); hedge: independent positions */
+export type PositionMode = 'one_way' | 'hedge';
+
+/** Trail the stop-loss a percentage or an ATR multiple behind the best price since entry */
+export type TrailingStop = { percent: number } | { atrMultiple: number; atr?: number | null };
+
+export type PendingOrderType = 'limit' | 'stop_market' | 'stop_limit';
+
+export interface PlaceOrderParams {
+    symbol: string;
+    side: 'buy' | 'sell';
+    type: PendingOrderType;
+    /** Limit price (limit, stop_limit) */
+    price?: number;
+    /** Trigger price (stop_market, stop_limit) */
+    stopPrice?: number;
+    size: number;
+    leverage?: number;
+    exchange?: string;
+    stopLoss?: number;
+    takeProfit?: number;
+    takeProfits?: TakeProfitTarget[];
+    breakevenAfterFirstTarget?: boolean;
+    trailingStop?: TrailingStop;
+    liquidationPrice?: number | null;
+}
+
+export interface PendingOrder {
+    id: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    type: PendingOrderType;
+    price: number | null;
+    stopPrice: number | null;
+    size: number;
+    leverage: number;
+    exchange: string;
+    stopLoss: number | null;
+    takeProfit: number | null;
+    takeProfits: TakeProfitTarget[];
+    breakevenAfterFirstTarget: boolean;
+    trailingStop: TrailingStop | null;
+    liquidationPrice: number | null;
+    status: 'pending' | 'triggered' | 'cancelled';
+    /** A stop_limit whose stop was reached and now rests as a limit */
+    stopTriggered: boolean;
+    createdAt: string;
+    triggeredAt: string | null;
+    triggerPrice: number | null;
+    cancelledAt: string | null;
+    cancelReason: string | null;
 }
 
 export interface OpenPositionParams {
@@ -229,21 +430,144 @@ export interface OpenPositionParams {
     exchange?: string;
     stopLoss?: number;
     takeProfit?: number;
+    takeProfits?: TakeProfitTarget[];
+    breakevenAfterFirstTarget?: boolean;
+    trailingStop?: TrailingStop;
+    orderId?: string;
+    protection?: Protection | null;
+    /** Fee paid on the entry fill */
+    fee?: number;
+    liquidationPrice?: number | null;
 }
 
-export type CloseReason = 'manual' | 'stop_loss' | 'take_profit' | 'survival' | 'shutdown' | 'llm_decision';
+export type CloseReason = 'manual' | 'stop_loss' | 'trailing_stop' | 'netted' | 'take_profit' | 'survival' | 'shutdown' | 'llm_decision' | 'backtest_end' | 'liquidation' | 'reconciled';
+
+export interface Candle {
+    timestamp: number;
+    open: number;
+    high: number;
+    low: number;
+    close: number;
+    volume: number;
+}
 
 export class PositionManager {
+    positionMode: PositionMode;
     constructor(config?: PositionManagerConfig);
+    /** Stop listening to price updates */
+    detach(): void;
+    setPositionMode(exchange: string, mode: PositionMode): void;
+    getPositionMode(exchange: string): PositionMode;
     open(params: OpenPositionParams): PositionEvent;
-    close(positionId: string, reason?: CloseReason, exitPrice?: number): PositionEvent | null;
+    close(positionId: string, reason?: CloseReason, exitPrice?: number, fee?: number): PositionEvent | null;
     closeAll(reason?: CloseReason): Promise<(PositionEvent | null)[]>;
     getOpen(): PositionEvent[];
     getBySymbol(symbol: string): PositionEvent[];
     getTotalPnL(): number;
     getTotalExposure(): number;
     getCount(): number;
-    updateLevels(positionId: string, levels: { stopLoss?: number; takeProfit?: number }): void;
+    closePartial(positionId: string, portion: { fraction?: number; size?: number }, reason?: CloseReason, exitPrice?: number, fee?: number): PositionSlice | PositionEvent | null;
+    reduce(positionId: string, portion: { fraction?: number; size?: number }, reason?: CloseReason, exitPrice?: number): Promise<PositionSlice | PositionEvent | null>;
+    updateLevels(positionId: string, levels: { stopLoss?: number; takeProfit?: number; takeProfits?: TakeProfitTarget[] }): void;
+    syncPosition(positionId: string, update: { entryPrice?: number; quantity?: number }): PositionEvent | null;
+    setProtection(positionId: string, protection: Protection | null): PositionEvent | null;
+    /** Charge fees / funding; for a position no longer open, emits 'position:cost' */
+    addCosts(positionId: string, costs: { fee?: number; funding?: number }): void;
+    checkCandle(candle: Candle & { symbol: string; atr?: number }): PositionEvent[];
+    setTrailingStop(positionId: string, trailingStop: TrailingStop | null): PositionEvent | null;
+    placeOrder(params: PlaceOrderParams): PendingOrder;
+    cancelOrder(orderId: string, reason?: string): PendingOrder | null;
+    cancelOrders(symbol?: string | null, reason?: string): PendingOrder[];
+    getOrders(symbol?: string | null): PendingOrder[];
+}
+
+// ═══════════════════════════════════════
+//  TradeLedger
+// ═══════════════════════════════════════
+
+export interface LedgerTrade {
+    type: 'trade';
+    positionId: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    exchange: string;
+    entryPrice: number;
+    exitPrice: number | null;
+    size: number;
+    quantity: number | null;
+    leverage: number;
+    grossPnl: number;
+    fees: number;
+    funding: number;
+    /** grossPnl − fees − funding */
+    realizedPnl: number;
+    reason: string | null;
+    /** A partial close (position:reduced slice) */
+    partial: boolean;
+    openedAt: string | null;
+    closedAt: string;
+}
+
+export interface TradeLedgerConfig {
+    dataDir?: string;
+    initialBalance?: number;
+    clock?: () => number;
+}
+
+export class TradeLedger {
+    dataDir: string;
+    ledgerFile: string;
+    initialBalance: number;
+    trades: LedgerTrade[];
+    constructor(config?: TradeLedgerConfig);
+    detach(): void;
+    recordClose(position: PositionEvent): LedgerTrade;
+    recordSlice(slice: PositionSlice): LedgerTrade;
+    recordCost(cost: PositionCostEvent): void;
+    getTrades(filter?: { symbol?: string; exchange?: string; limit?: number }): LedgerTrade[];
+    getRealizedPnl(): number;
+    getPositionPnl(positionId: string): number;
+    getBalance(): number;
+    getEquity(openPositions?: PositionEvent[]): number;
+    getSummary(): { trades: number; wins: number; losses: number; grossPnl: number; fees: number; funding: number; realizedPnl: number; balance: number };
+}
+
+// ═══════════════════════════════════════
+//  PositionReconciler
+// ═══════════════════════════════════════
+
+/** alert: report only; adopt: trust the venue; close: trust the agent's book */
+export type ReconcilePolicy = 'alert' | 'adopt' | 'close';
+
+export interface PositionDrift {
+    exchange: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    /** orphaned: only on the venue; missing: only in the book; size_mismatch: quantities differ */
+    kind: 'orphaned' | 'missing' | 'size_mismatch';
+    localQuantity: number;
+    remoteQuantity: number;
+    policy: ReconcilePolicy;
+    action: 'none' | 'alerted' | 'adopted' | 'synced' | 'closed_locally' | 'closed_remotely' | 'trimmed' | 'failed';
+    error?: string;
+}
+
+export interface PositionReconcilerConfig {
+    positionManager: PositionManager;
+    fetchPositions: (exchange: string) => Promise<ExchangePosition[] | null>;
+    closeOnExchange?: (position: PositionEvent) => Promise<unknown>;
+    getPrice?: (symbol: string) => number | null;
+    policy?: ReconcilePolicy;
+    /** Relative quantity difference still treated as a match (default 0.01) */
+    sizeTolerance?: number;
+}
+
+export class PositionReconciler {
+    positionManager: PositionManager;
+    policy: ReconcilePolicy;
+    sizeTolerance: number;
+    constructor(config: PositionReconcilerConfig);
+    reconcile(exchanges: string[]): Promise<PositionDrift[]>;
 }
 
 // ═══════════════════════════════════════
@@ -257,6 +581,34 @@ export interface RiskManagerConfig {
     defaultRiskPercent?: number;
     maxLeverage?: number;
     minConfidence?: number;
+    /** Smallest notional in USD an exposure limit may cap a stop-sized trade to (default 5) */
+    minNotional?: number;
+    /** Smallest share of the risk budget a capped stop-sized trade must still risk (default 0.25) */
+    minRiskFraction?: number;
+    takeProfitLadder?: Array<{ r: number; fraction: number }>;
+    breakevenAfterFirstTarget?: boolean;
+    maxClusterExposurePercent?: number;
+    maxPortfolioBeta?: number;
+    correlationThreshold?: number;
+    minCorrelationSamples?: number;
+    betaBenchmark?: string;
+    maxVarPercent?: number;
+    varConfidence?: number;
+    minVarSamples?: number;
+    varBootstrapRuns?: number;
+    maxDailyLossPercent?: number;
+    maxConsecutiveLosses?: number;
+    maxDrawdownPercent?: number;
+    /** Minutes per breaker; daily_loss defaults to the rest of the UTC day */
+    breakerCooldownMinutes?: Partial<Record<RiskBreakerName, number | null>>;
+    /** Min distance between stop-loss and liquidation, % of entry (default 1) */
+    liquidationBufferPercent?: number;
+    marginModel?: MarginModel;
+    marginMode?: MarginMode;
+    marginModes?: Record<string, MarginMode>;
+    maintenanceMarginTiers?: MaintenanceMarginTiers;
+    dataDir?: string;
+    clock?: () => number;
 }
 
 export interface Portfolio {
@@ -264,13 +616,38 @@ export interface Portfolio {
     totalExposure: number;
     positionCount: number;
     positions?: PositionEvent[];
+    /** MarketDataFeed.priceHistory; enables the cluster and beta checks */
+    priceHistory?: Record<string, Array<{ price: number; timestamp: number }>>;
 }
 
 export interface RiskResult {
     allowed: boolean;
     reason: string;
     adjustedLeverage: number;
+    /** Margin in USD */
     adjustedSize: number;
+    /** Set when the signal carried entryPrice and stopLoss: the size follows from the stop distance */
+    stopLoss?: number;
+    stopDistancePercent?: number;
+    /** What the trade loses at the stop (the risk budget, or less when an exposure limit capped the size) */
+    riskAmount?: number;
+    /** Where the trade is liquidated at adjustedLeverage (set with a stop; null when it can't be) */
+    liquidationPrice?: number | null;
+    /** 1-day VaR / expected shortfall of the book including the trade (set when priceHistory was passed) */
+    valueAtRisk?: number;
+    expectedShortfall?: number;
+}
+
+export interface ValueAtRisk {
+    /** 1-day losses in USD */
+    valueAtRisk: number;
+    expectedShortfall: number;
+    confidence: number;
+    scenarios: number;
+    /** Scenarios were resampled because the history was short */
+    bootstrapped: boolean;
+    /** Book symbols without price history, left out */
+    uncovered: string[];
 }
 
 export interface EffectiveLimits {
@@ -288,13 +665,86 @@ export class RiskManager {
     defaultRiskPercent: number;
     maxLeverage: number;
     minConfidence: number;
+    minNotional: number;
+    minRiskFraction: number;
+    takeProfitLadder: Array<{ r: number; fraction: number }>;
+    breakevenAfterFirstTarget: boolean;
+    maxClusterExposurePercent: number;
+    maxPortfolioBeta: number;
+    correlationThreshold: number;
+    minCorrelationSamples: number;
+    betaBenchmark: string;
+    maxVarPercent: number;
+    varConfidence: number;
+    minVarSamples: number;
+    varBootstrapRuns: number;
+    maxDailyLossPercent: number;
+    maxConsecutiveLosses: number;
+    maxDrawdownPercent: number;
+    breakerCooldownMinutes: Record<RiskBreakerName, number | null>;
+    breakers: Partial<Record<RiskBreakerName, { reason: string; trippedAt: number; until: number }>>;
+    peakEquity: number | null;
+    lossStreak: number;
+    liquidationBufferPercent: number;
+    marginModel: MarginModel;
 
     constructor(config?: RiskManagerConfig);
-    canOpenPosition(signal: TradeDecision, portfolio: Portfolio, survivalState?: SurvivalState): RiskResult;
+    canOpenPosition(signal: TradeDecision & { stopLoss?: number | null; exchange?: string }, portfolio: Portfolio, survivalState?: SurvivalState): RiskResult;
     calculatePositionSize(balance: number, riskPercent?: number, stopDistancePercent?: number | null): number;
     getStopLoss(entryPrice: number, side: 'buy' | 'sell', atr?: number, multiplier?: number): number;
     getTakeProfit(entryPrice: number, side: 'buy' | 'sell', stopLoss: number, riskRewardRatio?: number): number;
+    getTakeProfitLadder(entryPrice: number, side: 'buy' | 'sell', stopLoss: number, ladder?: Array<{ r: number; fraction: number }>): Array<TakeProfitTarget & { r: number }>;
     getEffectiveLimits(survivalState?: SurvivalState): EffectiveLimits;
+    getCorrelation(symbolA: string, symbolB: string, priceHistory: Portfolio['priceHistory']): number | null;
+    getBeta(symbol: string, priceHistory: Portfolio['priceHistory']): number | null;
+    getClusters(priceHistory: Portfolio['priceHistory'], symbols?: string[]): string[][];
+    getValueAtRisk(positions: Array<{ symbol: string; side: 'buy' | 'sell'; size: number; leverage: number }>, priceHistory: Portfolio['priceHistory']): ValueAtRisk | null;
+    updateEquity(equity: number): void;
+    recordTrade(pnl: number): void;
+    getActiveBreaker(): { name: RiskBreakerName; reason: string; trippedAt: number; until: number } | null;
+    getLiquidationPrice(trade: { symbol: string; side: 'buy' | 'sell'; entryPrice: number; notional: number; leverage: number; exchange?: string }, portfolio?: Pick<Portfolio, 'balance' | 'positions'> | null): number | null;
+}
+
+// ═══════════════════════════════════════
+//  MarginModel
+// ═══════════════════════════════════════
+
+export type MarginMode = 'isolated' | 'cross';
+
+/** Exchange → symbol (or 'default') → tiers by position notional in USD */
+export type MaintenanceMarginTiers = Record<string, Record<string, Array<{ maxNotional: number; rate: number }>>>;
+
+export const MAINTENANCE_MARGIN_TIERS: MaintenanceMarginTiers;
+
+export interface MarginModelConfig {
+    /** Per-exchange overrides of MAINTENANCE_MARGIN_TIERS */
+    tiers?: MaintenanceMarginTiers;
+    /** Mode for exchanges without their own (default MARGIN_MODE env, else 'isolated') */
+    marginMode?: MarginMode;
+    /** Default { hyperliquid: 'cross' } */
+    marginModes?: Record<string, MarginMode>;
+}
+
+export class MarginModel {
+    tiers: MaintenanceMarginTiers;
+    marginMode: MarginMode;
+    marginModes: Record<string, MarginMode>;
+
+    constructor(config?: MarginModelConfig);
+    getMarginMode(exchange: string): MarginMode;
+    getTier(exchange: string, symbol: string, notional: number): { rate: number; deduction: number; maxNotional: number };
+    getMaintenanceMargin(exchange: string, symbol: string, notional: number): number;
+    liquidationPrice(params: {
+        exchange: string;
+        symbol: string;
+        side: 'buy' | 'sell';
+        entryPrice: number;
+        notional: number;
+        leverage: number;
+        marginMode?: MarginMode | null;
+        /** Cross margin: account balance available to the position */
+        collateral?: number | null;
+    }): number | null;
 }
 
 // ═══════════════════════════════════════
@@ -305,6 +755,7 @@ export class WalletManager {
     constructor(chainName?: 'base' | 'polygon');
     getAddress(): string | null;
     signMessage(message: string): Promise<string>;
+    signTypedData(typedData: { domain: Record<string, any>; types: Record<string, Array<{ name: string; type: string }>>; primaryType: string; message: Record<string, any> }): Promise<string>;
     sendPayment(to: string, value: bigint, data?: string): Promise<string>;
 }
 
@@ -327,6 +778,21 @@ export interface TradeExecution {
     side: 'buy' | 'sell';
     amount: number;
     leverage: number;
+    price: number;
+    stopLoss?: number | null;
+    takeProfit?: number | null;
+    /** Protect the fill with reduce-only stopLoss / takeProfit orders on the venue */
+    brackets?: boolean;
+}
+
+/** Optional fill report returned by an executeTrade handler. */
+export interface TradeFill {
+    orderId?: string;
+    avgPrice: number;
+    quantity?: number;
+    fee?: number;
+    /** Protective orders placed with the fill (when trade.brackets was set) */
+    protection?: Protection;
 }
 
 export interface AgentOrchestratorConfig {
@@ -336,10 +802,24 @@ export interface AgentOrchestratorConfig {
     dataDir?: string;
     alphaDbPath?: string;
     llmConfig?: LLMClientConfig;
+    llm?: Pick<LLMClient, 'decideWithDebate'>;
     riskConfig?: RiskManagerConfig;
+    clock?: () => number;
     x402Client?: X402Client | null;
-    executeTrade?: (trade: TradeExecution) => Promise<void>;
-    executeClose?: (position: PositionEvent) => Promise<void>;
+    executeTrade?: (trade: TradeExecution) => Promise<void | TradeFill>;
+    executeClose?: (position: PositionEvent) => Promise<unknown>;
+    exchanges?: Record<string, ExchangeAdapter | Record<string, any>>;
+    exchange?: ExchangeName | string | null;
+    routes?: Record<string, string>;
+    paperTrading?: boolean | PaperExchangeConfig;
+    /** Rest reduce-only TP/SL orders on the venue for each position (default: NATIVE_BRACKETS env) */
+    nativeBrackets?: boolean;
+    /** The venue's open positions for reconciliation (default: the adapter's getPositions()) */
+    fetchPositions?: (exchange: string) => Promise<ExchangePosition[] | null>;
+    /** Default: RECONCILE_POLICY env, else 'alert' */
+    reconcilePolicy?: ReconcilePolicy;
+    /** Reconcile every N cycles besides on start; 0 = start only (default: RECONCILE_EVERY_CYCLES env, else 10) */
+    reconcileEveryCycles?: number;
 }
 
 export class AgentOrchestrator {
@@ -349,10 +829,347 @@ export class AgentOrchestrator {
     positionManager: PositionManager;
     riskManager: RiskManager;
     survival: SurvivalManager;
+    reconciler: PositionReconciler;
+    ledger: TradeLedger;
+    paperExchange: PaperExchange | null;
+    exchanges: Map<string, ExchangeAdapter>;
+    routes: Record<string, string>;
+    defaultExchange: string | null;
 
     constructor(config: AgentOrchestratorConfig);
+    registerExchange(adapter: ExchangeAdapter): void;
     start(): Promise<void>;
     stop(): Promise<void>;
+    /** Remove the agent's, its PositionManager's and its TradeLedger's event-bus listeners */
+    detach(): void;
+}
+
+// ═══════════════════════════════════════
+//  Exchange Adapters
+// ═══════════════════════════════════════
+
+export type ExchangeName = 'paper' | 'sidex' | 'binance' | 'bybit' | 'hyperliquid' | 'solana_jupiter' | 'uniswap';
+
+type MaybePromise<T> = T | Promise<T>;
+
+export interface ExchangeOrderParams {
+    symbol: string;
+    side: 'buy' | 'sell';
+    quantity?: number;
+    type?: 'market' | 'limit' | 'stop_market' | 'stop_limit' | 'take_profit_market' | 'take_profit_limit' | string;
+    price?: number;
+    stopPrice?: number;
+    timeInForce?: string;
+    reduceOnly?: boolean;
+    leverage?: number;
+    /** Binance hedge mode */
+    positionSide?: 'LONG' | 'SHORT';
+}
+
+export interface ExchangeOrder {
+    id: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    type: string;
+    price: number | null;
+    quantity: number | null;
+    filledQuantity: number | null;
+    avgPrice: number | null;
+    fee: number;
+    status: 'open' | 'filled' | 'cancelled' | 'rejected' | string;
+    stopPrice?: number | null;
+    reduceOnly?: boolean;
+    raw?: any;
+}
+
+export interface ExchangePosition {
+    symbol: string;
+    side: 'buy' | 'sell';
+    quantity: number;
+    entryPrice: number | null;
+    leverage: number;
+    unrealizedPnl?: number;
+    liquidationPrice?: number | null;
+}
+
+export interface ExchangeBalance {
+    balance: number;
+    equity: number;
+    available: number;
+    [key: string]: any;
+}
+
+export interface ExchangeFill {
+    exchange: string;
+    orderId: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    quantity: number;
+    price: number;
+    fee: number;
+    /** Asset the commission was paid in, when the venue reports it (e.g. 'BNB') */
+    feeAsset?: string | null;
+    reduceOnly?: boolean;
+    timestamp: number;
+}
+
+export interface ExchangeFunding {
+    exchange: string;
+    symbol: string;
+    /** null when the venue reports funding per symbol only */
+    side: 'buy' | 'sell' | null;
+    /** USD; positive when paid, negative when received */
+    payment: number;
+    rate: number | null;
+    timestamp: number;
+}
+
+export class ExchangeApiError extends Error {
+    exchange: string;
+    code: number | string | null;
+    status: number | null;
+    constructor(exchange: string, message: string, details?: { code?: number | string; status?: number });
+}
+
+export class InsufficientBalanceError extends ExchangeApiError {}
+export class ReduceOnlyViolationError extends ExchangeApiError {}
+export class OrderNotFoundError extends ExchangeApiError {}
+export class RateLimitError extends ExchangeApiError {}
+
+export class UnsupportedOperationError extends Error {
+    exchange: string;
+    operation: string;
+    constructor(exchange: string, operation: string);
+}
+
+export class ExchangeAdapter {
+    name: string;
+    /** How the venue books positions; PositionManager nets the adapter's positions to match */
+    positionMode: PositionMode;
+    /** Order results carry no commission; the agent books it from the fill stream */
+    feesOnFills: boolean;
+
+    constructor(config?: { name?: string; positionMode?: PositionMode; feesOnFills?: boolean });
+    placeOrder(params: ExchangeOrderParams): MaybePromise<ExchangeOrder>;
+    cancelOrder(orderId: string, symbol?: string): MaybePromise<boolean>;
+    amendOrder(orderId: string, symbol: string, changes: { quantity?: number; price?: number; stopPrice?: number }): Promise<ExchangeOrder | null>;
+    getPositions(symbol?: string): MaybePromise<ExchangePosition[]>;
+    getBalance(): MaybePromise<ExchangeBalance>;
+    getOpenOrders(symbol?: string): MaybePromise<ExchangeOrder[]>;
+    setLeverage(symbol: string, leverage: number): MaybePromise<number>;
+    subscribeFills(handler: (fill: ExchangeFill) => void): () => void;
+    subscribeOrders(handler: (order: ExchangeOrder & { exchange: string }) => void): () => void;
+    subscribeFunding(handler: (funding: ExchangeFunding) => void): () => void;
+    /** Whether an agent position's symbol is the venue's symbol in a fill or funding payment */
+    matchesSymbol(positionSymbol: string, venueSymbol: string): boolean;
+    closePosition(symbol: string, side?: 'buy' | 'sell' | null): Promise<ExchangeOrder[]>;
+    connect(): Promise<void>;
+    disconnect(): MaybePromise<void>;
+    executeTrade(trade: TradeExecution): Promise<TradeFill>;
+    executeClose(position: PositionEvent): Promise<TradeFill | null>;
+    /** Place, amend (or cancel and re-place) and cancel legs so the venue matches the position's levels and size */
+    syncProtection(position: Pick<PositionEvent, 'symbol' | 'side' | 'stopLoss' | 'takeProfit'> & Partial<PositionEvent>, current?: Partial<Protection>): Promise<Protection>;
+    cancelProtection(protection: Protection | null, symbol: string): Promise<void>;
+    /** The legs of `protection` still resting on the venue */
+    liveProtection(protection: Protection | null, symbol: string): Promise<Protection>;
+}
+
+export interface SidexAdapterConfig {
+    token?: string;
+    gatewayUrl?: string;
+    timeoutMs?: number;
+    heartbeatMs?: number;
+    positionManager?: PositionManager;
+}
+
+export class SidexAdapter extends ExchangeAdapter {
+    positionManager: PositionManager | null;
+    constructor(config?: SidexAdapterConfig);
+}
+
+export interface BinanceAdapterConfig {
+    apiKey?: string;
+    apiSecret?: string;
+    testnet?: boolean;
+    baseUrl?: string;
+    wsUrl?: string;
+    recvWindow?: number;
+    marginType?: 'ISOLATED' | 'CROSSED';
+    keepAliveMs?: number;
+    /** Max wait for the user-data stream to open (default 10000) */
+    connectTimeoutMs?: number;
+    positionMode?: PositionMode;
+    positionManager?: PositionManager;
+}
+
+export class BinanceAdapter extends ExchangeAdapter {
+    listenKey: string | null;
+    positionManager: PositionManager | null;
+    constructor(config?: BinanceAdapterConfig);
+    setMarginType(symbol: string, marginType: 'ISOLATED' | 'CROSSED'): Promise<string>;
+    setPositionMode(mode: PositionMode): Promise<PositionMode>;
+}
+
+export interface BybitAdapterConfig {
+    apiKey?: string;
+    apiSecret?: string;
+    testnet?: boolean;
+    baseUrl?: string;
+    wsUrl?: string;
+    recvWindow?: number;
+    pingIntervalMs?: number;
+    /** Max wait for the private stream's auth and subscribe acks (default 10000) */
+    connectTimeoutMs?: number;
+    positionManager?: PositionManager;
+}
+
+export class BybitAdapter extends ExchangeAdapter {
+    positionManager: PositionManager | null;
+    constructor(config?: BybitAdapterConfig);
+}
+
+export interface HyperliquidAdapterConfig {
+    privateKey?: string;
+    walletAddress?: string;
+    vaultAddress?: string;
+    testnet?: boolean;
+    apiUrl?: string;
+    wsUrl?: string;
+    slippage?: number;
+    isCross?: boolean;
+    positionManager?: PositionManager;
+    /** Max wait for the stream to open (default 10000) */
+    connectTimeoutMs?: number;
+}
+
+export class HyperliquidAdapter extends ExchangeAdapter {
+    walletAddress: string;
+    positionManager: PositionManager | null;
+    constructor(config?: HyperliquidAdapterConfig);
+}
+
+export interface JupiterAdapterConfig {
+    privateKey?: string;
+    apiUrl?: string;
+    tokensApiUrl?: string;
+    rpcUrl?: string;
+    slippageBps?: number;
+    priorityFeeLamports?: number | 'auto';
+    minSolReserve?: number;
+    confirmTimeoutMs?: number;
+    pollIntervalMs?: number;
+    tokens?: Record<string, { mint: string; decimals: number }>;
+}
+
+export class JupiterAdapter extends ExchangeAdapter {
+    walletAddress: string;
+    constructor(config?: JupiterAdapterConfig);
+}
+
+export interface UniswapAdapterConfig {
+    privateKey?: string;
+    chainId?: 1 | 42161 | 8453;
+    quoteToken?: string;
+    rpcUrl?: string;
+    slippageBps?: number;
+    deadlineSeconds?: number;
+    approveMax?: boolean;
+    tokens?: Record<string, { address: string; decimals: number }>;
+}
+
+export class UniswapAdapter extends ExchangeAdapter {
+    chainId: number;
+    constructor(config?: UniswapAdapterConfig);
+}
+
+export const EXCHANGE_ADAPTERS: Record<ExchangeName, typeof ExchangeAdapter>;
+export function createExchangeAdapter(name: ExchangeName | string, config?: Record<string, any>): ExchangeAdapter;
+
+// ═══════════════════════════════════════
+//  PaperExchange
+// ═══════════════════════════════════════
+
+export interface PaperExchangeConfig {
+    initialBalance?: number;
+    makerFee?: number;
+    takerFee?: number;
+    slippageBps?: number;
+    bookDepthUsd?: number;
+    fundingRate?: number;
+    fundingRates?: Record<string, number>;
+    fundingIntervalMs?: number;
+    maintenanceMarginRate?: number;
+    maxLeverage?: number;
+    positionManager?: PositionManager;
+    dataDir?: string;
+    clock?: () => number;
+}
+
+export interface PaperOrderParams {
+    symbol: string;
+    side: 'buy' | 'sell';
+    quantity: number;
+    type?: 'market' | 'limit';
+    price?: number;
+    leverage?: number;
+    reduceOnly?: boolean;
+}
+
+export interface PaperOrder {
+    id: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    type: 'market' | 'limit';
+    price: number | null;
+    quantity: number;
+    filledQuantity: number;
+    avgPrice: number;
+    fee: number;
+    leverage: number;
+    reduceOnly: boolean;
+    status: 'open' | 'filled' | 'cancelled' | 'rejected';
+    createdAt: number;
+    filledAt?: number;
+}
+
+export interface PaperPosition {
+    symbol: string;
+    side: 'buy' | 'sell';
+    quantity: number;
+    entryPrice: number;
+    leverage: number;
+    margin: number;
+    liquidationPrice: number;
+    openedAt: number;
+    markPrice?: number;
+    unrealizedPnl?: number;
+}
+
+export interface PaperBalance {
+    balance: number;
+    equity: number;
+    available: number;
+    usedMargin: number;
+    unrealizedPnl: number;
+    realizedPnl: number;
+    feesPaid: number;
+    fundingPaid: number;
+}
+
+export class PaperExchange extends ExchangeAdapter {
+    balance: number;
+    positionManager: PositionManager | null;
+
+    constructor(config?: PaperExchangeConfig);
+    detach(): void;
+    placeOrder(params: PaperOrderParams): PaperOrder;
+    cancelOrder(orderId: string): boolean;
+    getOpenOrders(symbol?: string): PaperOrder[];
+    getPositions(): PaperPosition[];
+    getBalance(): PaperBalance;
+    setLeverage(symbol: string, leverage: number): number;
+    executeTrade(trade: TradeExecution): Promise<TradeFill>;
+    executeClose(position: PositionEvent): Promise<TradeFill | null>;
 }
 
 // ═══════════════════════════════════════
@@ -462,6 +1279,87 @@ export class LiquidationIntelligence {
     getSnapshot(): Record<string, LiquidationContext>;
 }
 
+// ═══════════════════════════════════════
+//  Backtesting
+// ═══════════════════════════════════════
+
+export interface HistoricalDataLoaderConfig {
+    dataDir?: string;
+    files?: Record<string, string>;
+    symbols?: string[];
+    from?: number | string;
+    to?: number | string;
+}
+
+export class HistoricalDataLoader {
+    constructor(config?: HistoricalDataLoaderConfig);
+    load(): Record<string, Candle[]>;
+    parseFile(filePath: string): Candle[];
+    toTimeline(dataset: Record<string, Candle[]>): { timestamp: number; bars: (Candle & { symbol: string })[] }[];
+    detectInterval(dataset: Record<string, Candle[]>): number;
+}
+
+export interface BacktestConfig extends HistoricalDataLoaderConfig {
+    initialBalance: number;
+    baseIntervalMs?: number;
+    warmupBars?: number;
+    llm?: Pick<LLMClient, 'decideWithDebate'>;
+    llmConfig?: LLMClientConfig;
+    riskConfig?: RiskManagerConfig;
+    paperTrading?: boolean | PaperExchangeConfig;
+    /** Kept between runs; by default each run gets a temp dir that is removed afterwards */
+    workDir?: string;
+}
+
+export interface BacktestTrade {
+    id: string;
+    symbol: string;
+    side: 'buy' | 'sell';
+    entryPrice: number;
+    exitPrice: number | null;
+    size: number;
+    leverage: number;
+    pnl: number;
+    reason: CloseReason;
+    openedAt: number | null;
+    closedAt: number;
+}
+
+export interface BacktestMetrics {
+    initialBalance: number;
+    finalEquity: number;
+    totalReturn: number;
+    totalReturnPercent: number;
+    maxDrawdown: number;
+    maxDrawdownPercent: number;
+    sharpe: number | null;
+    sortino: number | null;
+    tradeCount: number;
+    winRate: number;
+    profitFactor: number | null;
+    averageWin: number;
+    averageLoss: number;
+    survivalTransitionCount: number;
+}
+
+export class BacktestReport {
+    initialBalance: number;
+    equityCurve: { timestamp: number; equity: number }[];
+    trades: BacktestTrade[];
+    survivalTransitions: (SurvivalChangeEvent & { timestamp: number })[];
+    metrics: BacktestMetrics;
+    meta: Record<string, any>;
+
+    toJSON(): object;
+    save(filePath: string): void;
+    print(): void;
+}
+
+export class BacktestEngine {
+    constructor(config: BacktestConfig);
+    run(): Promise<BacktestReport>;
+}
+
 // ═══════════════════════════════════════
 //  SDK Factory Functions
 // ═══════════════════════════════════════
@@ -473,13 +1371,25 @@ export function createAgent(options?: {
     llm?: LLMClientConfig;
     risk?: RiskManagerConfig;
     dataDir?: string;
-    onTrade?: (trade: TradeExecution) => Promise<void>;
-    onClose?: (position: PositionEvent) => Promise<void>;
+    onTrade?: (trade: TradeExecution) => Promise<void | TradeFill>;
+    onClose?: (position: PositionEvent) => Promise<unknown>;
+    exchange?: ExchangeName | string;
+    exchanges?: Record<string, ExchangeAdapter | Record<string, any>>;
+    routes?: Record<string, string>;
+    paper?: boolean | PaperExchangeConfig;
+    nativeBrackets?: boolean;
+    fetchPositions?: (exchange: string) => Promise<ExchangePosition[] | null>;
+    reconcilePolicy?: ReconcilePolicy;
 }): AgentOrchestrator;
 
 export function createLLM(options?: LLMClientConfig): LLMClient;
 export function createMarketFeed(options?: MarketDataFeedConfig): MarketDataFeed;
 export function createRiskManager(options?: RiskManagerConfig & { riskPercent?: number }): RiskManager;
 export function createSurvival(initialBalance: number, callbacks?: Partial<SurvivalManagerConfig>): SurvivalManager;
-export function createPositionManager(options?: { dataDir?: string; onClose?: (position: PositionEvent) => Promise<void> }): PositionManager;
+export function createPositionManager(options?: {
+    dataDir?: string;
+    onClose?: (position: PositionEvent) => Promise<void>;
+    onExecuteOrder?: PositionManagerConfig['onExecuteOrder'];
+    marginModel?: MarginModel;
+}): PositionManager;
 export function createLiquidationIntel(options?: LiquidationIntelligenceConfig): LiquidationIntelligence;